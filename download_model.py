@@ -29,7 +29,7 @@ MODELS = {
     ]
 }
 
-OUTPUT_DIR = "face_recognition_model"
+OUTPUT_DIR = os.path.join("public", "models")
 
 def download_file(url, output_path):
     """Download a file with progress"""
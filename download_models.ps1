@@ -22,6 +22,11 @@ Invoke-WebRequest -Uri "$baseUrl/face_recognition_model-weights_manifest.json" -
 Invoke-WebRequest -Uri "$baseUrl/face_recognition_model-shard1" -OutFile "public\models\face_recognition_model-shard1"
 Invoke-WebRequest -Uri "$baseUrl/face_recognition_model-shard2" -OutFile "public\models\face_recognition_model-shard2"
 
+# SSD MobileNet v1 (~5.4 MB) - optional, only needed for MODEL_CONFIG.DETECTOR.BACKEND = 'ssd'
+# Invoke-WebRequest -Uri "$baseUrl/ssd_mobilenetv1_model-weights_manifest.json" -OutFile "public\models\ssd_mobilenetv1_model-weights_manifest.json"
+# Invoke-WebRequest -Uri "$baseUrl/ssd_mobilenetv1_model-shard1" -OutFile "public\models\ssd_mobilenetv1_model-shard1"
+# Invoke-WebRequest -Uri "$baseUrl/ssd_mobilenetv1_model-shard2" -OutFile "public\models\ssd_mobilenetv1_model-shard2"
+
 Write-Host "`nDownload complete!" -ForegroundColor Green
 Write-Host "Models saved to: public\models\" -ForegroundColor Cyan
 
@@ -0,0 +1,69 @@
+/**
+ * Face Sentinel Service Worker
+ * Keeps the app shell available offline: pages are served network-first with the last copy as fallback,
+ * and the hashed build assets under static/ (including the inference worker) cache-first.
+ * Model weights are not handled here: ModelWeightCache keeps them, SHA-256 checked, in its own versioned cache.
+ *
+ * Registered by src/utils/serviceWorker.js in production builds.
+ */
+
+/* eslint-disable no-restricted-globals */
+
+const SHELL_CACHE = 'face-sentinel-shell-v1';
+const SHELL_PREFIX = 'face-sentinel-shell-';
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.add(scopeUrl('./')))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(SHELL_PREFIX) && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        // Every route renders the same index.html, so one entry serves them all offline
+        if (response.ok) await cache.put(scopeUrl('./'), response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(scopeUrl('./'));
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.url.startsWith(scopeUrl('static/'))) {
+        event.respondWith(cacheFirst(request));
+    }
+});
@@ -0,0 +1,138 @@
+/**
+ * Library Build
+ * Compiles the modules reachable from the library entries (src/core/index.js and src/core/react.js)
+ * into an ESM package under lib/, separate from the demo app build. Only JSX is transformed; syntax
+ * is left modern for the consumer's bundler. Relative imports get explicit .js extensions, the
+ * hand-written .d.ts declarations are copied alongside, and lib/package.json is generated.
+ *
+ * Usage: npm run build:lib
+ */
+
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const OUT = path.join(ROOT, 'lib');
+const ENTRIES = ['core/index.js', 'core/react.js'];
+const DECLARATIONS = ['core/index.d.ts', 'core/react.d.ts'];
+const EXTENSIONS = ['', '.js', '.jsx', '/index.js'];
+
+function resolveModule(fromFile, specifier) {
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    for (const extension of EXTENSIONS) {
+        const candidate = base + extension;
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+    throw new Error(`Cannot resolve "${specifier}" from ${path.relative(ROOT, fromFile)}`);
+}
+
+function outputPath(file) {
+    return path.join(OUT, path.relative(SRC, file)).replace(/\.jsx$/, '.js');
+}
+
+function packageName(specifier) {
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Babel plugin: rewrites relative specifiers (imports, re-exports and new URL('./x', import.meta.url))
+ * to the emitted file names and records every module and package they reference
+ */
+function rewriteImports(file, dependencies, packages) {
+    const rewrite = (literal) => {
+        const specifier = literal.value;
+
+        if (!specifier.startsWith('.')) {
+            packages.add(packageName(specifier));
+            return;
+        }
+
+        const target = resolveModule(file, specifier);
+        dependencies.add(target);
+
+        let relative = path.relative(path.dirname(outputPath(file)), outputPath(target)).split(path.sep).join('/');
+        if (!relative.startsWith('.')) relative = './' + relative;
+        literal.value = relative;
+    };
+
+    return {
+        visitor: {
+            ImportDeclaration(p) { rewrite(p.node.source); },
+            ExportNamedDeclaration(p) { if (p.node.source) rewrite(p.node.source); },
+            ExportAllDeclaration(p) { rewrite(p.node.source); },
+            NewExpression(p) {
+                const [first] = p.node.arguments;
+                if (p.node.callee.name === 'URL' && first && first.type === 'StringLiteral' && first.value.startsWith('.')) {
+                    rewrite(first);
+                }
+            }
+        }
+    };
+}
+
+function build() {
+    fs.rmSync(OUT, { recursive: true, force: true });
+
+    const pending = ENTRIES.map(entry => path.join(SRC, entry));
+    const done = new Set();
+    const packages = new Set();
+
+    while (pending.length > 0) {
+        const file = pending.pop();
+        if (done.has(file)) continue;
+        done.add(file);
+
+        const target = outputPath(file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+
+        if (!/\.jsx?$/.test(file)) {
+            fs.copyFileSync(file, target);
+            continue;
+        }
+
+        const dependencies = new Set();
+        const { code } = babel.transformFileSync(file, {
+            babelrc: false,
+            configFile: false,
+            sourceType: 'module',
+            presets: [[require.resolve('@babel/preset-react'), { runtime: 'automatic' }]],
+            plugins: [() => rewriteImports(file, dependencies, packages)]
+        });
+
+        fs.writeFileSync(target, code);
+        pending.push(...dependencies);
+    }
+
+    DECLARATIONS.forEach(declaration => fs.copyFileSync(path.join(SRC, declaration), path.join(OUT, declaration)));
+
+    const app = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+    const peerDependencies = {};
+    [...packages].sort().forEach(name => {
+        if (!app.dependencies[name]) throw new Error(`"${name}" is imported but not a dependency of the app`);
+        peerDependencies[name] = app.dependencies[name];
+    });
+
+    const manifest = {
+        name: app.name,
+        version: app.version,
+        description: app.description,
+        type: 'module',
+        main: './core/index.js',
+        types: './core/index.d.ts',
+        exports: {
+            '.': { types: './core/index.d.ts', import: './core/index.js' },
+            './react': { types: './core/react.d.ts', import: './core/react.js' }
+        },
+        sideEffects: ['*.css'],
+        peerDependencies,
+        peerDependenciesMeta: peerDependencies.react ? { react: { optional: true } } : undefined
+    };
+    fs.writeFileSync(path.join(OUT, 'package.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`Built ${done.size} modules into ${path.relative(ROOT, OUT)}/ (peer dependencies: ${Object.keys(peerDependencies).join(', ')})`);
+}
+
+build();
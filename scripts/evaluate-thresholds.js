@@ -0,0 +1,350 @@
+/**
+ * Offline Threshold Evaluation
+ * Runs FaceApiRecognitionModel over a labelled image folder (one subfolder per person) using the
+ * bundled weights, then reports genuine/impostor distances, FAR/FRR, EER, a ROC table, suggested
+ * MODEL_CONFIG thresholds and MATCHING.CALIBRATION fitted to the pairs (Platt scaling).
+ *
+ * Usage: npm run evaluate -- <dataset-dir> [--models public/models] [--detector tiny|ssd]
+ *        [--metric euclidean|cosine|ensemble] [--out report.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Compile src/ (ES modules + JSX preset) on the fly so the app's own model class is evaluated
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+require('@babel/register')({
+    presets: [require.resolve('babel-preset-react-app')],
+    babelrc: false,
+    configFile: false,
+    only: [path.resolve(__dirname, '../src')]
+});
+
+const faceapi = require('face-api.js');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const FaceApiRecognitionModel = require('../src/models/FaceRecognitionModel').default;
+const { MODEL_CONFIG } = require('../src/config/modelConfig');
+const { fitPlattScaling, matchProbability } = require('../src/utils/matchCalibration');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const THRESHOLD_STEP = 0.01;
+const USAGE = 'Usage: npm run evaluate -- <dataset-dir> [--models public/models] [--detector tiny|ssd] ' +
+    '[--metric euclidean|cosine|ensemble] [--out report.json]';
+
+function parseArgs(argv) {
+    const args = {
+        dataset: null,
+        models: path.resolve(__dirname, '../public/models'),
+        detector: MODEL_CONFIG.DETECTOR.BACKEND,
+        metric: MODEL_CONFIG.MATCHING.METRIC,
+        out: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--models') args.models = path.resolve(argv[++i]);
+        else if (argv[i] === '--detector') args.detector = argv[++i];
+        else if (argv[i] === '--metric') args.metric = argv[++i];
+        else if (argv[i] === '--out') args.out = path.resolve(argv[++i]);
+        else if (!args.dataset) args.dataset = path.resolve(argv[i]);
+    }
+
+    if (!args.dataset) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    return args;
+}
+
+/**
+ * Every shard listed in the *-weights_manifest.json files must be present before loading
+ */
+function findMissingShards(modelsDir) {
+    const missing = [];
+
+    fs.readdirSync(modelsDir)
+        .filter(file => file.endsWith('-weights_manifest.json'))
+        .forEach(file => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(modelsDir, file), 'utf8'));
+            manifest.forEach(group => group.paths.forEach(shard => {
+                if (!fs.existsSync(path.join(modelsDir, shard))) missing.push(shard);
+            }));
+        });
+
+    return missing;
+}
+
+/**
+ * Decodes a JPEG/PNG file into an int32 RGB tensor, which face-api.js accepts without a canvas
+ */
+function loadImageTensor(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const image = path.extname(filePath).toLowerCase() === '.png'
+        ? PNG.sync.read(buffer)
+        : jpeg.decode(buffer, { useTArray: true });
+
+    const { width, height, data } = image;
+    const rgb = new Int32Array(width * height * 3);
+
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+        rgb[j] = data[i];
+        rgb[j + 1] = data[i + 1];
+        rgb[j + 2] = data[i + 2];
+    }
+
+    return faceapi.tf.tensor3d(rgb, [height, width, 3], 'int32');
+}
+
+async function collectEmbeddings(model, datasetDir) {
+    const samples = [];
+    const skipped = [];
+
+    const people = fs.readdirSync(datasetDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    for (const person of people) {
+        const files = fs.readdirSync(path.join(datasetDir, person))
+            .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        for (const file of files) {
+            const filePath = path.join(datasetDir, person, file);
+            let tensor = null;
+
+            try {
+                tensor = loadImageTensor(filePath);
+                const result = await model.extractEmbedding(tensor);
+
+                if (result && result.embedding) {
+                    samples.push({ person, file, embedding: result.embedding });
+                } else {
+                    skipped.push({ file: filePath, reason: 'no face detected' });
+                }
+            } catch (error) {
+                skipped.push({ file: filePath, reason: error.message });
+            } finally {
+                if (tensor) tensor.dispose();
+            }
+        }
+
+        process.stdout.write(`  ${person}: ${samples.filter(s => s.person === person).length}/${files.length} faces\n`);
+    }
+
+    return { samples, skipped, people };
+}
+
+function pairDistances(model, samples) {
+    const genuine = [];
+    const impostor = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+            const distance = model.compareFaces(samples[i].embedding, samples[j].embedding);
+            (samples[i].person === samples[j].person ? genuine : impostor).push(distance);
+        }
+    }
+
+    return { genuine, impostor };
+}
+
+function describe(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        p5: at(0.05),
+        median: at(0.5),
+        mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+        p95: at(0.95),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function histogram(values, binWidth = 0.05, maxValue = 1.4) {
+    const bins = new Array(Math.ceil(maxValue / binWidth)).fill(0);
+
+    for (const value of values) {
+        bins[Math.min(bins.length - 1, Math.floor(value / binWidth))]++;
+    }
+
+    return bins.map((count, i) => ({ from: +(i * binWidth).toFixed(2), to: +((i + 1) * binWidth).toFixed(2), count }));
+}
+
+/**
+ * FAR = impostor pairs accepted, FRR = genuine pairs rejected, at "distance <= threshold" acceptance
+ */
+function rateCurve(genuine, impostor) {
+    const curve = [];
+
+    for (let t = 0; t <= 1.4 + 1e-9; t += THRESHOLD_STEP) {
+        const threshold = +t.toFixed(2);
+        const far = impostor.filter(d => d <= threshold).length / impostor.length;
+        const frr = genuine.filter(d => d > threshold).length / genuine.length;
+        curve.push({ threshold, far, frr, tar: 1 - frr });
+    }
+
+    return curve;
+}
+
+function equalErrorRate(curve) {
+    const best = curve.reduce((a, b) => (Math.abs(b.far - b.frr) < Math.abs(a.far - a.frr) ? b : a));
+    return { threshold: best.threshold, eer: (best.far + best.frr) / 2 };
+}
+
+/**
+ * Threshold with the lowest FRR whose FAR stays at or below the target.
+ * When a range of thresholds ties (separable data), the middle of it is used to keep a margin on both sides.
+ */
+function thresholdAtFar(curve, targetFar) {
+    const eligible = curve.filter(point => point.far <= targetFar);
+    if (eligible.length === 0) return curve[0];
+
+    const minFrr = Math.min(...eligible.map(point => point.frr));
+    const plateau = eligible.filter(point => point.frr === minFrr);
+    return plateau[Math.floor(plateau.length / 2)];
+}
+
+function suggestThresholds(curve) {
+    const similarity = thresholdAtFar(curve, 0.01);
+    const high = thresholdAtFar(curve, 0.001);
+    const veryHigh = thresholdAtFar(curve, 0);
+
+    // Keep the ordering MODEL_CONFIG expects: VERY_HIGH <= HIGH <= SIMILARITY
+    return {
+        SIMILARITY_THRESHOLD: similarity.threshold,
+        HIGH_CONFIDENCE: Math.min(high.threshold, similarity.threshold),
+        VERY_HIGH_CONFIDENCE: Math.min(veryHigh.threshold, high.threshold, similarity.threshold),
+        basis: { similarity, high, veryHigh }
+    };
+}
+
+/**
+ * Platt parameters for the pairs, with the probability they give at the suggested thresholds
+ */
+function calibrate(genuine, impostor, suggested) {
+    const { A, B } = fitPlattScaling(genuine, impostor);
+    const probabilityAt = {};
+
+    for (const key of ['SIMILARITY_THRESHOLD', 'HIGH_CONFIDENCE', 'VERY_HIGH_CONFIDENCE']) {
+        probabilityAt[key] = matchProbability(suggested[key], { A, B });
+    }
+
+    return { A: +A.toFixed(4), B: +B.toFixed(4), probabilityAt };
+}
+
+function pct(value) {
+    return `${(value * 100).toFixed(2)}%`.padStart(8);
+}
+
+function printReport(report) {
+    const { genuine, impostor } = report.distributions;
+
+    console.log(`\nDistance distributions (${report.metric}, lower = more similar)`);
+    for (const [label, stats] of [['genuine', genuine], ['impostor', impostor]]) {
+        if (!stats) continue;
+        console.log(`  ${label.padEnd(9)} n=${stats.count}  min=${stats.min.toFixed(3)}  median=${stats.median.toFixed(3)}  ` +
+            `mean=${stats.mean.toFixed(3)}  p95=${stats.p95.toFixed(3)}  max=${stats.max.toFixed(3)}`);
+    }
+
+    console.log('\nHistogram        genuine  impostor');
+    report.histogram.forEach(bin => {
+        if (bin.genuine === 0 && bin.impostor === 0) return;
+        console.log(`  ${bin.from.toFixed(2)}-${bin.to.toFixed(2)}  ${String(bin.genuine).padStart(8)}  ${String(bin.impostor).padStart(8)}`);
+    });
+
+    console.log('\nROC / error rates');
+    console.log('  threshold      FAR      FRR      TAR');
+    report.roc.forEach(point => {
+        console.log(`  ${point.threshold.toFixed(2).padStart(9)} ${pct(point.far)} ${pct(point.frr)} ${pct(point.tar)}`);
+    });
+
+    console.log(`\nEER: ${pct(report.eer.eer).trim()} at threshold ${report.eer.threshold.toFixed(2)}`);
+
+    console.log('\nCurrent MODEL_CONFIG');
+    for (const key of ['SIMILARITY_THRESHOLD', 'HIGH_CONFIDENCE', 'VERY_HIGH_CONFIDENCE']) {
+        const point = report.curve.find(p => p.threshold === +MODEL_CONFIG[key].toFixed(2));
+        console.log(`  ${key.padEnd(21)} ${MODEL_CONFIG[key].toFixed(2)}  FAR ${pct(point.far)}  FRR ${pct(point.frr)}`);
+    }
+
+    const s = report.suggested;
+    console.log('\nSuggested values for src/config/modelConfig.js (FAR <= 1% / 0.1% / 0%):');
+    console.log(`  SIMILARITY_THRESHOLD: ${s.SIMILARITY_THRESHOLD.toFixed(2)},`);
+    console.log(`  HIGH_CONFIDENCE: ${s.HIGH_CONFIDENCE.toFixed(2)},`);
+    console.log(`  VERY_HIGH_CONFIDENCE: ${s.VERY_HIGH_CONFIDENCE.toFixed(2)},`);
+
+    const c = report.calibration;
+    console.log('\nMatch probability calibration (Platt scaling over all pairs):');
+    console.log(`  MATCHING: { METRIC: '${report.metric}', CALIBRATION: { A: ${c.A}, B: ${c.B}, FITTED: true } },`);
+    for (const [key, probability] of Object.entries(c.probabilityAt)) {
+        console.log(`  p(match) at suggested ${key.padEnd(21)} ${pct(probability)}`);
+    }
+
+    if (report.skipped.length > 0) {
+        console.log(`\nSkipped ${report.skipped.length} image(s):`);
+        report.skipped.forEach(item => console.log(`  ${item.file}: ${item.reason}`));
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    console.log(`Loading weights from ${args.models} (${args.detector} detector, ${args.metric} metric)`);
+
+    const missingShards = findMissingShards(args.models);
+    if (missingShards.length > 0) {
+        console.error(`Missing weight files: ${missingShards.join(', ')}`);
+        console.error('Download them with download_model.py (or download_models.ps1) and copy them into the models folder.');
+        process.exit(1);
+    }
+
+    const model = new FaceApiRecognitionModel({ detector: args.detector, metric: args.metric });
+    await model.loadModel(args.models, { fromDisk: true });
+
+    console.log(`Extracting descriptors from ${args.dataset}`);
+    const { samples, skipped, people } = await collectEmbeddings(model, args.dataset);
+    const { genuine, impostor } = pairDistances(model, samples);
+
+    if (genuine.length === 0 || impostor.length === 0) {
+        console.error('\nNeed at least two people with two usable images each to compute genuine and impostor pairs.');
+        process.exit(1);
+    }
+
+    const curve = rateCurve(genuine, impostor);
+    const suggested = suggestThresholds(curve);
+    const genuineBins = histogram(genuine);
+    const impostorBins = histogram(impostor);
+
+    const report = {
+        dataset: args.dataset,
+        metric: args.metric,
+        people: people.length,
+        images: samples.length,
+        distributions: { genuine: describe(genuine), impostor: describe(impostor) },
+        histogram: genuineBins.map((bin, i) => ({ from: bin.from, to: bin.to, genuine: bin.count, impostor: impostorBins[i].count })),
+        curve,
+        roc: curve.filter(point => Math.round(point.threshold * 100) % 5 === 0 && point.threshold >= 0.2 && point.threshold <= 1.0),
+        eer: equalErrorRate(curve),
+        suggested,
+        calibration: calibrate(genuine, impostor, suggested),
+        skipped
+    };
+
+    printReport(report);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+        console.log(`\nFull report written to ${args.out}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,91 @@
+/**
+ * Model Weight Hashes
+ * Writes the SHA-256 of every weight shard into its *-weights_manifest.json (a `sha256` array next to
+ * `paths`), which ModelWeightCache checks before using or caching a shard. Run it whenever the weight
+ * files change, and bump MODEL_CACHE.VERSION so browsers drop their cached copies.
+ *
+ * Usage: npm run models:hash -- [--dir public/models] [--check]
+ * --check only reports manifests whose hashes are missing or stale, exiting with 1 if there are any.
+ * A manifest listing a shard that is not on disk is reported and left untouched: hashing cannot stand in
+ * for the missing file, so download it first (download_model.py or download_models.ps1).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+    const args = { dir: path.resolve(__dirname, '..', 'public', 'models'), check: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dir') args.dir = path.resolve(argv[++i]);
+        else if (argv[i] === '--check') args.check = true;
+    }
+
+    return args;
+}
+
+function hashFile(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * The manifest with fresh `sha256` arrays, plus the shards that are not on disk (only usable when there are none)
+ */
+function hashManifest(dir, manifest) {
+    const missing = [];
+    let changed = false;
+
+    const groups = manifest.map(group => {
+        const sha256 = group.paths.map((shard, i) => {
+            const shardFile = path.join(dir, shard);
+            if (!fs.existsSync(shardFile)) {
+                missing.push(shard);
+                return null;
+            }
+
+            const hash = hashFile(shardFile);
+            if (!group.sha256 || group.sha256[i] !== hash) changed = true;
+            return hash;
+        });
+
+        return { ...group, sha256 };
+    });
+
+    return { groups, changed, missing };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const manifests = fs.readdirSync(args.dir).filter(name => name.endsWith('-weights_manifest.json')).sort();
+    let problems = 0;
+
+    if (manifests.length === 0) {
+        console.error(`No *-weights_manifest.json files in ${args.dir}`);
+        process.exit(1);
+    }
+
+    for (const name of manifests) {
+        const file = path.join(args.dir, name);
+        const { groups, changed, missing } = hashManifest(args.dir, JSON.parse(fs.readFileSync(file, 'utf8')));
+
+        if (missing.length > 0) {
+            console.error(`${name}: missing weight file(s) ${missing.join(', ')} in ${args.dir}; ` +
+                'download them and run again (manifest left unchanged)');
+            problems++;
+        } else if (!changed) {
+            console.log(`${name}: up to date`);
+        } else if (args.check) {
+            console.log(`${name}: hashes missing or stale`);
+            problems++;
+        } else {
+            // Manifests are single-line JSON, like the ones face-api.js ships
+            fs.writeFileSync(file, JSON.stringify(groups));
+            console.log(`${name}: updated`);
+        }
+    }
+
+    if (problems > 0) process.exit(1);
+}
+
+main();
@@ -0,0 +1,93 @@
+/**
+ * Mock Webhook Receiver
+ * Local endpoint for trying out WebhookSink: prints every event, checks the HMAC signature
+ * and can fail the first requests to exercise the retry queue.
+ *
+ * Usage: npm run webhook:mock -- [--port 4000] [--secret <secret>] [--fail <count>] [--status 503]
+ * Then point the sink at http://localhost:4000/events.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+    const args = { port: 4000, secret: null, fail: 0, status: 503 };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--secret') args.secret = argv[++i];
+        else if (argv[i] === '--fail') args.fail = Number(argv[++i]);
+        else if (argv[i] === '--status') args.status = Number(argv[++i]);
+    }
+
+    return args;
+}
+
+function verifySignature(secret, req, body) {
+    const header = req.headers['x-sentinel-signature'] || '';
+    const timestamp = req.headers['x-sentinel-timestamp'] || '';
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    return header.length === expected.length && crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    let remainingFailures = args.fail;
+    let received = 0;
+
+    const server = http.createServer((req, res) => {
+        // The app posts cross-origin from the dev server
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Sentinel-Event, X-Sentinel-Delivery, X-Sentinel-Timestamp, X-Sentinel-Signature');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method !== 'POST') {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const delivery = req.headers['x-sentinel-delivery'];
+
+            if (args.secret && !verifySignature(args.secret, req, body)) {
+                console.log(`✗ ${delivery}: bad signature`);
+                res.writeHead(401);
+                res.end();
+                return;
+            }
+
+            if (remainingFailures > 0) {
+                remainingFailures--;
+                console.log(`… ${delivery}: answering ${args.status} (${remainingFailures} failures left)`);
+                res.writeHead(args.status);
+                res.end();
+                return;
+            }
+
+            received++;
+            const event = JSON.parse(body);
+            console.log(`✓ #${received} ${event.type} ${delivery}`);
+            console.log(JSON.stringify(event.payload, null, 2));
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true }));
+        });
+    });
+
+    server.listen(args.port, () => {
+        console.log(`Mock webhook receiver on http://localhost:${args.port}/events` +
+            (args.secret ? ' (verifying signatures)' : ' (signatures not checked)'));
+    });
+}
+
+main();
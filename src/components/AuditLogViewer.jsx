@@ -0,0 +1,210 @@
+/**
+ * AuditLogViewer Component
+ * Pages through the hash-chained audit log (see AuditLog) with filters by event type, person and date range,
+ * shows the result of the integrity check and exports the filtered entries as CSV or JSON.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { AUDIT_EVENTS } from '../utils/auditLog';
+import { downloadFile } from '../utils/download';
+import './AuditLogViewer.css';
+
+const EVENT_LABELS = {
+    enrolled: 'Enrolled',
+    identity_renamed: 'Renamed',
+    identity_removed: 'Removed',
+    reset: 'Reset',
+    verified: 'Verified',
+    mismatch: 'Mismatch',
+    spoof: 'Spoof flag',
+    file_checked: 'File checked',
+    locked: 'Locked',
+    unlocked: 'Unlocked',
+    logs_cleared: 'Logs cleared',
+    store_wiped: 'Store wiped',
+    store_rekeyed: 'Store re-keyed',
+    template_adapted: 'Template adapted',
+    template_rolled_back: 'Template rolled back'
+};
+
+const EMPTY_FILTERS = { type: '', person: '', from: '', to: '' };
+
+/**
+ * Form values to an AuditFilter; dates cover whole local days
+ */
+function toAuditFilter({ type, person, from, to }) {
+    return {
+        types: type ? [type] : [],
+        person,
+        from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : null
+    };
+}
+
+function formatDetail(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(3);
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function formatDetails(details) {
+    return Object.entries(details || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}: ${formatDetail(value)}`)
+        .join(' · ');
+}
+
+function AuditLogViewer({ auditHead, auditIntegrity, pageSize, queryAudit, verifyAudit, exportAudit }) {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(0);
+    const [result, setResult] = useState({ entries: [], total: 0 });
+    const [queryError, setQueryError] = useState(null);
+    const [isVerifying, setIsVerifying] = useState(false);
+
+    const headSeq = auditHead ? auditHead.seq : 0;
+    const pageCount = Math.max(1, Math.ceil(result.total / pageSize));
+
+    // Reloads on new entries too, so the first page stays live
+    useEffect(() => {
+        let cancelled = false;
+
+        queryAudit({ ...toAuditFilter(filters), offset: page * pageSize, limit: pageSize })
+            .then(next => {
+                if (cancelled) return;
+                setResult(next);
+                setQueryError(null);
+            })
+            .catch(err => {
+                if (!cancelled) setQueryError(err.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [queryAudit, filters, page, pageSize, headSeq]);
+
+    const updateFilter = (name, value) => {
+        setFilters(current => ({ ...current, [name]: value }));
+        setPage(0);
+    };
+
+    const clearFilters = () => {
+        setFilters(EMPTY_FILTERS);
+        setPage(0);
+    };
+
+    const handleVerify = async () => {
+        setIsVerifying(true);
+        try {
+            await verifyAudit();
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    const handleExport = async (format) => {
+        try {
+            const content = await exportAudit(toAuditFilter(filters), format);
+            downloadFile(`face-sentinel-audit.${format}`, content, format === 'csv' ? 'text/csv' : 'application/json');
+        } catch (err) {
+            alert(err.message);
+        }
+    };
+
+    const isSuspect = (entry) => auditIntegrity && !auditIntegrity.ok && entry.seq >= auditIntegrity.brokenAt;
+
+    return (
+        <div className="audit-viewer">
+            <div className="audit-integrity">
+                {auditIntegrity && (auditIntegrity.ok ? (
+                    <span className="audit-ok">
+                        ✓ Chain intact: {auditIntegrity.count} entries, checked {new Date(auditIntegrity.checkedAt).toLocaleString()}
+                    </span>
+                ) : (
+                    <span className="audit-tampered">
+                        ⚠️ Tampering detected at entry #{auditIntegrity.brokenAt}: {auditIntegrity.reason}
+                    </span>
+                ))}
+                {auditHead && (
+                    <span className="audit-head" title={auditHead.hash}>
+                        Head #{auditHead.seq} {auditHead.hash.slice(0, 16)}…
+                    </span>
+                )}
+                <button className="btn-link" onClick={handleVerify} disabled={isVerifying}>
+                    {isVerifying ? 'Verifying…' : 'Verify integrity'}
+                </button>
+            </div>
+
+            <div className="audit-filters">
+                <select value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+                    <option value="">All events</option>
+                    {AUDIT_EVENTS.map(type => (
+                        <option key={type} value={type}>{EVENT_LABELS[type]}</option>
+                    ))}
+                </select>
+                <input
+                    type="text"
+                    placeholder="Person name or ID"
+                    value={filters.person}
+                    onChange={(e) => updateFilter('person', e.target.value)}
+                />
+                <label>
+                    From
+                    <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+                </label>
+                <label>
+                    To
+                    <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+                </label>
+                {Object.values(filters).some(Boolean) && (
+                    <button className="btn-link" onClick={clearFilters}>Clear filters</button>
+                )}
+            </div>
+
+            {queryError && <p className="audit-error">{queryError}</p>}
+
+            {result.total > 0 ? (
+                <table className="audit-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Time</th>
+                            <th>Event</th>
+                            <th>Person</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {result.entries.map(entry => (
+                            <tr key={entry.seq} className={isSuspect(entry) ? 'audit-row-suspect' : undefined}>
+                                <td title={entry.hash}>{entry.seq}</td>
+                                <td>{new Date(entry.time).toLocaleString()}</td>
+                                <td className={`audit-type-${entry.type}`}>{EVENT_LABELS[entry.type] || entry.type}</td>
+                                <td>{entry.personName || (entry.personId !== null ? `#${entry.personId}` : '—')}</td>
+                                <td className="audit-details">{formatDetails(entry.details)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <p className="no-logs">No audit entries match.</p>
+            )}
+
+            <div className="audit-footer">
+                <div className="audit-paging">
+                    <button className="btn-link" onClick={() => setPage(page - 1)} disabled={page === 0}>‹ Newer</button>
+                    <span>Page {Math.min(page + 1, pageCount)} of {pageCount} ({result.total} entries)</span>
+                    <button className="btn-link" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>Older ›</button>
+                </div>
+                <div className="audit-export">
+                    <button className="btn-link" onClick={() => handleExport('csv')}>Export CSV</button>
+                    <button className="btn-link" onClick={() => handleExport('json')}>Export JSON</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AuditLogViewer;
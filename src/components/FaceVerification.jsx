@@ -1,62 +1,262 @@
 /**
  * FaceVerification Component
  * Main interface for face enrollment, real-time verification, and security logging.
+ * Faces can also be enrolled from an ID photo, and uploaded images or videos checked against the gallery.
+ * Embedding apps can pass onEvent(type, payload) to receive sentinel events, and webhook
+ * ({ url, secret, events }) to forward them to a server. profile and config set the starting security
+ * profile and MODEL_CONFIG overrides (see SentinelConfigProvider). Children are protected content:
+ * with the presence guard on they are blurred while the workstation is locked.
  */
 
-import React, { useRef, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import Webcam from 'react-webcam';
 import { useFaceRecognition } from '../hooks/useFaceRecognition';
+import SentinelGuard from './SentinelGuard';
+import TimelineReport from './TimelineReport';
+import AuditLogViewer from './AuditLogViewer';
+import { getTemplateShift } from '../utils/templateAdaptation';
+import { CONFIG_PROFILES } from '../config/modelConfig';
 import './FaceVerification.css';
 
-function FaceVerification() {
+function formatMegabytes(bytes) {
+    return (bytes / (1024 * 1024)).toFixed(1);
+}
+
+function FaceVerification({ onEvent, webhook, profile: initialProfile, config: configOverrides, children } = {}) {
     const webcamRef = useRef(null);
     const [webcamReady, setWebcamReady] = useState(false);
-    const [enrolled, setEnrolled] = useState(false);
+    const [enrollName, setEnrollName] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [activeLiveness, setActiveLiveness] = useState(false);
+    const [multiFace, setMultiFace] = useState(false);
+    const [captureSnapshots, setCaptureSnapshots] = useState(false);
+    const [adaptTemplates, setAdaptTemplates] = useState(false);
+    const [presenceGuard, setPresenceGuard] = useState(false);
+    const [guardOwnerId, setGuardOwnerId] = useState(null);
+    const [logView, setLogView] = useState('table');
+    const [selectedProfile, setSelectedProfile] = useState(initialProfile);
 
     const {
         isLoading,
         isModelReady,
+        modelProgress,
         error,
         verificationResult,
+        faceResults,
         isVerifying,
         hasReference,
+        gallery,
+        enrollmentProgress,
+        challengeProgress,
+        storeStatus,
+        pendingEncounters,
         unauthorizedLogs,
+        intruders,
+        guardState,
+        guardLog,
+        fileAnalysis,
+        timelineReport,
+        auditHead,
+        auditIntegrity,
+        profile,
+        config,
+        events,
         enrollFace,
+        cancelEnrollment,
+        renameIdentity,
+        removeIdentity,
+        rollbackTemplate,
+        mergeIntruders,
+        splitIntruder,
+        labelIntruder,
+        promoteIntruder,
         startVerification,
         stopVerification,
+        analyzeFile,
+        cancelFileAnalysis,
+        clearTimelineReport,
         clearLogs,
+        queryAudit,
+        verifyAudit,
+        exportAudit,
+        lockWorkstation,
+        clearGuardLog,
+        unlockStore,
+        rekeyStore,
+        lockStore,
+        wipeStore,
         reset
-    } = useFaceRecognition();
+    } = useFaceRecognition({
+        activeLiveness,
+        multiFace,
+        captureSnapshots,
+        adaptTemplates,
+        webhook,
+        guard: presenceGuard ? { ownerId: guardOwnerId } : null,
+        profile: selectedProfile,
+        config: configOverrides
+    });
+
+    // The guard tracks every face, so show them all
+    const showFaceBoxes = multiFace || presenceGuard;
+
+    useEffect(() => {
+        if (!onEvent) return undefined;
+        return events.onAny(onEvent);
+    }, [events, onEvent]);
 
     const handleWebcamReady = () => setWebcamReady(true);
 
     const handleEnroll = async () => {
         if (webcamRef.current && webcamRef.current.video) {
             try {
-                await enrollFace(webcamRef.current.video);
-                setEnrolled(true);
-                alert('✓ Face enrolled successfully! You can now start verification.');
+                const identity = await enrollFace(webcamRef.current.video, enrollName);
+                setEnrollName('');
+                alert(`✓ ${identity.name} enrolled successfully! You can now start verification.`);
             } catch (err) {
-                alert(`❌ Enrollment failed: ${err.message}`);
+                if (!err.message.endsWith('cancelled')) {
+                    alert(`❌ Enrollment failed: ${err.message}`);
+                }
             }
         } else {
             alert('❌ Webcam not ready. Please wait a moment and try again.');
         }
     };
 
+    const handleEnrollPhoto = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const identity = await enrollFace(file, enrollName);
+            setEnrollName('');
+            alert(`✓ ${identity.name} enrolled from ${file.name}.`);
+        } catch (err) {
+            alert(`❌ Enrollment failed: ${err.message}`);
+        }
+    };
+
+    // Failures also land in the hook's error state, shown above
+    const handleCheckFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) analyzeFile(file).catch(() => {});
+    };
+
     const handleStartVerification = () => {
         if (webcamRef.current && webcamRef.current.video) {
             startVerification(webcamRef.current.video);
         }
     };
 
+    const handleRename = (identity) => {
+        const name = window.prompt('Rename identity', identity.name);
+        if (name === null) return;
+
+        try {
+            renameIdentity(identity.id, name);
+        } catch (err) {
+            alert(`❌ Rename failed: ${err.message}`);
+        }
+    };
+
+    const handleRemove = (identity) => {
+        if (window.confirm(`Remove ${identity.name} from the gallery?`)) {
+            removeIdentity(identity.id);
+        }
+    };
+
+    const handleRollbackTemplate = (identity) => {
+        if (window.confirm(`Discard what ${identity.name}'s template has learned and restore the enrollment template?`)) {
+            rollbackTemplate(identity.id);
+        }
+    };
+
+    // Intruder operations report failures through the hook's error state as well
+    const handleLabelIntruder = (intruder) => {
+        const name = window.prompt('Name for this intruder (leave empty for none)', intruder.name);
+        if (name === null) return;
+        const note = window.prompt('Note', intruder.note);
+        if (note === null) return;
+
+        try {
+            labelIntruder(intruder.personId, { name, note });
+        } catch (err) {
+            alert(`❌ Update failed: ${err.message}`);
+        }
+    };
+
+    const handleMergeIntruder = (intruder, targetId) => {
+        const target = intruders.find(other => other.personId === targetId);
+        if (!target || !window.confirm(`Merge ${intruder.label} into ${target.label}?`)) return;
+
+        try {
+            mergeIntruders(target.personId, intruder.personId);
+        } catch (err) {
+            alert(`❌ Merge failed: ${err.message}`);
+        }
+    };
+
+    const handleSplitIntruder = (intruder) => {
+        try {
+            const created = splitIntruder(intruder.personId);
+            alert(`✓ Split off Unauthorized Person #${created.id}.`);
+        } catch (err) {
+            alert(`❌ Split failed: ${err.message}`);
+        }
+    };
+
+    const handlePromoteIntruder = (intruder) => {
+        const name = window.prompt(`Enroll ${intruder.label} as`, intruder.name);
+        if (name === null) return;
+
+        try {
+            const identity = promoteIntruder(intruder.personId, name);
+            alert(`✓ ${identity.name} enrolled from intruder records.`);
+        } catch (err) {
+            alert(`❌ Enrollment failed: ${err.message}`);
+        }
+    };
+
+    const handleUnlock = async () => {
+        try {
+            await unlockStore(passphrase);
+        } catch (err) {
+            // Surfaced through the hook's error state
+        } finally {
+            setPassphrase('');
+        }
+    };
+
+    const handleRekey = async () => {
+        const target = passphrase ? 'the new passphrase' : 'the device key';
+        if (!window.confirm(`Re-encrypt every enrolled face under ${target}?`)) return;
+
+        try {
+            await rekeyStore(passphrase);
+        } catch (err) {
+            // Surfaced through the hook's error state
+        } finally {
+            setPassphrase('');
+        }
+    };
+
+    const handleWipe = () => {
+        if (window.confirm('Permanently delete every enrolled face from this device?')) {
+            wipeStore();
+        }
+    };
+
     const handleReset = () => {
-        setEnrolled(false);
+        setEnrollName('');
         reset();
     };
 
+    const isUndecided = (result) => result.level === 'pending' || result.level === 'quality';
+
     const getBorderClass = () => {
-        if (!verificationResult) return '';
+        if (!verificationResult || isUndecided(verificationResult)) return '';
         return verificationResult.isSame ? 'border-success' : 'border-danger';
     };
 
@@ -65,6 +265,19 @@ function FaceVerification() {
         return `confidence-${verificationResult.level}`;
     };
 
+    const getFaceBoxStyle = (face) => ({
+        left: `${(face.box.x / face.frameWidth) * 100}%`,
+        top: `${(face.box.y / face.frameHeight) * 100}%`,
+        width: `${(face.box.width / face.frameWidth) * 100}%`,
+        height: `${(face.box.height / face.frameHeight) * 100}%`
+    });
+
+    const getFaceBoxClass = (face) => {
+        if (face.spoofing) return 'face-box face-box-spoof';
+        if (face.level === 'quality') return 'face-box face-box-quality';
+        return face.isSame ? 'face-box face-box-verified' : 'face-box face-box-unknown';
+    };
+
     return (
         <div className="face-verification-container">
             <div className="face-verification-card">
@@ -76,6 +289,21 @@ function FaceVerification() {
                     <div className="status-message info">
                         <div className="spinner"></div>
                         <p>Loading face recognition model...</p>
+                        {modelProgress && modelProgress.totalBytes > 0 && (
+                            <div className="model-progress">
+                                <div className="progress-track">
+                                    <div
+                                        className="progress-fill"
+                                        style={{ width: `${Math.min(100, (modelProgress.loadedBytes / modelProgress.totalBytes) * 100)}%` }}
+                                    ></div>
+                                </div>
+                                <span className="model-progress-text">
+                                    {formatMegabytes(modelProgress.loadedBytes)} / {formatMegabytes(modelProgress.totalBytes)} MB
+                                    {modelProgress.cachedBytes > 0 && ` (${formatMegabytes(modelProgress.cachedBytes)} MB from cache)`}
+                                    {modelProgress.retries > 0 && `, ${modelProgress.retries} retr${modelProgress.retries > 1 ? 'ies' : 'y'}`}
+                                </span>
+                            </div>
+                        )}
                     </div>
                 )}
 
@@ -102,19 +330,74 @@ function FaceVerification() {
                             className="webcam-feed"
                         />
 
+                        {/* Per-face Boxes */}
+                        {showFaceBoxes && faceResults.map(face => (
+                            <div key={face.trackId} className={getFaceBoxClass(face)} style={getFaceBoxStyle(face)}>
+                                <span className="face-label">
+                                    #{face.trackId} {face.spoofing ? '⚠️ Spoof' : face.message}
+                                </span>
+                            </div>
+                        ))}
+
                         {/* Verification Status Overlay */}
-                        {verificationResult && (
+                        {verificationResult && !showFaceBoxes && (
                             <div className={`verification-overlay ${getConfidenceClass()}`}>
                                 <div className="verification-status">
-                                    {verificationResult.isSame ? '✓' : '✗'}
+                                    {verificationResult.isSame ? '✓' : (isUndecided(verificationResult) ? '…' : '✗')}
                                 </div>
                                 <div className="verification-message">
                                     {verificationResult.message}
                                 </div>
+                                {typeof verificationResult.probability === 'number' && (
+                                    <div className="verification-detail" title="Match probability from MATCHING.CALIBRATION">
+                                        {config.MATCHING.CALIBRATION.FITTED ? 'calibrated' : 'uncalibrated score'} from{' '}
+                                        {config.MATCHING.METRIC} distance {verificationResult.confidence.toFixed(3)}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {challengeProgress && (
+                            <div className="verification-overlay challenge-overlay">
+                                <div className="enrollment-progress">
+                                    <div className="challenge-step">
+                                        Liveness check {challengeProgress.step} of {challengeProgress.total}
+                                    </div>
+                                    <div className="verification-message">
+                                        👉 {challengeProgress.instruction}
+                                    </div>
+                                    <div className="progress-track">
+                                        <div
+                                            className="progress-fill"
+                                            style={{ width: `${(challengeProgress.timeRemainingMs / config.ACTIVE_LIVENESS.STEP_TIMEOUT_MS) * 100}%` }}
+                                        ></div>
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        {enrollmentProgress && (
+                            <div className="verification-overlay enrollment-overlay">
+                                <div className="enrollment-progress">
+                                    <div className="verification-message">
+                                        📸 {enrollmentProgress.message}
+                                    </div>
+                                    <div className="progress-track">
+                                        <div
+                                            className="progress-fill"
+                                            style={{ width: `${(enrollmentProgress.captured / enrollmentProgress.target) * 100}%` }}
+                                        ></div>
+                                    </div>
+                                    {enrollmentProgress.lastRejection && (
+                                        <div className="enrollment-rejection">
+                                            ⚠️ {enrollmentProgress.lastRejection}
+                                        </div>
+                                    )}
+                                </div>
                             </div>
                         )}
 
-                        {isVerifying && !verificationResult && (
+                        {isVerifying && !verificationResult && !challengeProgress && (
                             <div className="verification-overlay">
                                 <div className="verification-message" style={{ color: '#ffa500' }}>
                                     ⚠️ No face detected
@@ -133,13 +416,32 @@ function FaceVerification() {
                 {/* Controls */}
                 {isModelReady && webcamReady && (
                     <div className="controls">
-                        {!enrolled && !hasReference && (
-                            <button className="btn btn-primary" onClick={handleEnroll}>
-                                📸 Enroll Face
+                        {(enrollmentProgress || (challengeProgress && !isVerifying)) && (
+                            <button className="btn btn-secondary" onClick={cancelEnrollment}>
+                                ✖ Cancel Enrollment
                             </button>
                         )}
 
-                        {(enrolled || hasReference) && !isVerifying && (
+                        {!isVerifying && !enrollmentProgress && !challengeProgress && !storeStatus.isLocked && (
+                            <>
+                                <input
+                                    type="text"
+                                    className="enroll-name-input"
+                                    placeholder="Name"
+                                    value={enrollName}
+                                    onChange={(e) => setEnrollName(e.target.value)}
+                                />
+                                <button className="btn btn-primary" onClick={handleEnroll}>
+                                    📸 Enroll Face
+                                </button>
+                                <label className="btn btn-secondary file-button">
+                                    🪪 Enroll from Photo
+                                    <input type="file" accept="image/*" hidden onChange={handleEnrollPhoto} />
+                                </label>
+                            </>
+                        )}
+
+                        {hasReference && !isVerifying && !enrollmentProgress && !challengeProgress && (
                             <>
                                 <button className="btn btn-success" onClick={handleStartVerification}>
                                     ▶ Start Verification
@@ -158,8 +460,227 @@ function FaceVerification() {
                     </div>
                 )}
 
-                {/* Security Dashboard */}
-                {enrolled && (
+                {isModelReady && webcamReady && !isVerifying && (
+                    <label className="liveness-toggle">
+                        <input
+                            type="checkbox"
+                            checked={activeLiveness}
+                            onChange={(e) => setActiveLiveness(e.target.checked)}
+                            disabled={!!enrollmentProgress || !!challengeProgress}
+                        />
+                        Active liveness (blink / turn / smile challenge)
+                    </label>
+                )}
+
+                {isModelReady && webcamReady && !isVerifying && (
+                    <label className="liveness-toggle">
+                        Security profile
+                        <select
+                            className="profile-select"
+                            value={profile}
+                            onChange={(e) => setSelectedProfile(e.target.value)}
+                            disabled={!!enrollmentProgress || !!challengeProgress}
+                        >
+                            {Object.keys(CONFIG_PROFILES).map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {isModelReady && webcamReady && !isVerifying && (
+                    <label className="liveness-toggle">
+                        <input
+                            type="checkbox"
+                            checked={multiFace}
+                            onChange={(e) => setMultiFace(e.target.checked)}
+                        />
+                        Multi-face mode (verify every face in view)
+                    </label>
+                )}
+
+                {isModelReady && webcamReady && !isVerifying && (
+                    <label className="liveness-toggle">
+                        <input
+                            type="checkbox"
+                            checked={captureSnapshots}
+                            onChange={(e) => setCaptureSnapshots(e.target.checked)}
+                        />
+                        Capture intruder snapshots (stored on this device)
+                    </label>
+                )}
+
+                {isModelReady && webcamReady && !isVerifying && hasReference && (
+                    <label className="liveness-toggle">
+                        <input
+                            type="checkbox"
+                            checked={adaptTemplates}
+                            onChange={(e) => setAdaptTemplates(e.target.checked)}
+                        />
+                        Adaptive templates (learn from confident live matches)
+                    </label>
+                )}
+
+                {isModelReady && webcamReady && !isVerifying && hasReference && (
+                    <label className="liveness-toggle">
+                        <input
+                            type="checkbox"
+                            checked={presenceGuard}
+                            onChange={(e) => setPresenceGuard(e.target.checked)}
+                        />
+                        Presence guard (lock when the owner leaves or someone looks over their shoulder)
+                        {presenceGuard && (
+                            <select
+                                className="guard-owner-select"
+                                value={guardOwnerId === null ? '' : guardOwnerId}
+                                onChange={(e) => setGuardOwnerId(e.target.value === '' ? null : Number(e.target.value))}
+                            >
+                                <option value="">Owner: anyone enrolled</option>
+                                {gallery.map(identity => (
+                                    <option key={identity.id} value={identity.id}>Owner: {identity.name}</option>
+                                ))}
+                            </select>
+                        )}
+                    </label>
+                )}
+
+                {/* File check */}
+                {isModelReady && hasReference && !isVerifying && (
+                    <div className="file-check">
+                        {fileAnalysis ? (
+                            <div className="file-check-progress">
+                                <span>
+                                    🎞 Checking {fileAnalysis.fileName}
+                                    {fileAnalysis.durationMs > 0 && ` (${Math.round((fileAnalysis.processedMs / fileAnalysis.durationMs) * 100)}%)`}
+                                </span>
+                                <button className="btn-link" onClick={cancelFileAnalysis}>Cancel</button>
+                            </div>
+                        ) : (
+                            <label className="btn btn-secondary file-button">
+                                🎞 Check Photo or Video File
+                                <input type="file" accept="image/*,video/*" hidden onChange={handleCheckFile} />
+                            </label>
+                        )}
+                        {timelineReport && <TimelineReport report={timelineReport} onClose={clearTimelineReport} />}
+                    </div>
+                )}
+
+                {/* Presence Guard */}
+                {guardState && (
+                    <div className="guard-panel">
+                        <div className="guard-status">
+                            <span className={guardState.isLocked ? 'guard-state guard-locked' : 'guard-state guard-unlocked'}>
+                                {guardState.isLocked ? `🔒 Locked: ${guardState.message}` : '🔓 Unlocked'}
+                            </span>
+                            {!guardState.isLocked && (
+                                <button className="btn-link" onClick={lockWorkstation}>Lock now</button>
+                            )}
+                            {guardLog.length > 0 && (
+                                <button className="btn-link" onClick={clearGuardLog}>Clear history</button>
+                            )}
+                        </div>
+                        {guardLog.length > 0 && (
+                            <ul className="guard-log">
+                                {guardLog.slice(0, 5).map(entry => (
+                                    <li key={entry.id}>
+                                        {entry.type === 'lock' ? '🔒' : '🔓'} {entry.fullDate}: {entry.type === 'lock' ? 'locked' : 'unlocked'} ({entry.reason})
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+
+                {children && (
+                    <SentinelGuard state={guardState}>
+                        {children}
+                    </SentinelGuard>
+                )}
+
+                {/* Enrolled Identities */}
+                {hasReference && (
+                    <div className="identity-gallery">
+                        <h3>👥 Enrolled People ({gallery.length})</h3>
+                        <ul className="identity-list">
+                            {gallery.map(identity => (
+                                <li
+                                    key={identity.id}
+                                    className={verificationResult && verificationResult.identity && verificationResult.identity.id === identity.id ? 'identity-item recognized' : 'identity-item'}
+                                >
+                                    <span className="identity-name">{identity.name}</span>
+                                    <span className="identity-date">
+                                        {identity.enrolledAt}
+                                        {identity.adaptation && (
+                                            <span className="identity-adapted">
+                                                {' '}· adapted: {identity.adaptation.samples.length} samples,
+                                                shift {getTemplateShift(identity, config.MATCHING).toFixed(3)}
+                                            </span>
+                                        )}
+                                    </span>
+                                    {!isVerifying && (
+                                        <span className="identity-actions">
+                                            <button className="btn-link" onClick={() => handleRename(identity)}>Rename</button>
+                                            {identity.adaptation && (
+                                                <button className="btn-link" onClick={() => handleRollbackTemplate(identity)}>Rollback</button>
+                                            )}
+                                            <button className="btn-link" onClick={() => handleRemove(identity)}>Remove</button>
+                                        </span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                {/* Enrollment Store */}
+                {isModelReady && (
+                    <div className="store-panel">
+                        <span className="store-status">
+                            {storeStatus.isLocked ? '🔒' : '🔓'} Enrollment store{' '}
+                            {storeStatus.isLocked ? 'locked' : 'unlocked'}
+                            {storeStatus.initialized && ` (${storeStatus.mode} key, ${storeStatus.count} stored)`}
+                            {pendingEncounters > 0 && ` · ${pendingEncounters} encounter(s) waiting to be logged`}
+                        </span>
+
+                        {storeStatus.isLocked ? (
+                            <>
+                                <input
+                                    type="password"
+                                    className="store-passphrase-input"
+                                    placeholder={storeStatus.initialized ? 'Passphrase' : 'New passphrase (empty = device key)'}
+                                    value={passphrase}
+                                    onChange={(e) => setPassphrase(e.target.value)}
+                                />
+                                <button className="btn-link" onClick={handleUnlock}>Unlock</button>
+                            </>
+                        ) : (
+                            <>
+                                <input
+                                    type="password"
+                                    className="store-passphrase-input"
+                                    placeholder={storeStatus.mode === 'passphrase' ? 'New passphrase (empty = device key)' : 'New passphrase'}
+                                    value={passphrase}
+                                    onChange={(e) => setPassphrase(e.target.value)}
+                                />
+                                <button
+                                    className="btn-link"
+                                    onClick={handleRekey}
+                                    disabled={!passphrase && storeStatus.mode === 'device'}
+                                >
+                                    {storeStatus.mode === 'passphrase' ? 'Change key' : 'Set passphrase'}
+                                </button>
+                                <button className="btn-link" onClick={lockStore}>Lock</button>
+                            </>
+                        )}
+
+                        {storeStatus.initialized && (
+                            <button className="btn-link btn-link-danger" onClick={handleWipe}>Wipe</button>
+                        )}
+                    </div>
+                )}
+
+                {/* Security Dashboard (also kept after a reset while the audit log has entries) */}
+                {(hasReference || (auditHead && auditHead.seq > 0)) && (
                     <div className="security-dashboard">
                         <div className="dashboard-header">
                             <h3>🛡️ Security Logs</h3>
@@ -177,32 +698,133 @@ function FaceVerification() {
                             </div>
                         </div>
 
-                        <div className="logs-container">
-                            {unauthorizedLogs.length > 0 ? (
-                                <table className="logs-table">
-                                    <thead>
-                                        <tr>
-                                            <th>Time</th>
-                                            <th>Identity</th>
-                                            <th>Status</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        {unauthorizedLogs.slice(0, 10).map(log => (
-                                            <tr key={log.id}>
-                                                <td>{log.timestamp}</td>
-                                                <td>{log.personLabel}</td>
-                                                <td className="status-danger">Unauthorized</td>
-                                            </tr>
-                                        ))}
-                                    </tbody>
-                                </table>
-                            ) : (
-                                <p className="no-logs">No unauthorized encounters recorded yet.</p>
+                        {auditIntegrity && !auditIntegrity.ok && (
+                            <div className="status-message error">
+                                <p>⚠️ The audit log has been tampered with (entry #{auditIntegrity.brokenAt}). See the Audit tab.</p>
+                            </div>
+                        )}
+
+                        <div className="log-view-toggle">
+                            {unauthorizedLogs.length > 0 && (
+                                <>
+                                    <button
+                                        className={logView === 'table' ? 'btn-link active' : 'btn-link'}
+                                        onClick={() => setLogView('table')}
+                                    >
+                                        Log
+                                    </button>
+                                    <button
+                                        className={logView === 'gallery' ? 'btn-link active' : 'btn-link'}
+                                        onClick={() => setLogView('gallery')}
+                                    >
+                                        Gallery
+                                    </button>
+                                </>
                             )}
+                            <button
+                                className={logView === 'audit' ? 'btn-link active' : 'btn-link'}
+                                onClick={() => setLogView('audit')}
+                            >
+                                Audit
+                            </button>
                         </div>
 
-                        {unauthorizedLogs.length > 0 && (
+                        {logView === 'audit' && (
+                            <AuditLogViewer
+                                auditHead={auditHead}
+                                auditIntegrity={auditIntegrity}
+                                pageSize={config.AUDIT.PAGE_SIZE}
+                                queryAudit={queryAudit}
+                                verifyAudit={verifyAudit}
+                                exportAudit={exportAudit}
+                            />
+                        )}
+
+                        {logView !== 'audit' && (
+                            <div className="logs-container">
+                                {unauthorizedLogs.length > 0 && logView === 'gallery' && (
+                                    <div className="intruder-gallery">
+                                        {intruders.map(intruder => (
+                                            <div key={intruder.personId} className="intruder-card">
+                                                <div className="intruder-header">
+                                                    <span className="intruder-label">{intruder.label}</span>
+                                                    <span className="intruder-meta">
+                                                        {intruder.encounters} encounter{intruder.encounters > 1 ? 's' : ''} · first seen{' '}
+                                                        {new Date(intruder.firstSeen).toLocaleString()} · last seen{' '}
+                                                        {new Date(intruder.lastSeen).toLocaleString()}
+                                                    </span>
+                                                    {intruder.note && <span className="intruder-note">{intruder.note}</span>}
+                                                </div>
+                                                {intruder.isClustered && (
+                                                    <div className="intruder-actions">
+                                                        <button className="btn-link" onClick={() => handleLabelIntruder(intruder)}>Label</button>
+                                                        {intruder.canSplit && (
+                                                            <button className="btn-link" onClick={() => handleSplitIntruder(intruder)}>Split</button>
+                                                        )}
+                                                        <button className="btn-link" onClick={() => handlePromoteIntruder(intruder)}>Enroll</button>
+                                                        {intruders.some(other => other.isClustered && other.personId !== intruder.personId) && (
+                                                            <select
+                                                                value=""
+                                                                onChange={(e) => handleMergeIntruder(intruder, Number(e.target.value))}
+                                                            >
+                                                                <option value="" disabled>Merge into…</option>
+                                                                {intruders
+                                                                    .filter(other => other.isClustered && other.personId !== intruder.personId)
+                                                                    .map(other => (
+                                                                        <option key={other.personId} value={other.personId}>{other.label}</option>
+                                                                    ))}
+                                                            </select>
+                                                        )}
+                                                    </div>
+                                                )}
+                                                {intruder.snapshots.length > 0 ? (
+                                                    <div className="intruder-thumbnails">
+                                                        {intruder.snapshots.map(snapshot => (
+                                                            <img
+                                                                key={snapshot.id}
+                                                                src={snapshot.url}
+                                                                alt={`${intruder.label} at ${new Date(snapshot.capturedAt).toLocaleString()}`}
+                                                                title={new Date(snapshot.capturedAt).toLocaleString()}
+                                                                className="intruder-thumbnail"
+                                                            />
+                                                        ))}
+                                                    </div>
+                                                ) : (
+                                                    <p className="no-logs">No snapshots captured.</p>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+
+                                {unauthorizedLogs.length > 0 && logView === 'table' && (
+                                    <table className="logs-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Time</th>
+                                                <th>Identity</th>
+                                                <th>Status</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {unauthorizedLogs.slice(0, 10).map(log => (
+                                                <tr key={log.id}>
+                                                    <td>{log.timestamp}</td>
+                                                    <td>{log.personLabel}</td>
+                                                    <td className="status-danger">Unauthorized</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+
+                                {unauthorizedLogs.length === 0 && (
+                                    <p className="no-logs">No unauthorized encounters recorded yet.</p>
+                                )}
+                            </div>
+                        )}
+
+                        {unauthorizedLogs.length > 0 && logView !== 'audit' && (
                             <button className="btn btn-clear-logs" onClick={clearLogs}>
                                 🗑️ Clear Logs
                             </button>
@@ -0,0 +1,26 @@
+/**
+ * SentinelConfigProvider Component
+ * Sets the security profile and MODEL_CONFIG overrides for every useFaceRecognition below it, so one build
+ * can host e.g. a strict admin console and a convenient kiosk. Options passed to the hook take precedence;
+ * its config overrides are merged over the provider's.
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+
+export const SentinelConfigContext = createContext({ profile: undefined, config: null });
+
+export function SentinelConfigProvider({ profile, config = null, children }) {
+    const value = useMemo(() => ({ profile, config }), [profile, config]);
+
+    return (
+        <SentinelConfigContext.Provider value={value}>
+            {children}
+        </SentinelConfigContext.Provider>
+    );
+}
+
+export function useSentinelConfig() {
+    return useContext(SentinelConfigContext);
+}
+
+export default SentinelConfigProvider;
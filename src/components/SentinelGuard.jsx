@@ -0,0 +1,31 @@
+/**
+ * SentinelGuard Component
+ * Wraps protected content and blurs or hides it while the presence guard is locked.
+ * Pass the hook's guardState; without one (guard disabled) the content is shown as is.
+ */
+
+import React from 'react';
+import './SentinelGuard.css';
+
+function SentinelGuard({ state, mode = 'blur', children }) {
+    if (!state || !state.isLocked) return <>{children}</>;
+
+    return (
+        <div className="sentinel-guard sentinel-guard-locked">
+            {/* Blurred content stays in the page (and in devtools); use mode="hide" for anything sensitive */}
+            {mode === 'blur' && (
+                <div className="sentinel-guard-content" aria-hidden="true" inert="">
+                    {children}
+                </div>
+            )}
+            <div className="sentinel-guard-overlay" role="alert">
+                <span className="sentinel-guard-icon">🔒</span>
+                <strong>Locked</strong>
+                <span>{state.message}</span>
+                <span className="sentinel-guard-hint">Look at the camera to unlock.</span>
+            </div>
+        </div>
+    );
+}
+
+export default SentinelGuard;
@@ -0,0 +1,133 @@
+/**
+ * TimelineReport Component
+ * Shows the result of checking an uploaded file (see FaceSentinel.analyzeFile): for a video, a colored
+ * timeline of matches, mismatches, spoof flags and no-face gaps plus a segment table; for an image, one row
+ * per face. The full report can be exported as JSON.
+ */
+
+import React from 'react';
+import { TIMELINE_STATES, formatTimelineTime } from '../utils/videoTimeline';
+import { downloadFile } from '../utils/download';
+import './TimelineReport.css';
+
+const STATE_LABELS = {
+    verified: 'Match',
+    unverified: 'Mismatch',
+    spoof: 'Spoof flag',
+    poor_quality: 'Poor quality',
+    no_face: 'No face'
+};
+
+// Long videos can produce hundreds of segments; the rest are in the JSON export
+const MAX_ROWS = 50;
+
+function formatDistance(distance) {
+    return typeof distance === 'number' ? distance.toFixed(3) : '—';
+}
+
+function TimelineReport({ report, onClose }) {
+    const { source, summary, segments } = report;
+    const isVideo = source.kind === 'video';
+    const totalMs = source.durationMs || 1;
+
+    const handleExport = () => {
+        const baseName = source.name.replace(/\.[^.]+$/, '');
+        downloadFile(`${baseName}-timeline.json`, JSON.stringify(report, null, 2));
+    };
+
+    return (
+        <div className="timeline-report">
+            <div className="timeline-header">
+                <strong>{source.name}</strong>
+                <span className="timeline-meta">
+                    {isVideo
+                        ? `${formatTimelineTime(source.durationMs)}, ${summary.frameCount} frames every ${report.strideMs} ms`
+                        : `${source.width}×${source.height} image (liveness not checked)`}
+                </span>
+                {!report.complete && <span className="timeline-incomplete">Cancelled: partial report</span>}
+                <button className="btn-link" onClick={handleExport}>Export JSON</button>
+                {onClose && <button className="btn-link" onClick={onClose}>Close</button>}
+            </div>
+
+            {isVideo && (
+                <>
+                    <div className="timeline-bar">
+                        {segments.map(segment => (
+                            <div
+                                key={segment.startMs}
+                                className={`timeline-segment timeline-${segment.state}`}
+                                style={{
+                                    left: `${(segment.startMs / totalMs) * 100}%`,
+                                    width: `${Math.max(0.5, ((segment.endMs - segment.startMs) / totalMs) * 100)}%`
+                                }}
+                                title={`${formatTimelineTime(segment.startMs)}–${formatTimelineTime(segment.endMs)} ${STATE_LABELS[segment.state]}` +
+                                    (segment.identities.length > 0 ? `: ${segment.identities.join(', ')}` : '')}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="timeline-legend">
+                        {TIMELINE_STATES.map(state => (
+                            <span key={state}>
+                                <i className={`timeline-swatch timeline-${state}`} />
+                                {STATE_LABELS[state]} {formatTimelineTime(summary.stateDurations[state])}
+                            </span>
+                        ))}
+                    </div>
+
+                    <table className="timeline-table">
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Result</th>
+                                <th>People</th>
+                                <th>Best distance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {segments.slice(0, MAX_ROWS).map(segment => (
+                                <tr key={segment.startMs}>
+                                    <td>{formatTimelineTime(segment.startMs)}–{formatTimelineTime(segment.endMs)}</td>
+                                    <td className={`timeline-state-${segment.state}`}>{STATE_LABELS[segment.state]}</td>
+                                    <td>{segment.identities.join(', ') || (segment.maxFaces > 0 ? `${segment.maxFaces} face(s)` : '—')}</td>
+                                    <td>{formatDistance(segment.minDistance)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {segments.length > MAX_ROWS && (
+                        <p className="timeline-more">{segments.length - MAX_ROWS} more segments in the JSON export</p>
+                    )}
+                </>
+            )}
+
+            {!isVideo && (
+                <table className="timeline-table">
+                    <thead>
+                        <tr>
+                            <th>Face</th>
+                            <th>Result</th>
+                            <th>Identity</th>
+                            <th>Distance</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.frames[0].faces.length === 0 && (
+                            <tr><td colSpan="4">No face found in the image</td></tr>
+                        )}
+                        {report.frames[0].faces.map((face, i) => (
+                            <tr key={i}>
+                                <td>#{i + 1}</td>
+                                <td className={`timeline-state-${face.state}`}>{STATE_LABELS[face.state]}</td>
+                                <td>{face.identity ? face.identity.name : (face.hint || '—')}</td>
+                                <td>{formatDistance(face.distance)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+export default TimelineReport;
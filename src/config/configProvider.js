@@ -0,0 +1,187 @@
+/**
+ * Configuration Provider
+ * Builds per-instance configurations: MODEL_CONFIG, then a named profile (CONFIG_PROFILES), then caller overrides.
+ * Overrides are checked against the shape of MODEL_CONFIG and the result against the rules below, so a typo or
+ * an inconsistent threshold fails loudly instead of quietly weakening verification.
+ */
+
+import { MODEL_CONFIG, CONFIG_PROFILES, DEFAULT_PROFILE } from './modelConfig';
+import { getDistanceMetrics } from '../utils/distanceMetrics';
+
+// Sections whose keys are open-ended: detector backend options and weights of registered distance metrics
+const FREE_FORM_PATHS = ['DETECTOR.OPTIONS', 'MATCHING.ENSEMBLE_WEIGHTS'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Deep merge; arrays and primitives in overrides replace the base value
+ */
+export function mergeConfig(base, overrides = {}) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+
+    return merged;
+}
+
+/**
+ * Issues with the shape of an override object: unknown keys and values of the wrong type
+ */
+function checkShape(overrides, defaults, path, issues) {
+    for (const [key, value] of Object.entries(overrides)) {
+        const keyPath = path ? `${path}.${key}` : key;
+
+        if (!(key in defaults)) {
+            issues.push(`${keyPath} is not a configuration key`);
+        } else if (typeOf(value) !== typeOf(defaults[key])) {
+            issues.push(`${keyPath} must be ${typeOf(defaults[key])}, got ${typeOf(value)}`);
+        } else if (isPlainObject(value) && !FREE_FORM_PATHS.includes(keyPath)) {
+            checkShape(value, defaults[key], keyPath, issues);
+        }
+    }
+}
+
+/**
+ * Rules every key of a kind follows: _MS durations are non-negative, _RANGE pairs are ascending
+ */
+function checkConventions(section, path, issues) {
+    for (const [key, value] of Object.entries(section)) {
+        const keyPath = path ? `${path}.${key}` : key;
+
+        if (isPlainObject(value)) {
+            checkConventions(value, keyPath, issues);
+        } else if (key.endsWith('_MS') && !(value >= 0)) {
+            issues.push(`${keyPath} must be a duration >= 0`);
+        } else if (key.endsWith('_RANGE') && !(value.length === 2 && value[0] < value[1])) {
+            issues.push(`${keyPath} must be [low, high] with low < high`);
+        }
+    }
+}
+
+/**
+ * Checks a complete configuration for inconsistent values
+ * Returns a list of issues (empty when the configuration is usable).
+ */
+export function validateConfig(config) {
+    const issues = [];
+    const check = (condition, message) => { if (!condition) issues.push(message); };
+    const isCount = (value) => Number.isInteger(value) && value > 0;
+    const isFraction = (value) => value >= 0 && value <= 1;
+
+    checkConventions(config, '', issues);
+
+    // Distance bands must nest: very high inside high inside a match inside "uncertain"
+    check(config.VERY_HIGH_CONFIDENCE > 0, 'VERY_HIGH_CONFIDENCE must be > 0');
+    check(config.VERY_HIGH_CONFIDENCE <= config.HIGH_CONFIDENCE,
+        `VERY_HIGH_CONFIDENCE (${config.VERY_HIGH_CONFIDENCE}) must be <= HIGH_CONFIDENCE (${config.HIGH_CONFIDENCE})`);
+    check(config.HIGH_CONFIDENCE <= config.SIMILARITY_THRESHOLD,
+        `HIGH_CONFIDENCE (${config.HIGH_CONFIDENCE}) must be <= SIMILARITY_THRESHOLD (${config.SIMILARITY_THRESHOLD})`);
+    check(config.SIMILARITY_THRESHOLD <= config.UNCERTAIN_THRESHOLD,
+        `SIMILARITY_THRESHOLD (${config.SIMILARITY_THRESHOLD}) must be <= UNCERTAIN_THRESHOLD (${config.UNCERTAIN_THRESHOLD})`);
+    check(config.VERIFICATION_INTERVAL_MS > 0, 'VERIFICATION_INTERVAL_MS must be > 0');
+
+    check(config.DETECTOR.BACKEND in config.DETECTOR.OPTIONS,
+        `DETECTOR.BACKEND must be one of ${Object.keys(config.DETECTOR.OPTIONS).join(', ')}`);
+
+    const { MATCHING, QUALITY, LIVENESS, DECISION, ENROLLMENT, ADAPTATION, FILE_INPUT, LOGS, AUDIT, MODEL_CACHE } = config;
+    check(getDistanceMetrics().includes(MATCHING.METRIC), `MATCHING.METRIC must be one of ${getDistanceMetrics().join(', ')}`);
+    const ensembleWeights = Object.entries(MATCHING.ENSEMBLE_WEIGHTS);
+    ensembleWeights.forEach(([name, weight]) => {
+        check(weight >= 0, `MATCHING.ENSEMBLE_WEIGHTS.${name} must be >= 0`);
+        check(weight === 0 || (name !== 'ensemble' && getDistanceMetrics().includes(name)),
+            `MATCHING.ENSEMBLE_WEIGHTS.${name} is not a registered distance metric`);
+    });
+    check(ensembleWeights.some(([, weight]) => weight > 0), 'MATCHING.ENSEMBLE_WEIGHTS needs at least one positive weight');
+    // A must be positive, or the probability would grow with the distance
+    check(MATCHING.CALIBRATION.A > 0 && Number.isFinite(MATCHING.CALIBRATION.B),
+        'MATCHING.CALIBRATION needs A > 0 and a finite B');
+
+    check(isFraction(QUALITY.MIN_BRIGHTNESS) && isFraction(QUALITY.MAX_BRIGHTNESS) && QUALITY.MIN_BRIGHTNESS < QUALITY.MAX_BRIGHTNESS,
+        'QUALITY.MIN_BRIGHTNESS must be below QUALITY.MAX_BRIGHTNESS, both within 0-1');
+
+    check(isFraction(LIVENESS.PASS_THRESHOLD), 'LIVENESS.PASS_THRESHOLD must be within 0-1');
+    const weights = Object.entries(LIVENESS.WEIGHTS);
+    weights.forEach(([name, weight]) => check(weight >= 0, `LIVENESS.WEIGHTS.${name} must be >= 0`));
+    check(weights.some(([, weight]) => weight > 0), 'LIVENESS.WEIGHTS needs at least one positive weight');
+    check(LIVENESS.PULSE.FRAME_INTERVAL_MS > 0, 'LIVENESS.PULSE.FRAME_INTERVAL_MS must be > 0');
+
+    // Hysteresis only works one way round: staying verified is easier than getting there
+    check(DECISION.ENTER_THRESHOLD <= DECISION.EXIT_THRESHOLD,
+        `DECISION.ENTER_THRESHOLD (${DECISION.ENTER_THRESHOLD}) must be <= DECISION.EXIT_THRESHOLD (${DECISION.EXIT_THRESHOLD})`);
+    // Live verification may not accept a face a single check rejects, nor stay verified into the "uncertain" band
+    check(DECISION.ENTER_THRESHOLD > 0 && DECISION.ENTER_THRESHOLD <= config.SIMILARITY_THRESHOLD,
+        `DECISION.ENTER_THRESHOLD (${DECISION.ENTER_THRESHOLD}) must be > 0 and <= SIMILARITY_THRESHOLD (${config.SIMILARITY_THRESHOLD})`);
+    check(DECISION.EXIT_THRESHOLD <= config.UNCERTAIN_THRESHOLD,
+        `DECISION.EXIT_THRESHOLD (${DECISION.EXIT_THRESHOLD}) must be <= UNCERTAIN_THRESHOLD (${config.UNCERTAIN_THRESHOLD})`);
+    check(isCount(DECISION.EXIT_VOTES) && DECISION.EXIT_VOTES <= DECISION.ENTER_VOTES && DECISION.ENTER_VOTES <= DECISION.WINDOW_SIZE,
+        'DECISION votes must satisfy 1 <= EXIT_VOTES <= ENTER_VOTES <= WINDOW_SIZE');
+
+    check(isCount(ENROLLMENT.TARGET_SAMPLES), 'ENROLLMENT.TARGET_SAMPLES must be a positive integer');
+    check(isCount(ADAPTATION.MAX_SAMPLES) && isCount(ADAPTATION.MAX_UPDATES_PER_DAY),
+        'ADAPTATION.MAX_SAMPLES and MAX_UPDATES_PER_DAY must be positive integers');
+    // A template allowed to move as far as the match threshold could end up matching someone else
+    check(ADAPTATION.MAX_SHIFT > 0 && ADAPTATION.MAX_SHIFT < config.SIMILARITY_THRESHOLD,
+        `ADAPTATION.MAX_SHIFT must be > 0 and below SIMILARITY_THRESHOLD (${config.SIMILARITY_THRESHOLD})`);
+    check(FILE_INPUT.VIDEO_STRIDE_MS > 0 && isCount(FILE_INPUT.MAX_FRAMES),
+        'FILE_INPUT needs VIDEO_STRIDE_MS > 0 and a positive integer MAX_FRAMES');
+    check(FILE_INPUT.LOAD_TIMEOUT_MS > 0 && FILE_INPUT.SEEK_TIMEOUT_MS > 0,
+        'FILE_INPUT timeouts (LOAD_TIMEOUT_MS, SEEK_TIMEOUT_MS) must be > 0');
+    check(isCount(LOGS.MAX_UNAUTHORIZED) && isCount(LOGS.MAX_GUARD), 'LOGS limits must be positive integers');
+    check(isCount(AUDIT.PAGE_SIZE), 'AUDIT.PAGE_SIZE must be a positive integer');
+    check(Number.isInteger(MODEL_CACHE.MAX_RETRIES) && MODEL_CACHE.MAX_RETRIES >= 0,
+        'MODEL_CACHE.MAX_RETRIES must be a non-negative integer');
+
+    return issues;
+}
+
+/**
+ * The live-verification thresholds follow SIMILARITY_THRESHOLD and UNCERTAIN_THRESHOLD down unless the overrides
+ * set them too, so tightening a single-check threshold does not need a matching DECISION override
+ */
+function clampDecisionThresholds(config, overrides) {
+    const decision = overrides.DECISION || {};
+    const DECISION = { ...config.DECISION };
+
+    if (decision.ENTER_THRESHOLD === undefined) {
+        DECISION.ENTER_THRESHOLD = Math.min(DECISION.ENTER_THRESHOLD, config.SIMILARITY_THRESHOLD);
+    }
+    if (decision.EXIT_THRESHOLD === undefined) {
+        DECISION.EXIT_THRESHOLD = Math.min(DECISION.EXIT_THRESHOLD, config.UNCERTAIN_THRESHOLD);
+    }
+
+    return { ...config, DECISION };
+}
+
+/**
+ * Resolves MODEL_CONFIG + profile + overrides into a validated configuration
+ * Throws with every issue listed when the profile is unknown or the result is invalid.
+ */
+export function resolveConfig({ profile = DEFAULT_PROFILE, overrides = {} } = {}) {
+    if (!(profile in CONFIG_PROFILES)) {
+        throw new Error(`Unknown configuration profile "${profile}" (expected ${Object.keys(CONFIG_PROFILES).join(', ')})`);
+    }
+
+    const issues = [];
+    checkShape(overrides || {}, MODEL_CONFIG, '', issues);
+
+    if (issues.length === 0) {
+        const config = clampDecisionThresholds(
+            mergeConfig(mergeConfig(MODEL_CONFIG, CONFIG_PROFILES[profile]), overrides || {}),
+            overrides || {}
+        );
+        issues.push(...validateConfig(config));
+        if (issues.length === 0) return config;
+    }
+
+    throw new Error(`Invalid configuration: ${issues.join('; ')}`);
+}
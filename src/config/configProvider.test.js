@@ -0,0 +1,138 @@
+import { resolveConfig, validateConfig, mergeConfig } from './configProvider';
+import { MODEL_CONFIG, CONFIG_PROFILES } from './modelConfig';
+
+/**
+ * The message of the error fn throws
+ */
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.message;
+    }
+    throw new Error('Expected an error');
+}
+
+describe('mergeConfig', () => {
+    it('merges sections key by key and lets arrays replace the base value', () => {
+        const base = { A: 1, SECTION: { X: 1, Y: 2, RANGE: [0, 1] } };
+        const merged = mergeConfig(base, { SECTION: { Y: 3, RANGE: [5] } });
+
+        expect(merged).toEqual({ A: 1, SECTION: { X: 1, Y: 3, RANGE: [5] } });
+        expect(base.SECTION).toEqual({ X: 1, Y: 2, RANGE: [0, 1] });
+    });
+});
+
+describe('resolveConfig', () => {
+    it('gives the defaults for the balanced profile', () => {
+        expect(resolveConfig()).toEqual(MODEL_CONFIG);
+        expect(resolveConfig({ profile: 'balanced' })).toEqual(MODEL_CONFIG);
+    });
+
+    it('applies a profile on top of the defaults, keeping the keys it does not set', () => {
+        const config = resolveConfig({ profile: 'strict' });
+
+        expect(config.SIMILARITY_THRESHOLD).toBe(CONFIG_PROFILES.strict.SIMILARITY_THRESHOLD);
+        expect(config.DECISION.ENTER_VOTES).toBe(CONFIG_PROFILES.strict.DECISION.ENTER_VOTES);
+        expect(config.QUALITY.MIN_BRIGHTNESS).toBe(MODEL_CONFIG.QUALITY.MIN_BRIGHTNESS);
+        expect(config.LIVENESS.WEIGHTS.texture).toBe(MODEL_CONFIG.LIVENESS.WEIGHTS.texture);
+        expect(config.MODEL_URL).toBe(MODEL_CONFIG.MODEL_URL);
+    });
+
+    it('applies overrides after the profile', () => {
+        const config = resolveConfig({
+            profile: 'convenient',
+            overrides: { GUARD: { ABSENCE_TIMEOUT_MS: 60000 }, LIVENESS: { PASS_THRESHOLD: 0.55 } }
+        });
+
+        expect(config.GUARD.ABSENCE_TIMEOUT_MS).toBe(60000);
+        expect(config.LIVENESS.PASS_THRESHOLD).toBe(0.55);
+        expect(config.SIMILARITY_THRESHOLD).toBe(CONFIG_PROFILES.convenient.SIMILARITY_THRESHOLD);
+    });
+
+    it('leaves MODEL_CONFIG untouched', () => {
+        const before = JSON.stringify(MODEL_CONFIG);
+        resolveConfig({ profile: 'strict', overrides: { DECISION: { MIN_DWELL_MS: 3000 } } });
+
+        expect(JSON.stringify(MODEL_CONFIG)).toBe(before);
+    });
+
+    it('rejects an unknown profile', () => {
+        expect(() => resolveConfig({ profile: 'paranoid' })).toThrow('Unknown configuration profile "paranoid"');
+    });
+
+    it('rejects unknown keys and wrong types, listing every issue', () => {
+        const message = errorOf(() => resolveConfig({
+            overrides: { SIMILARITY_TRESHOLD: 0.5, DECISION: { WINDOW_SIZE: '8' }, QUALITY: 3 }
+        }));
+
+        expect(message).toMatch(/^Invalid configuration: /);
+        expect(message).toContain('SIMILARITY_TRESHOLD is not a configuration key');
+        expect(message).toContain('DECISION.WINDOW_SIZE must be number, got string');
+        expect(message).toContain('QUALITY must be object, got number');
+    });
+
+    it('accepts new keys only in the free-form sections', () => {
+        expect(() => resolveConfig({ overrides: { DETECTOR: { OPTIONS: { custom: { SIZE: 1 } } } } })).not.toThrow();
+        expect(() => resolveConfig({ overrides: { DECISION: { EXTRA: 1 } } })).toThrow('DECISION.EXTRA is not a configuration key');
+    });
+
+    it('rejects thresholds that do not nest', () => {
+        expect(() => resolveConfig({ overrides: { VERY_HIGH_CONFIDENCE: 0.5 } }))
+            .toThrow('VERY_HIGH_CONFIDENCE (0.5) must be <= HIGH_CONFIDENCE (0.45)');
+        expect(() => resolveConfig({ overrides: { UNCERTAIN_THRESHOLD: 0.55 } }))
+            .toThrow('SIMILARITY_THRESHOLD (0.6) must be <= UNCERTAIN_THRESHOLD (0.55)');
+    });
+
+    it('rejects decision thresholds that contradict each other or SIMILARITY_THRESHOLD', () => {
+        expect(() => resolveConfig({ overrides: { DECISION: { ENTER_THRESHOLD: 0.62, EXIT_THRESHOLD: 0.6 } } }))
+            .toThrow('DECISION.ENTER_THRESHOLD (0.62) must be <= DECISION.EXIT_THRESHOLD (0.6)');
+        expect(() => resolveConfig({ overrides: { SIMILARITY_THRESHOLD: 0.55, DECISION: { ENTER_THRESHOLD: 0.6 } } }))
+            .toThrow('DECISION.ENTER_THRESHOLD (0.6) must be > 0 and <= SIMILARITY_THRESHOLD (0.55)');
+        expect(() => resolveConfig({ overrides: { DECISION: { EXIT_THRESHOLD: 0.9 } } }))
+            .toThrow('DECISION.EXIT_THRESHOLD (0.9) must be <= UNCERTAIN_THRESHOLD (0.8)');
+    });
+
+    it('lowers the decision thresholds with SIMILARITY_THRESHOLD and UNCERTAIN_THRESHOLD unless they are set', () => {
+        const config = resolveConfig({ overrides: { SIMILARITY_THRESHOLD: 0.55, UNCERTAIN_THRESHOLD: 0.62 } });
+        expect(config.DECISION.ENTER_THRESHOLD).toBe(0.55);
+        expect(config.DECISION.EXIT_THRESHOLD).toBe(0.62);
+
+        const looser = resolveConfig({ overrides: { SIMILARITY_THRESHOLD: 0.65 } });
+        expect(looser.DECISION.ENTER_THRESHOLD).toBe(MODEL_CONFIG.DECISION.ENTER_THRESHOLD);
+
+        const explicit = resolveConfig({ overrides: { SIMILARITY_THRESHOLD: 0.55, DECISION: { ENTER_THRESHOLD: 0.5 } } });
+        expect(explicit.DECISION.ENTER_THRESHOLD).toBe(0.5);
+    });
+
+    it('rejects vote counts that cannot be reached', () => {
+        expect(() => resolveConfig({ overrides: { DECISION: { ENTER_VOTES: 9 } } }))
+            .toThrow('DECISION votes must satisfy 1 <= EXIT_VOTES <= ENTER_VOTES <= WINDOW_SIZE');
+    });
+
+    it('applies the naming conventions for durations and ranges', () => {
+        const message = errorOf(() => resolveConfig({
+            overrides: { GUARD: { ABSENCE_TIMEOUT_MS: -1 }, LIVENESS: { PULSE: { QUALITY_RANGE: [0.6, 0.4] } } }
+        }));
+
+        expect(message).toContain('GUARD.ABSENCE_TIMEOUT_MS must be a duration >= 0');
+        expect(message).toContain('LIVENESS.PULSE.QUALITY_RANGE must be [low, high] with low < high');
+    });
+});
+
+describe('validateConfig', () => {
+    it('accepts the defaults and every profile', () => {
+        expect(validateConfig(MODEL_CONFIG)).toEqual([]);
+
+        Object.values(CONFIG_PROFILES).forEach(profile => {
+            expect(validateConfig(mergeConfig(MODEL_CONFIG, profile))).toEqual([]);
+        });
+    });
+
+    it('needs at least one positive liveness weight', () => {
+        const weights = Object.fromEntries(Object.keys(MODEL_CONFIG.LIVENESS.WEIGHTS).map(name => [name, 0]));
+        const config = mergeConfig(MODEL_CONFIG, { LIVENESS: { WEIGHTS: weights } });
+
+        expect(validateConfig(config)).toContain('LIVENESS.WEIGHTS needs at least one positive weight');
+    });
+});
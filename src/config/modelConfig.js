@@ -8,12 +8,252 @@ export const MODEL_CONFIG = {
   SIMILARITY_THRESHOLD: 0.60,
   HIGH_CONFIDENCE: 0.45,
   VERY_HIGH_CONFIDENCE: 0.35,
+  UNCERTAIN_THRESHOLD: 0.80,  // non-matches closer than this are reported as 'uncertain' rather than 'low'
 
-  // Verification timing
+  // Descriptor comparison (see utils/distanceMetrics.js and utils/matchCalibration.js)
+  MATCHING: {
+    METRIC: 'euclidean',       // 'euclidean' | 'cosine' | 'ensemble' (all on the Euclidean scale of the thresholds above)
+    ENSEMBLE_WEIGHTS: { euclidean: 0.5, cosine: 0.5 },
+    // Platt curve p(match) = 1 / (1 + exp(A * distance + B)). These defaults are not fitted to any data: they only
+    // put 0.5 at SIMILARITY_THRESHOLD and 0.95 at VERY_HIGH_CONFIDENCE, so FITTED is false and the value is shown
+    // as a match score, not a probability. `npm run evaluate` prints fitted values (with FITTED: true) for your pairs.
+    CALIBRATION: { A: 11.75, B: -7.05, FITTED: false },
+  },
+
+  // Verification timing (runs faster while the pulse liveness scorer has weight, see LIVENESS.PULSE)
   VERIFICATION_INTERVAL_MS: 500,
 
+  // Face detector backend: 'tiny' | 'ssd' | 'blazeface'
+  // SSD needs ssd_mobilenetv1_model-* weights in MODEL_URL; BlazeFace loads its own from TF Hub
+  // (or modelUrl), outside MODEL_CACHE: no SHA-256 check and no offline start
+  DETECTOR: {
+    BACKEND: 'tiny',
+    OPTIONS: {
+      tiny: { inputSize: 224, scoreThreshold: 0.3 },
+      ssd: { minConfidence: 0.5, maxResults: 10 },
+      blazeface: { maxFaces: 10, iouThreshold: 0.3, scoreThreshold: 0.75 },
+    },
+  },
+
+  // Frame quality gate for verification (see utils/faceQuality.js)
+  QUALITY: {
+    MIN_FACE_SIZE: 80,         // px, shorter side of the detection box
+    MIN_SHARPNESS: 0.2,        // normalized Laplacian variance (0-1)
+    MIN_BRIGHTNESS: 0.25,      // mean luminance of the face crop (0-1)
+    MAX_BRIGHTNESS: 0.9,
+    MIN_CONTRAST: 0.06,        // RMS luminance contrast (0-1)
+    MAX_YAW: 0.5,              // normalized nose offset, 0 = frontal
+    MAX_PITCH: 0.4,            // normalized nose height vs. frontal, 0 = frontal
+    MAX_ROLL_DEG: 25,
+  },
+
+  // Passive liveness (see utils/livenessDetection.js)
+  LIVENESS: {
+    PASS_THRESHOLD: 0.60,      // weighted score needed to count as live
+    // pulse is opt-in (the strict profile enables it): it needs the faster frame rate below
+    WEIGHTS: { texture: 0.2, color: 0.15, glare: 0.1, motion: 0.1, screen: 0.2, pulse: 0, planar: 0.15 },
+    MOTION_HISTORY: 5,         // frames of landmark history for the motion scorer
+    CONTEXT_MARGIN: 0.4,       // border around the face (fraction of box size) sampled for context scorers
+    SCREEN: {                  // screen replay scorer (see utils/screenReplayDetection.js)
+      FFT_SIZE: 128,           // spectrum window centred on the face, px
+      MOIRE_MIN_FREQUENCY: 0.1, // ignore the low-frequency face structure, fraction of the window
+      MOIRE_PEAK_RANGE: [5, 12], // peak-to-median spectrum ratio mapped to 0-1 evidence
+      BANDING_MIN_CYCLES: 6,   // row bands per region needed to count as refresh banding
+      BANDING_PEAK_RANGE: [6, 15],
+      EDGE_THRESHOLD: 40,      // gray-level step that counts as an edge pixel
+      BEZEL_COVERAGE_RANGE: [0.4, 0.75], // fraction of a row/column on the edge, second-strongest side
+    },
+    PULSE: {                   // rPPG scorer (see utils/pulseDetection.js)
+      FRAME_INTERVAL_MS: 150,  // verification interval while pulse has weight (~6 frames/s)
+      WINDOW_SECONDS: 10,      // skin color history kept per face
+      MIN_SECONDS: 5,          // history needed before the scorer votes
+      MIN_SAMPLE_RATE_HZ: 6,   // 3 Hz (180 bpm) needs at least 6 samples/s
+      RESAMPLE_HZ: 10,
+      MAX_GAP_MS: 1000,        // longer gaps restart the history
+      MIN_HZ: 0.7,             // 42 bpm
+      MAX_HZ: 3.0,             // 180 bpm
+      PEAK_WIDTH_HZ: 0.1,      // half-width of the peak when measuring signal quality
+      QUALITY_RANGE: [0.35, 0.65], // in-band energy share around the peak (noise alone: ~0.3) mapped to 0-1
+    },
+    PLANAR: {                  // landmark parallax scorer (see utils/planarDetection.js)
+      HISTORY_FRAMES: 10,
+      MIN_JITTER_SAMPLES: 3,   // consecutive-frame residuals needed to estimate landmark jitter
+      MIN_DEFORMATION: 0.02,   // non-similarity motion needed to judge, in eye distances
+      DEFORMATION_OVER_JITTER: 1.5,
+      PARALLAX_RANGE: [1.4, 2.4], // homography residual / jitter mapped to 0-1 (photo ~1)
+    },
+  },
+
+  // Temporal decision engine (per face)
+  DECISION: {
+    WINDOW_SIZE: 8,            // M frames in the sliding window (~4 s at VERIFICATION_INTERVAL_MS)
+    ENTER_VOTES: 5,            // N of M frames needed to enter a state
+    EXIT_VOTES: 3,             // the current state is kept while it holds this many votes
+    MIN_DWELL_MS: 1500,        // minimum time in a state before switching
+    ENTER_THRESHOLD: 0.60,     // distance a frame needs to vote "verified" (<= SIMILARITY_THRESHOLD)...
+    EXIT_THRESHOLD: 0.65,      // ...and the looser one while already verified (<= UNCERTAIN_THRESHOLD)
+  },
+
+  // Multi-face tracking
+  TRACKING: {
+    MIN_IOU: 0.3,              // box overlap needed to continue a track
+    MAX_DESCRIPTOR_DISTANCE: 0.5, // re-associates a face that jumped between frames
+    MAX_MISSED_FRAMES: 3,
+  },
+
+  // Guided multi-frame enrollment
+  ENROLLMENT: {
+    TARGET_SAMPLES: 5,
+    CAPTURE_INTERVAL_MS: 300,
+    TIMEOUT_MS: 20000,
+    QUALITY: {                 // stricter than the verification gate, merged over QUALITY
+      MIN_FACE_SIZE: 120,
+      MIN_SHARPNESS: 0.35,
+      MIN_BRIGHTNESS: 0.3,
+      MAX_YAW: 0.45,
+      MAX_PITCH: 0.3,
+      MAX_ROLL_DEG: 20,
+    },
+    POSE_YAW_STEP: 0.12,       // yaw beyond this counts as a turned pose
+    MAX_SAMPLES_PER_POSE: 2,
+    REQUIRED_POSES: ['center', 'left', 'right'],
+  },
+
+  // Active (challenge-response) liveness
+  ACTIVE_LIVENESS: {
+    CHALLENGES: ['blink', 'turn_left', 'turn_right', 'open_mouth', 'smile'],
+    CHALLENGE_COUNT: 3,
+    STEP_TIMEOUT_MS: 6000,
+    FRAME_INTERVAL_MS: 100,    // fast sampling so blinks are not missed
+    BLINK_EAR_RATIO: 0.75,     // eye aspect ratio drop vs. open-eye baseline
+    NEUTRAL_YAW: 0.15,
+    TURN_YAW: 0.3,
+    MOUTH_CLOSED_MAR: 0.25,
+    MOUTH_OPEN_MAR: 0.5,
+    SMILE_WIDTH_RATIO: 1.12,   // mouth width growth vs. neutral baseline
+    REARM_AFTER_MS: 2000,      // face absence that requires a new challenge
+  },
+
+  // Encrypted enrollment store (IndexedDB + WebCrypto)
+  TEMPLATE_STORE: {
+    DB_NAME: 'face_sentinel',
+    DB_VERSION: 2,
+    PBKDF2_ITERATIONS: 250000,
+  },
+
+  // Clustering of unauthorized faces into persistent intruder identities
+  INTRUDERS: {
+    MATCH_THRESHOLD: 0.55,  // Max distance to an intruder's centroid to count as the same person
+    MAX_SAMPLES: 20,        // Recent descriptors kept per intruder (used to split a cluster)
+  },
+
+  // Opt-in template adaptation from live, very-high-confidence matches (see utils/templateAdaptation.js)
+  ADAPTATION: {
+    MAX_SAMPLES: 10,           // adapted samples kept per identity, next to the enrollment samples
+    MIN_SAMPLE_DISTANCE: 0.08, // a new sample must be at least this far from every kept one
+    MAX_SHIFT: 0.12,           // max distance of the adapted template from the enrollment template
+    MIN_INTERVAL_MS: 60000,    // between updates of one identity
+    MAX_UPDATES_PER_DAY: 20,   // per identity
+  },
+
+  // Workstation presence lock (see PresenceGuard)
+  GUARD: {
+    ABSENCE_TIMEOUT_MS: 10000,  // Lock once the owner has not been verified for this long
+    LOCK_ON_STRANGER: true,     // Lock when an unrecognized face is in view (shoulder surfing)
+  },
+
+  // Uploaded images and video files (see utils/inputSources.js and utils/videoTimeline.js)
+  FILE_INPUT: {
+    VIDEO_STRIDE_MS: 500,      // time between analyzed frames of a video file
+    MAX_FRAMES: 1200,          // longer videos get a wider stride instead
+    LOAD_TIMEOUT_MS: 15000,    // give up on a file the browser has not decoded by then
+    SEEK_TIMEOUT_MS: 5000,     // give up on a video frame the browser has not seeked to by then
+  },
+
+  // Persisted history lengths (newest entries are kept)
+  LOGS: {
+    MAX_UNAUTHORIZED: 100,     // unauthorized encounter log
+    MAX_GUARD: 100,            // presence guard lock/unlock history
+  },
+
+  // Outbound webhook delivery (see WebhookSink)
+  WEBHOOK: {
+    QUEUE_KEY: 'face_sentinel_webhook_queue',
+    MAX_QUEUE: 500,              // Oldest events are dropped beyond this
+    MAX_ATTEMPTS: 8,
+    BASE_DELAY_MS: 2000,         // Backoff doubles per attempt from here...
+    MAX_DELAY_MS: 5 * 60 * 1000, // ...up to this
+    REQUEST_TIMEOUT_MS: 10000,
+  },
+
+  // Opt-in intruder snapshots (IndexedDB, unencrypted thumbnails)
+  SNAPSHOTS: {
+    DB_NAME: 'face_sentinel_snapshots',
+    DB_VERSION: 1,
+    THUMBNAIL_SIZE: 96,        // px, square
+    CROP_MARGIN: 0.2,          // border around the face box, fraction of its size
+    JPEG_QUALITY: 0.7,
+    MAX_SNAPSHOTS: 200,
+    MAX_PER_PERSON: 12,
+    MAX_TOTAL_BYTES: 5 * 1024 * 1024,
+    RETENTION_DAYS: 30,
+  },
+
+  // Hash-chained audit log in IndexedDB (see AuditLog); append-only, never pruned
+  AUDIT: {
+    DB_NAME: 'face_sentinel_audit',
+    DB_VERSION: 1,
+    PAGE_SIZE: 20,             // entries per page in the audit viewer
+  },
+
   // Model assets
   MODEL_URL: '/models',
+
+  // Weight caching and integrity checks (see ModelWeightCache)
+  MODEL_CACHE: {
+    ENABLED: true,             // keep verified weights in Cache Storage for later and offline starts
+    CACHE_NAME: 'face-sentinel-models',
+    VERSION: 2,                // bump when the files in MODEL_URL change; older caches are deleted
+    REQUIRE_HASHES: true,      // refuse shards without a SHA-256 in their manifest (npm run models:hash)
+    MAX_RETRIES: 3,            // per file
+    RETRY_DELAY_MS: 500,       // doubled after every failed attempt
+  },
+};
+
+/**
+ * Named security profiles, applied as overrides on top of MODEL_CONFIG (see config/configProvider.js)
+ */
+export const CONFIG_PROFILES = {
+  // Admin consoles: fewer false accepts, more retries for the owner
+  strict: {
+    SIMILARITY_THRESHOLD: 0.50,
+    HIGH_CONFIDENCE: 0.40,
+    VERY_HIGH_CONFIDENCE: 0.30,
+    UNCERTAIN_THRESHOLD: 0.70,
+    QUALITY: { MIN_FACE_SIZE: 100, MIN_SHARPNESS: 0.3 },
+    // Adds the pulse scorer, so frames come every LIVENESS.PULSE.FRAME_INTERVAL_MS and the window holds ~2.5 s
+    LIVENESS: { PASS_THRESHOLD: 0.70, WEIGHTS: { pulse: 0.15 } },
+    DECISION: { WINDOW_SIZE: 16, ENTER_VOTES: 12, EXIT_VOTES: 8, MIN_DWELL_MS: 2000, ENTER_THRESHOLD: 0.50, EXIT_THRESHOLD: 0.55 },
+    GUARD: { ABSENCE_TIMEOUT_MS: 5000 },
+    ADAPTATION: { MAX_SHIFT: 0.08, MAX_UPDATES_PER_DAY: 5 },
+  },
+
+  // The defaults above
+  balanced: {},
+
+  // Kiosks: quick recognition in uncontrolled light and poses, at a higher false accept rate
+  convenient: {
+    SIMILARITY_THRESHOLD: 0.65,
+    HIGH_CONFIDENCE: 0.50,
+    VERY_HIGH_CONFIDENCE: 0.40,
+    UNCERTAIN_THRESHOLD: 0.85,
+    QUALITY: { MIN_FACE_SIZE: 64, MIN_SHARPNESS: 0.15, MIN_BRIGHTNESS: 0.2, MAX_YAW: 0.6, MAX_PITCH: 0.5, MAX_ROLL_DEG: 30 },
+    LIVENESS: { PASS_THRESHOLD: 0.50 },
+    DECISION: { ENTER_VOTES: 4, EXIT_VOTES: 2, MIN_DWELL_MS: 1000, ENTER_THRESHOLD: 0.65, EXIT_THRESHOLD: 0.70 },
+    GUARD: { ABSENCE_TIMEOUT_MS: 30000 },
+  },
 };
 
+export const DEFAULT_PROFILE = 'balanced';
+
 export default MODEL_CONFIG;
@@ -0,0 +1,1729 @@
+/**
+ * FaceSentinel
+ * Framework-agnostic core: model lifecycle, the encrypted identity gallery, guided enrollment,
+ * the real-time 1:N verification loop with liveness, intruder logging and the presence guard.
+ *
+ * State is a plain object read with getState() and observed with subscribe(listener);
+ * results are also published as events on `events` (see SentinelEventEmitter).
+ *
+ *   const sentinel = new FaceSentinel({ multiFace: true });
+ *   sentinel.subscribe(state => render(state));
+ *   sentinel.events.on('mismatch', event => alert(event.personId));
+ *   await sentinel.init();
+ *   sentinel.startVerification(videoElement);
+ *
+ * Besides the camera, enrollFace accepts a still image (e.g. an ID photo) and analyzeFile checks an uploaded
+ * image or video file, publishing a timeline report.
+ *
+ * Security-relevant actions (enrollments, renames, removals, resets, verification decisions, spoof flags, file
+ * checks, locks, log clears, store wipes and template updates) are appended to a hash-chained audit log (see AuditLog).
+ *
+ * Options: activeLiveness, multiFace, captureSnapshots, adaptTemplates, webhook ({ url, secret, events }),
+ * guard ({ ownerId }), profile ('strict' | 'balanced' | 'convenient') and config (overrides of MODEL_CONFIG keys);
+ * change them later with setOptions(). A new profile or config reloads the model; the store sections
+ * (TEMPLATE_STORE, SNAPSHOTS, AUDIT) are only read by init().
+ */
+
+import FaceApiRecognitionModel from '../models/FaceRecognitionModel';
+import WorkerRecognitionModel, { supportsInferenceWorker } from '../models/WorkerRecognitionModel';
+import { EnrollmentSession } from '../utils/enrollmentSession';
+import { LivenessChallenge } from '../utils/livenessChallenge';
+import { getBuiltInScorerNames, getLivenessScorers, getScorerWeight } from '../utils/livenessDetection';
+import { FaceTracker } from '../utils/faceTracker';
+import { DecisionEngine } from '../utils/decisionEngine';
+import { startFrameLoop } from '../utils/framePacing';
+import EncryptedTemplateStore from '../utils/templateStore';
+import IntruderSnapshotStore, { captureFaceThumbnail } from '../utils/snapshotStore';
+import AuditLog, { auditToCsv, filterAuditEntries } from '../utils/auditLog';
+import { adaptTemplate, rollbackTemplate } from '../utils/templateAdaptation';
+import { matchProbability } from '../utils/matchCalibration';
+import IntruderRegistry, { getIntruderLabel } from '../utils/intruderRegistry';
+import { SentinelEventEmitter } from '../utils/sentinelEvents';
+import WebhookSink from '../utils/webhookSink';
+import PresenceGuard from '../utils/presenceGuard';
+import { loadFileSource, seekVideo, isStillImage } from '../utils/inputSources';
+import { buildTimelineReport, planFrameTimes } from '../utils/videoTimeline';
+import { getSourceSize } from '../utils/canvas';
+import { DEFAULT_PROFILE } from '../config/modelConfig';
+import { resolveConfig } from '../config/configProvider';
+
+const LOGS_KEY = 'face_sentinel_unauthorized_logs';
+const GUARD_LOG_KEY = 'face_sentinel_guard_log';
+
+function loadJson(key) {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : [];
+}
+
+/**
+ * Unauthorized encounters grouped by person:
+ * { personId, label, name, note, sampleCount, canSplit, isClustered, encounters, firstSeen, lastSeen, snapshots }
+ * isClustered is false for log entries whose intruder no longer exists (promoted, or logged before clustering).
+ * Most recently seen first.
+ */
+function groupIntruders(unauthorizedLogs, snapshots, intruderClusters) {
+    const byPerson = new Map();
+    const clusters = new Map(intruderClusters.map(intruder => [intruder.id, intruder]));
+
+    for (const log of unauthorizedLogs) {
+        const time = log.time || log.id;
+        const cluster = clusters.get(log.personId);
+        const entry = byPerson.get(log.personId) || {
+            personId: log.personId,
+            label: cluster ? getIntruderLabel(cluster) : log.personLabel,
+            name: cluster ? cluster.name : '',
+            note: cluster ? cluster.note : '',
+            sampleCount: cluster ? cluster.sampleCount : 0,
+            canSplit: !!cluster && cluster.samples.length >= 2,
+            isClustered: !!cluster,
+            encounters: 0,
+            firstSeen: time,
+            lastSeen: time,
+            snapshots: []
+        };
+
+        entry.encounters++;
+        entry.firstSeen = Math.min(entry.firstSeen, time);
+        entry.lastSeen = Math.max(entry.lastSeen, time);
+        byPerson.set(log.personId, entry);
+    }
+
+    for (const snapshot of snapshots) {
+        if (byPerson.has(snapshot.personId)) byPerson.get(snapshot.personId).snapshots.push(snapshot);
+    }
+
+    return [...byPerson.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Audit record for a sentinel event, or null for events that are not audited
+ * Records carry names, distances and scores only, never embeddings.
+ */
+function auditRecordForEvent(type, event, getIntruderName) {
+    const liveness = event.liveness ? event.liveness.confidence : null;
+
+    switch (type) {
+        case 'verified':
+            return {
+                personId: event.identity.id,
+                personName: event.identity.name,
+                details: { trackId: event.trackId, distance: event.distance, probability: event.probability, level: event.level, liveness }
+            };
+        case 'mismatch':
+            return {
+                personId: event.personId,
+                personName: event.personId !== null ? getIntruderName(event.personId) : null,
+                details: { trackId: event.trackId, distance: event.distance, probability: event.probability, level: event.level, liveness }
+            };
+        case 'spoof':
+            return { details: { trackId: event.trackId, reason: event.reason, liveness } };
+        case 'enrolled':
+            return { personId: event.identity.id, personName: event.identity.name, details: { source: event.source } };
+        case 'locked':
+        case 'unlocked':
+            return { details: { reason: event.reason } };
+        default:
+            return null;
+    }
+}
+
+export class FaceSentinel {
+    constructor(options = {}) {
+        this.options = {
+            activeLiveness: false,
+            multiFace: false,
+            captureSnapshots: false,
+            adaptTemplates: false,
+            webhook: null,
+            guard: null,
+            profile: DEFAULT_PROFILE,
+            config: null,
+            ...options
+        };
+
+        // An unknown profile or invalid overrides (see resolveConfig) leave the defaults in place and are
+        // reported as error, as they are when set later through setOptions
+        let configError = null;
+        try {
+            this.config = resolveConfig({ profile: this.options.profile, overrides: this.options.config });
+        } catch (err) {
+            configError = err.message;
+            this.config = resolveConfig();
+        }
+        this.configKey = JSON.stringify([this.options.profile, this.options.config]);
+
+        this.state = {
+            isLoading: true,
+            isModelReady: false,
+            modelProgress: null,
+            error: configError,
+            verificationResult: null,
+            faceResults: [],
+            isVerifying: false,
+            gallery: [],
+            enrollmentProgress: null,
+            challengeProgress: null,
+            storeStatus: { initialized: false, mode: null, isLocked: true, count: 0 },
+            pendingEncounters: 0,
+            snapshots: [],
+            intruderClusters: [],
+            unauthorizedLogs: loadJson(LOGS_KEY),
+            guardState: null,
+            guardLog: loadJson(GUARD_LOG_KEY),
+            fileAnalysis: null,
+            timelineReport: null,
+            auditHead: null,
+            auditIntegrity: null,
+            config: this.config
+        };
+
+        this.events = new SentinelEventEmitter();
+        this.listeners = new Set();
+        this.snapshot = null;
+        this.intrudersCache = null;
+
+        this.model = null;
+        this.store = null;
+        this.snapshotStore = null;
+        this.snapshotUrls = [];
+        this.auditLog = null;
+        this.intruderRegistry = null;
+        this.lockedEncounters = [];
+        this.persistQueue = Promise.resolve();
+        this.generation = 0;
+        this.modelRun = 0;
+        this.workerFailed = false;
+
+        this.enrollmentCancelled = false;
+        this.fileRun = 0;
+        this.fileAbort = null;
+        this.stopFrameLoop = null;
+        this.verificationRun = 0;
+        this.challengeEmbedding = null;
+        this.challengeRearm = false;
+        this.lastFaceSeen = 0;
+        this.faceTracker = new FaceTracker(this.config.TRACKING, this.config.MATCHING);
+        this.decisionEngines = new Map();
+        this.video = null;
+        this.facesPresent = false;
+
+        this.guard = null;
+        this.guardKey = null;
+        this.webhookSink = null;
+        this.webhookKey = null;
+        this.handleOnline = null;
+
+        this.events.onAny((type, event) => {
+            const record = auditRecordForEvent(type, event, id => {
+                const intruder = this.intruderRegistry && this.intruderRegistry.get(id);
+                return intruder ? getIntruderLabel(intruder) : null;
+            });
+            if (record) this.audit(type, record);
+        });
+
+        // Handed to external stores (e.g. React's useSyncExternalStore) without binding
+        this.subscribe = this.subscribe.bind(this);
+        this.getState = this.getState.bind(this);
+
+        this.buildSnapshot();
+    }
+
+    // --- State and subscriptions ---
+
+    /**
+     * Current state; the object is replaced (never mutated) on every change
+     */
+    getState() {
+        return this.snapshot;
+    }
+
+    /**
+     * Calls listener(state) after every state change; returns an unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => {
+            this.listeners.delete(listener);
+        };
+    }
+
+    buildSnapshot() {
+        const { unauthorizedLogs, snapshots, intruderClusters, gallery } = this.state;
+        const cache = this.intrudersCache;
+
+        if (!cache || cache.logs !== unauthorizedLogs || cache.snapshots !== snapshots || cache.clusters !== intruderClusters) {
+            this.intrudersCache = {
+                logs: unauthorizedLogs,
+                snapshots,
+                clusters: intruderClusters,
+                intruders: groupIntruders(unauthorizedLogs, snapshots, intruderClusters)
+            };
+        }
+
+        this.snapshot = { ...this.state, hasReference: gallery.length > 0, intruders: this.intrudersCache.intruders };
+    }
+
+    setState(patch) {
+        this.state = { ...this.state, ...patch };
+
+        if ('unauthorizedLogs' in patch) localStorage.setItem(LOGS_KEY, JSON.stringify(this.state.unauthorizedLogs));
+        if ('guardLog' in patch) localStorage.setItem(GUARD_LOG_KEY, JSON.stringify(this.state.guardLog));
+
+        this.buildSnapshot();
+        this.listeners.forEach(listener => listener(this.snapshot));
+    }
+
+    /**
+     * Sets the error message and publishes an error event for it
+     */
+    setError(message) {
+        this.setState({ error: message });
+        if (message) this.events.emit('error', { message });
+    }
+
+    get trackAllFaces() {
+        return this.options.multiFace || !!this.options.guard;
+    }
+
+    // --- Lifecycle ---
+
+    /**
+     * Loads the model and opens the stores. Safe to call again after dispose().
+     */
+    async init() {
+        const generation = ++this.generation;
+        const isStale = () => generation !== this.generation;
+
+        this.applyOptions();
+
+        const initStore = async () => {
+            const store = new EncryptedTemplateStore(this.config.TEMPLATE_STORE);
+            this.store = store;
+
+            try {
+                const status = await store.getStatus();
+                if (isStale()) return;
+
+                // Device-key stores (and fresh installs) unlock themselves; passphrase stores wait for the user
+                if (!status.initialized || status.mode === 'device') {
+                    const identities = await store.unlock();
+                    if (isStale()) return;
+                    this.setState({ gallery: identities });
+                    await this.loadIntruders(store);
+                }
+
+                this.setState({ storeStatus: await store.getStatus() });
+            } catch (err) {
+                if (!isStale()) this.setError('Failed to open enrollment store: ' + err.message);
+            }
+        };
+
+        const initSnapshots = async () => {
+            const store = new IntruderSnapshotStore(this.config.SNAPSHOTS);
+            this.snapshotStore = store;
+
+            // Apply retention on start-up too, so expired snapshots go even if nothing new is captured
+            try {
+                await store.enforceLimits();
+                if (!isStale()) await this.loadSnapshots();
+            } catch (err) {
+                if (!isStale()) this.setError('Failed to open snapshot store: ' + err.message);
+            }
+        };
+
+        const initAudit = async () => {
+            const auditLog = new AuditLog(this.config.AUDIT);
+            this.auditLog = auditLog;
+
+            // Checked on start-up so tampering while the app was closed is flagged right away
+            try {
+                await auditLog.open();
+                if (!isStale()) await this.verifyAudit();
+            } catch (err) {
+                if (!isStale()) this.setError('Failed to open audit log: ' + err.message);
+            }
+        };
+
+        await Promise.all([this.loadModel(isStale), initStore(), initSnapshots(), initAudit()]);
+    }
+
+    /**
+     * Creates and loads the recognition model for the current config, publishing weight download
+     * progress as modelProgress ({ loadedBytes, totalBytes, cachedBytes, retries })
+     * A newer loadModel() call (after a config change) or dispose() makes this one stale.
+     */
+    async loadModel(isStale = () => false) {
+        const run = ++this.modelRun;
+        const isOutdated = () => run !== this.modelRun || isStale();
+        let model = null;
+
+        try {
+            this.setState({ isLoading: true, modelProgress: null });
+            // Inference runs in a worker where supported; the main-thread model is the fallback, and also
+            // runs custom liveness scorers (registerLivenessScorer), which cannot be posted to the worker.
+            // Once a worker has failed, this instance stays on the main thread.
+            model = !this.workerFailed && supportsInferenceWorker() && getBuiltInScorerNames() !== null
+                ? new WorkerRecognitionModel({ config: this.config, onFailure: (err) => this.handleWorkerFailure(model, err) })
+                : new FaceApiRecognitionModel({ config: this.config });
+            this.model = model;
+            await model.loadModel(this.config.MODEL_URL, {
+                onProgress: (modelProgress) => {
+                    if (!isOutdated()) this.setState({ modelProgress });
+                }
+            });
+            if (isOutdated()) return;
+
+            this.setState({ isModelReady: true, isLoading: false });
+            this.events.emit('modelLoaded', {
+                runtime: model instanceof WorkerRecognitionModel ? 'worker' : 'main',
+                detector: this.config.DETECTOR.BACKEND
+            });
+        } catch (err) {
+            if (isOutdated()) return;
+            if (model instanceof WorkerRecognitionModel) {
+                console.warn('Inference worker unavailable, loading the model on the main thread:', err);
+                this.workerFailed = true;
+                model.dispose();
+                return this.loadModel(isStale);
+            }
+            this.setError('Failed to load face recognition model: ' + err.message);
+            this.setState({ isLoading: false });
+        }
+    }
+
+    /**
+     * The worker of a loaded model crashed: its pending frames have been rejected,
+     * so verification restarts on a main-thread model
+     */
+    handleWorkerFailure(model, err) {
+        if (model !== this.model) return;
+
+        this.workerFailed = true;
+        const resumeVideo = this.state.isVerifying ? this.video : null;
+        if (resumeVideo) this.stopVerification();
+
+        this.setError('Inference worker stopped, continuing on the main thread: ' + err.message);
+        this.reloadModel(resumeVideo);
+    }
+
+    /**
+     * Stops everything and releases the model, stores and webhook sink
+     */
+    dispose() {
+        this.generation++;
+        this.enrollmentCancelled = true;
+        this.cancelFileAnalysis();
+        this.verificationRun = -1;
+
+        if (this.stopFrameLoop) this.stopFrameLoop();
+        this.stopFrameLoop = null;
+
+        if (this.model) this.model.dispose();
+        this.model = null;
+
+        if (this.store) this.store.close();
+        this.store = null;
+
+        if (this.snapshotStore) this.snapshotStore.close();
+        this.snapshotStore = null;
+        this.snapshotUrls.forEach(url => URL.revokeObjectURL(url));
+        this.snapshotUrls = [];
+
+        if (this.auditLog) this.auditLog.close();
+        this.auditLog = null;
+
+        this.stopWebhook();
+        this.intruderRegistry = null;
+        this.setState({ isModelReady: false, isVerifying: false });
+    }
+
+    /**
+     * Changes options at runtime; the model, webhook and guard are only rebuilt when their settings change
+     * An invalid profile or config is reported through error and the previous configuration stays in effect.
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        this.applyOptions();
+    }
+
+    applyOptions() {
+        const { webhook, guard, profile, config } = this.options;
+
+        const configKey = JSON.stringify([profile, config]);
+        if (configKey !== this.configKey) {
+            this.configKey = configKey;
+
+            try {
+                this.applyConfig(resolveConfig({ profile, overrides: config }));
+            } catch (err) {
+                this.setError(err.message);
+            }
+        }
+
+        const webhookKey = webhook && webhook.url
+            ? JSON.stringify([webhook.url, webhook.secret, webhook.events, this.config.WEBHOOK])
+            : null;
+        if (webhookKey !== this.webhookKey) {
+            const stopped = this.stopWebhook();
+            if (webhookKey) this.startWebhook(webhook, stopped);
+            this.webhookKey = webhookKey;
+        }
+
+        const guardOwnerId = guard && guard.ownerId !== undefined ? guard.ownerId : null;
+        const guardKey = guard ? JSON.stringify([guardOwnerId, this.config.GUARD]) : null;
+        if (guardKey !== this.guardKey) {
+            this.guardKey = guardKey;
+
+            if (!guard) {
+                this.guard = null;
+                this.setState({ guardState: null });
+            } else {
+                this.guard = new PresenceGuard({ ownerId: guardOwnerId, config: this.config.GUARD });
+                if (this.video) this.guard.resume();
+                this.setState({ guardState: this.guard.getState() });
+            }
+        }
+    }
+
+    /**
+     * Switches to a new resolved config: per-face state starts over and a loaded model is reloaded with it
+     * (verification pauses meanwhile and resumes on the same video; a running enrollment is cancelled)
+     */
+    applyConfig(config) {
+        const resumeVideo = this.state.isVerifying ? this.video : null;
+        if (resumeVideo) this.stopVerification();
+
+        this.config = config;
+        this.faceTracker = new FaceTracker(config.TRACKING, config.MATCHING);
+        this.decisionEngines.clear();
+        if (this.intruderRegistry) {
+            this.intruderRegistry.config = config.INTRUDERS;
+            this.intruderRegistry.matching = config.MATCHING;
+        }
+        this.setState({ config, error: null });
+
+        if (this.model) this.reloadModel(resumeVideo);
+    }
+
+    /**
+     * Replaces the model with a freshly loaded one, cancelling a running enrollment and
+     * resuming verification on resumeVideo once it is ready
+     */
+    reloadModel(resumeVideo = null) {
+        this.enrollmentCancelled = true;
+        this.model.dispose();
+        this.model = null;
+        this.setState({ isModelReady: false });
+
+        const generation = this.generation;
+        this.loadModel(() => generation !== this.generation).then(() => {
+            if (resumeVideo && this.state.isModelReady && generation === this.generation) {
+                this.startVerification(resumeVideo);
+            }
+        });
+    }
+
+    /**
+     * after: resolves when the previous sink has stopped; the new one takes over the shared queue only then
+     */
+    startWebhook({ url, secret, events }, after = null) {
+        const sink = new WebhookSink({
+            url,
+            secret: secret || undefined,
+            events: events || undefined,
+            after,
+            config: this.config.WEBHOOK,
+            onDrop: (item, reason) => this.events.emit('webhookDropped', {
+                eventType: item.type,
+                eventId: item.id,
+                attempts: item.attempts,
+                reason
+            })
+        });
+        sink.attach(this.events);
+        this.webhookSink = sink;
+
+        // Retry right away when the connection comes back instead of waiting out the backoff
+        this.handleOnline = () => sink.flush();
+        window.addEventListener('online', this.handleOnline);
+    }
+
+    /**
+     * Resolves once the sink's last request has finished (see WebhookSink.stop)
+     */
+    stopWebhook() {
+        if (this.handleOnline) window.removeEventListener('online', this.handleOnline);
+        this.handleOnline = null;
+
+        const stopped = this.webhookSink ? this.webhookSink.stop() : null;
+        this.webhookSink = null;
+        this.webhookKey = null;
+        return stopped;
+    }
+
+    // --- Presence guard ---
+
+    /**
+     * Publishes a lock/unlock transition: state, persistent guard log and events
+     * A lock also discards every decision, so unlocking takes a fresh verification (and challenge, in active mode).
+     */
+    applyGuardTransition(transition) {
+        if (!transition) return;
+
+        const now = Date.now();
+        this.setState({
+            guardState: this.guard.getState(),
+            guardLog: [{
+                id: now,
+                time: now,
+                type: transition.type,
+                reason: transition.reason,
+                fullDate: new Date(now).toLocaleString()
+            }, ...this.state.guardLog].slice(0, this.config.LOGS.MAX_GUARD)
+        });
+
+        if (transition.type === 'lock') {
+            this.decisionEngines.clear();
+            if (this.options.activeLiveness) this.challengeRearm = true;
+            this.events.emit('locked', { reason: transition.reason });
+        } else {
+            this.events.emit('unlocked', { reason: transition.reason });
+        }
+    }
+
+    /**
+     * Locks the guarded content right away
+     */
+    lockWorkstation() {
+        if (this.guard) this.applyGuardTransition(this.guard.lock('manual'));
+    }
+
+    clearGuardLog() {
+        this.setState({ guardLog: [] });
+        localStorage.removeItem(GUARD_LOG_KEY);
+    }
+
+    // --- Intruders, logs and snapshots ---
+
+    /**
+     * Loads the intruder clusters from the (unlocked) store
+     * New intruder ids continue after every id already used in the logs, including logs older than the registry.
+     */
+    async loadIntruders(store) {
+        const records = await store.loadIntruders();
+        const usedIds = this.state.unauthorizedLogs.map(log => Number(log.personId) || 0);
+        const registry = new IntruderRegistry(records, Math.max(0, ...usedIds), this.config.INTRUDERS, this.config.MATCHING);
+
+        this.intruderRegistry = registry;
+        this.setState({ intruderClusters: registry.intruders });
+        this.flushLockedEncounters();
+    }
+
+    unloadIntruders() {
+        this.intruderRegistry = null;
+        this.setState({ intruderClusters: [] });
+    }
+
+    /**
+     * Reloads the snapshot list; every record gets an object URL for <img> (old URLs are revoked)
+     */
+    async loadSnapshots() {
+        const store = this.snapshotStore;
+        if (!store) return;
+
+        const records = await store.list();
+        this.snapshotUrls.forEach(url => URL.revokeObjectURL(url));
+        this.snapshotUrls = records.map(record => URL.createObjectURL(record.blob));
+
+        this.setState({ snapshots: records.map(({ blob, ...record }, i) => ({ ...record, url: this.snapshotUrls[i] })) });
+    }
+
+    /**
+     * Stores a face thumbnail (a promise from captureFaceThumbnail) for a log entry
+     */
+    async saveSnapshot(log, thumbnail) {
+        const store = this.snapshotStore;
+        if (!store) return;
+
+        try {
+            const blob = await thumbnail;
+            if (!blob) return;
+
+            await store.add({ logId: log.id, personId: log.personId, blob });
+            await this.loadSnapshots();
+        } catch (err) {
+            this.setError('Failed to save intruder snapshot: ' + err.message);
+        }
+    }
+
+    /**
+     * Publishes the intruder clusters and persists them to the encrypted store (queued like the gallery)
+     */
+    commitIntruders() {
+        const registry = this.intruderRegistry;
+        if (!registry) return;
+
+        this.setState({ intruderClusters: [...registry.intruders] });
+
+        const store = this.store;
+        if (!store || !store.key) return;
+
+        const records = registry.intruders;
+        this.persistQueue = this.persistQueue
+            .then(() => store.saveIntruders(records))
+            .catch(err => this.setError('Failed to save intruders: ' + err.message));
+    }
+
+    /**
+     * Assigns an unauthorized face to its intruder (matched against each cluster's centroid) and logs the encounter
+     * Returns the intruder id, or null while the store is locked: the encounter is then kept in memory
+     * (up to LOGS.MAX_UNAUTHORIZED) and logged once the store is unlocked.
+     * capture = { source, box } of the frame that confirmed the encounter, used when snapshots are enabled
+     */
+    logUnauthorizedEncounter(embedding, capture) {
+        const time = Date.now();
+        // Cut the face out now: by the time a locked store is opened the frame is long gone
+        const thumbnail = this.options.captureSnapshots && capture && this.snapshotStore
+            ? captureFaceThumbnail(capture.source, capture.box, this.config.SNAPSHOTS).catch(err => {
+                this.setError('Failed to save intruder snapshot: ' + err.message);
+                return null;
+            })
+            : null;
+
+        if (!this.intruderRegistry) {
+            this.lockedEncounters = [...this.lockedEncounters, { embedding: Array.from(embedding), time, thumbnail }]
+                .slice(-this.config.LOGS.MAX_UNAUTHORIZED);
+            this.setState({ pendingEncounters: this.lockedEncounters.length });
+            return null;
+        }
+
+        return this.recordEncounter(Array.from(embedding), time, thumbnail);
+    }
+
+    /**
+     * Adds an encounter to its intruder and to the log; returns the intruder id
+     */
+    recordEncounter(embedding, time, thumbnail) {
+        const registry = this.intruderRegistry;
+        const intruder = registry.record(embedding, { logId: time, time });
+        this.commitIntruders();
+
+        const newLog = {
+            id: time,
+            time,
+            timestamp: new Date(time).toLocaleTimeString(),
+            fullDate: new Date(time).toLocaleString(),
+            personLabel: registry.getLabel(intruder),
+            personId: intruder.id
+        };
+
+        const logs = [newLog, ...this.state.unauthorizedLogs].sort((a, b) => b.id - a.id);
+        this.setState({ unauthorizedLogs: logs.slice(0, this.config.LOGS.MAX_UNAUTHORIZED) });
+
+        if (thumbnail) this.saveSnapshot(newLog, thumbnail);
+        return intruder.id;
+    }
+
+    /**
+     * Logs the encounters seen while the store was locked, now that the intruder registry is loaded
+     */
+    flushLockedEncounters() {
+        const pending = this.lockedEncounters;
+        if (pending.length === 0 || !this.intruderRegistry) return;
+
+        this.lockedEncounters = [];
+        this.setState({ pendingEncounters: 0 });
+        pending.forEach(({ embedding, time, thumbnail }) => this.recordEncounter(embedding, time, thumbnail));
+    }
+
+    /**
+     * Points log entries and snapshots at an intruder after a merge, split or rename
+     * match = { fromPersonId } for all of a person's entries, or { logIds } for specific encounters
+     */
+    reassignEncounters(match, intruder) {
+        const registry = this.intruderRegistry;
+        const matches = (log) => match.fromPersonId !== undefined ? log.personId === match.fromPersonId : match.logIds.has(log.id);
+
+        this.setState({
+            unauthorizedLogs: this.state.unauthorizedLogs.map(log =>
+                matches(log) ? { ...log, personId: intruder.id, personLabel: registry.getLabel(intruder) } : log
+            )
+        });
+
+        if (this.snapshotStore) {
+            this.snapshotStore.reassign(match, intruder.id)
+                .then(() => this.loadSnapshots())
+                .catch(err => this.setError('Failed to update snapshots: ' + err.message));
+        }
+    }
+
+    /**
+     * Runs an operation on the intruder registry, reporting failures through error
+     */
+    withIntruders(operation) {
+        const registry = this.intruderRegistry;
+
+        try {
+            if (!registry) throw new Error('Enrollment store is locked. Unlock it first.');
+            this.setError(null);
+            return operation(registry);
+        } catch (err) {
+            this.setError(err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Folds intruder sourceId into targetId (both turned out to be the same person)
+     */
+    mergeIntruders(targetId, sourceId) {
+        return this.withIntruders(registry => {
+            const target = registry.merge(targetId, sourceId);
+            this.commitIntruders();
+            this.reassignEncounters({ fromPersonId: sourceId }, target);
+            return target;
+        });
+    }
+
+    /**
+     * Splits an intruder that mixes two people; encounters follow their stored samples
+     */
+    splitIntruder(id) {
+        return this.withIntruders(registry => {
+            const { created } = registry.split(id);
+            this.commitIntruders();
+            this.reassignEncounters({ logIds: new Set(created.samples.map(sample => sample.logId)) }, created);
+            return created;
+        });
+    }
+
+    /**
+     * Attaches a name and/or note to an intruder
+     */
+    labelIntruder(id, { name, note } = {}) {
+        return this.withIntruders(registry => {
+            const intruder = registry.label(id, { name, note });
+            this.commitIntruders();
+            this.reassignEncounters({ fromPersonId: id }, intruder);
+            return intruder;
+        });
+    }
+
+    /**
+     * Enrolls an intruder under a name, using its centroid as the template; the intruder cluster is removed
+     * Past log entries keep their label.
+     */
+    promoteIntruder(id, name) {
+        return this.withIntruders(registry => {
+            const intruder = registry.get(id);
+            if (!intruder) throw new Error('Unknown intruder');
+
+            const trimmedName = (name || '').trim();
+            if (!trimmedName) throw new Error('Name cannot be empty');
+            if (this.state.gallery.some(identity => identity.name === trimmedName)) {
+                throw new Error(`"${trimmedName}" is already enrolled.`);
+            }
+
+            const identity = {
+                id: Date.now(),
+                name: trimmedName,
+                embedding: intruder.centroid,
+                samples: intruder.samples.map(sample => ({ embedding: sample.embedding, pose: null })),
+                enrolledAt: new Date().toLocaleString()
+            };
+
+            this.commitGallery([...this.state.gallery, identity]);
+            registry.remove(id);
+            this.commitIntruders();
+            this.events.emit('enrolled', { identity: { id: identity.id, name: identity.name }, source: 'intruder' });
+            return identity;
+        });
+    }
+
+    /**
+     * Clears all security logs and intruder clusters from memory and storage
+     */
+    clearLogs() {
+        this.audit('logs_cleared', { details: { encounters: this.state.unauthorizedLogs.length } });
+        this.setState({ unauthorizedLogs: [] });
+        localStorage.removeItem(LOGS_KEY);
+
+        if (this.intruderRegistry) {
+            this.intruderRegistry.clear();
+            this.commitIntruders();
+        }
+
+        if (this.snapshotStore) {
+            this.snapshotStore.clear()
+                .then(() => this.loadSnapshots())
+                .catch(err => this.setError('Failed to clear snapshots: ' + err.message));
+        }
+    }
+
+    // --- Gallery and enrollment ---
+
+    /**
+     * Replaces the gallery (read by the verification loop and the UI), then persists it
+     * to the encrypted store. Writes are queued so they land in order.
+     */
+    commitGallery(nextGallery) {
+        this.setState({ gallery: nextGallery });
+
+        const store = this.store;
+        if (!store || !store.key) return;
+
+        this.persistQueue = this.persistQueue
+            .then(() => store.saveAll(nextGallery))
+            .then(() => store.getStatus())
+            .then(storeStatus => this.setState({ storeStatus }))
+            .catch(err => this.setError('Failed to save enrollment: ' + err.message));
+    }
+
+    /**
+     * Issues a random challenge sequence and samples frames until it passes, fails or is cancelled
+     * Resolves with the embedding of the face that completed the challenge.
+     */
+    async runLivenessChallenge(videoElement, isCancelled) {
+        const config = this.config.ACTIVE_LIVENESS;
+        const challenge = new LivenessChallenge(config);
+        let challengeEmbedding = null;
+
+        this.setState({ challengeProgress: challenge.getProgress() });
+
+        try {
+            while (true) {
+                if (isCancelled()) throw new Error('Liveness challenge cancelled');
+
+                const result = await this.model.extractEmbedding(videoElement);
+
+                // The whole sequence must be performed by one person
+                if (result && result.embedding) {
+                    if (!challengeEmbedding) {
+                        challengeEmbedding = result.embedding;
+                    } else if (!this.model.isSamePerson(challengeEmbedding, result.embedding).isSame) {
+                        throw new Error('Liveness challenge failed: a different face appeared');
+                    }
+                }
+
+                const progress = challenge.update(result ? result.landmarks : null);
+                this.setState({ challengeProgress: progress });
+
+                if (progress.status === 'passed') return challengeEmbedding;
+                if (progress.status === 'failed') throw new Error(`Liveness challenge failed: ${progress.reason}`);
+
+                await new Promise(resolve => setTimeout(resolve, config.FRAME_INTERVAL_MS));
+            }
+        } finally {
+            this.setState({ challengeProgress: null });
+        }
+    }
+
+    /**
+     * Guided multi-frame capture from a live video: the challenge first in active mode, then the enrollment session
+     * Resolves with the aggregated template.
+     */
+    async captureVideoTemplate(videoElement) {
+        const challengeEmbedding = this.options.activeLiveness
+            ? await this.runLivenessChallenge(videoElement, () => this.enrollmentCancelled)
+            : null;
+
+        const session = new EnrollmentSession(this.model, this.config.ENROLLMENT, this.config.QUALITY);
+        this.setState({ enrollmentProgress: session.getProgress() });
+
+        while (!session.isComplete()) {
+            if (this.enrollmentCancelled) throw new Error('Enrollment cancelled');
+
+            if (session.isExpired()) {
+                const progress = session.getProgress();
+                throw new Error(`Enrollment timed out (${progress.captured} of ${progress.target} captured). ${progress.lastRejection || ''}`.trim());
+            }
+
+            const result = await this.model.extractEmbedding(videoElement);
+            session.addFrame(result);
+            this.setState({ enrollmentProgress: session.getProgress() });
+
+            if (!session.isComplete()) {
+                await new Promise(resolve => setTimeout(resolve, this.config.ENROLLMENT.CAPTURE_INTERVAL_MS));
+            }
+        }
+
+        const template = session.buildTemplate();
+
+        if (challengeEmbedding && !this.model.isSamePerson(challengeEmbedding, template.embedding).isSame) {
+            throw new Error('Enrolled face does not match the face that passed the liveness challenge');
+        }
+
+        return template;
+    }
+
+    /**
+     * Single-sample template from a still image (e.g. an ID photo)
+     * A photo cannot pass liveness, so only detection and the verification quality gate apply.
+     */
+    async captureImageTemplate(image) {
+        const results = await this.model.extractAllEmbeddings(image);
+
+        if (results.length === 0) throw new Error('No face found in the image');
+        if (results.length > 1) throw new Error(`The image shows ${results.length} faces; use a photo of one person`);
+        if (!results[0].quality.isAcceptable) throw new Error(`Image not usable: ${results[0].quality.hint}`);
+
+        const { embedding } = results[0];
+        return { embedding, samples: [{ embedding, pose: null }] };
+    }
+
+    /**
+     * Enrolls a face and adds its template to the gallery
+     * source is a live video (guided multi-frame session), or a still image or image File (one sample, no liveness).
+     */
+    async enrollFace(source, name) {
+        if (!this.state.isModelReady) throw new Error('Model not ready');
+
+        let fileSource = null;
+
+        try {
+            this.setError(null);
+
+            if (this.store && !this.store.key) {
+                throw new Error('Enrollment store is locked. Unlock it first.');
+            }
+
+            const trimmedName = (name || '').trim() || `Person ${this.state.gallery.length + 1}`;
+            if (this.state.gallery.some(identity => identity.name === trimmedName)) {
+                throw new Error(`"${trimmedName}" is already enrolled.`);
+            }
+
+            this.enrollmentCancelled = false;
+
+            if (typeof File !== 'undefined' && source instanceof File) {
+                fileSource = await loadFileSource(source, { timeoutMs: this.config.FILE_INPUT.LOAD_TIMEOUT_MS });
+                if (fileSource.kind !== 'image') throw new Error('Enroll from an image file, or from the camera');
+            }
+
+            const input = fileSource ? fileSource.element : source;
+            const template = isStillImage(input)
+                ? await this.captureImageTemplate(input)
+                : await this.captureVideoTemplate(input);
+
+            const identity = {
+                id: Date.now(),
+                name: trimmedName,
+                embedding: template.embedding,
+                samples: template.samples,
+                enrolledAt: new Date().toLocaleString()
+            };
+
+            this.commitGallery([...this.state.gallery, identity]);
+            this.events.emit('enrolled', {
+                identity: { id: identity.id, name: identity.name },
+                source: isStillImage(input) ? 'image' : 'enrollment'
+            });
+            return identity;
+        } catch (err) {
+            this.setError(err.message);
+            throw err;
+        } finally {
+            if (fileSource) fileSource.release();
+            this.setState({ enrollmentProgress: null });
+        }
+    }
+
+    /**
+     * Aborts a running enrollment session
+     */
+    cancelEnrollment() {
+        this.enrollmentCancelled = true;
+    }
+
+    /**
+     * Renames an enrolled identity
+     */
+    renameIdentity(id, name) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) throw new Error('Name cannot be empty');
+
+        if (this.state.gallery.some(identity => identity.id !== id && identity.name === trimmedName)) {
+            throw new Error(`"${trimmedName}" is already enrolled.`);
+        }
+
+        const identity = this.state.gallery.find(item => item.id === id);
+        if (!identity || identity.name === trimmedName) return;
+
+        this.commitGallery(this.state.gallery.map(item =>
+            item.id === id ? { ...item, name: trimmedName } : item
+        ));
+        this.audit('identity_renamed', { personId: id, personName: trimmedName, details: { previousName: identity.name } });
+    }
+
+    /**
+     * Removes an identity from the gallery
+     */
+    removeIdentity(id) {
+        const identity = this.state.gallery.find(item => item.id === id);
+        if (!identity) return;
+
+        this.commitGallery(this.state.gallery.filter(item => item.id !== id));
+        this.audit('identity_removed', { personId: id, personName: identity.name });
+    }
+
+    // --- Template adaptation ---
+
+    /**
+     * Folds a live, very-high-confidence embedding into an identity's template (see adaptTemplate)
+     * Returns true when the template was updated; rejected candidates are the normal case and stay silent.
+     */
+    adaptIdentityTemplate(id, embedding) {
+        const identity = this.state.gallery.find(item => item.id === id);
+        if (!identity) return false;
+
+        const result = adaptTemplate(identity, embedding, this.config.ADAPTATION, {
+            maxDistance: this.config.VERY_HIGH_CONFIDENCE,
+            matching: this.config.MATCHING
+        });
+        if (result.rejected) return false;
+
+        this.commitGallery(this.state.gallery.map(item => (item.id === id ? result.identity : item)));
+        this.audit('template_adapted', {
+            personId: id,
+            personName: identity.name,
+            details: { samples: result.identity.adaptation.samples.length, shift: result.shift }
+        });
+        return true;
+    }
+
+    /**
+     * Restores an identity's enrollment template, discarding everything it has adapted
+     */
+    rollbackTemplate(id) {
+        const identity = this.state.gallery.find(item => item.id === id);
+        if (!identity) throw new Error('Unknown identity');
+        if (!identity.adaptation) return;
+
+        this.commitGallery(this.state.gallery.map(item => (item.id === id ? rollbackTemplate(identity) : item)));
+        this.audit('template_rolled_back', {
+            personId: id,
+            personName: identity.name,
+            details: { discardedSamples: identity.adaptation.samples.length, shift: identity.adaptation.shift }
+        });
+    }
+
+    // --- Verification ---
+
+    /**
+     * Returns the decision engine for a face (keyed by track ID in multi-face mode)
+     */
+    getDecisionEngine(key) {
+        if (!this.decisionEngines.has(key)) {
+            this.decisionEngines.set(key, new DecisionEngine(this.config.DECISION));
+        }
+        return this.decisionEngines.get(key);
+    }
+
+    /**
+     * Maps a stable decision to the verification result shown by the UI
+     */
+    buildDecisionResult(decision) {
+        // Probability that the closest identity is this person; only a probability once MATCHING.CALIBRATION is fitted
+        const calibration = this.config.MATCHING.CALIBRATION;
+        const probability = matchProbability(decision.distance, calibration);
+        const displayConfidence = probability === null ? 0 : probability * 100;
+        const score = calibration.FITTED ? `${displayConfidence.toFixed(1)}% match` : `match score ${displayConfidence.toFixed(0)}/100`;
+        const base = { state: decision.state, since: decision.since, displayConfidence, probability, confidence: decision.distance };
+
+        switch (decision.state) {
+            case 'verified':
+                return {
+                    ...base,
+                    isSame: true,
+                    identity: decision.identity,
+                    identityName: decision.identity.name,
+                    level: decision.latest.level,
+                    message: `${decision.identity.name} (${score})`
+                };
+            case 'unverified':
+                return {
+                    ...base,
+                    isSame: false,
+                    identity: null,
+                    identityName: 'unknown',
+                    level: 'low',
+                    message: `Unknown Person (${score})`
+                };
+            case 'spoof':
+                return {
+                    ...base,
+                    isSame: false,
+                    spoofing: true,
+                    confidence: 0,
+                    probability: null,
+                    level: 'spoofing',
+                    message: `⚠️ Photo/Screen Detected!`,
+                    details: decision.latest.details
+                };
+            case 'poor_quality':
+                return { ...base, isSame: false, level: 'quality', message: `💡 ${decision.latest.hint}`, hint: decision.latest.hint };
+            case 'pending':
+                return { ...base, isSame: false, level: 'pending', message: '🔍 Analyzing...' };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Per-frame vote for one detected face: the quality and liveness gates, then 1:N identification
+     * checkLiveness is off for still images, which cannot prove liveness.
+     */
+    classifyFace(result, threshold, { checkLiveness = true } = {}) {
+        const livenessResult = result.liveness;
+        const liveness = livenessResult ? { confidence: livenessResult.confidence, scores: livenessResult.scores } : null;
+
+        // Poor frames never reach the matcher: they would only produce false "Different Person" votes
+        if (!result.quality.isAcceptable) {
+            return { label: 'poor_quality', hint: result.quality.hint };
+        }
+
+        if (checkLiveness && !livenessResult.isLive) {
+            return { label: 'spoof', details: livenessResult.reason, liveness };
+        }
+
+        const comparisonResult = this.model.identify(result.embedding, this.state.gallery, threshold);
+
+        return {
+            label: comparisonResult.isSame ? 'verified' : 'unverified',
+            identity: comparisonResult.identity,
+            distance: comparisonResult.confidence,
+            level: comparisonResult.level,
+            embedding: result.embedding,
+            box: result.box,
+            liveness
+        };
+    }
+
+    /**
+     * Quality and liveness gates plus 1:N identification for one detected face, fed through its decision engine
+     * Returns undefined when an active-liveness match has to wait for a new challenge.
+     * Publishes verified / mismatch / spoof events when the decision changes.
+     */
+    evaluateFace(result, engine, videoElement, trackId = null) {
+        const vote = this.classifyFace(result, engine.getMatchThreshold());
+
+        // In active mode a match only counts for the face that passed the last challenge
+        if (this.options.activeLiveness && vote.label === 'verified' &&
+            !this.model.isSamePerson(this.challengeEmbedding, vote.embedding).isSame) {
+            return undefined;
+        }
+
+        const decision = engine.update(vote);
+
+        // Only a settled match that this very frame confirms at the strictest level may teach the template
+        if (this.options.adaptTemplates && decision.state === 'verified' && vote.label === 'verified' &&
+            vote.level === 'very_high' && vote.identity.id === decision.identity.id) {
+            this.adaptIdentityTemplate(vote.identity.id, vote.embedding);
+        }
+
+        // One log entry (and one event) per confirmed episode, not per frame
+        if (decision.changed) {
+            const latest = decision.latest;
+
+            if (decision.state === 'verified') {
+                this.events.emit('verified', {
+                    trackId,
+                    identity: { id: decision.identity.id, name: decision.identity.name },
+                    distance: decision.distance,
+                    probability: matchProbability(decision.distance, this.config.MATCHING.CALIBRATION),
+                    calibrated: Boolean(this.config.MATCHING.CALIBRATION.FITTED),
+                    level: latest.level,
+                    liveness: latest.liveness
+                });
+            } else if (decision.state === 'unverified') {
+                const personId = this.logUnauthorizedEncounter(latest.embedding, { source: videoElement, box: latest.box });
+                this.events.emit('mismatch', {
+                    trackId,
+                    distance: decision.distance,
+                    probability: matchProbability(decision.distance, this.config.MATCHING.CALIBRATION),
+                    calibrated: Boolean(this.config.MATCHING.CALIBRATION.FITTED),
+                    level: latest.level,
+                    personId,
+                    liveness: latest.liveness
+                });
+            } else if (decision.state === 'spoof') {
+                this.events.emit('spoof', { trackId, reason: latest.details, liveness: latest.liveness });
+            }
+        }
+
+        return this.buildDecisionResult(decision);
+    }
+
+    /**
+     * Identifies the face in a single frame against every enrolled identity
+     * Results are stable decisions over recent frames, not per-frame verdicts.
+     * In multi-face (or guard) mode every face is tracked and decided separately (see faceResults).
+     */
+    async verifySingleFrame(videoElement) {
+        if (!this.state.isModelReady || this.state.gallery.length === 0) return null;
+
+        try {
+            const results = this.trackAllFaces
+                ? await this.model.extractAllEmbeddings(videoElement)
+                : [await this.model.extractEmbedding(videoElement)].filter(Boolean);
+
+            if (results.length === 0 && this.options.activeLiveness &&
+                Date.now() - this.lastFaceSeen > this.config.ACTIVE_LIVENESS.REARM_AFTER_MS) {
+                this.challengeRearm = true;
+            }
+
+            if (!this.trackAllFaces) {
+                const engine = this.getDecisionEngine('single');
+
+                if (results.length === 0) {
+                    const decision = engine.update({ label: 'no_face' });
+                    if (decision.changed && decision.state === 'no_face') this.events.emit('noFace', {});
+
+                    const verifyResult = this.buildDecisionResult(decision);
+                    this.setState({ verificationResult: verifyResult });
+                    return verifyResult;
+                }
+
+                this.lastFaceSeen = Date.now();
+                const verifyResult = this.evaluateFace(results[0], engine, videoElement);
+
+                if (verifyResult === undefined) {
+                    this.challengeRearm = true;
+                    this.setState({ verificationResult: null });
+                    return null;
+                }
+
+                this.setState({ verificationResult: verifyResult });
+                return verifyResult;
+            }
+
+            if (results.length > 0) this.lastFaceSeen = Date.now();
+
+            const perFace = this.faceTracker.update(results).map(face => {
+                const verifyResult = this.evaluateFace(face, this.getDecisionEngine(face.trackId), videoElement, face.trackId) || {
+                    isSame: false,
+                    confidence: 0,
+                    level: 'challenge',
+                    message: 'Liveness check required'
+                };
+
+                const frameSize = getSourceSize(videoElement);
+
+                return {
+                    ...verifyResult,
+                    trackId: face.trackId,
+                    box: face.box,
+                    frameWidth: frameSize.width,
+                    frameHeight: frameSize.height
+                };
+            });
+
+            // Drop engines of tracks the tracker has given up on
+            const liveTracks = new Set(this.faceTracker.tracks.map(track => track.id));
+            for (const key of this.decisionEngines.keys()) {
+                if (!liveTracks.has(key)) this.decisionEngines.delete(key);
+            }
+
+            this.setState({ faceResults: perFace });
+
+            if (this.guard) this.applyGuardTransition(this.guard.update(perFace));
+
+            // Without per-track engines to settle it, "no face" is the moment the last track is dropped
+            if (this.facesPresent && perFace.length === 0) this.events.emit('noFace', {});
+            this.facesPresent = perFace.length > 0;
+
+            if (perFace.length === 0) {
+                this.setState({ verificationResult: null });
+                return null;
+            }
+
+            const recognized = perFace.filter(face => face.isSame).map(face => face.identity.name);
+            const summary = {
+                isSame: perFace.every(face => face.isSame),
+                spoofing: perFace.some(face => face.spoofing),
+                level: perFace.every(face => face.isSame) ? 'high' : 'low',
+                faces: perFace,
+                message: `${perFace.length} face${perFace.length > 1 ? 's' : ''}: ` +
+                    `${recognized.length} recognized, ${perFace.length - recognized.length} not verified`
+            };
+
+            this.setState({ verificationResult: summary });
+            return summary;
+        } catch (err) {
+            this.setError(err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Starts continuous background verification
+     * In active mode a challenge runs first, and again whenever the face leaves or changes.
+     */
+    startVerification(videoElement) {
+        if (!this.state.isModelReady || this.state.gallery.length === 0) {
+            this.setError('Please enroll a face first');
+            return;
+        }
+
+        if (this.state.isVerifying) return;
+
+        if (this.state.fileAnalysis) {
+            this.setError('Wait for the file check to finish');
+            return;
+        }
+
+        this.setState({ isVerifying: true });
+        this.setError(null);
+        this.video = videoElement;
+        if (this.guard) this.guard.resume();
+
+        const run = ++this.verificationRun;
+        const isCancelled = () => this.verificationRun !== run;
+
+        const runLoop = async () => {
+            if (this.options.activeLiveness) {
+                this.setState({ verificationResult: null });
+
+                try {
+                    this.challengeEmbedding = await this.runLivenessChallenge(videoElement, isCancelled);
+                } catch (err) {
+                    if (isCancelled()) return;
+
+                    this.setState({
+                        verificationResult: {
+                            isSame: false,
+                            confidence: 0,
+                            level: 'spoofing',
+                            message: '⚠️ Liveness Challenge Failed',
+                            details: err.message
+                        }
+                    });
+
+                    // Show the failure briefly, then issue a fresh sequence
+                    setTimeout(() => { if (!isCancelled()) runLoop(); }, this.config.ACTIVE_LIVENESS.REARM_AFTER_MS);
+                    return;
+                }
+
+                this.challengeRearm = false;
+                this.lastFaceSeen = Date.now();
+            }
+
+            // Paced by video frames: one frame in flight, at most one per getFrameInterval()
+            this.stopFrameLoop = startFrameLoop(videoElement, async () => {
+                if (isCancelled()) return;
+
+                if (this.challengeRearm) {
+                    this.stopFrameLoop();
+                    this.stopFrameLoop = null;
+                    runLoop();
+                    return;
+                }
+
+                await this.verifySingleFrame(videoElement);
+            }, this.getFrameInterval());
+        };
+
+        runLoop();
+    }
+
+    /**
+     * VERIFICATION_INTERVAL_MS, shortened to LIVENESS.PULSE.FRAME_INTERVAL_MS while the pulse scorer has weight
+     */
+    getFrameInterval() {
+        const { VERIFICATION_INTERVAL_MS, LIVENESS } = this.config;
+        const scorers = (this.model && this.model.livenessScorers) || getLivenessScorers();
+        const pulse = scorers.find(scorer => scorer.name === 'pulse');
+
+        return pulse && getScorerWeight(pulse, LIVENESS) > 0
+            ? Math.min(VERIFICATION_INTERVAL_MS, LIVENESS.PULSE.FRAME_INTERVAL_MS)
+            : VERIFICATION_INTERVAL_MS;
+    }
+
+    /**
+     * Stops the continuous verification loop
+     */
+    stopVerification() {
+        this.verificationRun++;
+        this.challengeEmbedding = null;
+
+        if (this.stopFrameLoop) {
+            this.stopFrameLoop();
+            this.stopFrameLoop = null;
+        }
+
+        this.setState({ isVerifying: false, verificationResult: null, faceResults: [] });
+        this.faceTracker.reset();
+        this.decisionEngines.clear();
+        if (this.model) this.model.resetLiveness();
+        this.video = null;
+
+        // Nothing watches the workstation without the loop
+        if (this.guard) this.applyGuardTransition(this.guard.lock('paused'));
+    }
+
+    // --- Uploaded files ---
+
+    /**
+     * Checks an uploaded image or video file against the gallery and publishes the report as timelineReport
+     * Videos are sampled every strideMs (widened to stay within FILE_INPUT.MAX_FRAMES); an image is one frame,
+     * without the liveness gate. Frames are judged one by one, without the decision engine's voting.
+     * File checks are not logged as intruder encounters and publish no events.
+     * Cancelling (cancelFileAnalysis) still publishes the frames analyzed so far, marked incomplete.
+     * Loading and each seek give up after FILE_INPUT.LOAD_TIMEOUT_MS / SEEK_TIMEOUT_MS, failing the check.
+     */
+    async analyzeFile(file, { strideMs = this.config.FILE_INPUT.VIDEO_STRIDE_MS } = {}) {
+        if (!this.state.isModelReady) throw new Error('Model not ready');
+
+        const problem = (this.state.gallery.length === 0 && 'Please enroll a face first')
+            || (this.state.isVerifying && 'Stop live verification before checking a file')
+            || (this.state.fileAnalysis && 'A file is already being checked');
+        if (problem) {
+            this.setError(problem);
+            throw new Error(problem);
+        }
+
+        const run = ++this.fileRun;
+        const isCancelled = () => run !== this.fileRun;
+        const abort = new AbortController();
+        this.fileAbort = abort;
+        const { LOAD_TIMEOUT_MS, SEEK_TIMEOUT_MS } = this.config.FILE_INPUT;
+        let source = null;
+
+        try {
+            this.setError(null);
+            this.setState({ fileAnalysis: { fileName: file.name, kind: null, processedMs: 0, durationMs: 0 } });
+            source = await loadFileSource(file, { timeoutMs: LOAD_TIMEOUT_MS, signal: abort.signal });
+
+            const isVideo = source.kind === 'video';
+            const plan = isVideo
+                ? planFrameTimes(source.durationMs, strideMs, this.config.FILE_INPUT.MAX_FRAMES)
+                : { strideMs: 0, times: [0] };
+            const frames = [];
+            // Liveness history runs on media time here, so it must not mix with live frames
+            this.model.resetLiveness();
+
+            for (const timeMs of plan.times) {
+                if (isCancelled()) break;
+
+                if (isVideo) {
+                    try {
+                        await seekVideo(source.element, timeMs, { timeoutMs: SEEK_TIMEOUT_MS, signal: abort.signal });
+                    } catch (err) {
+                        if (isCancelled()) break;
+                        throw err;
+                    }
+                }
+                const results = await this.model.extractAllEmbeddings(source.element, { timestamp: timeMs });
+
+                frames.push({
+                    timeMs,
+                    faces: results.map(result => {
+                        const vote = this.classifyFace(result, this.config.SIMILARITY_THRESHOLD, { checkLiveness: isVideo });
+                        const { x, y, width, height } = result.box;
+
+                        return {
+                            state: vote.label,
+                            identity: vote.identity ? { id: vote.identity.id, name: vote.identity.name } : null,
+                            distance: vote.distance ?? null,
+                            level: vote.level || null,
+                            box: { x, y, width, height },
+                            liveness: vote.liveness || null,
+                            hint: vote.hint || vote.details || null
+                        };
+                    })
+                });
+
+                this.setState({
+                    fileAnalysis: { fileName: source.name, kind: source.kind, processedMs: timeMs, durationMs: source.durationMs }
+                });
+            }
+
+            const report = buildTimelineReport({
+                source,
+                strideMs: plan.strideMs,
+                frames,
+                complete: frames.length === plan.times.length,
+                settings: {
+                    similarityThreshold: this.config.SIMILARITY_THRESHOLD,
+                    livenessPassThreshold: isVideo ? this.config.LIVENESS.PASS_THRESHOLD : null,
+                    galleryIdentities: this.state.gallery.length
+                }
+            });
+
+            this.setState({ timelineReport: report });
+            this.audit('file_checked', {
+                details: {
+                    fileName: source.name,
+                    kind: source.kind,
+                    complete: report.complete,
+                    frameCount: report.summary.frameCount,
+                    stateCounts: report.summary.stateCounts,
+                    identities: report.summary.identities
+                }
+            });
+            return report;
+        } catch (err) {
+            if (!isCancelled()) this.setError('File check failed: ' + err.message);
+            throw err;
+        } finally {
+            if (this.fileAbort === abort) this.fileAbort = null;
+            if (source) source.release();
+            if (this.model) this.model.resetLiveness();
+            this.setState({ fileAnalysis: null });
+        }
+    }
+
+    /**
+     * Stops a running file check: a pending load or seek is abandoned, otherwise it stops after the current frame
+     */
+    cancelFileAnalysis() {
+        this.fileRun++;
+        if (this.fileAbort) this.fileAbort.abort();
+    }
+
+    clearTimelineReport() {
+        this.setState({ timelineReport: null });
+    }
+
+    /**
+     * Clears the identity gallery and resets state
+     */
+    reset() {
+        this.audit('reset', { details: { identities: this.state.gallery.length } });
+        this.stopVerification();
+        this.enrollmentCancelled = true;
+        this.commitGallery([]);
+        this.setState({ verificationResult: null });
+        this.setError(null);
+    }
+
+    // --- Template store ---
+
+    /**
+     * Unlocks the encrypted store and loads its identities into the gallery
+     * Leave the passphrase empty to use (or initialize) a device-derived key.
+     */
+    async unlockStore(passphrase) {
+        const store = this.store;
+
+        try {
+            this.setError(null);
+            const identities = await store.unlock(passphrase || undefined);
+            this.setState({ gallery: identities });
+            await this.loadIntruders(store);
+            this.setState({ storeStatus: await store.getStatus() });
+        } catch (err) {
+            this.setError(err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Re-encrypts the stored templates under a new passphrase, or under the device key when it is empty
+     * Switches a device-key store to a passphrase (or back) without wiping it; the store must be unlocked.
+     */
+    async rekeyStore(passphrase) {
+        const store = this.store;
+
+        try {
+            this.setError(null);
+            // Queued with the saves, so none of them lands between reading the records and rewriting them
+            const rekeyed = this.persistQueue.then(() => store.rekey(passphrase || undefined));
+            this.persistQueue = rekeyed.catch(() => {});
+            await rekeyed;
+            this.setState({ storeStatus: await store.getStatus() });
+            this.audit('store_rekeyed', { details: { mode: store.meta.mode } });
+        } catch (err) {
+            this.setError(err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Drops the key and clears the in-memory gallery and intruders; stored templates are kept
+     */
+    async lockStore() {
+        this.stopVerification();
+        this.enrollmentCancelled = true;
+        await this.persistQueue;
+
+        this.store.lock();
+        this.unloadIntruders();
+        this.setState({ gallery: [], verificationResult: null, storeStatus: await this.store.getStatus() });
+    }
+
+    /**
+     * Permanently deletes every stored template, the intruders and the key material
+     */
+    async wipeStore() {
+        this.stopVerification();
+        this.enrollmentCancelled = true;
+        await this.persistQueue;
+
+        await this.store.wipe();
+        this.unloadIntruders();
+        this.lockedEncounters = [];
+        this.setState({ gallery: [], verificationResult: null, pendingEncounters: 0, storeStatus: await this.store.getStatus() });
+        this.audit('store_wiped');
+    }
+
+    // --- Audit log ---
+
+    /**
+     * Appends an entry to the audit log and publishes the new chain head
+     * Resolves with the entry, or null when the log is not open; failures are reported through error.
+     */
+    audit(type, record = {}) {
+        const auditLog = this.auditLog;
+        if (!auditLog) return Promise.resolve(null);
+
+        return auditLog.append(type, record)
+            .then(entry => {
+                if (auditLog === this.auditLog) this.setState({ auditHead: { seq: entry.seq, hash: entry.hash } });
+                return entry;
+            })
+            .catch(err => {
+                this.setError('Failed to write audit log: ' + err.message);
+                return null;
+            });
+    }
+
+    /**
+     * Audit entries matching filter = { types, person, from, to }, newest first
+     * Resolves with { entries, total }, entries being the page at offset/limit.
+     */
+    async queryAudit({ offset = 0, limit = this.config.AUDIT.PAGE_SIZE, ...filter } = {}) {
+        if (!this.auditLog) return { entries: [], total: 0 };
+
+        const matching = filterAuditEntries(await this.auditLog.list(), filter).reverse();
+        return { entries: matching.slice(offset, offset + limit), total: matching.length };
+    }
+
+    /**
+     * Recomputes the hash chain; the result is published as auditIntegrity
+     */
+    async verifyAudit() {
+        if (!this.auditLog) throw new Error('Audit log not open');
+
+        const integrity = { ...await this.auditLog.verify(), checkedAt: Date.now() };
+        const head = await this.auditLog.getHead();
+        this.setState({ auditIntegrity: integrity, auditHead: { seq: head.seq, hash: head.hash } });
+        return integrity;
+    }
+
+    /**
+     * Audit entries matching filter (oldest first) as 'csv' or 'json' text
+     * The JSON export also carries a fresh integrity check of the whole chain.
+     */
+    async exportAudit(filter = {}, format = 'json') {
+        if (!this.auditLog) throw new Error('Audit log not open');
+
+        const entries = filterAuditEntries(await this.auditLog.list(), filter);
+        if (format === 'csv') return auditToCsv(entries);
+        if (format !== 'json') throw new Error(`Unknown export format "${format}"`);
+
+        const integrity = await this.verifyAudit();
+        return JSON.stringify({ exportedAt: new Date().toISOString(), integrity, filter, entries }, null, 2);
+    }
+}
+
+export default FaceSentinel;
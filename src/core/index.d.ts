@@ -0,0 +1,602 @@
+// Type declarations for the framework-agnostic Face Sentinel library (src/core/index.js)
+
+export type Embedding = Float32Array | number[];
+
+export interface Box {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+export interface Identity {
+    id: number;
+    name: string;
+    embedding: Embedding;
+    samples: { embedding: Embedding; pose: string | null }[];
+    enrolledAt: string;
+    /** present once the template has adapted (see adaptTemplate) */
+    adaptation?: TemplateAdaptation;
+}
+
+export interface TemplateAdaptation {
+    enrollment: { embedding: Embedding; samples: Identity['samples'] };
+    samples: { embedding: number[]; time: number }[];
+    /** update times within the last day */
+    updates: number[];
+    shift: number;
+}
+
+export interface LivenessSummary {
+    confidence: number;
+    scores: Record<string, number>;
+}
+
+export type DecisionState = 'pending' | 'verified' | 'unverified' | 'spoof' | 'poor_quality' | 'no_face';
+export type MatchLevel = 'very_high' | 'high' | 'medium' | 'uncertain' | 'low';
+
+export interface VerificationResult {
+    state?: DecisionState;
+    since?: number;
+    isSame: boolean;
+    identity?: Identity | null;
+    identityName?: string;
+    spoofing?: boolean;
+    level: MatchLevel | 'spoofing' | 'quality' | 'pending' | 'challenge';
+    message: string;
+    /** descriptor distance (lower = more similar) */
+    confidence: number | null;
+    /** calibrated match probability (0-1, see MATCHING.CALIBRATION) */
+    probability?: number | null;
+    /** probability as a percentage */
+    displayConfidence?: number;
+    details?: string;
+    hint?: string;
+    faces?: FaceResult[];
+}
+
+export interface FaceResult extends VerificationResult {
+    trackId: number;
+    box: Box;
+    frameWidth: number;
+    frameHeight: number;
+}
+
+export interface EnrollmentProgress {
+    captured: number;
+    target: number;
+    hint: string;
+    lastRejection: string | null;
+    message: string;
+}
+
+export interface ChallengeProgress {
+    status: 'pending' | 'passed' | 'failed';
+    step: number;
+    total: number;
+    challenge: string;
+    instruction: string;
+    timeRemainingMs: number;
+    reason: string | null;
+}
+
+export interface StoreStatus {
+    initialized: boolean;
+    mode: 'passphrase' | 'device' | null;
+    isLocked: boolean;
+    count: number;
+}
+
+export interface UnauthorizedLog {
+    id: number;
+    time: number;
+    timestamp: string;
+    fullDate: string;
+    personLabel: string;
+    personId: number;
+}
+
+export interface IntruderSnapshot {
+    id: number;
+    logId: number;
+    personId: number;
+    capturedAt: number;
+    size: number;
+    url: string;
+}
+
+export interface IntruderSummary {
+    personId: number;
+    label: string;
+    name: string;
+    note: string;
+    sampleCount: number;
+    canSplit: boolean;
+    isClustered: boolean;
+    encounters: number;
+    firstSeen: number;
+    lastSeen: number;
+    snapshots: IntruderSnapshot[];
+}
+
+export interface IntruderRecord {
+    id: number;
+    name: string;
+    note: string;
+    centroid: number[];
+    sampleCount: number;
+    samples: { embedding: number[]; logId: number; time: number }[];
+    firstSeen: number;
+    lastSeen: number;
+}
+
+export type GuardReason = 'awaiting_owner' | 'owner_absent' | 'shoulder_surfing' | 'manual' | 'paused';
+
+export interface GuardState {
+    isLocked: boolean;
+    reason: GuardReason | null;
+    message: string | null;
+    since: number;
+}
+
+export interface GuardLogEntry {
+    id: number;
+    time: number;
+    type: 'lock' | 'unlock';
+    reason: GuardReason;
+    fullDate: string;
+}
+
+export type TimelineState = 'verified' | 'unverified' | 'spoof' | 'poor_quality' | 'no_face';
+
+export interface TimelineFace {
+    state: Exclude<TimelineState, 'no_face'>;
+    identity: { id: number; name: string } | null;
+    distance: number | null;
+    level: MatchLevel | null;
+    box: Box;
+    liveness: LivenessSummary | null;
+    hint: string | null;
+}
+
+export interface TimelineSegment {
+    state: TimelineState;
+    startMs: number;
+    endMs: number;
+    frameCount: number;
+    identities: string[];
+    maxFaces: number;
+    minDistance: number | null;
+}
+
+export interface TimelineReport {
+    version: 1;
+    source: { name: string; kind: 'image' | 'video'; durationMs: number; width: number; height: number };
+    analyzedAt: string;
+    complete: boolean;
+    strideMs: number;
+    settings: { similarityThreshold: number; livenessPassThreshold: number | null; galleryIdentities: number };
+    summary: {
+        frameCount: number;
+        stateCounts: Record<TimelineState, number>;
+        stateDurations: Record<TimelineState, number>;
+        identities: { id: number; name: string; firstSeenMs: number; frameCount: number }[];
+    };
+    segments: TimelineSegment[];
+    frames: { timeMs: number; faces: TimelineFace[] }[];
+}
+
+export interface FileAnalysisProgress {
+    fileName: string;
+    kind: 'image' | 'video' | null;
+    processedMs: number;
+    durationMs: number;
+}
+
+export type AuditEventType =
+    | 'enrolled' | 'identity_renamed' | 'identity_removed' | 'reset'
+    | 'verified' | 'mismatch' | 'spoof' | 'file_checked'
+    | 'locked' | 'unlocked' | 'logs_cleared' | 'store_wiped' | 'store_rekeyed' | 'template_adapted' | 'template_rolled_back';
+
+export interface AuditEntry {
+    seq: number;
+    time: number;
+    type: AuditEventType;
+    personId: number | null;
+    personName: string | null;
+    details: Record<string, unknown>;
+    /** hash of the previous entry (64 zeros for the first) */
+    prevHash: string;
+    /** hex SHA-256 over prevHash and this entry's fields */
+    hash: string;
+}
+
+export interface AuditFilter {
+    types?: AuditEventType[];
+    /** identity/intruder id, or part of the name */
+    person?: string;
+    from?: number | null;
+    to?: number | null;
+}
+
+export interface AuditIntegrity {
+    ok: boolean;
+    count: number;
+    /** hash of the last intact entry */
+    headHash: string;
+    /** seq of the first altered entry (or the one after a removed entry) */
+    brokenAt: number | null;
+    reason: string | null;
+    checkedAt: number;
+}
+
+export const AUDIT_EVENTS: AuditEventType[];
+
+export class AuditLog {
+    constructor(config?: { DB_NAME: string; DB_VERSION: number; PAGE_SIZE: number });
+    open(): Promise<AuditLog>;
+    close(): void;
+    list(): Promise<AuditEntry[]>;
+    getHead(): Promise<{ seq: number; hash: string }>;
+    append(type: AuditEventType, record?: { personId?: number | null; personName?: string | null; details?: Record<string, unknown>; time?: number }): Promise<AuditEntry>;
+    verify(): Promise<Omit<AuditIntegrity, 'checkedAt'>>;
+}
+
+export function auditToCsv(entries: AuditEntry[]): string;
+export function filterAuditEntries(entries: AuditEntry[], filter?: AuditFilter): AuditEntry[];
+
+// --- Events ---
+
+export interface SentinelEventMap {
+    verified: {
+        timestamp: number; trackId: number | null; identity: { id: number; name: string };
+        distance: number | null; probability: number | null; calibrated: boolean; level: MatchLevel; liveness: LivenessSummary | null;
+    };
+    mismatch: {
+        timestamp: number; trackId: number | null; distance: number | null; probability: number | null; calibrated: boolean;
+        level: MatchLevel; personId: number | null; liveness: LivenessSummary | null;
+    };
+    spoof: { timestamp: number; trackId: number | null; reason: string; liveness: LivenessSummary | null };
+    noFace: { timestamp: number };
+    enrolled: { timestamp: number; identity: { id: number; name: string }; source: 'enrollment' | 'image' | 'intruder' };
+    modelLoaded: { timestamp: number; runtime: 'worker' | 'main'; detector: string };
+    locked: { timestamp: number; reason: GuardReason };
+    unlocked: { timestamp: number; reason: GuardReason };
+    error: { timestamp: number; message: string };
+    /** a webhook delivery given up on; never forwarded to the webhook itself */
+    webhookDropped: { timestamp: number; eventType: SentinelEventType; eventId: string; attempts: number; reason: string };
+}
+
+export type SentinelEventType = keyof SentinelEventMap;
+
+export const SENTINEL_EVENTS: SentinelEventType[];
+
+export class SentinelEventEmitter {
+    on<K extends SentinelEventType>(type: K, listener: (payload: SentinelEventMap[K]) => void): () => void;
+    off<K extends SentinelEventType>(type: K, listener: (payload: SentinelEventMap[K]) => void): void;
+    once<K extends SentinelEventType>(type: K, listener: (payload: SentinelEventMap[K]) => void): () => void;
+    onAny(listener: <K extends SentinelEventType>(type: K, payload: SentinelEventMap[K]) => void): () => void;
+    emit<K extends SentinelEventType>(type: K, payload: Omit<SentinelEventMap[K], 'timestamp'>): void;
+    removeAllListeners(): void;
+}
+
+// --- Webhooks ---
+
+export interface WebhookOptions {
+    url: string;
+    secret?: string;
+    events?: SentinelEventType[];
+}
+
+export interface WebhookQueueItem {
+    id: string;
+    type: SentinelEventType;
+    payload: unknown;
+    createdAt: number;
+    attempts: number;
+    nextAttemptAt: number;
+}
+
+export function signPayload(secret: string, timestamp: string, body: string): Promise<string>;
+
+export class WebhookSink {
+    constructor(options: WebhookOptions & {
+        onDrop?: (item: WebhookQueueItem, reason: string) => void;
+        /** the replaced sink's stop(); the queue is taken over once it resolves */
+        after?: Promise<void> | null;
+        storage?: Pick<Storage, 'getItem' | 'setItem'>;
+        config?: Record<string, unknown>;
+    });
+    attach(emitter: SentinelEventEmitter): () => void;
+    enqueue(type: SentinelEventType, payload: unknown): void;
+    flush(): Promise<void>;
+    getQueue(): WebhookQueueItem[];
+    /** resolves once the request in flight, if any, has finished */
+    stop(): Promise<void>;
+}
+
+// --- Presence guard ---
+
+export const GUARD_REASONS: Record<GuardReason, string>;
+
+export class PresenceGuard {
+    constructor(options?: { ownerId?: number | null; config?: Record<string, unknown> });
+    resume(now?: number): void;
+    lock(reason: GuardReason, now?: number): { type: 'lock'; reason: GuardReason } | null;
+    update(faces: FaceResult[], now?: number): { type: 'lock' | 'unlock'; reason: GuardReason } | null;
+    getState(): GuardState;
+}
+
+// --- Liveness ---
+
+export interface LivenessFrame {
+    landmarks: unknown;
+    box: Box;
+    timestamp: number;
+    pixels?: ImageData;
+    context?: { pixels: ImageData; face: Box };
+}
+
+export interface LivenessScorer<State = unknown> {
+    name: string;
+    weight?: number;
+    usesPixels?: boolean;
+    usesContext?: boolean;
+    createState?: () => State;
+    score(frame: LivenessFrame, state: State, config: Record<string, any>): number | { score: number | null; extra?: Record<string, unknown> } | null;
+}
+
+export function registerLivenessScorer(scorer: LivenessScorer): void;
+export function getLivenessScorers(): LivenessScorer[];
+
+export class LivenessSession {
+    constructor(options?: { scorers?: LivenessScorer[]; config?: Record<string, any> });
+    addScorer(scorer: LivenessScorer): void;
+    removeScorer(name: string): void;
+    reset(): void;
+    /** timestamp (ms) defaults to Date.now(); pass the media time for frames from a file */
+    evaluate(input: unknown, landmarks: unknown, box: Box, timestamp?: number): { isLive: boolean; confidence: number; scores: Record<string, number>; reason: string };
+}
+
+// --- Models ---
+
+export interface FaceAnalysis {
+    embedding: Float32Array;
+    liveness: { isLive: boolean; confidence: number; scores: Record<string, number>; reason: string };
+    quality: { isAcceptable: boolean; issues: string[]; hint: string | null; metrics: Record<string, number> };
+    box: Box;
+    landmarks: unknown;
+}
+
+export class FaceApiRecognitionModel {
+    constructor(options?: {
+        config?: SentinelConfig;
+        detector?: 'tiny' | 'ssd' | 'blazeface';
+        detectorOptions?: Record<string, unknown>;
+        livenessScorers?: LivenessScorer[];
+        metric?: MatchingConfig['METRIC'];
+    });
+    loadModel(url?: string, options?: { fromDisk?: boolean; onProgress?: (progress: ModelLoadProgress) => void }): Promise<boolean>;
+    extractEmbedding(input: unknown, options?: { timestamp?: number }): Promise<FaceAnalysis | null>;
+    extractAllEmbeddings(input: unknown, options?: { timestamp?: number }): Promise<FaceAnalysis[]>;
+    /** distance under the model's metric */
+    compareFaces(embedding1: Embedding, embedding2: Embedding): number;
+    matchProbability(distance: number | null): number | null;
+    readonly config: SentinelConfig;
+    readonly metric: string;
+    isSamePerson(embedding1: Embedding, embedding2: Embedding, threshold?: number): { isSame: boolean; confidence: number; probability: number; level: MatchLevel };
+    identify(embedding: Embedding, gallery: Identity[], threshold?: number): {
+        isSame: boolean; identity: Identity | null; confidence: number; probability: number; level: MatchLevel;
+    };
+    resetLiveness(): void;
+    dispose(): void;
+}
+
+export class WorkerRecognitionModel extends FaceApiRecognitionModel {
+    constructor(options?: {
+        config?: SentinelConfig;
+        detector?: 'tiny' | 'ssd' | 'blazeface';
+        detectorOptions?: Record<string, unknown>;
+        livenessScorers?: LivenessScorer[];
+        metric?: MatchingConfig['METRIC'];
+        /** the worker of a loaded model crashed; its pending requests have been rejected */
+        onFailure?: ((error: Error) => void) | null;
+    });
+}
+
+export function supportsInferenceWorker(): boolean;
+
+export interface ModelCacheConfig {
+    ENABLED: boolean;
+    CACHE_NAME: string;
+    VERSION: number;
+    REQUIRE_HASHES: boolean;
+    MAX_RETRIES: number;
+    RETRY_DELAY_MS: number;
+}
+
+export interface ModelLoadProgress {
+    loadedBytes: number;
+    /** grows as each net's manifest arrives */
+    totalBytes: number;
+    /** part of loadedBytes read from Cache Storage */
+    cachedBytes: number;
+    retries: number;
+}
+
+/** Loads face-api.js nets through Cache Storage, checking each shard's SHA-256 from its manifest */
+export class ModelWeightCache {
+    constructor(config?: ModelCacheConfig, options?: { onProgress?: (progress: ModelLoadProgress) => void });
+    readonly progress: ModelLoadProgress;
+    loadNet(net: { getDefaultModelName(): string; loadFromWeightMap(weightMap: unknown): void }, baseUrl: string): Promise<void>;
+}
+
+export function getManifestBytes(manifest: { weights: { shape: number[]; dtype: string; quantization?: { dtype: string } }[] }[]): number;
+
+export type DistanceFunction = (a: Embedding, b: Embedding) => number;
+
+/** Adds or replaces a metric; distances must be on the Euclidean scale of the thresholds */
+export function registerDistanceMetric(name: string, distance: DistanceFunction): void;
+export function getDistanceMetrics(): string[];
+export function createDistanceMetric(name?: string, weights?: Record<string, number>): DistanceFunction;
+/** distance under a metric name (defaults to MODEL_CONFIG.MATCHING) */
+export function descriptorDistance(a: Embedding, b: Embedding, metric?: string, weights?: Record<string, number>): number;
+
+export interface MatchCalibration {
+    A: number;
+    B: number;
+    /** true once A and B were fitted to labelled pairs (npm run evaluate); otherwise p is only a score */
+    FITTED?: boolean;
+}
+
+export interface MatchingConfig {
+    METRIC: 'euclidean' | 'cosine' | 'ensemble' | (string & {});
+    ENSEMBLE_WEIGHTS: Record<string, number>;
+    CALIBRATION: MatchCalibration;
+}
+
+/** p = 1 / (1 + exp(A * distance + B)); null for a missing distance */
+export function matchProbability(distance: number | null, calibration?: MatchCalibration): number | null;
+/** Platt scaling fitted to genuine and impostor distances */
+export function fitPlattScaling(genuine: number[], impostor: number[]): MatchCalibration & { iterations: number };
+
+export interface AdaptationConfig {
+    MAX_SAMPLES: number;
+    MIN_SAMPLE_DISTANCE: number;
+    MAX_SHIFT: number;
+    MIN_INTERVAL_MS: number;
+    MAX_UPDATES_PER_DAY: number;
+}
+
+export type AdaptationRejection = 'rate_limited' | 'too_far' | 'redundant' | 'max_shift';
+
+export function adaptTemplate(
+    identity: Identity,
+    embedding: Embedding,
+    config?: AdaptationConfig,
+    options?: { maxDistance?: number; now?: number; matching?: MatchingConfig }
+): { identity: Identity; shift: number } | { rejected: AdaptationRejection };
+export function rollbackTemplate(identity: Identity): Identity;
+export function getEnrollmentSnapshot(identity: Identity): { embedding: Embedding; samples: Identity['samples'] };
+export function getTemplateShift(identity: Identity, matching?: MatchingConfig): number;
+
+export interface SentinelConfig {
+    SIMILARITY_THRESHOLD: number;
+    HIGH_CONFIDENCE: number;
+    VERY_HIGH_CONFIDENCE: number;
+    UNCERTAIN_THRESHOLD: number;
+    VERIFICATION_INTERVAL_MS: number;
+    MODEL_URL: string;
+    LOGS: { MAX_UNAUTHORIZED: number; MAX_GUARD: number };
+    AUDIT: { DB_NAME: string; DB_VERSION: number; PAGE_SIZE: number };
+    MODEL_CACHE: ModelCacheConfig;
+    MATCHING: MatchingConfig;
+    ADAPTATION: AdaptationConfig;
+    [section: string]: any;
+}
+
+type DeepPartial<T> = { [K in keyof T]?: T[K] extends any[] ? T[K] : T[K] extends object ? DeepPartial<T[K]> : T[K] };
+
+export type ConfigOverrides = DeepPartial<SentinelConfig>;
+export type ProfileName = 'strict' | 'balanced' | 'convenient';
+
+export const MODEL_CONFIG: SentinelConfig;
+export const CONFIG_PROFILES: Record<ProfileName, ConfigOverrides>;
+export const DEFAULT_PROFILE: ProfileName;
+
+/** MODEL_CONFIG, then the profile, then the overrides; throws listing every issue when invalid */
+export function resolveConfig(options?: { profile?: ProfileName; overrides?: ConfigOverrides | null }): SentinelConfig;
+/** Issues with a complete configuration (empty when usable) */
+export function validateConfig(config: SentinelConfig): string[];
+export function mergeConfig<T extends object>(base: T, overrides?: DeepPartial<T>): T;
+
+// --- Core ---
+
+export interface FaceSentinelOptions {
+    activeLiveness?: boolean;
+    multiFace?: boolean;
+    captureSnapshots?: boolean;
+    /** fold live very_high matches into the matched identity's template */
+    adaptTemplates?: boolean;
+    webhook?: WebhookOptions | null;
+    guard?: { ownerId?: number | null } | null;
+    profile?: ProfileName;
+    config?: ConfigOverrides | null;
+}
+
+export interface FaceSentinelState {
+    isLoading: boolean;
+    isModelReady: boolean;
+    modelProgress: ModelLoadProgress | null;
+    error: string | null;
+    verificationResult: VerificationResult | null;
+    faceResults: FaceResult[];
+    isVerifying: boolean;
+    hasReference: boolean;
+    gallery: Identity[];
+    enrollmentProgress: EnrollmentProgress | null;
+    challengeProgress: ChallengeProgress | null;
+    storeStatus: StoreStatus;
+    pendingEncounters: number;
+    snapshots: IntruderSnapshot[];
+    intruderClusters: IntruderRecord[];
+    unauthorizedLogs: UnauthorizedLog[];
+    intruders: IntruderSummary[];
+    guardState: GuardState | null;
+    guardLog: GuardLogEntry[];
+    fileAnalysis: FileAnalysisProgress | null;
+    timelineReport: TimelineReport | null;
+    auditHead: { seq: number; hash: string } | null;
+    auditIntegrity: AuditIntegrity | null;
+    config: SentinelConfig;
+}
+
+export class FaceSentinel {
+    constructor(options?: FaceSentinelOptions);
+
+    readonly events: SentinelEventEmitter;
+    readonly config: SentinelConfig;
+
+    getState(): FaceSentinelState;
+    subscribe(listener: (state: FaceSentinelState) => void): () => void;
+    setOptions(options: FaceSentinelOptions): void;
+
+    init(): Promise<void>;
+    dispose(): void;
+
+    /** A live video runs guided enrollment; a still image or image File enrolls one sample without liveness */
+    enrollFace(source: HTMLVideoElement | HTMLImageElement | HTMLCanvasElement | ImageBitmap | File, name?: string): Promise<Identity>;
+    cancelEnrollment(): void;
+    renameIdentity(id: number, name: string): void;
+    removeIdentity(id: number): void;
+    /** Restores the enrollment template; throws for an unknown identity */
+    rollbackTemplate(id: number): void;
+
+    startVerification(video: HTMLVideoElement): void;
+    stopVerification(): void;
+    verifySingleFrame(video: HTMLVideoElement): Promise<VerificationResult | null>;
+
+    analyzeFile(file: File, options?: { strideMs?: number }): Promise<TimelineReport>;
+    cancelFileAnalysis(): void;
+    clearTimelineReport(): void;
+
+    mergeIntruders(targetId: number, sourceId: number): IntruderRecord;
+    splitIntruder(id: number): IntruderRecord;
+    labelIntruder(id: number, label: { name?: string; note?: string }): IntruderRecord;
+    promoteIntruder(id: number, name: string): Identity;
+    clearLogs(): void;
+
+    queryAudit(query?: AuditFilter & { offset?: number; limit?: number }): Promise<{ entries: AuditEntry[]; total: number }>;
+    verifyAudit(): Promise<AuditIntegrity>;
+    /** Matching entries, oldest first; the JSON export includes a fresh integrity check */
+    exportAudit(filter?: AuditFilter, format?: 'csv' | 'json'): Promise<string>;
+
+    lockWorkstation(): void;
+    clearGuardLog(): void;
+
+    unlockStore(passphrase?: string): Promise<void>;
+    rekeyStore(passphrase?: string): Promise<void>;
+    lockStore(): Promise<void>;
+    wipeStore(): Promise<void>;
+    reset(): void;
+}
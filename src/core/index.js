@@ -0,0 +1,19 @@
+/**
+ * Face Sentinel library entry (framework-agnostic)
+ * The React binding lives in ./react.
+ */
+
+export { FaceSentinel } from './FaceSentinel';
+export { SentinelEventEmitter, SENTINEL_EVENTS } from '../utils/sentinelEvents';
+export { default as WebhookSink, signPayload } from '../utils/webhookSink';
+export { default as AuditLog, AUDIT_EVENTS, auditToCsv, filterAuditEntries } from '../utils/auditLog';
+export { PresenceGuard, GUARD_REASONS } from '../utils/presenceGuard';
+export { registerLivenessScorer, getLivenessScorers, LivenessSession } from '../utils/livenessDetection';
+export { default as FaceApiRecognitionModel } from '../models/FaceRecognitionModel';
+export { default as WorkerRecognitionModel, supportsInferenceWorker } from '../models/WorkerRecognitionModel';
+export { default as ModelWeightCache, getManifestBytes } from '../utils/modelCache';
+export { registerDistanceMetric, getDistanceMetrics, createDistanceMetric, descriptorDistance } from '../utils/distanceMetrics';
+export { matchProbability, fitPlattScaling } from '../utils/matchCalibration';
+export { adaptTemplate, rollbackTemplate, getEnrollmentSnapshot, getTemplateShift } from '../utils/templateAdaptation';
+export { MODEL_CONFIG, CONFIG_PROFILES, DEFAULT_PROFILE } from '../config/modelConfig';
+export { resolveConfig, validateConfig, mergeConfig } from '../config/configProvider';
@@ -0,0 +1,62 @@
+// Type declarations for the Face Sentinel React binding (src/core/react.js)
+
+import type { ReactNode } from 'react';
+import type {
+    FaceSentinel,
+    FaceSentinelOptions,
+    FaceSentinelState,
+    GuardState,
+    ConfigOverrides,
+    ProfileName,
+    SentinelEventEmitter
+} from './index';
+
+type SentinelActions = Pick<FaceSentinel,
+    | 'enrollFace'
+    | 'cancelEnrollment'
+    | 'renameIdentity'
+    | 'removeIdentity'
+    | 'rollbackTemplate'
+    | 'mergeIntruders'
+    | 'splitIntruder'
+    | 'labelIntruder'
+    | 'promoteIntruder'
+    | 'startVerification'
+    | 'stopVerification'
+    | 'verifySingleFrame'
+    | 'analyzeFile'
+    | 'cancelFileAnalysis'
+    | 'clearTimelineReport'
+    | 'clearLogs'
+    | 'queryAudit'
+    | 'verifyAudit'
+    | 'exportAudit'
+    | 'lockWorkstation'
+    | 'clearGuardLog'
+    | 'unlockStore'
+    | 'rekeyStore'
+    | 'lockStore'
+    | 'wipeStore'
+    | 'reset'>;
+
+export type FaceRecognition = Omit<FaceSentinelState, 'snapshots' | 'intruderClusters'> &
+    SentinelActions & { profile: ProfileName; events: SentinelEventEmitter };
+
+export function useFaceRecognition(options?: FaceSentinelOptions): FaceRecognition;
+
+export interface SentinelGuardProps {
+    state: GuardState | null;
+    mode?: 'blur' | 'hide';
+    children?: ReactNode;
+}
+
+export function SentinelGuard(props: SentinelGuardProps): JSX.Element;
+
+export interface SentinelConfigProviderProps {
+    profile?: ProfileName;
+    config?: ConfigOverrides | null;
+    children?: ReactNode;
+}
+
+export function SentinelConfigProvider(props: SentinelConfigProviderProps): JSX.Element;
+export function useSentinelConfig(): { profile?: ProfileName; config: ConfigOverrides | null };
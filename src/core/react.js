@@ -0,0 +1,7 @@
+/**
+ * Face Sentinel React binding
+ */
+
+export { useFaceRecognition } from '../hooks/useFaceRecognition';
+export { default as SentinelGuard } from '../components/SentinelGuard';
+export { SentinelConfigProvider, useSentinelConfig } from '../components/SentinelConfigProvider';
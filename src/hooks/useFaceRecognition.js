@@ -1,239 +1,133 @@
 /**
  * useFaceRecognition Hook
- * Manages model lifecycle, face enrollment, and real-time verification results.
+ * React binding for FaceSentinel (src/core/FaceSentinel.js), which holds all the logic: model lifecycle,
+ * the enrolled identity gallery, real-time 1:N verification, liveness, intruder logging and the presence guard.
+ * Takes the same options ({ activeLiveness, multiFace, captureSnapshots, adaptTemplates, webhook, guard, profile, config }) and
+ * returns the sentinel's state plus its actions and `events`. profile and config default to the nearest
+ * SentinelConfigProvider.
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
-import FaceApiRecognitionModel from '../models/FaceRecognitionModel';
-import { MODEL_CONFIG } from '../config/modelConfig';
-
-export function useFaceRecognition() {
-    const [isLoading, setIsLoading] = useState(true);
-    const [isModelReady, setIsModelReady] = useState(false);
-    const [error, setError] = useState(null);
-    const [verificationResult, setVerificationResult] = useState(null);
-    const [isVerifying, setIsVerifying] = useState(false);
-
-    const [unauthorizedLogs, setUnauthorizedLogs] = useState(() => {
-        const saved = localStorage.getItem('face_sentinel_unauthorized_logs');
-        return saved ? JSON.parse(saved) : [];
-    });
-
-    const modelRef = useRef(null);
-    const referenceEmbeddingRef = useRef(null);
-    const unauthorizedEmbeddingsRef = useRef([]);
-    const verificationIntervalRef = useRef(null);
-    const videoRef = useRef(null);
+import { useState, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { FaceSentinel } from '../core/FaceSentinel';
+import { useSentinelConfig } from '../components/SentinelConfigProvider';
+import { DEFAULT_PROFILE } from '../config/modelConfig';
+import { mergeConfig } from '../config/configProvider';
+
+const ACTIONS = [
+    'enrollFace',
+    'cancelEnrollment',
+    'renameIdentity',
+    'removeIdentity',
+    'rollbackTemplate',
+    'mergeIntruders',
+    'splitIntruder',
+    'labelIntruder',
+    'promoteIntruder',
+    'startVerification',
+    'stopVerification',
+    'verifySingleFrame',
+    'analyzeFile',
+    'cancelFileAnalysis',
+    'clearTimelineReport',
+    'clearLogs',
+    'queryAudit',
+    'verifyAudit',
+    'exportAudit',
+    'lockWorkstation',
+    'clearGuardLog',
+    'unlockStore',
+    'rekeyStore',
+    'lockStore',
+    'wipeStore',
+    'reset'
+];
+
+export function useFaceRecognition({
+    activeLiveness = false,
+    multiFace = false,
+    captureSnapshots = false,
+    adaptTemplates = false,
+    webhook = null,
+    guard = null,
+    profile,
+    config
+} = {}) {
+    const provided = useSentinelConfig();
+    const activeProfile = profile || provided.profile || DEFAULT_PROFILE;
+    const overrides = provided.config && config ? mergeConfig(provided.config, config) : (config || provided.config || null);
+
+    const [sentinel] = useState(() => new FaceSentinel({
+        activeLiveness,
+        multiFace,
+        captureSnapshots,
+        adaptTemplates,
+        webhook,
+        guard,
+        profile: activeProfile,
+        config: overrides
+    }));
 
     useEffect(() => {
-        localStorage.setItem('face_sentinel_unauthorized_logs', JSON.stringify(unauthorizedLogs));
-    }, [unauthorizedLogs]);
+        sentinel.init();
+        return () => sentinel.dispose();
+    }, [sentinel]);
+
+    // Option objects are usually recreated on every render; only their values matter
+    const webhookUrl = webhook ? webhook.url : null;
+    const webhookSecret = webhook ? webhook.secret : null;
+    const webhookEvents = webhook && webhook.events ? webhook.events.join(',') : null;
+    const guardEnabled = !!guard;
+    const guardOwnerId = guard && guard.ownerId !== undefined ? guard.ownerId : null;
+    const configJson = overrides ? JSON.stringify(overrides) : null;
 
     useEffect(() => {
-        const initModel = async () => {
-            try {
-                setIsLoading(true);
-                modelRef.current = new FaceApiRecognitionModel();
-                await modelRef.current.loadModel();
-                setIsModelReady(true);
-                setIsLoading(false);
-            } catch (err) {
-                setError('Failed to load face recognition model: ' + err.message);
-                setIsLoading(false);
-            }
-        };
-
-        initModel();
-
-        return () => {
-            if (modelRef.current) modelRef.current.dispose();
-            if (verificationIntervalRef.current) clearInterval(verificationIntervalRef.current);
-        };
-    }, []);
-
-    /**
-     * Clusters unauthorized faces to identify unique individuals
-     */
-    const logUnauthorizedEncounter = useCallback((embedding) => {
-        let personId = -1;
-
-        for (let i = 0; i < unauthorizedEmbeddingsRef.current.length; i++) {
-            const comp = modelRef.current.isSamePerson(unauthorizedEmbeddingsRef.current[i], embedding);
-            if (comp.isSame) {
-                personId = i + 1;
-                break;
-            }
-        }
-
-        if (personId === -1) {
-            unauthorizedEmbeddingsRef.current.push(embedding);
-            personId = unauthorizedEmbeddingsRef.current.length;
-        }
-
-        const newLog = {
-            id: Date.now(),
-            timestamp: new Date().toLocaleTimeString(),
-            fullDate: new Date().toLocaleString(),
-            personLabel: `Unauthorized Person #${personId}`,
-            personId: personId
-        };
-
-        setUnauthorizedLogs(prev => [newLog, ...prev].slice(0, 100));
-    }, []);
-
-    /**
-     * Capture reference face for future verification
-     */
-    const enrollFace = useCallback(async (videoElement) => {
-        if (!isModelReady) throw new Error('Model not ready');
-
-        try {
-            setError(null);
-            const result = await modelRef.current.extractEmbedding(videoElement);
-
-            if (!result || !result.embedding) {
-                throw new Error('No face detected. Please ensure your face is visible in the camera.');
-            }
-
-            if (!result.liveness.isLive) {
-                throw new Error(`⚠️ Photo detected! ${result.liveness.reason}`);
-            }
-
-            referenceEmbeddingRef.current = result.embedding;
-            return true;
-        } catch (err) {
-            setError(err.message);
-            throw err;
-        }
-    }, [isModelReady]);
-
-    /**
-     * Checks a single frame against the reference embedding
-     */
-    const verifySingleFrame = useCallback(async (videoElement) => {
-        if (!isModelReady || !referenceEmbeddingRef.current) return null;
-
-        try {
-            const result = await modelRef.current.extractEmbedding(videoElement);
-
-            if (!result || !result.embedding) {
-                setVerificationResult(null);
-                return null;
-            }
-
-            const currentEmbedding = result.embedding;
-            const livenessResult = result.liveness;
-
-            if (!livenessResult.isLive) {
-                setVerificationResult({
-                    isSame: false,
-                    confidence: 0,
-                    level: 'spoofing',
-                    message: `⚠️ Photo/Screen Detected!`,
-                    details: livenessResult.reason
-                });
-                return { isSame: false, spoofing: true };
-            }
-
-            const comparisonResult = modelRef.current.isSamePerson(
-                referenceEmbeddingRef.current,
-                currentEmbedding
-            );
-
-            // Convert Euclidean distance to a presentable confidence percentage
-            // 0.0 distance = 100%, 1.0+ distance = 0%
-            const displayConfidence = Math.max(0, 100 - (comparisonResult.confidence * 100));
-
-            const verifyResult = {
-                ...comparisonResult,
-                displayConfidence,
-                message: comparisonResult.isSame
-                    ? `Same Person (${displayConfidence.toFixed(1)}%)`
-                    : `Different Person (${displayConfidence.toFixed(1)}%)`
-            };
-
-            setVerificationResult(verifyResult);
-
-            if (!comparisonResult.isSame) {
-                logUnauthorizedEncounter(currentEmbedding);
-            }
-
-            return verifyResult;
-        } catch (err) {
-            setError(err.message);
-            return null;
-        }
-    }, [isModelReady, logUnauthorizedEncounter]);
-
-    /**
-     * Starts continuous background verification
-     */
-    const startVerification = useCallback((videoElement) => {
-        if (!isModelReady || !referenceEmbeddingRef.current) {
-            setError('Please enroll a face first');
-            return;
-        }
-
-        if (isVerifying) return;
-
-        setIsVerifying(true);
-        setError(null);
-        videoRef.current = videoElement;
-
-        verifySingleFrame(videoElement);
-
-        verificationIntervalRef.current = setInterval(() => {
-            if (videoRef.current) verifySingleFrame(videoRef.current);
-        }, MODEL_CONFIG.VERIFICATION_INTERVAL_MS);
-    }, [isModelReady, isVerifying, verifySingleFrame]);
-
-    /**
-     * Stops the continuous verification loop
-     */
-    const stopVerification = useCallback(() => {
-        if (verificationIntervalRef.current) {
-            clearInterval(verificationIntervalRef.current);
-            verificationIntervalRef.current = null;
-        }
-
-        setIsVerifying(false);
-        setVerificationResult(null);
-        videoRef.current = null;
-    }, []);
-
-    /**
-     * Clears reference data and resets state
-     */
-    const reset = useCallback(() => {
-        stopVerification();
-        referenceEmbeddingRef.current = null;
-        setVerificationResult(null);
-        setError(null);
-    }, [stopVerification]);
-
-    /**
-     * Clears all security logs from memory and storage
-     */
-    const clearLogs = useCallback(() => {
-        setUnauthorizedLogs([]);
-        unauthorizedEmbeddingsRef.current = [];
-        localStorage.removeItem('face_sentinel_unauthorized_logs');
-    }, []);
+        sentinel.setOptions({
+            activeLiveness,
+            multiFace,
+            captureSnapshots,
+            adaptTemplates,
+            webhook: webhookUrl
+                ? { url: webhookUrl, secret: webhookSecret, events: webhookEvents ? webhookEvents.split(',') : undefined }
+                : null,
+            guard: guardEnabled ? { ownerId: guardOwnerId } : null,
+            profile: activeProfile,
+            config: configJson ? JSON.parse(configJson) : null
+        });
+    }, [sentinel, activeLiveness, multiFace, captureSnapshots, adaptTemplates, webhookUrl, webhookSecret, webhookEvents, guardEnabled,
+        guardOwnerId, activeProfile, configJson]);
+
+    const state = useSyncExternalStore(sentinel.subscribe, sentinel.getState);
+
+    const actions = useMemo(() => Object.fromEntries(
+        ACTIONS.map(name => [name, sentinel[name].bind(sentinel)])
+    ), [sentinel]);
 
     return {
-        isLoading,
-        isModelReady,
-        error,
-        verificationResult,
-        isVerifying,
-        hasReference: !!referenceEmbeddingRef.current,
-        unauthorizedLogs,
-        enrollFace,
-        startVerification,
-        stopVerification,
-        verifySingleFrame,
-        clearLogs,
-        reset
+        isLoading: state.isLoading,
+        isModelReady: state.isModelReady,
+        modelProgress: state.modelProgress,
+        error: state.error,
+        verificationResult: state.verificationResult,
+        faceResults: state.faceResults,
+        isVerifying: state.isVerifying,
+        hasReference: state.hasReference,
+        gallery: state.gallery,
+        enrollmentProgress: state.enrollmentProgress,
+        challengeProgress: state.challengeProgress,
+        storeStatus: state.storeStatus,
+        pendingEncounters: state.pendingEncounters,
+        unauthorizedLogs: state.unauthorizedLogs,
+        intruders: state.intruders,
+        guardState: state.guardState,
+        guardLog: state.guardLog,
+        fileAnalysis: state.fileAnalysis,
+        timelineReport: state.timelineReport,
+        auditHead: state.auditHead,
+        auditIntegrity: state.auditIntegrity,
+        profile: activeProfile,
+        config: state.config,
+        events: sentinel.events,
+        ...actions
     };
 }
 
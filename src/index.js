@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerServiceWorker } from './utils/serviceWorker';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +10,8 @@ root.render(
         <App />
     </React.StrictMode>
 );
+
+// Offline support; left out of development so the dev server's hot reloading is never served from a cache
+if (process.env.NODE_ENV === 'production') {
+    window.addEventListener('load', () => registerServiceWorker());
+}
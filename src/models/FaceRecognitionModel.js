@@ -4,25 +4,56 @@
  */
 
 import * as faceapi from 'face-api.js';
-import { detectLiveness } from '../utils/livenessDetection';
+import { detectLiveness, LivenessSession, getLivenessScorers } from '../utils/livenessDetection';
+import { FaceTracker } from '../utils/faceTracker';
+import { assessFaceQuality } from '../utils/faceQuality';
+import { createFaceDetector, getLargestFace } from '../utils/faceDetection';
+import { ModelWeightCache } from '../utils/modelCache';
+import { createDistanceMetric } from '../utils/distanceMetrics';
+import { matchProbability } from '../utils/matchCalibration';
 import { MODEL_CONFIG } from '../config/modelConfig';
 
 class FaceApiRecognitionModel {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.config] full configuration (defaults to MODEL_CONFIG; see config/configProvider.js)
+     * @param {string} [options.detector] 'tiny' | 'ssd' | 'blazeface' (defaults to config.DETECTOR.BACKEND)
+     * @param {object} [options.detectorOptions] overrides for that backend's config.DETECTOR.OPTIONS
+     * @param {object[]} [options.livenessScorers] scorers for every face's LivenessSession (defaults to the registered ones)
+     * @param {string} [options.metric] 'euclidean' | 'cosine' | 'ensemble' or a registered metric (defaults to config.MATCHING.METRIC)
+     */
+    constructor({
+        config = MODEL_CONFIG,
+        detector = config.DETECTOR.BACKEND,
+        detectorOptions = {},
+        livenessScorers,
+        metric = config.MATCHING.METRIC
+    } = {}) {
+        this.config = config;
+        this.metric = metric;
+        this.distance = createDistanceMetric(metric, config.MATCHING.ENSEMBLE_WEIGHTS);
         this.isReady = false;
         this.modelsLoaded = false;
+        this.detector = createFaceDetector(detector, { ...config.DETECTOR.OPTIONS[detector], ...detectorOptions });
+        this.livenessScorers = livenessScorers;
+        this.livenessTracker = new FaceTracker(config.TRACKING, { ...config.MATCHING, METRIC: metric });
+        this.livenessSessions = new Map();
     }
 
     /**
-     * Load face-api.js models (Full Recognition Net)
+     * Load the detector backend plus face-api.js landmark and recognition nets
+     * In the browser weights go through ModelWeightCache (cached, SHA-256 checked, retried), reporting
+     * onProgress({ loadedBytes, totalBytes, cachedBytes, retries }).
+     * Pass { fromDisk: true } with a directory path when running under Node (see scripts/evaluate-thresholds.js).
      */
-    async loadModel() {
+    async loadModel(url = this.config.MODEL_URL, { fromDisk = false, onProgress } = {}) {
         try {
-            const url = MODEL_CONFIG.MODEL_URL;
+            const weightCache = fromDisk ? null : new ModelWeightCache(this.config.MODEL_CACHE, { onProgress });
+            const loadNet = (net) => (fromDisk ? net.loadFromDisk(url) : weightCache.loadNet(net, url));
             await Promise.all([
-                faceapi.nets.tinyFaceDetector.loadFromUri(url),
-                faceapi.nets.faceLandmark68TinyNet.loadFromUri(url),
-                faceapi.nets.faceRecognitionNet.loadFromUri(url)
+                this.detector.load(url, { fromDisk, loadNet }),
+                loadNet(faceapi.nets.faceLandmark68TinyNet),
+                loadNet(faceapi.nets.faceRecognitionNet)
             ]);
 
             this.modelsLoaded = true;
@@ -35,28 +66,44 @@ class FaceApiRecognitionModel {
     }
 
     /**
-     * Extract 128-D face descriptor
+     * Landmark and descriptor stages for detections from any backend
+     * Mirrors face-api's withFaceLandmarks(true).withFaceDescriptors() chain.
      */
-    async extractEmbedding(input) {
+    async describeDetections(input, detections) {
+        const extractRegions = (regions) => (input instanceof faceapi.tf.Tensor
+            ? faceapi.extractFaceTensors(input, regions)
+            : faceapi.extractFaces(input, regions));
+        const disposeRegions = (regions) => regions.forEach(r => r instanceof faceapi.tf.Tensor && r.dispose());
+
+        const faces = await extractRegions(detections);
+        const landmarksByFace = await Promise.all(faces.map(face => faceapi.nets.faceLandmark68TinyNet.detectLandmarks(face)));
+        disposeRegions(faces);
+
+        const withLandmarks = detections.map((detection, i) =>
+            faceapi.extendWithFaceLandmarks(faceapi.extendWithFaceDetection({}, detection), landmarksByFace[i])
+        );
+
+        const alignedFaces = await extractRegions(withLandmarks.map(r => r.landmarks.align(null, { useDlibAlignment: true })));
+        const descriptors = await Promise.all(alignedFaces.map(face => faceapi.nets.faceRecognitionNet.computeFaceDescriptor(face)));
+        disposeRegions(alignedFaces);
+
+        return withLandmarks.map((result, i) => faceapi.extendWithFaceDescriptor(result, descriptors[i]));
+    }
+
+    /**
+     * Extract 128-D face descriptor of the largest face in the frame
+     * timestamp (ms) is the frame's time for liveness history; defaults to now, pass the media time for files.
+     */
+    async extractEmbedding(input, { timestamp = Date.now() } = {}) {
         if (!this.isReady) throw new Error('Model not loaded');
 
         try {
-            const detection = await faceapi
-                .detectSingleFace(input, new faceapi.TinyFaceDetectorOptions({
-                    inputSize: 224,
-                    scoreThreshold: 0.3
-                }))
-                .withFaceLandmarks(true)
-                .withFaceDescriptor();
-
+            const detection = getLargestFace(await this.detector.detect(input));
             if (!detection) return null;
 
-            const livenessResult = await detectLiveness(input, detection.landmarks, detection.detection);
-
-            return {
-                embedding: Array.from(detection.descriptor),
-                liveness: livenessResult
-            };
+            const [described] = await this.describeDetections(input, [detection]);
+            const [session] = this.getLivenessSessions([described]);
+            return await this.buildResult(input, described, session, timestamp);
         } catch (error) {
             console.error('Error extracting descriptor:', error);
             throw error;
@@ -64,36 +111,111 @@ class FaceApiRecognitionModel {
     }
 
     /**
-     * Standard Euclidean distance comparison
+     * Extract a descriptor for every face in the frame (timestamp as for extractEmbedding)
+     */
+    async extractAllEmbeddings(input, { timestamp = Date.now() } = {}) {
+        if (!this.isReady) throw new Error('Model not loaded');
+
+        try {
+            const detections = await this.detector.detect(input);
+            if (detections.length === 0) return [];
+
+            const described = await this.describeDetections(input, detections);
+            const sessions = this.getLivenessSessions(described);
+
+            const results = [];
+            for (let i = 0; i < described.length; i++) {
+                results.push(await this.buildResult(input, described[i], sessions[i], timestamp));
+            }
+            return results;
+        } catch (error) {
+            console.error('Error extracting descriptors:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * One LivenessSession per face, followed across frames by the model's own tracker
+     * so motion history never mixes two people. Sessions of lost faces are dropped.
+     */
+    getLivenessSessions(described) {
+        const tracked = this.livenessTracker.update(described.map(d => ({
+            box: d.detection.box,
+            embedding: d.descriptor
+        })));
+
+        const liveTracks = new Set(this.livenessTracker.tracks.map(track => track.id));
+        for (const trackId of this.livenessSessions.keys()) {
+            if (!liveTracks.has(trackId)) this.livenessSessions.delete(trackId);
+        }
+
+        return tracked.map(({ trackId }) => {
+            if (!this.livenessSessions.has(trackId)) {
+                this.livenessSessions.set(trackId, new LivenessSession({
+                    scorers: this.livenessScorers || getLivenessScorers(),
+                    config: this.config.LIVENESS
+                }));
+            }
+            return this.livenessSessions.get(trackId);
+        });
+    }
+
+    /**
+     * Clears liveness history, e.g. when verification restarts
+     */
+    resetLiveness() {
+        this.livenessTracker.reset();
+        this.livenessSessions.clear();
+    }
+
+    async buildResult(input, detection, livenessSession, timestamp) {
+        const livenessResult = await detectLiveness(input, detection.landmarks, detection.detection, livenessSession, timestamp);
+        const quality = assessFaceQuality(input, detection.detection.box, detection.landmarks, this.config.QUALITY);
+
+        return {
+            embedding: Array.from(detection.descriptor),
+            liveness: livenessResult,
+            quality,
+            box: detection.detection.box,
+            landmarks: detection.landmarks
+        };
+    }
+
+    /**
+     * Distance between two descriptors under the model's metric (see utils/distanceMetrics.js)
      */
     compareFaces(embedding1, embedding2) {
         if (!embedding1 || !embedding2) return 1.0; // Max distance
 
-        // Convert back to Float32Array if they are normal arrays
-        const e1 = new Float32Array(embedding1);
-        const e2 = new Float32Array(embedding2);
+        return this.distance(embedding1, embedding2);
+    }
 
-        return faceapi.euclideanDistance(e1, e2);
+    /**
+     * Calibrated probability (0-1) that a distance means the same person (see MATCHING.CALIBRATION)
+     */
+    matchProbability(distance) {
+        return matchProbability(distance, this.config.MATCHING.CALIBRATION);
     }
 
     /**
      * Calibrated verification for 6.6MB model
+     * confidence is the distance; probability the calibrated match probability.
      */
-    isSamePerson(embedding1, embedding2, threshold = MODEL_CONFIG.SIMILARITY_THRESHOLD) {
+    isSamePerson(embedding1, embedding2, threshold = this.config.SIMILARITY_THRESHOLD) {
         const distance = this.compareFaces(embedding1, embedding2);
         let level = 'low';
         let isSame = false;
 
-        if (distance <= MODEL_CONFIG.VERY_HIGH_CONFIDENCE) {
+        if (distance <= this.config.VERY_HIGH_CONFIDENCE) {
             level = 'very_high';
             isSame = true;
-        } else if (distance <= MODEL_CONFIG.HIGH_CONFIDENCE) {
+        } else if (distance <= this.config.HIGH_CONFIDENCE) {
             level = 'high';
             isSame = true;
         } else if (distance <= threshold) {
             level = 'medium';
             isSame = true;
-        } else if (distance <= 0.8) {
+        } else if (distance <= this.config.UNCERTAIN_THRESHOLD) {
             level = 'uncertain';
             isSame = false;
         } else {
@@ -101,10 +223,31 @@ class FaceApiRecognitionModel {
             isSame = false;
         }
 
-        return { isSame, confidence: distance, level };
+        return { isSame, confidence: distance, probability: this.matchProbability(distance), level };
+    }
+
+    /**
+     * 1:N identification against a gallery of enrolled identities
+     * Returns the closest identity, or identity: null when nobody matches.
+     */
+    identify(embedding, gallery, threshold = this.config.SIMILARITY_THRESHOLD) {
+        let best = null;
+
+        for (const identity of gallery) {
+            const comparison = this.isSamePerson(identity.embedding, embedding, threshold);
+            if (!best || comparison.confidence < best.confidence) {
+                best = { ...comparison, identity };
+            }
+        }
+
+        if (!best) return { isSame: false, confidence: 1.0, probability: this.matchProbability(1.0), level: 'low', identity: null };
+
+        return { ...best, identity: best.isSame ? best.identity : null };
     }
 
     dispose() {
+        this.detector.dispose();
+        this.resetLiveness();
         this.isReady = false;
         this.modelsLoaded = false;
     }
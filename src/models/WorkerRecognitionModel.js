@@ -0,0 +1,170 @@
+/**
+ * Worker-backed Face Recognition
+ * Same interface as FaceApiRecognitionModel, but detection, landmarks, descriptors, liveness and quality run
+ * in src/workers/inference.worker.js. Comparison methods stay on the main thread (they are cheap).
+ * Liveness scorers cross over by name, so only the built-in ones can run in the worker: with a custom scorer
+ * registered (or passed as livenessScorers) loadModel fails, and FaceSentinel uses FaceApiRecognitionModel instead.
+ * A worker that fails to start rejects loadModel; one that crashes later rejects every pending request and
+ * calls onFailure, so FaceSentinel can move to the main thread.
+ */
+
+import FaceApiRecognitionModel from './FaceRecognitionModel';
+import { getLivenessScorers, getBuiltInScorerNames } from '../utils/livenessDetection';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+/**
+ * Worker inference needs module workers, OffscreenCanvas (with its 2D context, for face-api's setEnv) and createImageBitmap
+ */
+export function supportsInferenceWorker() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof OffscreenCanvasRenderingContext2D !== 'undefined'
+        && typeof createImageBitmap === 'function';
+}
+
+class WorkerRecognitionModel extends FaceApiRecognitionModel {
+    constructor({
+        config = MODEL_CONFIG,
+        detector = config.DETECTOR.BACKEND,
+        detectorOptions = {},
+        metric,
+        livenessScorers,
+        onFailure = null
+    } = {}) {
+        super({ config, detector, detectorOptions, metric, livenessScorers });
+        this.detectorBackend = detector;
+        this.detectorOptions = detectorOptions;
+        this.onFailure = onFailure;
+        this.worker = null;
+        this.nextRequestId = 1;
+        this.pending = new Map();
+        this.inFlight = Promise.resolve();
+    }
+
+    /**
+     * onProgress receives the progress messages the worker posts before the result
+     */
+    request(type, payload = {}, transfer = [], onProgress = null) {
+        if (!this.worker) return Promise.reject(new Error('Inference worker is not running'));
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject, onProgress });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    handleMessage(event) {
+        const { id, result, error, progress } = event.data;
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        if (progress) {
+            if (request.onProgress) request.onProgress(progress);
+            return;
+        }
+
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+    }
+
+    /**
+     * The worker is gone (script failed to load, crashed, or sent an unreadable message):
+     * rejects every pending request, and reports the failure when the model was already in use
+     */
+    handleFailure(error) {
+        if (!this.worker) return;
+
+        const wasReady = this.isReady;
+        this.worker.terminate();
+        this.worker = null;
+        this.isReady = false;
+        this.modelsLoaded = false;
+
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+
+        if (wasReady && this.onFailure) this.onFailure(error);
+    }
+
+    /**
+     * The worker's scorers are fixed here: scorers registered afterwards are not picked up
+     */
+    async loadModel(url = this.config.MODEL_URL, { onProgress } = {}) {
+        try {
+            const livenessScorers = getBuiltInScorerNames(this.livenessScorers || getLivenessScorers());
+            if (!livenessScorers) throw new Error('Custom liveness scorers cannot run in the inference worker');
+
+            this.worker = new Worker(new URL('../workers/inference.worker.js', import.meta.url));
+            this.worker.onmessage = (event) => this.handleMessage(event);
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                this.handleFailure(new Error(`Inference worker failed: ${event.message || 'the script could not be loaded'}`));
+            };
+            this.worker.onmessageerror = () => this.handleFailure(new Error('Inference worker sent a message that could not be read'));
+
+            await this.request('load', {
+                url,
+                config: this.config,
+                detector: this.detectorBackend,
+                detectorOptions: this.detectorOptions,
+                livenessScorers
+            }, [], onProgress);
+
+            this.modelsLoaded = true;
+            this.isReady = true;
+            return true;
+        } catch (error) {
+            console.error('Error loading models in worker:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sends one frame to the worker. Calls are serialized so at most one frame is ever in flight.
+     */
+    extractFromFrame(input, mode, { timestamp = Date.now() } = {}) {
+        if (!this.isReady) return Promise.reject(new Error('Model not loaded'));
+
+        const run = this.inFlight.then(async () => {
+            const frame = await createImageBitmap(input);
+            return this.request('extract', { frame, mode, timestamp }, [frame]);
+        });
+
+        this.inFlight = run.catch(() => {});
+        return run;
+    }
+
+    async extractEmbedding(input, options) {
+        return this.extractFromFrame(input, 'single', options);
+    }
+
+    async extractAllEmbeddings(input, options) {
+        return this.extractFromFrame(input, 'all', options);
+    }
+
+    /**
+     * Clears the worker's liveness sessions, after any frame still in flight
+     */
+    resetLiveness() {
+        super.resetLiveness();
+        if (!this.worker) return;
+
+        this.inFlight = this.inFlight.then(() => this.request('resetLiveness')).catch(() => {});
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.pending.forEach(({ reject }) => reject(new Error('Model disposed')));
+        this.pending.clear();
+        this.isReady = false;
+        this.modelsLoaded = false;
+    }
+}
+
+export default WorkerRecognitionModel;
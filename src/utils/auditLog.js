@@ -0,0 +1,191 @@
+/**
+ * Audit Log
+ * Append-only, hash-chained record of security events in IndexedDB (MODEL_CONFIG.AUDIT).
+ * Every entry stores hash = SHA-256(prevHash + '\n' + its fields as canonical JSON), so editing, deleting or
+ * reordering any entry breaks the chain from that point on; verify() finds the first broken link.
+ * Anyone who can write to the database can still rebuild the whole chain: note (or export) the head hash
+ * somewhere else to detect that.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { openDatabase, promisifyRequest, transactionDone } from './indexedDb';
+
+const ENTRY_STORE = 'entries';
+const GENESIS_HASH = '0'.repeat(64);
+
+export const AUDIT_EVENTS = [
+    'enrolled',
+    'identity_renamed',
+    'identity_removed',
+    'reset',
+    'verified',
+    'mismatch',
+    'spoof',
+    'file_checked',
+    'locked',
+    'unlocked',
+    'logs_cleared',
+    'store_wiped',
+    'store_rekeyed',
+    'template_adapted',
+    'template_rolled_back'
+];
+
+const CSV_COLUMNS = ['seq', 'time', 'type', 'personId', 'personName', 'details', 'prevHash', 'hash'];
+
+/**
+ * The hashed fields of an entry, serialized with a fixed key order
+ */
+function canonicalize({ seq, time, type, personId, personName, details }) {
+    return JSON.stringify([seq, time, type, personId, personName, details]);
+}
+
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function hashEntry(prevHash, entry) {
+    return sha256Hex(`${prevHash}\n${canonicalize(entry)}`);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Entries as CSV, one row per entry; details are embedded as JSON
+ */
+export function auditToCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+        if (column === 'time') return csvCell(new Date(entry.time).toISOString());
+        if (column === 'details') return csvCell(JSON.stringify(entry.details));
+        return csvCell(entry[column]);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Entries matching { types, person, from, to }: person matches the id or part of the name
+ * (case-insensitive); from/to are inclusive timestamps
+ */
+export function filterAuditEntries(entries, { types = [], person = '', from = null, to = null } = {}) {
+    const needle = person.trim().toLowerCase();
+
+    return entries.filter(entry =>
+        (types.length === 0 || types.includes(entry.type)) &&
+        (!needle || String(entry.personId) === needle || (entry.personName || '').toLowerCase().includes(needle)) &&
+        (from === null || entry.time >= from) &&
+        (to === null || entry.time <= to)
+    );
+}
+
+/**
+ * Entries: { seq, time, type, personId, personName, details, prevHash, hash }
+ */
+class AuditLog {
+    constructor(config = MODEL_CONFIG.AUDIT) {
+        this.config = config;
+        this.db = null;
+        this.head = null;
+        this.appendQueue = Promise.resolve();
+    }
+
+    async open() {
+        if (!this.db) {
+            this.db = await openDatabase(this.config.DB_NAME, this.config.DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+                    db.createObjectStore(ENTRY_STORE, { keyPath: 'seq' });
+                }
+            });
+        }
+        return this;
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+        this.head = null;
+    }
+
+    /**
+     * All entries, oldest first
+     */
+    async list() {
+        await this.open();
+        const tx = this.db.transaction(ENTRY_STORE, 'readonly');
+        return promisifyRequest(tx.objectStore(ENTRY_STORE).getAll());
+    }
+
+    /**
+     * { seq, hash } of the newest entry ({ seq: 0, hash: GENESIS_HASH } for an empty log)
+     */
+    async getHead() {
+        if (!this.head) {
+            await this.open();
+            const tx = this.db.transaction(ENTRY_STORE, 'readonly');
+            const cursor = await promisifyRequest(tx.objectStore(ENTRY_STORE).openCursor(null, 'prev'));
+            this.head = cursor ? { seq: cursor.value.seq, hash: cursor.value.hash } : { seq: 0, hash: GENESIS_HASH };
+        }
+        return this.head;
+    }
+
+    /**
+     * Appends an event, chained to the current head. Appends are serialized so the chain never forks.
+     * Resolves with the stored entry.
+     */
+    append(type, { personId = null, personName = null, details = {}, time = Date.now() } = {}) {
+        if (!AUDIT_EVENTS.includes(type)) return Promise.reject(new Error(`Unknown audit event "${type}"`));
+
+        const run = this.appendQueue.then(async () => {
+            const head = await this.getHead();
+            const entry = { seq: head.seq + 1, time, type, personId, personName, details };
+            const stored = { ...entry, prevHash: head.hash, hash: await hashEntry(head.hash, entry) };
+
+            const tx = this.db.transaction(ENTRY_STORE, 'readwrite');
+            // add() rather than put(): an existing sequence number is never overwritten
+            tx.objectStore(ENTRY_STORE).add(stored);
+            await transactionDone(tx);
+
+            this.head = { seq: stored.seq, hash: stored.hash };
+            return stored;
+        });
+
+        // A failed append leaves the cached head unknown; re-read it next time
+        this.appendQueue = run.catch(() => { this.head = null; });
+        return run;
+    }
+
+    /**
+     * Recomputes the chain. Resolves with { ok, count, headHash, brokenAt, reason }: brokenAt is the sequence
+     * number of the first entry that was altered, or that follows a removed entry, and headHash the hash of the
+     * last intact entry. Entries removed from the end only show up against a head hash recorded earlier.
+     */
+    async verify() {
+        await this.appendQueue;
+        const entries = await this.list();
+        let prev = { seq: 0, hash: GENESIS_HASH };
+
+        for (const entry of entries) {
+            let reason = null;
+
+            if (entry.seq !== prev.seq + 1) {
+                reason = entry.seq === prev.seq + 2 ? `entry ${prev.seq + 1} is missing` : `entries ${prev.seq + 1}–${entry.seq - 1} are missing`;
+            }
+            else if (entry.prevHash !== prev.hash) reason = 'link to the previous entry does not match';
+            else if (entry.hash !== await hashEntry(prev.hash, entry)) reason = 'contents were modified';
+
+            if (reason) {
+                return { ok: false, count: entries.length, headHash: prev.hash, brokenAt: entry.seq, reason };
+            }
+
+            prev = entry;
+        }
+
+        return { ok: true, count: entries.length, headHash: prev.hash, brokenAt: null, reason: null };
+    }
+}
+
+export default AuditLog;
@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+import AuditLog, { hashEntry } from './auditLog';
+import { promisifyRequest, transactionDone } from './indexedDb';
+
+// Jest's node environment does not expose Node's global WebCrypto
+if (!global.crypto || !global.crypto.subtle) global.crypto = webcrypto;
+
+const GENESIS_HASH = '0'.repeat(64);
+let databaseCount = 0;
+
+/**
+ * An audit log in a database of its own, with three entries
+ */
+async function createLog() {
+    const log = new AuditLog({ DB_NAME: `audit-test-${++databaseCount}`, DB_VERSION: 1, PAGE_SIZE: 20 });
+    await log.append('enrolled', { personId: 1, personName: 'Alice', time: 1000 });
+    await log.append('verified', { personId: 1, personName: 'Alice', details: { distance: 0.31 }, time: 2000 });
+    await log.append('mismatch', { personId: 7, details: { distance: 0.82 }, time: 3000 });
+    return log;
+}
+
+/**
+ * Changes the stored entries behind the log's back, like someone editing IndexedDB in dev tools
+ */
+async function tamper(log, change) {
+    const tx = log.db.transaction('entries', 'readwrite');
+    const store = tx.objectStore('entries');
+    const entries = await promisifyRequest(store.getAll());
+    change(entries, store);
+    await transactionDone(tx);
+}
+
+describe('AuditLog', () => {
+    let log;
+
+    afterEach(() => {
+        if (log) log.close();
+        log = null;
+    });
+
+    it('chains every entry to the one before it', async () => {
+        log = await createLog();
+        const entries = await log.list();
+
+        expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+        expect(entries[0].prevHash).toBe(GENESIS_HASH);
+        expect(entries[1].prevHash).toBe(entries[0].hash);
+        expect(entries[2].prevHash).toBe(entries[1].hash);
+        expect(entries[1].hash).toBe(await hashEntry(entries[0].hash, entries[1]));
+        expect(await log.getHead()).toEqual({ seq: 3, hash: entries[2].hash });
+    });
+
+    it('verifies an untouched log', async () => {
+        log = await createLog();
+        const entries = await log.list();
+
+        expect(await log.verify()).toEqual({ ok: true, count: 3, headHash: entries[2].hash, brokenAt: null, reason: null });
+    });
+
+    it('detects an edited entry', async () => {
+        log = await createLog();
+        const entries = await log.list();
+
+        await tamper(log, (stored, store) => store.put({ ...stored[1], details: { distance: 0.05 } }));
+
+        expect(await log.verify()).toEqual({
+            ok: false, count: 3, headHash: entries[0].hash, brokenAt: 2, reason: 'contents were modified'
+        });
+    });
+
+    it('detects an entry linked to a different predecessor', async () => {
+        log = await createLog();
+
+        await tamper(log, (stored, store) => store.put({ ...stored[1], prevHash: 'f'.repeat(64) }));
+
+        expect(await log.verify()).toMatchObject({ ok: false, brokenAt: 2, reason: 'link to the previous entry does not match' });
+    });
+
+    it('detects a removed entry', async () => {
+        log = await createLog();
+
+        await tamper(log, (stored, store) => store.delete(2));
+
+        expect(await log.verify()).toMatchObject({ ok: false, count: 2, brokenAt: 3, reason: 'entry 2 is missing' });
+    });
+
+    it('keeps the chain intact for concurrent appends', async () => {
+        log = await createLog();
+
+        await Promise.all([log.append('locked'), log.append('unlocked'), log.append('logs_cleared')]);
+
+        expect(await log.verify()).toMatchObject({ ok: true, count: 6 });
+    });
+
+    it('rejects unknown event types', async () => {
+        log = await createLog();
+
+        await expect(log.append('deleted_everything')).rejects.toThrow('Unknown audit event "deleted_everything"');
+        expect(await log.verify()).toMatchObject({ ok: true, count: 3 });
+    });
+});
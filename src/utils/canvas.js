@@ -0,0 +1,27 @@
+/**
+ * Canvas Utility
+ * Creates a 2D drawing surface on the main thread (HTMLCanvasElement) or in a worker (OffscreenCanvas).
+ */
+
+export function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    return new OffscreenCanvas(width, height);
+}
+
+/**
+ * Pixel size of a video, image or canvas source
+ */
+export function getSourceSize(source) {
+    return {
+        width: source.videoWidth || source.naturalWidth || source.width || 0,
+        height: source.videoHeight || source.naturalHeight || source.height || 0
+    };
+}
+
+export default createCanvas;
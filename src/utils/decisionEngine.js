@@ -0,0 +1,90 @@
+/**
+ * Decision Engine Utility
+ * Turns noisy per-frame verdicts into stable states using N-of-M voting, hysteresis and minimum dwell times.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+export const DECISION_STATES = ['pending', 'verified', 'unverified', 'spoof', 'poor_quality', 'no_face'];
+
+/**
+ * Verified votes are split per identity so a switch from one enrolled person to another
+ * is a state change of its own
+ */
+function voteKey(vote) {
+    return vote.label === 'verified' ? `verified:${vote.identity.id}` : vote.label;
+}
+
+export class DecisionEngine {
+    constructor(config = MODEL_CONFIG.DECISION) {
+        this.config = config;
+        this.reset();
+    }
+
+    reset() {
+        this.window = [];
+        this.state = 'pending';
+        this.stateKey = 'pending';
+        this.identity = null;
+        this.enteredAt = Date.now();
+    }
+
+    /**
+     * Distance threshold for the next frame: entering "verified" is stricter than staying in it
+     */
+    getMatchThreshold() {
+        return this.state === 'verified' ? this.config.EXIT_THRESHOLD : this.config.ENTER_THRESHOLD;
+    }
+
+    /**
+     * Adds one frame vote { label, identity?, distance?, ... } and returns the stable decision
+     * { state, identity, distance, latest, changed, previous, since }, where latest is the newest vote backing the state
+     */
+    update(vote) {
+        const config = this.config;
+        const now = Date.now();
+
+        this.window.push({ ...vote, key: voteKey(vote) });
+        if (this.window.length > config.WINDOW_SIZE) this.window.shift();
+
+        const counts = {};
+        for (const entry of this.window) counts[entry.key] = (counts[entry.key] || 0) + 1;
+
+        const previous = this.state;
+        const previousKey = this.stateKey;
+        const dwellElapsed = now - this.enteredAt >= config.MIN_DWELL_MS;
+        const currentSupport = counts[this.stateKey] || 0;
+
+        let candidate = null;
+        for (const key of Object.keys(counts)) {
+            if (key === this.stateKey || counts[key] < config.ENTER_VOTES) continue;
+            if (!candidate || counts[key] > counts[candidate]) candidate = key;
+        }
+
+        // Leave only when the current state has lost its support and another one has earned it.
+        // "pending" has no votes of its own and is left as soon as any state qualifies.
+        if (candidate && (this.state === 'pending' || (dwellElapsed && currentSupport < config.EXIT_VOTES))) {
+            const entry = [...this.window].reverse().find(e => e.key === candidate);
+            this.stateKey = candidate;
+            this.state = entry.label;
+            this.identity = entry.identity || null;
+            this.enteredAt = now;
+        }
+
+        const supporting = this.window.filter(e => e.key === this.stateKey);
+        const distances = supporting.filter(e => typeof e.distance === 'number').map(e => e.distance);
+        const latest = supporting[supporting.length - 1];
+
+        return {
+            state: this.state,
+            identity: this.identity,
+            distance: distances.length > 0 ? distances.reduce((a, b) => a + b, 0) / distances.length : null,
+            latest: latest || null,
+            changed: this.stateKey !== previousKey,
+            previous,
+            since: this.enteredAt
+        };
+    }
+}
+
+export default DecisionEngine;
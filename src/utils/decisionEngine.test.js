@@ -0,0 +1,104 @@
+import { DecisionEngine } from './decisionEngine';
+
+const CONFIG = {
+    WINDOW_SIZE: 4,
+    ENTER_VOTES: 3,
+    EXIT_VOTES: 2,
+    MIN_DWELL_MS: 1000,
+    ENTER_THRESHOLD: 0.5,
+    EXIT_THRESHOLD: 0.6
+};
+
+const alice = { id: 1, name: 'Alice' };
+const bob = { id: 2, name: 'Bob' };
+
+const verified = (identity = alice, distance = 0.4) => ({ label: 'verified', identity, distance });
+const unverified = (distance = 0.9) => ({ label: 'unverified', distance });
+
+describe('DecisionEngine', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    const feed = (engine, votes, stepMs = 100) => votes.map(vote => {
+        now += stepMs;
+        return engine.update(vote);
+    });
+
+    it('enters a state only once N of the last M frames agree', () => {
+        const engine = new DecisionEngine(CONFIG);
+        const [first, second, third] = feed(engine, [verified(), verified(), verified()]);
+
+        expect(first.state).toBe('pending');
+        expect(second.state).toBe('pending');
+        expect(third).toMatchObject({ state: 'verified', identity: alice, changed: true, previous: 'pending' });
+    });
+
+    it('keeps the state through a stray frame (hysteresis)', () => {
+        const engine = new DecisionEngine(CONFIG);
+        feed(engine, [verified(), verified(), verified()]);
+
+        const [afterMismatch, afterMatch] = feed(engine, [unverified(), verified()], 2000);
+        expect(afterMismatch).toMatchObject({ state: 'verified', changed: false });
+        expect(afterMatch).toMatchObject({ state: 'verified', changed: false });
+    });
+
+    it('waits out MIN_DWELL_MS before leaving a state', () => {
+        const engine = new DecisionEngine(CONFIG);
+        feed(engine, [verified(), verified(), verified()]);
+
+        // The window fills with mismatches well within the dwell time
+        const early = feed(engine, [unverified(), unverified(), unverified(), unverified()]);
+        expect(early.map(decision => decision.state)).toEqual(['verified', 'verified', 'verified', 'verified']);
+
+        now += 1000;
+        expect(engine.update(unverified())).toMatchObject({ state: 'unverified', changed: true, previous: 'verified' });
+    });
+
+    it('leaves pending as soon as a state qualifies, without a dwell time', () => {
+        const engine = new DecisionEngine(CONFIG);
+        const decisions = feed(engine, [unverified(), unverified(), unverified()], 1);
+
+        expect(decisions[2]).toMatchObject({ state: 'unverified', changed: true });
+    });
+
+    it('treats a switch to another enrolled person as a change of state', () => {
+        const engine = new DecisionEngine(CONFIG);
+        feed(engine, [verified(alice), verified(alice), verified(alice)]);
+
+        const decisions = feed(engine, [verified(bob), verified(bob), verified(bob)], 1000);
+        expect(decisions[2]).toMatchObject({ state: 'verified', identity: bob, changed: true, previous: 'verified' });
+    });
+
+    it('uses the looser EXIT_THRESHOLD only while verified', () => {
+        const engine = new DecisionEngine(CONFIG);
+        expect(engine.getMatchThreshold()).toBe(0.5);
+
+        feed(engine, [verified(), verified(), verified()]);
+        expect(engine.getMatchThreshold()).toBe(0.6);
+
+        now += 1000;
+        feed(engine, [unverified(), unverified(), unverified()]);
+        expect(engine.getMatchThreshold()).toBe(0.5);
+    });
+
+    it('reports the mean distance of the frames backing the state', () => {
+        const engine = new DecisionEngine(CONFIG);
+        const decisions = feed(engine, [verified(alice, 0.3), unverified(), verified(alice, 0.4), verified(alice, 0.5)]);
+
+        expect(decisions[3].state).toBe('verified');
+        expect(decisions[3].distance).toBeCloseTo(0.4, 10);
+        expect(decisions[3].latest.distance).toBe(0.5);
+    });
+
+    it('starts over after reset()', () => {
+        const engine = new DecisionEngine(CONFIG);
+        feed(engine, [verified(), verified(), verified()]);
+
+        engine.reset();
+        expect(engine.update(verified())).toMatchObject({ state: 'pending', identity: null, distance: null });
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Descriptor Distance Metrics
+ * Every metric returns a distance on the Euclidean scale of face-api.js descriptors (0 = identical,
+ * ~0.6 = the usual same-person limit), so SIMILARITY_THRESHOLD and the other thresholds apply to all of them:
+ *   - euclidean: plain Euclidean distance
+ *   - cosine: chord distance sqrt(2 - 2 cos θ), i.e. Euclidean distance between the L2-normalised descriptors;
+ *     ignores descriptor length, which varies with image quality
+ *   - ensemble: weighted mean of the other metrics (MATCHING.ENSEMBLE_WEIGHTS)
+ * Distributions still differ a little between metrics, so re-run `npm run evaluate -- --metric <name>`
+ * after switching.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+function euclidean(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += Math.pow(a[i] - b[i], 2);
+    return Math.sqrt(sum);
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return Math.SQRT2;
+    const similarity = dot / Math.sqrt(normA * normB);
+    return Math.sqrt(Math.max(0, 2 - 2 * similarity));
+}
+
+const metricRegistry = new Map([
+    ['euclidean', euclidean],
+    ['cosine', cosine]
+]);
+
+/**
+ * Adds (or replaces) a metric: distance(a, b) on the same scale as euclidean
+ */
+export function registerDistanceMetric(name, distance) {
+    if (!name || name === 'ensemble' || typeof distance !== 'function') {
+        throw new Error('A distance metric needs a name other than "ensemble" and a distance function');
+    }
+    metricRegistry.set(name, distance);
+}
+
+/**
+ * Names accepted by createDistanceMetric, 'ensemble' included
+ */
+export function getDistanceMetrics() {
+    return [...metricRegistry.keys(), 'ensemble'];
+}
+
+/**
+ * distance(a, b) for a metric name; 'ensemble' combines the metrics named in weights
+ */
+export function createDistanceMetric(name = MODEL_CONFIG.MATCHING.METRIC, weights = MODEL_CONFIG.MATCHING.ENSEMBLE_WEIGHTS) {
+    if (name !== 'ensemble') {
+        const distance = metricRegistry.get(name);
+        if (!distance) throw new Error(`Unknown distance metric "${name}"`);
+        return distance;
+    }
+
+    const parts = Object.entries(weights).filter(([, weight]) => weight > 0);
+    parts.forEach(([metric]) => {
+        if (!metricRegistry.has(metric)) throw new Error(`Unknown distance metric "${metric}" in the ensemble`);
+    });
+
+    const total = parts.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total === 0) throw new Error('An ensemble needs at least one positive weight');
+
+    return (a, b) => parts.reduce((sum, [metric, weight]) => sum + metricRegistry.get(metric)(a, b) * weight, 0) / total;
+}
+
+/**
+ * Distance between two descriptors under a metric name; shorthand for one-off comparisons outside the model
+ */
+export function descriptorDistance(a, b, metric = MODEL_CONFIG.MATCHING.METRIC, weights = MODEL_CONFIG.MATCHING.ENSEMBLE_WEIGHTS) {
+    return createDistanceMetric(metric, weights)(a, b);
+}
@@ -0,0 +1,20 @@
+/**
+ * Download Utility
+ * Saves generated text (reports, exports) as a file through a temporary object URL.
+ */
+
+export function downloadFile(fileName, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoked on the next tick: some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export default downloadFile;
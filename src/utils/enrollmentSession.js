@@ -0,0 +1,139 @@
+/**
+ * Enrollment Session Utility
+ * Collects several quality-gated frames across different head poses and aggregates them into one template.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { evaluateFaceQuality } from './faceQuality';
+
+const POSE_HINTS = {
+    center: 'look straight at the camera',
+    left: 'turn slightly left',
+    right: 'turn slightly right'
+};
+
+function classifyPose(yaw, config) {
+    if (yaw > config.POSE_YAW_STEP) return 'left';
+    if (yaw < -config.POSE_YAW_STEP) return 'right';
+    return 'center';
+}
+
+function meanDescriptor(samples) {
+    const mean = new Array(samples[0].length).fill(0);
+
+    for (const sample of samples) {
+        for (let i = 0; i < sample.length; i++) mean[i] += sample[i];
+    }
+
+    return mean.map(v => v / samples.length);
+}
+
+/**
+ * Tracks the frames accepted for a single enrollment
+ */
+export class EnrollmentSession {
+    constructor(model, config = MODEL_CONFIG.ENROLLMENT, baseQuality = MODEL_CONFIG.QUALITY) {
+        this.model = model;
+        this.config = config;
+        this.baseQuality = baseQuality;
+        this.samples = [];
+        this.poseCounts = {};
+        this.lastRejection = null;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Checks frame quality and pose, then stores the sample if it is useful
+     * Returns { accepted, reason }
+     */
+    addFrame(result) {
+        const verdict = this.assessFrame(result);
+
+        if (!verdict.accepted) {
+            this.lastRejection = verdict.reason;
+            return verdict;
+        }
+
+        this.samples.push({ embedding: result.embedding, pose: verdict.pose, yaw: verdict.yaw });
+        this.poseCounts[verdict.pose] = (this.poseCounts[verdict.pose] || 0) + 1;
+        this.lastRejection = null;
+        return verdict;
+    }
+
+    assessFrame(result) {
+        const config = this.config;
+
+        if (!result || !result.embedding) return { accepted: false, reason: 'No face detected' };
+
+        // Metrics were measured with the frame; only the stricter enrollment minimums are applied here
+        const quality = evaluateFaceQuality(result.quality.metrics, { ...this.baseQuality, ...config.QUALITY });
+        if (!quality.isAcceptable) return { accepted: false, reason: quality.hint };
+
+        if (!result.liveness.isLive) return { accepted: false, reason: result.liveness.reason };
+
+        const yaw = result.quality.metrics.yaw;
+
+        // Every sample must belong to the same person as the ones already captured
+        if (this.samples.length > 0) {
+            const template = meanDescriptor(this.samples.map(s => s.embedding));
+            if (!this.model.isSamePerson(template, result.embedding).isSame) {
+                return { accepted: false, reason: 'Face does not match earlier captures' };
+            }
+        }
+
+        const pose = classifyPose(yaw, config);
+        const missingPoses = this.getMissingPoses();
+        const poseFull = (this.poseCounts[pose] || 0) >= config.MAX_SAMPLES_PER_POSE;
+
+        if (missingPoses.length > 0 && !missingPoses.includes(pose) && poseFull) {
+            return { accepted: false, reason: `Pose already captured, ${POSE_HINTS[missingPoses[0]]}` };
+        }
+
+        return { accepted: true, pose, yaw };
+    }
+
+    getMissingPoses() {
+        return this.config.REQUIRED_POSES.filter(pose => !this.poseCounts[pose]);
+    }
+
+    isComplete() {
+        return this.samples.length >= this.config.TARGET_SAMPLES && this.getMissingPoses().length === 0;
+    }
+
+    isExpired() {
+        return Date.now() - this.startedAt > this.config.TIMEOUT_MS;
+    }
+
+    /**
+     * Progress snapshot for the UI, e.g. "3 of 5 captured, turn slightly left"
+     */
+    getProgress() {
+        const missingPoses = this.getMissingPoses();
+        const captured = Math.min(this.samples.length, this.config.TARGET_SAMPLES);
+        const hint = this.isComplete()
+            ? 'done'
+            : (missingPoses.length > 0 ? POSE_HINTS[missingPoses[0]] : 'hold still');
+
+        return {
+            captured,
+            target: this.config.TARGET_SAMPLES,
+            hint,
+            lastRejection: this.lastRejection,
+            message: `${captured} of ${this.config.TARGET_SAMPLES} captured, ${hint}`
+        };
+    }
+
+    /**
+     * Aggregated template: mean descriptor plus the individual samples
+     */
+    buildTemplate() {
+        if (!this.isComplete()) throw new Error('Enrollment is not complete');
+
+        return {
+            embedding: meanDescriptor(this.samples.map(s => s.embedding)),
+            samples: this.samples.map(s => ({ embedding: s.embedding, pose: s.pose }))
+        };
+    }
+}
+
+export default EnrollmentSession;
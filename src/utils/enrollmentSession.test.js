@@ -0,0 +1,101 @@
+import { EnrollmentSession } from './enrollmentSession';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+const CONFIG = {
+    TARGET_SAMPLES: 4,
+    TIMEOUT_MS: 20000,
+    QUALITY: {},
+    POSE_YAW_STEP: 0.12,
+    MAX_SAMPLES_PER_POSE: 2,
+    REQUIRED_POSES: ['center', 'left', 'right']
+};
+
+// Same person within 0.6, like the default SIMILARITY_THRESHOLD
+const model = {
+    isSamePerson: (a, b) => ({ isSame: Math.hypot(a[0] - b[0], a[1] - b[1]) <= 0.6 })
+};
+
+const frame = ({ yaw = 0, embedding = [0, 0], metrics = {}, liveness = { isLive: true } } = {}) => ({
+    embedding,
+    quality: { metrics: { faceSize: 160, sharpness: 0.8, brightness: 0.5, contrast: 0.2, yaw, pitch: 0, roll: 0, ...metrics } },
+    liveness
+});
+
+const POSE_YAW = { center: 0, left: 0.3, right: -0.3 };
+
+describe('EnrollmentSession', () => {
+    let session;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(0);
+        session = new EnrollmentSession(model, CONFIG, MODEL_CONFIG.QUALITY);
+    });
+
+    it('classifies the pose of each accepted frame by its yaw', () => {
+        expect(session.addFrame(frame({ yaw: 0.05 }))).toEqual({ accepted: true, pose: 'center', yaw: 0.05 });
+        expect(session.addFrame(frame({ yaw: 0.2 }))).toMatchObject({ accepted: true, pose: 'left' });
+        expect(session.addFrame(frame({ yaw: -0.2 }))).toMatchObject({ accepted: true, pose: 'right' });
+        expect(session.getMissingPoses()).toEqual([]);
+    });
+
+    it('refuses more of a pose it already has while another one is missing, and asks for it', () => {
+        session.addFrame(frame());
+        session.addFrame(frame());
+
+        expect(session.addFrame(frame())).toEqual({ accepted: false, reason: 'Pose already captured, turn slightly left' });
+        expect(session.getProgress()).toMatchObject({ captured: 2, hint: 'turn slightly left' });
+        expect(session.addFrame(frame({ yaw: POSE_YAW.left }))).toMatchObject({ accepted: true, pose: 'left' });
+        expect(session.getProgress().hint).toBe('turn slightly right');
+    });
+
+    it('applies the stricter enrollment quality minimums over the base ones', () => {
+        const strict = new EnrollmentSession(model, { ...CONFIG, QUALITY: { MIN_FACE_SIZE: 200 } }, MODEL_CONFIG.QUALITY);
+
+        expect(strict.addFrame(frame())).toEqual({ accepted: false, reason: 'Face too small, move closer' });
+        expect(strict.getProgress().lastRejection).toBe('Face too small, move closer');
+        expect(session.addFrame(frame({ metrics: { brightness: 0.1 } }))).toMatchObject({ reason: 'Too dark, more light needed' });
+    });
+
+    it('rejects frames without a face, failing liveness, or of someone else', () => {
+        expect(session.addFrame(null)).toEqual({ accepted: false, reason: 'No face detected' });
+        expect(session.addFrame(frame({ liveness: { isLive: false, reason: 'Looks like a photo' } })))
+            .toEqual({ accepted: false, reason: 'Looks like a photo' });
+
+        session.addFrame(frame({ embedding: [0, 0] }));
+        expect(session.addFrame(frame({ yaw: POSE_YAW.left, embedding: [1, 0] })))
+            .toEqual({ accepted: false, reason: 'Face does not match earlier captures' });
+        expect(session.samples).toHaveLength(1);
+    });
+
+    it('completes with TARGET_SAMPLES samples covering every required pose', () => {
+        ['center', 'center', 'left'].forEach(pose => session.addFrame(frame({ yaw: POSE_YAW[pose] })));
+        expect(session.isComplete()).toBe(false);
+        expect(() => session.buildTemplate()).toThrow('Enrollment is not complete');
+
+        session.addFrame(frame({ yaw: POSE_YAW.right, embedding: [0.4, 0] }));
+        expect(session.isComplete()).toBe(true);
+        expect(session.getProgress()).toEqual({
+            captured: 4, target: 4, hint: 'done', lastRejection: null, message: '4 of 4 captured, done'
+        });
+
+        const template = session.buildTemplate();
+        expect(template.embedding).toEqual([0.1, 0]);
+        expect(template.samples.map(sample => sample.pose)).toEqual(['center', 'center', 'left', 'right']);
+    });
+
+    it('needs every pose even once it has enough samples', () => {
+        ['center', 'center', 'left', 'left', 'left'].forEach(pose => session.addFrame(frame({ yaw: POSE_YAW[pose] })));
+
+        expect(session.samples.length).toBeGreaterThanOrEqual(CONFIG.TARGET_SAMPLES);
+        expect(session.isComplete()).toBe(false);
+        expect(session.getMissingPoses()).toEqual(['right']);
+    });
+
+    it('expires after TIMEOUT_MS', () => {
+        Date.now.mockReturnValue(CONFIG.TIMEOUT_MS);
+        expect(session.isExpired()).toBe(false);
+
+        Date.now.mockReturnValue(CONFIG.TIMEOUT_MS + 1);
+        expect(session.isExpired()).toBe(true);
+    });
+});
@@ -1,79 +1,118 @@
 /**
- * Face Detection Utilities using BlazeFace
- * Responsible for bounding box detection and ROI extraction.
+ * Face Detection Backends
+ * TinyFaceDetector, SSD MobileNet and BlazeFace behind one interface. Every backend returns
+ * faceapi.FaceDetection objects so the landmark and descriptor stages never see the difference.
  */
 
+import * as faceapi from 'face-api.js';
 import * as blazeface from '@tensorflow-models/blazeface';
-import * as tf from '@tensorflow/tfjs';
 import { MODEL_CONFIG } from '../config/modelConfig';
 
-let faceDetectionModel = null;
-
 /**
- * Load BlazeFace model for face detection
+ * Width/height of a video, image, canvas or [h, w, c] tensor
  */
-export async function loadFaceDetector() {
-    if (!faceDetectionModel) {
-        faceDetectionModel = await blazeface.load(MODEL_CONFIG.FACE_DETECTION_CONFIG);
+export function getInputDimensions(input) {
+    if (input instanceof faceapi.tf.Tensor) {
+        return { width: input.shape[1], height: input.shape[0] };
     }
-    return faceDetectionModel;
+    return faceapi.getMediaDimensions(input);
+}
+
+function toFaceDetection(score, x, y, width, height, dims) {
+    // Clamp to the frame so the crop for the landmark stage stays valid
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    const right = Math.min(dims.width, x + width);
+    const bottom = Math.min(dims.height, y + height);
+
+    // FaceDetection stores its box relative to the image dimensions
+    return new faceapi.FaceDetection(
+        score,
+        new faceapi.Rect(left / dims.width, top / dims.height, (right - left) / dims.width, (bottom - top) / dims.height),
+        { width: dims.width, height: dims.height }
+    );
 }
 
+const loadNetFrom = (url, fromDisk) => (net) => (fromDisk ? net.loadFromDisk(url) : net.loadFromUri(url));
+
 /**
- * Detect faces in an image or video frame
+ * Backends are stateless descriptors; whatever a backend loads lives in the per-detector state
+ * that createFaceDetector hands to load, detect and dispose, so disposing one detector never
+ * affects another (e.g. a second FaceSentinel, or the old model during a config reload).
  */
-export async function detectFaces(input) {
-    if (!faceDetectionModel) await loadFaceDetector();
-    return await faceDetectionModel.estimateFaces(input, false);
-}
+export const DETECTOR_BACKENDS = {
+    tiny: {
+        load: (url, options, { loadNet }) => loadNet(faceapi.nets.tinyFaceDetector),
+        detect: (input, options) => faceapi.detectAllFaces(input, new faceapi.TinyFaceDetectorOptions(options)),
+        dispose: () => {}
+    },
+
+    ssd: {
+        load: (url, options, { loadNet }) => loadNet(faceapi.nets.ssdMobilenetv1),
+        detect: (input, options) => faceapi.detectAllFaces(input, new faceapi.SsdMobilenetv1Options(options)),
+        dispose: () => {}
+    },
+
+    blazeface: {
+        // BlazeFace ships its own weights (a TF Hub graph model, or options.modelUrl) and runs on @tensorflow/tfjs
+        // rather than face-api's bundled core. Its weights do not go through ModelWeightCache: they are neither
+        // SHA-256 checked nor cached for offline starts.
+        async load(url, options, { state }) {
+            if (!state.model) state.model = await blazeface.load(options);
+        },
+
+        async detect(input, options, state) {
+            if (!state.model) throw new Error('BlazeFace not loaded');
+
+            const dims = getInputDimensions(input);
+            const faces = await state.model.estimateFaces(input, false);
+
+            return faces.map(face => {
+                const [x1, y1] = face.topLeft;
+                const [x2, y2] = face.bottomRight;
+                const probability = ArrayBuffer.isView(face.probability) || Array.isArray(face.probability)
+                    ? face.probability[0]
+                    : face.probability;
+
+                return toFaceDetection(probability, x1, y1, x2 - x1, y2 - y1, dims);
+            });
+        },
+
+        dispose(state) {
+            if (state.model && state.model.blazeFaceModel) state.model.blazeFaceModel.dispose();
+            state.model = null;
+        }
+    }
+};
 
 /**
- * Extract faceregion from image based on bounding box
+ * Detector for one backend with its options merged over MODEL_CONFIG.DETECTOR.OPTIONS
+ * load(url, { fromDisk, loadNet }): loadNet(net) replaces face-api's own loading (e.g. ModelWeightCache.loadNet).
  */
-export function extractFaceROI(input, face) {
-    const [x, y, width, height] = face.topLeft.concat(face.bottomRight).reduce((acc, val, i) => {
-        if (i < 2) return [...acc, val];
-        return [...acc, val - acc[i - 2]];
-    }, []);
-
-    const padding = 0.1;
-    const paddedX = Math.max(0, x - width * padding);
-    const paddedY = Math.max(0, y - height * padding);
-    const paddedWidth = width * (1 + 2 * padding);
-    const paddedHeight = height * (1 + 2 * padding);
-
-    let imageTensor = tf.browser.fromPixels(input);
-
-    const faceTensor = tf.image.cropAndResize(
-        imageTensor.expandDims(0),
-        [[paddedY / imageTensor.shape[0],
-        paddedX / imageTensor.shape[1],
-        (paddedY + paddedHeight) / imageTensor.shape[0],
-        (paddedX + paddedWidth) / imageTensor.shape[1]]],
-        [0],
-        [MODEL_CONFIG.INPUT_SIZE, MODEL_CONFIG.INPUT_SIZE]
-    );
+export function createFaceDetector(backend = MODEL_CONFIG.DETECTOR.BACKEND, options = {}) {
+    const impl = DETECTOR_BACKENDS[backend];
+    if (!impl) throw new Error(`Unknown face detector backend: ${backend}`);
+
+    const mergedOptions = { ...MODEL_CONFIG.DETECTOR.OPTIONS[backend], ...options };
+    const state = {};
 
-    imageTensor.dispose();
-    return faceTensor.squeeze([0]);
+    return {
+        backend,
+        options: mergedOptions,
+        load: (url, { fromDisk = false, loadNet = loadNetFrom(url, fromDisk) } = {}) =>
+            impl.load(url, mergedOptions, { loadNet, state }),
+        detect: (input) => impl.detect(input, mergedOptions, state),
+        dispose: () => impl.dispose(state)
+    };
 }
 
 /**
  * Get the largest detected face (closest to camera)
  */
-export function getLargestFace(faces) {
-    if (!faces || faces.length === 0) return null;
-
-    return faces.reduce((largest, face) => {
-        const area = (face.bottomRight[0] - face.topLeft[0]) * (face.bottomRight[1] - face.topLeft[1]);
-        const largestArea = (largest.bottomRight[0] - largest.topLeft[0]) * (largest.bottomRight[1] - largest.topLeft[1]);
-        return area > largestArea ? face : largest;
-    });
-}
+export function getLargestFace(detections) {
+    if (!detections || detections.length === 0) return null;
 
-export function disposeDetector() {
-    if (faceDetectionModel) {
-        faceDetectionModel.dispose();
-        faceDetectionModel = null;
-    }
+    return detections.reduce((largest, detection) =>
+        detection.box.area > largest.box.area ? detection : largest
+    );
 }
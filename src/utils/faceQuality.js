@@ -0,0 +1,166 @@
+/**
+ * Face Quality Assessment Utility
+ * Scores a detection for size, sharpness, exposure/contrast and head pose, and turns failed checks into user hints.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { createCanvas } from './canvas';
+
+// Checks in the order their hint is shown: fix distance and lighting before pose and blur
+const QUALITY_HINTS = {
+    face_size: 'Face too small, move closer',
+    too_dark: 'Too dark, more light needed',
+    too_bright: 'Too bright, avoid direct light',
+    low_contrast: 'Low contrast, more light needed',
+    pose: 'Face turned away, face the camera',
+    blur: 'Image blurred, hold still'
+};
+
+// Nose tip sits ~40% of the way from the eye line to the chin on a frontal face
+const FRONTAL_NOSE_RATIO = 0.4;
+
+/**
+ * Horizontal head rotation from the nose tip position between the outer eye corners
+ * 0 = frontal, positive = subject turned to their left, negative = to their right
+ */
+export function estimateYaw(landmarks) {
+    const positions = landmarks.positions;
+    const eyeA = positions[36];
+    const eyeB = positions[45];
+    const nose = positions[30];
+
+    const eyeSpan = eyeB.x - eyeA.x;
+    if (eyeSpan === 0) return 0;
+
+    return ((nose.x - eyeA.x) / eyeSpan - 0.5) * 2;
+}
+
+/**
+ * Vertical head rotation from the nose tip position between the eye line and the chin
+ * 0 = frontal, positive = looking down, negative = looking up
+ */
+export function estimatePitch(landmarks) {
+    const positions = landmarks.positions;
+    const eyeY = (positions[36].y + positions[45].y) / 2;
+    const nose = positions[30];
+    const chin = positions[8];
+
+    const faceSpan = chin.y - eyeY;
+    if (faceSpan === 0) return 0;
+
+    return ((nose.y - eyeY) / faceSpan - FRONTAL_NOSE_RATIO) / FRONTAL_NOSE_RATIO;
+}
+
+/**
+ * In-plane head tilt in degrees from the line between the outer eye corners
+ */
+export function estimateRoll(landmarks) {
+    const positions = landmarks.positions;
+    const eyeA = positions[36];
+    const eyeB = positions[45];
+
+    return Math.atan2(eyeB.y - eyeA.y, eyeB.x - eyeA.x) * 180 / Math.PI;
+}
+
+/**
+ * Pixel statistics of the face crop in one pass: sharpness (normalized Laplacian variance),
+ * brightness (mean luminance, 0-1) and contrast (RMS luminance contrast, 0-1).
+ * Returns null when the input cannot be drawn (e.g. tensors under Node).
+ */
+export function analyzeFaceCrop(input, box) {
+    try {
+        const canvas = createCanvas(Math.max(1, Math.round(box.width)), Math.max(1, Math.round(box.height)));
+        const ctx = canvas.getContext('2d');
+
+        ctx.drawImage(input, box.x, box.y, box.width, box.height, 0, 0, canvas.width, canvas.height);
+        const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        const gray = (x, y) => {
+            const idx = (y * width + x) * 4;
+            return (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+        };
+
+        let laplacianSum = 0, luminanceSum = 0, luminanceSqSum = 0, count = 0;
+
+        for (let y = 1; y < height - 1; y += 2) {
+            for (let x = 1; x < width - 1; x += 2) {
+                const center = gray(x, y);
+                const laplacian = gray(x - 1, y) + gray(x + 1, y) + gray(x, y - 1) + gray(x, y + 1) - 4 * center;
+
+                laplacianSum += laplacian * laplacian;
+                luminanceSum += center;
+                luminanceSqSum += center * center;
+                count++;
+            }
+        }
+
+        if (count === 0) return { sharpness: 0, brightness: 0, contrast: 0 };
+
+        const mean = luminanceSum / count;
+        const variance = Math.max(0, luminanceSqSum / count - mean * mean);
+
+        return {
+            // Sharp webcam faces: variance 150+ | Motion-blurred frames: < 50
+            sharpness: Math.min(laplacianSum / count / 150, 1.0),
+            brightness: mean / 255,
+            contrast: Math.sqrt(variance) / 255
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Raw quality measurements for one detection; independent of any thresholds
+ */
+export function measureFaceQuality(input, box, landmarks) {
+    return {
+        faceSize: Math.min(box.width, box.height),
+        ...(analyzeFaceCrop(input, box) || { sharpness: null, brightness: null, contrast: null }),
+        yaw: estimateYaw(landmarks),
+        pitch: estimatePitch(landmarks),
+        roll: estimateRoll(landmarks)
+    };
+}
+
+/**
+ * Applies minimums to measured metrics
+ * Returns { isAcceptable, issues, hint } where hint is the message for the most important failed check.
+ * Pixel checks are skipped when the crop could not be analyzed.
+ */
+export function evaluateFaceQuality(metrics, config = MODEL_CONFIG.QUALITY) {
+    const issues = [];
+
+    if (metrics.faceSize < config.MIN_FACE_SIZE) issues.push('face_size');
+
+    if (metrics.brightness !== null) {
+        if (metrics.brightness < config.MIN_BRIGHTNESS) issues.push('too_dark');
+        else if (metrics.brightness > config.MAX_BRIGHTNESS) issues.push('too_bright');
+        else if (metrics.contrast < config.MIN_CONTRAST) issues.push('low_contrast');
+    }
+
+    if (Math.abs(metrics.yaw) > config.MAX_YAW ||
+        Math.abs(metrics.pitch) > config.MAX_PITCH ||
+        Math.abs(metrics.roll) > config.MAX_ROLL_DEG) {
+        issues.push('pose');
+    }
+
+    if (metrics.sharpness !== null && metrics.sharpness < config.MIN_SHARPNESS) issues.push('blur');
+
+    return {
+        isAcceptable: issues.length === 0,
+        issues,
+        hint: issues.length > 0 ? QUALITY_HINTS[issues[0]] : null
+    };
+}
+
+/**
+ * Measures and evaluates one detection
+ * Returns { isAcceptable, issues, hint, metrics }
+ */
+export function assessFaceQuality(input, box, landmarks, config = MODEL_CONFIG.QUALITY) {
+    const metrics = measureFaceQuality(input, box, landmarks);
+    return { ...evaluateFaceQuality(metrics, config), metrics };
+}
+
+export default assessFaceQuality;
@@ -0,0 +1,83 @@
+import { estimateYaw, estimatePitch, estimateRoll, evaluateFaceQuality, measureFaceQuality } from './faceQuality';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+/**
+ * Landmarks with only the points the pose estimates read: outer eye corners, nose tip and chin
+ */
+function landmarks({ eyeA = { x: 0, y: 0 }, eyeB = { x: 100, y: 0 }, nose = { x: 50, y: 40 }, chin = { x: 50, y: 100 } } = {}) {
+    const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+    positions[36] = eyeA;
+    positions[45] = eyeB;
+    positions[30] = nose;
+    positions[8] = chin;
+    return { positions };
+}
+
+const GOOD = { faceSize: 150, sharpness: 0.6, brightness: 0.5, contrast: 0.2, yaw: 0, pitch: 0, roll: 0 };
+
+describe('head pose estimates', () => {
+    it('are zero for a frontal face', () => {
+        const frontal = landmarks();
+
+        expect(estimateYaw(frontal)).toBe(0);
+        expect(estimatePitch(frontal)).toBeCloseTo(0, 10);
+        expect(estimateRoll(frontal)).toBe(0);
+    });
+
+    it('follow the nose for yaw and pitch', () => {
+        expect(estimateYaw(landmarks({ nose: { x: 75, y: 40 } }))).toBeCloseTo(0.5, 10);
+        expect(estimateYaw(landmarks({ nose: { x: 25, y: 40 } }))).toBeCloseTo(-0.5, 10);
+        expect(estimatePitch(landmarks({ nose: { x: 50, y: 60 } }))).toBeCloseTo(0.5, 10);
+    });
+
+    it('measure roll in degrees from the eye line', () => {
+        expect(estimateRoll(landmarks({ eyeB: { x: 100, y: 100 } }))).toBeCloseTo(45, 10);
+    });
+
+    it('stay finite for degenerate landmarks', () => {
+        const collapsed = landmarks({ eyeB: { x: 0, y: 0 }, chin: { x: 50, y: 0 }, nose: { x: 50, y: 0 } });
+
+        expect(estimateYaw(collapsed)).toBe(0);
+        expect(estimatePitch(collapsed)).toBe(0);
+    });
+});
+
+describe('evaluateFaceQuality', () => {
+    const evaluate = (metrics) => evaluateFaceQuality({ ...GOOD, ...metrics }, MODEL_CONFIG.QUALITY);
+
+    it('accepts a good frame', () => {
+        expect(evaluate({})).toEqual({ isAcceptable: true, issues: [], hint: null });
+    });
+
+    it('flags each failed check', () => {
+        expect(evaluate({ faceSize: 40 }).issues).toEqual(['face_size']);
+        expect(evaluate({ brightness: 0.1 }).issues).toEqual(['too_dark']);
+        expect(evaluate({ brightness: 0.95 }).issues).toEqual(['too_bright']);
+        expect(evaluate({ contrast: 0.01 }).issues).toEqual(['low_contrast']);
+        expect(evaluate({ yaw: -0.7 }).issues).toEqual(['pose']);
+        expect(evaluate({ roll: 30 }).issues).toEqual(['pose']);
+        expect(evaluate({ sharpness: 0.1 }).issues).toEqual(['blur']);
+    });
+
+    it('shows the hint of the most important issue first', () => {
+        const result = evaluate({ sharpness: 0.1, yaw: 0.8, faceSize: 40 });
+
+        expect(result.issues).toEqual(['face_size', 'pose', 'blur']);
+        expect(result.hint).toBe('Face too small, move closer');
+        expect(evaluate({ sharpness: 0.1, pitch: 0.6 }).hint).toBe('Face turned away, face the camera');
+    });
+
+    it('skips the pixel checks when the crop could not be analyzed', () => {
+        expect(evaluate({ sharpness: null, brightness: null, contrast: null }).isAcceptable).toBe(true);
+    });
+});
+
+describe('measureFaceQuality', () => {
+    it('reports the box size and pose, without pixel metrics when the crop cannot be drawn', () => {
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+        const metrics = measureFaceQuality({}, { x: 0, y: 0, width: 120, height: 140 }, landmarks({ nose: { x: 75, y: 40 } }));
+
+        expect(metrics).toMatchObject({ faceSize: 120, sharpness: null, brightness: null, contrast: null, roll: 0 });
+        expect(metrics.yaw).toBeCloseTo(0.5, 10);
+    });
+});
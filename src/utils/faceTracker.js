@@ -0,0 +1,100 @@
+/**
+ * Face Tracker Utility
+ * Assigns stable track IDs to faces across frames using box overlap (IoU) and descriptor distance.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { descriptorDistance } from './distanceMetrics';
+
+/**
+ * Intersection over union of two { x, y, width, height } boxes
+ */
+export function computeIoU(a, b) {
+    const x1 = Math.max(a.x, b.x);
+    const y1 = Math.max(a.y, b.y);
+    const x2 = Math.min(a.x + a.width, b.x + b.width);
+    const y2 = Math.min(a.y + a.height, b.y + b.height);
+
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a.width * a.height + b.width * b.height - intersection;
+
+    return union > 0 ? intersection / union : 0;
+}
+
+export class FaceTracker {
+    /**
+     * @param {object} [config] TRACKING section
+     * @param {object} [matching] MATCHING section, for the descriptor distance metric
+     */
+    constructor(config = MODEL_CONFIG.TRACKING, matching = MODEL_CONFIG.MATCHING) {
+        this.config = config;
+        this.matching = matching;
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Matches this frame's faces to existing tracks and returns them with a trackId
+     * Pairs are assigned greedily, best score first; unmatched faces open new tracks.
+     */
+    update(faces) {
+        const candidates = [];
+
+        faces.forEach((face, faceIndex) => {
+            this.tracks.forEach((track, trackIndex) => {
+                const iou = computeIoU(track.box, face.box);
+                const distance = descriptorDistance(track.embedding, face.embedding, this.matching.METRIC, this.matching.ENSEMBLE_WEIGHTS);
+
+                if (iou >= this.config.MIN_IOU || distance <= this.config.MAX_DESCRIPTOR_DISTANCE) {
+                    // Overlap dominates; the descriptor term breaks ties and covers fast movement
+                    candidates.push({ faceIndex, trackIndex, score: iou + (1 - Math.min(distance, 1)) });
+                }
+            });
+        });
+
+        candidates.sort((a, b) => b.score - a.score);
+
+        const assignedFaces = new Map();
+        const usedTracks = new Set();
+
+        for (const { faceIndex, trackIndex } of candidates) {
+            if (assignedFaces.has(faceIndex) || usedTracks.has(trackIndex)) continue;
+            assignedFaces.set(faceIndex, trackIndex);
+            usedTracks.add(trackIndex);
+        }
+
+        const tracked = faces.map((face, faceIndex) => {
+            let track;
+
+            if (assignedFaces.has(faceIndex)) {
+                track = this.tracks[assignedFaces.get(faceIndex)];
+            } else {
+                track = { id: this.nextId++ };
+                this.tracks.push(track);
+            }
+
+            track.box = face.box;
+            track.embedding = face.embedding;
+            track.missed = 0;
+
+            return { ...face, trackId: track.id };
+        });
+
+        const seenIds = new Set(tracked.map(face => face.trackId));
+
+        this.tracks = this.tracks.filter(track => {
+            if (seenIds.has(track.id)) return true;
+            track.missed++;
+            return track.missed <= this.config.MAX_MISSED_FRAMES;
+        });
+
+        return tracked;
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+}
+
+export default FaceTracker;
@@ -0,0 +1,95 @@
+import { FaceTracker, computeIoU } from './faceTracker';
+
+const CONFIG = { MIN_IOU: 0.3, MAX_DESCRIPTOR_DISTANCE: 0.5, MAX_MISSED_FRAMES: 2 };
+
+const box = (x, y = 0, size = 100) => ({ x, y, width: size, height: size });
+const face = (x, embedding, y = 0) => ({ box: box(x, y), embedding });
+
+// Two-dimensional descriptors: far apart for different people
+const ALICE = [0, 0];
+const BOB = [2, 0];
+
+describe('computeIoU', () => {
+    it('is 1 for the same box, 0 for disjoint boxes and the overlap ratio in between', () => {
+        expect(computeIoU(box(0), box(0))).toBe(1);
+        expect(computeIoU(box(0), box(200))).toBe(0);
+        // 50 x 100 shared out of 150 x 100
+        expect(computeIoU(box(0), box(50))).toBeCloseTo(1 / 3, 10);
+    });
+});
+
+describe('FaceTracker', () => {
+    it('keeps the track id of a face that moves a little between frames', () => {
+        const tracker = new FaceTracker(CONFIG);
+        const [first] = tracker.update([face(0, ALICE)]);
+        const [second] = tracker.update([face(10, ALICE)]);
+
+        expect(first.trackId).toBe(1);
+        expect(second.trackId).toBe(1);
+    });
+
+    it('keeps two faces apart, even when they swap order in the detections', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE), face(300, BOB)]);
+
+        const tracked = tracker.update([face(310, BOB), face(5, ALICE)]);
+        expect(tracked.map(item => item.trackId)).toEqual([2, 1]);
+    });
+
+    it('re-associates a face that jumped by its descriptor', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE)]);
+
+        const [moved] = tracker.update([face(400, [0.1, 0])]);
+        expect(moved.trackId).toBe(1);
+    });
+
+    it('opens a new track for a different face in another place', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE)]);
+
+        const [other] = tracker.update([face(400, BOB)]);
+        expect(other.trackId).toBe(2);
+    });
+
+    it('gives each track to one face only, the best scoring one', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE)]);
+
+        // Both overlap the track; the first also has the matching descriptor
+        const tracked = tracker.update([face(20, ALICE), face(30, BOB)]);
+        expect(tracked.map(item => item.trackId)).toEqual([1, 2]);
+    });
+
+    it('drops a track after MAX_MISSED_FRAMES frames without its face', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE)]);
+
+        tracker.update([]);
+        tracker.update([]);
+        expect(tracker.update([face(0, ALICE)])[0].trackId).toBe(1);
+
+        tracker.update([]);
+        tracker.update([]);
+        tracker.update([]);
+        expect(tracker.update([face(0, ALICE)])[0].trackId).toBe(2);
+    });
+
+    it('compares descriptors with the MATCHING metric', () => {
+        const matching = { METRIC: 'cosine', ENSEMBLE_WEIGHTS: {} };
+        const tracker = new FaceTracker(CONFIG, matching);
+        tracker.update([face(0, [1, 0])]);
+
+        // Euclidean distance 4, but the same direction, so cosine distance 0
+        const [moved] = tracker.update([face(400, [5, 0])]);
+        expect(moved.trackId).toBe(1);
+    });
+
+    it('numbers tracks from 1 again after reset()', () => {
+        const tracker = new FaceTracker(CONFIG);
+        tracker.update([face(0, ALICE), face(300, BOB)]);
+
+        tracker.reset();
+        expect(tracker.update([face(300, BOB)])[0].trackId).toBe(1);
+    });
+});
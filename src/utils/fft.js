@@ -0,0 +1,113 @@
+/**
+ * FFT Utility
+ * Radix-2 Cooley-Tukey transforms used by the frequency-domain liveness scorers.
+ */
+
+export function nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) size *= 2;
+    return size;
+}
+
+/**
+ * Hann window of length n (tapers block edges so they do not leak into the spectrum)
+ */
+export function hannWindow(n) {
+    const window = new Float64Array(n);
+    for (let i = 0; i < n; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1 || 1));
+    return window;
+}
+
+/**
+ * In-place complex FFT; re and im must have the same power-of-two length
+ */
+export function fft(re, im) {
+    const n = re.length;
+    if (n & (n - 1)) throw new Error('FFT length must be a power of two');
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let len = 2; len <= n; len *= 2) {
+        const angle = (-2 * Math.PI) / len;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += len) {
+            let curRe = 1, curIm = 0;
+
+            for (let k = 0; k < len / 2; k++) {
+                const a = start + k;
+                const b = a + len / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Magnitude spectrum of a real signal (zero-padded to a power of two), bins 0..n/2
+ */
+export function magnitudeSpectrum(signal) {
+    const n = nextPowerOfTwo(signal.length);
+    const re = new Float64Array(n);
+    const im = new Float64Array(n);
+    re.set(signal);
+
+    fft(re, im);
+
+    const magnitudes = new Float64Array(n / 2 + 1);
+    for (let k = 0; k <= n / 2; k++) magnitudes[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+    return { magnitudes, size: n };
+}
+
+/**
+ * In-place 2D FFT of a size x size row-major block
+ */
+export function fft2d(re, im, size) {
+    const rowRe = new Float64Array(size);
+    const rowIm = new Float64Array(size);
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            rowRe[x] = re[y * size + x];
+            rowIm[x] = im[y * size + x];
+        }
+        fft(rowRe, rowIm);
+        for (let x = 0; x < size; x++) {
+            re[y * size + x] = rowRe[x];
+            im[y * size + x] = rowIm[x];
+        }
+    }
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            rowRe[y] = re[y * size + x];
+            rowIm[y] = im[y * size + x];
+        }
+        fft(rowRe, rowIm);
+        for (let y = 0; y < size; y++) {
+            re[y * size + x] = rowRe[y];
+            im[y * size + x] = rowIm[y];
+        }
+    }
+}
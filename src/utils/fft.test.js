@@ -0,0 +1,91 @@
+import { nextPowerOfTwo, hannWindow, fft, magnitudeSpectrum, fft2d } from './fft';
+
+/**
+ * Direct O(n^2) DFT to check the FFT against
+ */
+function dft(signal) {
+    const n = signal.length;
+    return Array.from({ length: n }, (_, k) => {
+        let re = 0, im = 0;
+        for (let t = 0; t < n; t++) {
+            re += signal[t] * Math.cos((-2 * Math.PI * k * t) / n);
+            im += signal[t] * Math.sin((-2 * Math.PI * k * t) / n);
+        }
+        return { re, im };
+    });
+}
+
+describe('nextPowerOfTwo', () => {
+    it('rounds up to a power of two', () => {
+        expect([1, 2, 3, 5, 64, 65].map(nextPowerOfTwo)).toEqual([1, 2, 4, 8, 64, 128]);
+    });
+});
+
+describe('hannWindow', () => {
+    it('is zero at both ends, one in the middle and symmetric', () => {
+        const window = hannWindow(9);
+
+        expect(window[0]).toBeCloseTo(0, 10);
+        expect(window[8]).toBeCloseTo(0, 10);
+        expect(window[4]).toBeCloseTo(1, 10);
+        expect(window[2]).toBeCloseTo(window[6], 10);
+    });
+});
+
+describe('fft', () => {
+    it('matches the direct DFT', () => {
+        const signal = [0.5, -1, 2, 0.25, 3, -0.75, 1, 0];
+        const re = Float64Array.from(signal);
+        const im = new Float64Array(signal.length);
+
+        fft(re, im);
+
+        dft(signal).forEach(({ re: expectedRe, im: expectedIm }, k) => {
+            expect(re[k]).toBeCloseTo(expectedRe, 10);
+            expect(im[k]).toBeCloseTo(expectedIm, 10);
+        });
+    });
+
+    it('needs a power-of-two length', () => {
+        expect(() => fft(new Float64Array(6), new Float64Array(6))).toThrow('FFT length must be a power of two');
+    });
+});
+
+describe('magnitudeSpectrum', () => {
+    it('puts a cosine in its frequency bin', () => {
+        const signal = Array.from({ length: 64 }, (_, t) => Math.cos((2 * Math.PI * 5 * t) / 64));
+        const { magnitudes, size } = magnitudeSpectrum(signal);
+
+        expect(size).toBe(64);
+        expect(magnitudes).toHaveLength(33);
+        expect(magnitudes[5]).toBeCloseTo(32, 8);
+        magnitudes.forEach((magnitude, k) => {
+            if (k !== 5) expect(magnitude).toBeCloseTo(0, 8);
+        });
+    });
+
+    it('zero-pads to a power of two', () => {
+        const { magnitudes, size } = magnitudeSpectrum([1, 1, 1, 1, 1]);
+
+        expect(size).toBe(8);
+        expect(magnitudes[0]).toBeCloseTo(5, 10);
+    });
+});
+
+describe('fft2d', () => {
+    it('puts a plane wave in its (u, v) bin', () => {
+        const size = 16;
+        const re = new Float64Array(size * size);
+        const im = new Float64Array(size * size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) re[y * size + x] = Math.cos((2 * Math.PI * (3 * x + 2 * y)) / size);
+        }
+
+        fft2d(re, im, size);
+
+        const magnitude = (u, v) => Math.hypot(re[v * size + u], im[v * size + u]);
+        expect(magnitude(3, 2)).toBeCloseTo((size * size) / 2, 8);
+        expect(magnitude(size - 3, size - 2)).toBeCloseTo((size * size) / 2, 8);
+        expect(magnitude(2, 3)).toBeCloseTo(0, 8);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Frame Pacing Utility
+ * Schedules work on new video frames with requestVideoFrameCallback, falling back to requestAnimationFrame.
+ */
+
+/**
+ * Calls back once on the next presented video frame. Returns a cancel function.
+ */
+export function requestFrame(videoElement, callback) {
+    if (videoElement && typeof videoElement.requestVideoFrameCallback === 'function') {
+        const handle = videoElement.requestVideoFrameCallback(callback);
+        return () => videoElement.cancelVideoFrameCallback(handle);
+    }
+
+    const handle = requestAnimationFrame(callback);
+    return () => cancelAnimationFrame(handle);
+}
+
+/**
+ * Runs an async task on video frames, at most one at a time and no more often than minIntervalMs.
+ * A frame that arrives while the previous task is still running is skipped, never queued.
+ * Returns a stop function.
+ */
+export function startFrameLoop(videoElement, task, minIntervalMs = 0) {
+    let stopped = false;
+    let cancelFrame = null;
+    let lastRunAt = 0;
+
+    const schedule = () => {
+        if (stopped) return;
+
+        cancelFrame = requestFrame(videoElement, async () => {
+            if (stopped) return;
+
+            if (Date.now() - lastRunAt >= minIntervalMs) {
+                lastRunAt = Date.now();
+                try {
+                    await task();
+                } catch (error) {
+                    console.error('Frame task failed:', error);
+                }
+            }
+
+            schedule();
+        });
+    };
+
+    schedule();
+
+    return () => {
+        stopped = true;
+        if (cancelFrame) cancelFrame();
+    };
+}
+
+export default startFrameLoop;
@@ -0,0 +1,38 @@
+/**
+ * IndexedDB Utility
+ * Promise wrappers shared by the persistent stores.
+ */
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves once a transaction has committed
+ */
+export function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Opens a database, calling upgrade(db, request) when it is created or its version increases
+ */
+export function openDatabase(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+
+        request.onupgradeneeded = () => upgrade(request.result, request);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,157 @@
+/**
+ * Input Sources Utility
+ * Frame sources besides the live camera: uploaded images (e.g. an ID photo) and local video files.
+ * A file source is { kind: 'image' | 'video', name, element, width, height, durationMs, release() }, where
+ * element is what the recognition models accept (an HTMLImageElement or a paused HTMLVideoElement).
+ * Every wait on the browser takes { timeoutMs, signal }: it rejects once timeoutMs passes (0 waits forever)
+ * or the AbortSignal fires, so a file the browser never finishes decoding cannot hang the caller.
+ */
+
+import { getSourceSize } from './canvas';
+
+/**
+ * True for sources that hold one still frame (images, bitmaps, canvases) rather than a video stream
+ */
+export function isStillImage(source) {
+    return (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement)
+        || (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap)
+        || (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement)
+        || (typeof OffscreenCanvas !== 'undefined' && source instanceof OffscreenCanvas);
+}
+
+/**
+ * Resolves once the element fires readyEvent; rejects with errorMessage on an error event,
+ * and on timeout or abort. start() runs once the listeners are in place.
+ */
+function waitForEvent(element, readyEvent, { errorMessage, timeoutMessage, timeoutMs = 0, signal = null, start = null }) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const finish = (error) => {
+            clearTimeout(timer);
+            element.removeEventListener(readyEvent, onReady);
+            element.removeEventListener('error', onError);
+            if (signal) signal.removeEventListener('abort', onAbort);
+
+            if (error) reject(error);
+            else resolve();
+        };
+        const onReady = () => finish(null);
+        const onError = () => finish(new Error(errorMessage));
+        const onAbort = () => finish(new Error('Cancelled'));
+
+        if (signal && signal.aborted) {
+            reject(new Error('Cancelled'));
+            return;
+        }
+
+        element.addEventListener(readyEvent, onReady);
+        element.addEventListener('error', onError);
+        if (signal) signal.addEventListener('abort', onAbort);
+        if (timeoutMs > 0) timer = setTimeout(() => finish(new Error(timeoutMessage)), timeoutMs);
+
+        if (start) start();
+    });
+}
+
+/**
+ * Resolves once the element fires readyEvent, rejecting on a load error
+ */
+function whenLoaded(element, readyEvent, fileName, { timeoutMs, signal } = {}) {
+    return waitForEvent(element, readyEvent, {
+        errorMessage: `Could not read ${fileName}`,
+        timeoutMessage: `Timed out reading ${fileName}`,
+        timeoutMs,
+        signal
+    });
+}
+
+export async function loadImageFile(file, options = {}) {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    const loaded = whenLoaded(image, 'load', file.name, options);
+    image.src = url;
+
+    try {
+        await loaded;
+    } catch (err) {
+        URL.revokeObjectURL(url);
+        throw err;
+    }
+
+    return {
+        kind: 'image',
+        name: file.name,
+        element: image,
+        ...getSourceSize(image),
+        durationMs: 0,
+        release: () => URL.revokeObjectURL(url)
+    };
+}
+
+export async function loadVideoFile(file, options = {}) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    // The first frame has to be decoded before it can be drawn
+    const loaded = whenLoaded(video, 'loadeddata', file.name, options);
+    video.src = url;
+
+    try {
+        await loaded;
+
+        // MediaRecorder files often report an infinite duration until the browser has seen their end
+        if (video.duration === Infinity) {
+            await seekVideo(video, Number.MAX_SAFE_INTEGER, options);
+            await seekVideo(video, 0, options);
+        }
+    } catch (err) {
+        video.removeAttribute('src');
+        video.load();
+        URL.revokeObjectURL(url);
+        throw err;
+    }
+
+    return {
+        kind: 'video',
+        name: file.name,
+        element: video,
+        ...getSourceSize(video),
+        durationMs: Number.isFinite(video.duration) ? Math.round(video.duration * 1000) : 0,
+        release: () => {
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    };
+}
+
+/**
+ * Opens an uploaded file as an image or video source, by its MIME type
+ * options: { timeoutMs, signal } for each wait on the browser
+ */
+export function loadFileSource(file, options = {}) {
+    if (file.type.startsWith('image/')) return loadImageFile(file, options);
+    if (file.type.startsWith('video/')) return loadVideoFile(file, options);
+    return Promise.reject(new Error(`Unsupported file type: ${file.type || file.name}`));
+}
+
+/**
+ * Moves a paused video to timeMs and resolves once that frame can be drawn
+ */
+export function seekVideo(video, timeMs, { timeoutMs, signal } = {}) {
+    return waitForEvent(video, 'seeked', {
+        errorMessage: 'Video seek failed',
+        timeoutMessage: `Timed out seeking to ${Math.round(timeMs)} ms`,
+        timeoutMs,
+        signal,
+        start: () => {
+            video.currentTime = timeMs / 1000;
+        }
+    });
+}
+
+export default loadFileSource;
@@ -0,0 +1,213 @@
+/**
+ * Intruder Registry Utility
+ * Clusters unauthorized faces into persistent intruder identities. Each intruder keeps a running centroid
+ * (matched against) and a bounded set of recent samples (used to split a cluster again).
+ * Distances use the MATCHING metric, like the gallery matches.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { descriptorDistance } from './distanceMetrics';
+
+function mean(embeddings) {
+    const result = new Array(embeddings[0].length).fill(0);
+    for (const embedding of embeddings) {
+        for (let i = 0; i < embedding.length; i++) result[i] += embedding[i];
+    }
+    return result.map(v => v / embeddings.length);
+}
+
+/**
+ * Display label of an intruder record
+ */
+export function getIntruderLabel(intruder) {
+    return intruder.name || `Unauthorized Person #${intruder.id}`;
+}
+
+function assignToNearest(samples, [a, b], distance) {
+    const groups = [[], []];
+    samples.forEach(sample => {
+        groups[distance(sample.embedding, a) <= distance(sample.embedding, b) ? 0 : 1].push(sample);
+    });
+    return groups;
+}
+
+/**
+ * Two-means over sample embeddings, seeded with the farthest pair
+ */
+function splitInTwo(samples, distance) {
+    let seedA = 0, seedB = 1, farthest = -1;
+    for (let i = 0; i < samples.length; i++) {
+        for (let j = i + 1; j < samples.length; j++) {
+            const d = distance(samples[i].embedding, samples[j].embedding);
+            if (d > farthest) [seedA, seedB, farthest] = [i, j, d];
+        }
+    }
+
+    let centroids = [samples[seedA].embedding, samples[seedB].embedding];
+    let groups = assignToNearest(samples, centroids, distance);
+
+    for (let iteration = 0; iteration < 10 && groups[0].length > 0 && groups[1].length > 0; iteration++) {
+        centroids = groups.map(group => mean(group.map(s => s.embedding)));
+        groups = assignToNearest(samples, centroids, distance);
+    }
+
+    return groups;
+}
+
+/**
+ * Intruder records: { id, name, note, centroid, sampleCount, samples: [{ embedding, logId, time }], firstSeen, lastSeen }
+ * id doubles as the person number shown in the logs and never repeats, also across reloads.
+ */
+export class IntruderRegistry {
+    /**
+     * @param {object[]} intruders persisted records
+     * @param {number} [minNextId] ids at or below this are taken (e.g. by older log entries)
+     * @param {object} [config] INTRUDERS section
+     * @param {object} [matching] MATCHING section, for the distance metric
+     */
+    constructor(intruders = [], minNextId = 0, config = MODEL_CONFIG.INTRUDERS, matching = MODEL_CONFIG.MATCHING) {
+        this.config = config;
+        this.matching = matching;
+        this.intruders = intruders.map(intruder => ({ ...intruder }));
+        this.nextId = Math.max(minNextId, ...this.intruders.map(i => i.id), 0) + 1;
+    }
+
+    get(id) {
+        return this.intruders.find(intruder => intruder.id === id) || null;
+    }
+
+    getLabel(intruder) {
+        return getIntruderLabel(intruder);
+    }
+
+    distance(a, b) {
+        return descriptorDistance(a, b, this.matching.METRIC, this.matching.ENSEMBLE_WEIGHTS);
+    }
+
+    /**
+     * Nearest intruder whose centroid is within MATCH_THRESHOLD, or null
+     */
+    match(embedding) {
+        let best = null;
+
+        for (const intruder of this.intruders) {
+            const distance = this.distance(intruder.centroid, embedding);
+            if (distance <= this.config.MATCH_THRESHOLD && (!best || distance < best.distance)) {
+                best = { intruder, distance };
+            }
+        }
+
+        return best ? best.intruder : null;
+    }
+
+    /**
+     * Assigns an encounter to its intruder (creating one if nobody matches) and updates the centroid
+     */
+    record(embedding, { logId, time = Date.now() } = {}) {
+        let intruder = this.match(embedding);
+
+        if (!intruder) {
+            intruder = {
+                id: this.nextId++,
+                name: '',
+                note: '',
+                centroid: [...embedding],
+                sampleCount: 0,
+                samples: [],
+                firstSeen: time,
+                lastSeen: time
+            };
+            this.intruders.push(intruder);
+        } else {
+            const n = intruder.sampleCount;
+            intruder.centroid = intruder.centroid.map((v, i) => (v * n + embedding[i]) / (n + 1));
+        }
+
+        intruder.sampleCount++;
+        intruder.samples = [...intruder.samples, { embedding: [...embedding], logId, time }].slice(-this.config.MAX_SAMPLES);
+        intruder.firstSeen = Math.min(intruder.firstSeen, time);
+        intruder.lastSeen = Math.max(intruder.lastSeen, time);
+
+        return intruder;
+    }
+
+    /**
+     * Folds source into target; the centroid is weighted by each side's sample count
+     */
+    merge(targetId, sourceId) {
+        const target = this.get(targetId);
+        const source = this.get(sourceId);
+        if (!target || !source || target === source) throw new Error('Pick two different intruders to merge');
+
+        const total = target.sampleCount + source.sampleCount;
+        target.centroid = target.centroid.map((v, i) =>
+            (v * target.sampleCount + source.centroid[i] * source.sampleCount) / total
+        );
+        target.sampleCount = total;
+        target.samples = [...target.samples, ...source.samples]
+            .sort((a, b) => a.time - b.time)
+            .slice(-this.config.MAX_SAMPLES);
+        target.firstSeen = Math.min(target.firstSeen, source.firstSeen);
+        target.lastSeen = Math.max(target.lastSeen, source.lastSeen);
+        target.name = target.name || source.name;
+        target.note = [target.note, source.note].filter(Boolean).join('\n');
+
+        this.remove(sourceId);
+        return target;
+    }
+
+    /**
+     * Splits one intruder in two by clustering its stored samples
+     * Returns { original, created } where created holds the samples (and their logIds) that moved.
+     */
+    split(id) {
+        const intruder = this.get(id);
+        if (!intruder || intruder.samples.length < 2) throw new Error('Need at least two samples to split an intruder');
+
+        const [kept, moved] = splitInTwo(intruder.samples, (a, b) => this.distance(a, b));
+        if (kept.length === 0 || moved.length === 0) throw new Error('Samples are too similar to split');
+
+        const share = moved.length / intruder.samples.length;
+        const movedCount = Math.max(1, Math.round(intruder.sampleCount * share));
+        const times = (samples) => samples.map(s => s.time);
+
+        const created = {
+            id: this.nextId++,
+            name: '',
+            note: '',
+            centroid: mean(moved.map(s => s.embedding)),
+            sampleCount: movedCount,
+            samples: moved,
+            firstSeen: Math.min(...times(moved)),
+            lastSeen: Math.max(...times(moved))
+        };
+
+        intruder.centroid = mean(kept.map(s => s.embedding));
+        intruder.sampleCount = Math.max(1, intruder.sampleCount - movedCount);
+        intruder.samples = kept;
+        intruder.firstSeen = Math.min(...times(kept));
+        intruder.lastSeen = Math.max(...times(kept));
+
+        this.intruders.push(created);
+        return { original: intruder, created };
+    }
+
+    label(id, { name, note } = {}) {
+        const intruder = this.get(id);
+        if (!intruder) throw new Error('Unknown intruder');
+
+        if (name !== undefined) intruder.name = name.trim();
+        if (note !== undefined) intruder.note = note.trim();
+        return intruder;
+    }
+
+    remove(id) {
+        this.intruders = this.intruders.filter(intruder => intruder.id !== id);
+    }
+
+    clear() {
+        this.intruders = [];
+    }
+}
+
+export default IntruderRegistry;
@@ -0,0 +1,103 @@
+import { IntruderRegistry, getIntruderLabel } from './intruderRegistry';
+
+const CONFIG = { MATCH_THRESHOLD: 0.55, MAX_SAMPLES: 4 };
+
+// Two-dimensional descriptors: A and B are different people
+const A = [0, 0];
+const B = [2, 0];
+
+const near = ([x, y], dx = 0, dy = 0) => [x + dx, y + dy];
+
+describe('IntruderRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new IntruderRegistry([], 0, CONFIG);
+    });
+
+    it('clusters encounters of the same face and opens a new intruder for another one', () => {
+        const first = registry.record(A, { logId: 1, time: 100 });
+        const again = registry.record(near(A, 0.2), { logId: 2, time: 200 });
+        const other = registry.record(B, { logId: 3, time: 300 });
+
+        expect(again).toBe(first);
+        expect(first).toMatchObject({ id: 1, sampleCount: 2, firstSeen: 100, lastSeen: 200 });
+        expect(first.centroid).toEqual([0.1, 0]);
+        expect(other.id).toBe(2);
+        expect(registry.match(near(B, 0, 0.3))).toBe(other);
+        expect(registry.match([1, 0])).toBeNull();
+    });
+
+    it('never reuses an id, and starts after minNextId and the persisted records', () => {
+        const restored = new IntruderRegistry([{ id: 4, name: '', note: '', centroid: A, sampleCount: 1, samples: [] }], 7, CONFIG);
+
+        expect(restored.record(B).id).toBe(8);
+        restored.remove(8);
+        expect(restored.record(B).id).toBe(9);
+    });
+
+    it('keeps only the MAX_SAMPLES most recent samples', () => {
+        for (let i = 0; i < 6; i++) registry.record(near(A, 0.01 * i), { logId: i, time: i });
+
+        const [intruder] = registry.intruders;
+        expect(intruder.sampleCount).toBe(6);
+        expect(intruder.samples.map(sample => sample.logId)).toEqual([2, 3, 4, 5]);
+    });
+
+    it('merges two intruders, weighting the centroid by sample count', () => {
+        registry.record(A, { logId: 1, time: 100 });
+        registry.record(A, { logId: 2, time: 400 });
+        registry.record(B, { logId: 3, time: 200 });
+        registry.label(1, { note: 'lobby' });
+        registry.label(2, { name: ' Courier ', note: 'back door' });
+
+        const merged = registry.merge(1, 2);
+
+        expect(registry.intruders).toEqual([merged]);
+        expect(merged).toMatchObject({
+            id: 1, name: 'Courier', note: 'lobby\nback door', sampleCount: 3, firstSeen: 100, lastSeen: 400
+        });
+        expect(merged.centroid[0]).toBeCloseTo(2 / 3, 10);
+        expect(merged.samples.map(sample => sample.logId)).toEqual([1, 3, 2]);
+        expect(getIntruderLabel(merged)).toBe('Courier');
+    });
+
+    it('refuses to merge an intruder with itself or an unknown one', () => {
+        registry.record(A);
+
+        expect(() => registry.merge(1, 1)).toThrow('Pick two different intruders to merge');
+        expect(() => registry.merge(1, 5)).toThrow('Pick two different intruders to merge');
+    });
+
+    it('splits a cluster of two faces back apart', () => {
+        // Threshold loose enough that both faces landed in one cluster
+        const loose = new IntruderRegistry([], 0, { ...CONFIG, MATCH_THRESHOLD: 3 });
+        [A, B, near(A, 0.1), near(B, 0.1)].forEach((embedding, i) => loose.record(embedding, { logId: i + 1, time: (i + 1) * 100 }));
+
+        const { original, created } = loose.split(1);
+
+        expect(original.samples.map(sample => sample.logId)).toEqual([1, 3]);
+        expect(created.samples.map(sample => sample.logId)).toEqual([2, 4]);
+        expect(original.centroid).toEqual([0.05, 0]);
+        expect(created.centroid).toEqual([2.05, 0]);
+        expect(created).toMatchObject({ id: 2, sampleCount: 2, firstSeen: 200, lastSeen: 400 });
+        expect(original).toMatchObject({ sampleCount: 2, firstSeen: 100, lastSeen: 300 });
+        expect(getIntruderLabel(created)).toBe('Unauthorized Person #2');
+    });
+
+    it('refuses to split an intruder with too few or identical samples', () => {
+        registry.record(A);
+        expect(() => registry.split(1)).toThrow('Need at least two samples to split an intruder');
+
+        registry.record(A);
+        expect(() => registry.split(1)).toThrow('Samples are too similar to split');
+    });
+
+    it('measures distances with the MATCHING metric', () => {
+        const cosine = new IntruderRegistry([], 0, CONFIG, { METRIC: 'cosine', ENSEMBLE_WEIGHTS: {} });
+        const first = cosine.record([1, 0]);
+
+        // Far apart in Euclidean terms, but the same direction
+        expect(cosine.record([4, 0])).toBe(first);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Active Liveness Challenge Utility
+ * Issues a random sequence of actions (blink, head turn, mouth, smile) and verifies each from the 68-point landmarks.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { estimateYaw } from './faceQuality';
+
+const INSTRUCTIONS = {
+    blink: 'Blink your eyes',
+    turn_left: 'Turn your head to the left',
+    turn_right: 'Turn your head to the right',
+    open_mouth: 'Open your mouth',
+    smile: 'Smile'
+};
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+/**
+ * Eye aspect ratio averaged over both eyes (open ~0.3, closed < 0.2)
+ */
+export function eyeAspectRatio(landmarks) {
+    const p = landmarks.positions;
+
+    const ear = (i) => (distance(p[i + 1], p[i + 5]) + distance(p[i + 2], p[i + 4])) / (2 * distance(p[i], p[i + 3]));
+
+    return (ear(36) + ear(42)) / 2;
+}
+
+/**
+ * Mouth aspect ratio from the inner lip contour (closed ~0, wide open > 0.5)
+ */
+export function mouthAspectRatio(landmarks) {
+    const p = landmarks.positions;
+
+    return (distance(p[61], p[67]) + distance(p[62], p[66]) + distance(p[63], p[65])) / (2 * distance(p[60], p[64]));
+}
+
+/**
+ * Mouth corner distance relative to the outer eye corners, scale independent
+ */
+export function mouthWidthRatio(landmarks) {
+    const p = landmarks.positions;
+
+    return distance(p[48], p[54]) / distance(p[36], p[45]);
+}
+
+function shuffle(items) {
+    const result = [...items];
+
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+
+    return result;
+}
+
+/**
+ * Runs one challenge sequence. Each step first waits for a neutral face, then for the action,
+ * so a user who is already turned or smiling when the step starts does not pass it for free.
+ */
+export class LivenessChallenge {
+    constructor(config = MODEL_CONFIG.ACTIVE_LIVENESS) {
+        this.config = config;
+        this.sequence = shuffle(config.CHALLENGES).slice(0, config.CHALLENGE_COUNT);
+        this.stepIndex = 0;
+        this.status = 'pending';
+        this.reason = null;
+        this.startStep();
+    }
+
+    startStep() {
+        this.stepStartedAt = Date.now();
+        this.phase = 'neutral';
+        this.baseline = null;
+    }
+
+    /**
+     * Feeds the landmarks of one frame (null when no face) and returns the progress
+     */
+    update(landmarks) {
+        if (this.status !== 'pending') return this.getProgress();
+
+        if (Date.now() - this.stepStartedAt > this.config.STEP_TIMEOUT_MS) {
+            this.status = 'failed';
+            this.reason = `Timed out waiting for: ${INSTRUCTIONS[this.sequence[this.stepIndex]].toLowerCase()}`;
+            return this.getProgress();
+        }
+
+        if (landmarks && this.evaluateStep(this.sequence[this.stepIndex], landmarks)) {
+            this.stepIndex++;
+
+            if (this.stepIndex >= this.sequence.length) {
+                this.status = 'passed';
+            } else {
+                this.startStep();
+            }
+        }
+
+        return this.getProgress();
+    }
+
+    /**
+     * Advances the neutral -> action (-> recover) state machine of the current step
+     * Returns true when the step is complete
+     */
+    evaluateStep(type, landmarks) {
+        const config = this.config;
+        const yaw = estimateYaw(landmarks);
+        const mar = mouthAspectRatio(landmarks);
+
+        switch (type) {
+            case 'blink': {
+                const ear = eyeAspectRatio(landmarks);
+
+                if (this.phase === 'neutral') {
+                    this.baseline = this.baseline === null ? ear : Math.max(this.baseline, ear);
+                    if (ear < this.baseline * config.BLINK_EAR_RATIO) this.phase = 'recover';
+                    return false;
+                }
+
+                // Eyes must reopen, a closed-eye photo cannot complete the blink
+                return ear > this.baseline * 0.9;
+            }
+
+            case 'turn_left':
+            case 'turn_right': {
+                if (this.phase === 'neutral') {
+                    if (Math.abs(yaw) < config.NEUTRAL_YAW) this.phase = 'action';
+                    return false;
+                }
+
+                // Positive yaw = subject turned to their left (see estimateYaw)
+                return type === 'turn_left' ? yaw > config.TURN_YAW : yaw < -config.TURN_YAW;
+            }
+
+            case 'open_mouth': {
+                if (this.phase === 'neutral') {
+                    if (mar < config.MOUTH_CLOSED_MAR) this.phase = 'action';
+                    return false;
+                }
+
+                return mar > config.MOUTH_OPEN_MAR;
+            }
+
+            case 'smile': {
+                const width = mouthWidthRatio(landmarks);
+
+                if (this.phase === 'neutral') {
+                    if (mar < config.MOUTH_CLOSED_MAR && Math.abs(yaw) < config.NEUTRAL_YAW) {
+                        this.baseline = width;
+                        this.phase = 'action';
+                    }
+                    return false;
+                }
+
+                return width > this.baseline * config.SMILE_WIDTH_RATIO && mar < config.MOUTH_OPEN_MAR;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * { status, step, total, challenge, instruction, timeRemainingMs, reason }
+     */
+    getProgress() {
+        const current = this.sequence[Math.min(this.stepIndex, this.sequence.length - 1)];
+
+        return {
+            status: this.status,
+            step: Math.min(this.stepIndex + 1, this.sequence.length),
+            total: this.sequence.length,
+            challenge: current,
+            instruction: INSTRUCTIONS[current],
+            timeRemainingMs: Math.max(0, this.config.STEP_TIMEOUT_MS - (Date.now() - this.stepStartedAt)),
+            reason: this.reason
+        };
+    }
+}
+
+export default LivenessChallenge;
@@ -0,0 +1,141 @@
+import { LivenessChallenge, eyeAspectRatio, mouthAspectRatio, mouthWidthRatio } from './livenessChallenge';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+const CONFIG = { ...MODEL_CONFIG.ACTIVE_LIVENESS, STEP_TIMEOUT_MS: 1000 };
+
+/**
+ * 68-point landmarks of a schematic face: eyes 20 px wide, inner lips 30 px wide
+ * eyeOpening and mouthOpening are lid and lip gaps in px, mouthWidth the outer corner distance
+ */
+function face({ yaw = 0, eyeOpening = 6, mouthOpening = 1, mouthWidth = 40 } = {}) {
+    const p = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+    const set = (i, x, y) => { p[i] = { x, y }; };
+
+    [[36, 30], [42, 70]].forEach(([i, left]) => {
+        set(i, left, 40);
+        set(i + 3, left + 20, 40);
+        set(i + 1, left + 7, 40 - eyeOpening / 2);
+        set(i + 2, left + 13, 40 - eyeOpening / 2);
+        set(i + 5, left + 7, 40 + eyeOpening / 2);
+        set(i + 4, left + 13, 40 + eyeOpening / 2);
+    });
+
+    // estimateYaw: nose tip position between the outer eye corners (36 and 45)
+    set(30, 30 + 60 * (yaw / 2 + 0.5), 60);
+
+    set(48, 60 - mouthWidth / 2, 80);
+    set(54, 60 + mouthWidth / 2, 80);
+    set(60, 45, 80);
+    set(64, 75, 80);
+    [[61, 67, 52], [62, 66, 60], [63, 65, 68]].forEach(([upper, lower, x]) => {
+        set(upper, x, 80 - mouthOpening / 2);
+        set(lower, x, 80 + mouthOpening / 2);
+    });
+
+    return { positions: p };
+}
+
+const NEUTRAL = face();
+
+describe('landmark ratios', () => {
+    it('measure eye and mouth opening and mouth width', () => {
+        expect(eyeAspectRatio(NEUTRAL)).toBeCloseTo(0.3, 10);
+        expect(eyeAspectRatio(face({ eyeOpening: 2 }))).toBeCloseTo(0.1, 10);
+        expect(mouthAspectRatio(face({ mouthOpening: 14 }))).toBeCloseTo(0.7, 10);
+        expect(mouthWidthRatio(NEUTRAL)).toBeCloseTo(40 / 60, 10);
+    });
+});
+
+describe('LivenessChallenge', () => {
+    let now;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        // Keeps the shuffle in list order
+        jest.spyOn(Math, 'random').mockReturnValue(0.999);
+    });
+
+    const single = (challenge) => new LivenessChallenge({ ...CONFIG, CHALLENGES: [challenge], CHALLENGE_COUNT: 1 });
+
+    it('picks CHALLENGE_COUNT different challenges', () => {
+        Math.random.mockRestore();
+        const challenge = new LivenessChallenge(CONFIG);
+
+        expect(challenge.sequence).toHaveLength(CONFIG.CHALLENGE_COUNT);
+        expect(new Set(challenge.sequence).size).toBe(CONFIG.CHALLENGE_COUNT);
+        challenge.sequence.forEach(type => expect(CONFIG.CHALLENGES).toContain(type));
+    });
+
+    it('does not pass a turn for a face that was already turned when the step started', () => {
+        const challenge = single('turn_left');
+
+        expect(challenge.update(face({ yaw: 0.5 })).status).toBe('pending');
+        expect(challenge.update(face({ yaw: 0.5 })).status).toBe('pending');
+
+        challenge.update(NEUTRAL);
+        expect(challenge.update(face({ yaw: -0.5 })).status).toBe('pending');
+        expect(challenge.update(face({ yaw: 0.5 })).status).toBe('passed');
+    });
+
+    it('needs the eyes to close and open again for a blink', () => {
+        const challenge = single('blink');
+
+        challenge.update(NEUTRAL);
+        expect(challenge.update(face({ eyeOpening: 2 })).status).toBe('pending');
+        expect(challenge.update(face({ eyeOpening: 2 })).status).toBe('pending');
+        expect(challenge.update(NEUTRAL).status).toBe('passed');
+    });
+
+    it('waits for a closed mouth before an open one', () => {
+        const challenge = single('open_mouth');
+
+        expect(challenge.update(face({ mouthOpening: 14 })).status).toBe('pending');
+        challenge.update(NEUTRAL);
+        expect(challenge.update(face({ mouthOpening: 14 })).status).toBe('passed');
+    });
+
+    it('measures a smile against the neutral mouth width', () => {
+        const challenge = single('smile');
+
+        challenge.update(NEUTRAL);
+        expect(challenge.update(face({ mouthWidth: 42 })).status).toBe('pending');
+        // Wider but wide open is a yawn, not a smile
+        expect(challenge.update(face({ mouthWidth: 50, mouthOpening: 14 })).status).toBe('pending');
+        expect(challenge.update(face({ mouthWidth: 50 })).status).toBe('passed');
+    });
+
+    it('steps through the sequence and reports progress', () => {
+        const challenge = new LivenessChallenge({ ...CONFIG, CHALLENGES: ['turn_left', 'open_mouth'], CHALLENGE_COUNT: 2 });
+
+        expect(challenge.getProgress()).toMatchObject({
+            status: 'pending', step: 1, total: 2, challenge: 'turn_left', instruction: 'Turn your head to the left'
+        });
+
+        challenge.update(NEUTRAL);
+        now = 400;
+        expect(challenge.update(face({ yaw: 0.5 }))).toMatchObject({
+            step: 2, challenge: 'open_mouth', timeRemainingMs: CONFIG.STEP_TIMEOUT_MS
+        });
+
+        // A missing face neither advances nor fails the step
+        expect(challenge.update(null)).toMatchObject({ status: 'pending', step: 2 });
+
+        challenge.update(NEUTRAL);
+        expect(challenge.update(face({ mouthOpening: 14 }))).toMatchObject({ status: 'passed', step: 2 });
+        expect(challenge.update(NEUTRAL).status).toBe('passed');
+    });
+
+    it('fails a step that is not completed within STEP_TIMEOUT_MS', () => {
+        const challenge = single('turn_right');
+
+        now = CONFIG.STEP_TIMEOUT_MS;
+        expect(challenge.update(NEUTRAL)).toMatchObject({ status: 'pending', timeRemainingMs: 0 });
+
+        now += 1;
+        expect(challenge.update(face({ yaw: -0.5 }))).toMatchObject({
+            status: 'failed',
+            reason: 'Timed out waiting for: turn your head to the right'
+        });
+    });
+});
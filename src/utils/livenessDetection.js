@@ -1,173 +1,315 @@
 /**
  * Liveness Detection Utility
  * Detects photo spoofing attempts using texture, color, glare, and motion analysis.
+ * A LivenessSession samples the face crop once per frame and runs it through a list of scorers,
+ * each keeping its own per-session state, then combines them with the weights in MODEL_CONFIG.LIVENESS.
  */
 
-function getImageData(videoElement, box) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = box.width;
-    canvas.height = box.height;
-
-    ctx.drawImage(
-        videoElement,
-        box.x, box.y, box.width, box.height,
-        0, 0, box.width, box.height
-    );
-
-    return ctx.getImageData(0, 0, canvas.width, canvas.height);
-}
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { createCanvas, getSourceSize } from './canvas';
+import { screenReplayScorer } from './screenReplayDetection';
+import { pulseScorer } from './pulseDetection';
+import { planarScorer } from './planarDetection';
 
 /**
  * Detects blur/flatness using Laplacian variance
  */
-function analyzeTexture(videoElement, box) {
-    try {
-        const imageData = getImageData(videoElement, box);
-        const data = imageData.data;
-        const { width, height } = imageData;
-
-        let sum = 0, count = 0;
-
-        for (let y = 2; y < height - 2; y += 4) {
-            for (let x = 2; x < width - 2; x += 4) {
-                const idx = (y * width + x) * 4;
-                const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-                const neighbors = [
-                    data[((y - 1) * width + x) * 4],
-                    data[((y + 1) * width + x) * 4],
-                    data[(y * width + (x - 1)) * 4],
-                    data[(y * width + (x + 1)) * 4]
-                ];
-
-                const avgNeighbor = neighbors.reduce((a, b) => a + b, 0) / 4;
-                sum += Math.pow(gray - avgNeighbor, 2);
-                count++;
-            }
-        }
+function analyzeTexture({ pixels }) {
+    const { data, width, height } = pixels;
 
-        const variance = count > 0 ? sum / count : 0;
-        // Real faces: variance 20-100 | Photos/screens: variance 5-20
-        return Math.min(variance / 30, 1.0);
-    } catch (error) {
-        return 0.5;
+    let sum = 0, count = 0;
+
+    for (let y = 2; y < height - 2; y += 4) {
+        for (let x = 2; x < width - 2; x += 4) {
+            const idx = (y * width + x) * 4;
+            const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+            const neighbors = [
+                data[((y - 1) * width + x) * 4],
+                data[((y + 1) * width + x) * 4],
+                data[(y * width + (x - 1)) * 4],
+                data[(y * width + (x + 1)) * 4]
+            ];
+
+            const avgNeighbor = neighbors.reduce((a, b) => a + b, 0) / 4;
+            sum += Math.pow(gray - avgNeighbor, 2);
+            count++;
+        }
     }
+
+    const variance = count > 0 ? sum / count : 0;
+    // Real faces: variance 20-100 | Photos/screens: variance 5-20
+    return Math.min(variance / 30, 1.0);
 }
 
 /**
  * Checks for unnatural RGB distribution common in screens
  */
-function analyzeColorProfile(videoElement, box) {
-    try {
-        const imageData = getImageData(videoElement, box);
-        const data = imageData.data;
+function analyzeColorProfile({ pixels }) {
+    const data = pixels.data;
 
-        let rSum = 0, gSum = 0, bSum = 0, count = 0;
+    let rSum = 0, gSum = 0, bSum = 0, count = 0;
 
-        for (let i = 0; i < data.length; i += 16) {
-            rSum += data[i];
-            gSum += data[i + 1];
-            bSum += data[i + 2];
-            count++;
-        }
+    for (let i = 0; i < data.length; i += 16) {
+        rSum += data[i];
+        gSum += data[i + 1];
+        bSum += data[i + 2];
+        count++;
+    }
 
-        const [rMean, gMean, bMean] = [rSum / count, gSum / count, bSum / count];
-        let rVar = 0, gVar = 0, bVar = 0;
+    const [rMean, gMean, bMean] = [rSum / count, gSum / count, bSum / count];
+    let rVar = 0, gVar = 0, bVar = 0;
 
-        for (let i = 0; i < data.length; i += 16) {
-            rVar += Math.pow(data[i] - rMean, 2);
-            gVar += Math.pow(data[i + 1] - gMean, 2);
-            bVar += Math.pow(data[i + 2] - bMean, 2);
-        }
+    for (let i = 0; i < data.length; i += 16) {
+        rVar += Math.pow(data[i] - rMean, 2);
+        gVar += Math.pow(data[i + 1] - gMean, 2);
+        bVar += Math.pow(data[i + 2] - bMean, 2);
+    }
 
-        const avgVar = (rVar + gVar + bVar) / (3 * count);
-        const varBalance = 1 - (Math.abs(rVar - gVar) + Math.abs(gVar - bVar) + Math.abs(bVar - rVar)) / (3 * rVar + 3 * gVar + 3 * bVar + 1);
-        const blueShift = bMean > (rMean + gMean) / 2 ? 0.7 : 1.0;
+    const avgVar = (rVar + gVar + bVar) / (3 * count);
+    const varBalance = 1 - (Math.abs(rVar - gVar) + Math.abs(gVar - bVar) + Math.abs(bVar - rVar)) / (3 * rVar + 3 * gVar + 3 * bVar + 1);
+    const blueShift = bMean > (rMean + gMean) / 2 ? 0.7 : 1.0;
 
-        return Math.max(0, Math.min(1, varBalance * blueShift * 0.8 + 0.2));
-    } catch (error) {
-        return 0.5;
-    }
+    return Math.max(0, Math.min(1, varBalance * blueShift * 0.8 + 0.2));
 }
 
 /**
  * Detects rectangular highlights typical of phone screens
  */
-function detectScreenGlare(videoElement, box) {
-    try {
-        const imageData = getImageData(videoElement, box);
-        const data = imageData.data;
-        let brightPixels = 0;
+function detectScreenGlare({ pixels }) {
+    const data = pixels.data;
+    let brightPixels = 0;
 
-        for (let i = 0; i < data.length; i += 16) {
-            if ((data[i] + data[i + 1] + data[i + 2]) / 3 > 220) brightPixels++;
-        }
-
-        const brightRatio = brightPixels / (data.length / 16);
-        return brightRatio > 0.05 && brightRatio < 0.20 ? 0.6 : 1.0;
-    } catch (error) {
-        return 0.5;
+    for (let i = 0; i < data.length; i += 16) {
+        if ((data[i] + data[i + 1] + data[i + 2]) / 3 > 220) brightPixels++;
     }
-}
 
-let landmarkHistory = [];
-const MAX_HISTORY = 5;
+    const brightRatio = brightPixels / (data.length / 16);
+    return brightRatio > 0.05 && brightRatio < 0.20 ? 0.6 : 1.0;
+}
 
 /**
  * Differentiates micro-movements of real skin from static photos
  */
-function checkMicroMotion(landmarks) {
-    try {
-        const positions = landmarks.positions;
-        const keyPoints = [positions[27], positions[36], positions[45]];
-
-        landmarkHistory.push(keyPoints);
-        if (landmarkHistory.length > MAX_HISTORY) landmarkHistory.shift();
-        if (landmarkHistory.length < 3) return 0.5;
-
-        let totalMovement = 0;
-        for (let i = 1; i < landmarkHistory.length; i++) {
-            for (let j = 0; j < keyPoints.length; j++) {
-                totalMovement += Math.sqrt(
-                    Math.pow(landmarkHistory[i][j].x - landmarkHistory[i - 1][j].x, 2) +
-                    Math.pow(landmarkHistory[i][j].y - landmarkHistory[i - 1][j].y, 2)
-                );
-            }
+function checkMicroMotion({ landmarks }, state, config) {
+    const positions = landmarks.positions;
+    const keyPoints = [positions[27], positions[36], positions[45]];
+
+    state.history.push(keyPoints);
+    if (state.history.length > config.MOTION_HISTORY) state.history.shift();
+    if (state.history.length < 3) return 0.5;
+
+    const history = state.history;
+    let totalMovement = 0;
+    for (let i = 1; i < history.length; i++) {
+        for (let j = 0; j < keyPoints.length; j++) {
+            totalMovement += Math.sqrt(
+                Math.pow(history[i][j].x - history[i - 1][j].x, 2) +
+                Math.pow(history[i][j].y - history[i - 1][j].y, 2)
+            );
         }
+    }
 
-        const avgMovement = totalMovement / ((landmarkHistory.length - 1) * keyPoints.length);
-        // Real faces: 0.5-3px movement | Static photos: <0.3px
-        return avgMovement > 0.3 && avgMovement < 5 ? 1.0 : 0.6;
-    } catch (error) {
-        return 0.5;
+    const avgMovement = totalMovement / ((history.length - 1) * keyPoints.length);
+    // Real faces: 0.5-3px movement | Static photos: <0.3px
+    return avgMovement > 0.3 && avgMovement < 5 ? 1.0 : 0.6;
+}
+
+/**
+ * A scorer is { name, score(frame, state, config), createState?(), weight?, usesPixels? }
+ * frame: { pixels (ImageData of the face crop, null if it could not be sampled), context, box, landmarks, timestamp }
+ * Scorers flagged usesContext also get frame.context = { pixels, face }: the face plus a CONTEXT_MARGIN border,
+ * with face being the face rectangle inside it.
+ * Scorers flagged usesPixels or usesContext are not called without pixels and score a neutral 0.5 instead.
+ * score returns 0-1 (1 = live), { score, extra } to add extra values to the result's scores,
+ * or null (or { score: null, extra }) to abstain for this frame. Weights in MODEL_CONFIG.LIVENESS.WEIGHTS take precedence over scorer.weight.
+ */
+const scorerRegistry = [
+    { name: 'texture', score: analyzeTexture, usesPixels: true },
+    { name: 'color', score: analyzeColorProfile, usesPixels: true },
+    { name: 'glare', score: detectScreenGlare, usesPixels: true },
+    { name: 'motion', score: checkMicroMotion, createState: () => ({ history: [] }) },
+    screenReplayScorer,
+    pulseScorer,
+    planarScorer
+];
+
+/**
+ * Adds a scorer to every LivenessSession created afterwards (replaces one with the same name)
+ */
+export function registerLivenessScorer(scorer) {
+    if (!scorer || !scorer.name || typeof scorer.score !== 'function') {
+        throw new Error('A liveness scorer needs a name and a score function');
     }
+
+    const index = scorerRegistry.findIndex(s => s.name === scorer.name);
+    if (index >= 0) scorerRegistry.splice(index, 1, scorer);
+    else scorerRegistry.push(scorer);
+}
+
+export function getLivenessScorers() {
+    return [...scorerRegistry];
 }
 
+// Scorers are functions, so only these can be rebuilt by name in the inference worker
+const builtInScorers = [...scorerRegistry];
+
 /**
- * Primary aggregator for spoofing protection
+ * Names of the given scorers if all of them are built in, otherwise null
  */
-export async function detectLiveness(videoElement, landmarks, detection) {
-    try {
-        const textureScore = analyzeTexture(videoElement, detection.box);
-        const colorScore = analyzeColorProfile(videoElement, detection.box);
-        const glareScore = detectScreenGlare(videoElement, detection.box);
-        const motionScore = checkMicroMotion(landmarks);
+export function getBuiltInScorerNames(scorers = getLivenessScorers()) {
+    return scorers.every(scorer => builtInScorers.includes(scorer)) ? scorers.map(scorer => scorer.name) : null;
+}
 
-        const livenessScore = (textureScore * 0.4 + colorScore * 0.3 + glareScore * 0.2 + motionScore * 0.1);
-        const isLive = livenessScore >= 0.60;
+/**
+ * Built-in scorers by name, in the given order
+ */
+export function getBuiltInScorers(names) {
+    return names.map(name => {
+        const scorer = builtInScorers.find(s => s.name === name);
+        if (!scorer) throw new Error(`Unknown built-in liveness scorer "${name}"`);
+        return scorer;
+    });
+}
+
+/**
+ * A scorer's weight: MODEL_CONFIG.LIVENESS.WEIGHTS first, then scorer.weight
+ */
+export function getScorerWeight(scorer, config = MODEL_CONFIG.LIVENESS) {
+    const weight = config.WEIGHTS[scorer.name];
+    return weight !== undefined ? weight : (scorer.weight || 0);
+}
+
+/**
+ * Liveness state for one face: history-based scorers only ever see frames of that face
+ */
+export class LivenessSession {
+    constructor({ scorers = getLivenessScorers(), config = MODEL_CONFIG.LIVENESS } = {}) {
+        this.config = config;
+        this.scorers = [];
+        this.states = new Map();
+        this.canvas = null;
+        scorers.forEach(scorer => this.addScorer(scorer));
+    }
+
+    addScorer(scorer) {
+        this.removeScorer(scorer.name);
+        this.scorers.push(scorer);
+        this.states.set(scorer.name, scorer.createState ? scorer.createState() : {});
+    }
+
+    removeScorer(name) {
+        this.scorers = this.scorers.filter(s => s.name !== name);
+        this.states.delete(name);
+    }
+
+    reset() {
+        this.scorers.forEach(scorer => this.states.set(scorer.name, scorer.createState ? scorer.createState() : {}));
+    }
+
+    getWeight(scorer) {
+        return getScorerWeight(scorer, this.config);
+    }
+
+    /**
+     * Draws the face (plus the context border when a scorer needs it) onto the session's canvas once;
+     * every pixel scorer reads the same ImageData
+     */
+    sampleFrame(input, box) {
+        try {
+            const margin = this.scorers.some(s => s.usesContext) ? this.config.CONTEXT_MARGIN : 0;
+            const source = getSourceSize(input);
+            const maxX = source.width || Infinity;
+            const maxY = source.height || Infinity;
+
+            const left = Math.max(0, Math.floor(box.x - box.width * margin));
+            const top = Math.max(0, Math.floor(box.y - box.height * margin));
+            const width = Math.max(1, Math.round(Math.min(maxX, box.x + box.width * (1 + margin)) - left));
+            const height = Math.max(1, Math.round(Math.min(maxY, box.y + box.height * (1 + margin)) - top));
+
+            if (!this.canvas) this.canvas = createCanvas(width, height);
+            if (this.canvas.width !== width) this.canvas.width = width;
+            if (this.canvas.height !== height) this.canvas.height = height;
+
+            const ctx = this.canvas.getContext('2d');
+            ctx.drawImage(input, left, top, width, height, 0, 0, width, height);
+
+            const face = {
+                x: Math.round(box.x - left),
+                y: Math.round(box.y - top),
+                width: Math.max(1, Math.min(width - Math.round(box.x - left), Math.round(box.width))),
+                height: Math.max(1, Math.min(height - Math.round(box.y - top), Math.round(box.height)))
+            };
+
+            return {
+                pixels: ctx.getImageData(face.x, face.y, face.width, face.height),
+                context: margin > 0 ? { pixels: ctx.getImageData(0, 0, width, height), face } : null
+            };
+        } catch (error) {
+            return { pixels: null, context: null };
+        }
+    }
+
+    /**
+     * Scores one frame of this face
+     * timestamp (ms) defaults to now; pass the media time when frames come from a file.
+     * Returns { isLive, confidence, scores, reason }
+     */
+    evaluate(input, landmarks, box, timestamp = Date.now()) {
+        const frame = {
+            ...this.sampleFrame(input, box),
+            box,
+            landmarks,
+            timestamp
+        };
+
+        const scores = {};
+        let weightedSum = 0, totalWeight = 0;
+
+        for (const scorer of this.scorers) {
+            let result;
+
+            if ((scorer.usesPixels && !frame.pixels) || (scorer.usesContext && !frame.context)) {
+                result = 0.5;
+            } else {
+                try {
+                    result = scorer.score(frame, this.states.get(scorer.name), this.config);
+                } catch (error) {
+                    result = 0.5;
+                }
+            }
+
+            if (result === null || result === undefined) continue;
+
+            const score = typeof result === 'number' ? result : result.score;
+            if (typeof result === 'object') Object.assign(scores, result.extra);
+            if (score === null || score === undefined) continue;
+
+            scores[scorer.name] = score;
+            weightedSum += score * this.getWeight(scorer);
+            totalWeight += this.getWeight(scorer);
+        }
+
+        const livenessScore = totalWeight > 0 ? weightedSum / totalWeight : 0.5;
+        const isLive = livenessScore >= this.config.PASS_THRESHOLD;
 
         return {
             isLive,
             confidence: livenessScore,
-            scores: { texture: textureScore, color: colorScore, glare: glareScore, motion: motionScore },
+            scores,
             reason: isLive ? 'Live face detected' : 'Possible photo/screen detected'
         };
+    }
+}
+
+/**
+ * Primary aggregator for spoofing protection
+ * Pass the face's LivenessSession so motion history carries over; without one, history-based scorers start fresh.
+ */
+export async function detectLiveness(videoElement, landmarks, detection, session = new LivenessSession(), timestamp = Date.now()) {
+    try {
+        return session.evaluate(videoElement, landmarks, detection.box, timestamp);
     } catch (error) {
         // Fail open for better UX on random calculation errors
         return { isLive: true, confidence: 0.5, scores: {}, reason: 'Liveness check error' };
     }
 }
-
-export function resetLivenessDetection() {
-    landmarkHistory = [];
-}
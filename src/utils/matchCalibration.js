@@ -0,0 +1,101 @@
+/**
+ * Match Probability Calibration
+ * Maps a descriptor distance to the probability that both faces belong to the same person with a
+ * logistic (Platt) curve: p = 1 / (1 + exp(A * distance + B)). A and B are fitted from labelled
+ * genuine / impostor pairs (fitPlattScaling, run by `npm run evaluate`) and kept in MATCHING.CALIBRATION
+ * with FITTED: true; until then the curve only gives a match score.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+const MAX_ITERATIONS = 100;
+const MIN_STEP = 1e-10;
+const EPSILON = 1e-5;
+
+/**
+ * Calibrated match probability (0-1) for a distance
+ */
+export function matchProbability(distance, calibration = MODEL_CONFIG.MATCHING.CALIBRATION) {
+    if (typeof distance !== 'number' || Number.isNaN(distance)) return null;
+
+    const z = calibration.A * distance + calibration.B;
+    // Same value either way; this form never overflows exp()
+    return z >= 0 ? Math.exp(-z) / (1 + Math.exp(-z)) : 1 / (1 + Math.exp(z));
+}
+
+/**
+ * Negative log-likelihood of the smoothed targets under the curve
+ */
+function logLoss(distances, targets, A, B) {
+    let loss = 0;
+    for (let i = 0; i < distances.length; i++) {
+        const z = A * distances[i] + B;
+        loss += z >= 0
+            ? targets[i] * z + Math.log(1 + Math.exp(-z))
+            : (targets[i] - 1) * z + Math.log(1 + Math.exp(z));
+    }
+    return loss;
+}
+
+/**
+ * Fits A and B to genuine (same person) and impostor distances
+ * Newton's method with backtracking and Platt's smoothed targets (Lin, Lin & Weng, 2007), which keep
+ * perfectly separated data from pushing A to infinity.
+ */
+export function fitPlattScaling(genuine, impostor) {
+    if (genuine.length === 0 || impostor.length === 0) {
+        throw new Error('Calibration needs both genuine and impostor distances');
+    }
+
+    const distances = [...genuine, ...impostor];
+    const hiTarget = (genuine.length + 1) / (genuine.length + 2);
+    const loTarget = 1 / (impostor.length + 2);
+    const targets = distances.map((_, i) => (i < genuine.length ? hiTarget : loTarget));
+
+    let A = 0;
+    let B = Math.log((impostor.length + 1) / (genuine.length + 1));
+    let loss = logLoss(distances, targets, A, B);
+    let iterations = 0;
+
+    for (; iterations < MAX_ITERATIONS; iterations++) {
+        // Gradient and Hessian (with a tiny ridge so it stays invertible)
+        let h11 = 1e-12;
+        let h22 = 1e-12;
+        let h21 = 0;
+        let g1 = 0;
+        let g2 = 0;
+
+        for (let i = 0; i < distances.length; i++) {
+            const p = matchProbability(distances[i], { A, B });
+            const weight = p * (1 - p);
+            h11 += distances[i] * distances[i] * weight;
+            h22 += weight;
+            h21 += distances[i] * weight;
+            g1 += distances[i] * (targets[i] - p);
+            g2 += targets[i] - p;
+        }
+
+        if (Math.abs(g1) < EPSILON && Math.abs(g2) < EPSILON) break;
+
+        const det = h11 * h22 - h21 * h21;
+        const dA = -(h22 * g1 - h21 * g2) / det;
+        const dB = -(-h21 * g1 + h11 * g2) / det;
+        const descent = g1 * dA + g2 * dB;
+
+        let step = 1;
+        while (step >= MIN_STEP) {
+            const nextLoss = logLoss(distances, targets, A + step * dA, B + step * dB);
+            if (nextLoss < loss + 0.0001 * step * descent) {
+                A += step * dA;
+                B += step * dB;
+                loss = nextLoss;
+                break;
+            }
+            step /= 2;
+        }
+
+        if (step < MIN_STEP) break;
+    }
+
+    return { A, B, iterations };
+}
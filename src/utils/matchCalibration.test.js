@@ -0,0 +1,63 @@
+import { matchProbability, fitPlattScaling } from './matchCalibration';
+
+/**
+ * Distances on a grid, labelled so the share of genuine pairs at each distance follows the given curve
+ */
+function pairsFromCurve({ A, B }, pairsPerDistance = 200) {
+    const genuine = [];
+    const impostor = [];
+
+    for (let distance = 0.2; distance <= 1.0001; distance += 0.05) {
+        const genuineCount = Math.round(pairsPerDistance * matchProbability(distance, { A, B }));
+        for (let i = 0; i < pairsPerDistance; i++) (i < genuineCount ? genuine : impostor).push(distance);
+    }
+
+    return { genuine, impostor };
+}
+
+describe('matchProbability', () => {
+    const calibration = { A: 11.75, B: -7.05 };
+
+    it('is 0.5 where A * distance + B is zero and falls as the distance grows', () => {
+        expect(matchProbability(0.6, calibration)).toBeCloseTo(0.5, 6);
+        expect(matchProbability(0.3, calibration)).toBeGreaterThan(matchProbability(0.5, calibration));
+        expect(matchProbability(0.5, calibration)).toBeGreaterThan(matchProbability(0.8, calibration));
+    });
+
+    it('stays finite for extreme distances', () => {
+        expect(matchProbability(1000, calibration)).toBe(0);
+        expect(matchProbability(-1000, calibration)).toBe(1);
+    });
+
+    it('returns null without a distance', () => {
+        expect(matchProbability(null, calibration)).toBeNull();
+        expect(matchProbability(undefined, calibration)).toBeNull();
+        expect(matchProbability(NaN, calibration)).toBeNull();
+    });
+});
+
+describe('fitPlattScaling', () => {
+    it('recovers the curve the pairs were drawn from', () => {
+        const { genuine, impostor } = pairsFromCurve({ A: 10, B: -6 });
+        const fitted = fitPlattScaling(genuine, impostor);
+
+        expect(fitted.A).toBeCloseTo(10, 0);
+        expect(fitted.B).toBeCloseTo(-6, 0);
+        expect(matchProbability(0.6, fitted)).toBeCloseTo(0.5, 1);
+    });
+
+    it('keeps A finite for perfectly separated pairs', () => {
+        const fitted = fitPlattScaling([0.2, 0.25, 0.3, 0.35], [0.7, 0.75, 0.8, 0.9]);
+
+        expect(Number.isFinite(fitted.A)).toBe(true);
+        expect(fitted.A).toBeGreaterThan(0);
+        expect(fitted.iterations).toBeLessThan(100);
+        expect(matchProbability(0.25, fitted)).toBeGreaterThan(0.5);
+        expect(matchProbability(0.8, fitted)).toBeLessThan(0.5);
+    });
+
+    it('needs both genuine and impostor distances', () => {
+        expect(() => fitPlattScaling([], [0.8])).toThrow('Calibration needs both genuine and impostor distances');
+        expect(() => fitPlattScaling([0.3], [])).toThrow('Calibration needs both genuine and impostor distances');
+    });
+});
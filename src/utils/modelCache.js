@@ -0,0 +1,218 @@
+/**
+ * Model Weight Cache
+ * Loads face-api.js weights through Cache Storage so later visits (and offline starts) skip the network.
+ * Every shard is checked against the SHA-256 listed in its manifest (the `sha256` array next to `paths`,
+ * written by scripts/hash-model-weights.js) before it is cached or used, and a failed download is retried.
+ * Caches are named after MODEL_CACHE.VERSION; opening one deletes the caches of other versions.
+ * BlazeFace is not covered: it loads its own TF Hub graph model (see utils/faceDetection.js).
+ */
+
+import * as faceapi from 'face-api.js';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+// Byte sizes of the stored (possibly quantized) weight dtypes
+const DTYPE_BYTES = { float32: 4, int32: 4, uint16: 2, uint8: 1, bool: 1 };
+
+async function sha256Hex(buffer) {
+    if (!crypto.subtle) throw new Error('Verifying model weights needs a secure context (HTTPS or localhost)');
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Total shard bytes of a weights manifest, computed from its weight specs
+ */
+export function getManifestBytes(manifest) {
+    return manifest.reduce((total, group) => total + group.weights.reduce((sum, spec) => {
+        const dtype = spec.quantization ? spec.quantization.dtype : spec.dtype;
+        return sum + DTYPE_BYTES[dtype] * spec.shape.reduce((size, dim) => size * dim, 1);
+    }, 0), 0);
+}
+
+/**
+ * Reads a response body, reporting the size of every chunk as it arrives
+ */
+async function readBody(response, onChunk) {
+    if (!response.body || !response.body.getReader) {
+        const buffer = await response.arrayBuffer();
+        onChunk(buffer.byteLength);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        length += value.byteLength;
+        onChunk(value.byteLength);
+    }
+
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+}
+
+/**
+ * One instance per model load; progress covers every net loaded through it:
+ * onProgress({ loadedBytes, totalBytes, cachedBytes, retries }). totalBytes grows as manifests arrive.
+ */
+export class ModelWeightCache {
+    constructor(config = MODEL_CONFIG.MODEL_CACHE, { onProgress = () => {} } = {}) {
+        this.config = config;
+        this.onProgress = onProgress;
+        this.progress = { loadedBytes: 0, totalBytes: 0, cachedBytes: 0, retries: 0 };
+        this.cachePromise = null;
+    }
+
+    get cacheName() {
+        return `${this.config.CACHE_NAME}-v${this.config.VERSION}`;
+    }
+
+    reportProgress(patch) {
+        this.progress = { ...this.progress, ...patch };
+        this.onProgress(this.progress);
+    }
+
+    /**
+     * The Cache for the current version, or null where Cache Storage is unavailable (or caching is disabled)
+     */
+    openCache() {
+        if (!this.cachePromise) {
+            this.cachePromise = (async () => {
+                if (!this.config.ENABLED || typeof caches === 'undefined') return null;
+
+                const prefix = `${this.config.CACHE_NAME}-v`;
+                const stale = (await caches.keys()).filter(name => name.startsWith(prefix) && name !== this.cacheName);
+                await Promise.all(stale.map(name => caches.delete(name)));
+
+                return caches.open(this.cacheName);
+            })().catch(err => {
+                // Private browsing modes can refuse storage; loading still works without the cache
+                console.warn('Model cache unavailable:', err);
+                return null;
+            });
+        }
+        return this.cachePromise;
+    }
+
+    /**
+     * Fetches a URL, retrying network errors and bad responses up to MAX_RETRIES times with a doubling delay
+     * read(response) turns the response into the result; throwing from it also triggers a retry.
+     */
+    async fetchWithRetry(url, read) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await fetch(url);
+                if (response.status === 404) {
+                    // Retrying cannot bring back a file that is not there
+                    const missing = new Error(`${url} not found (HTTP 404): the weight file is missing from MODEL_URL`);
+                    missing.isMissing = true;
+                    throw missing;
+                }
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return await read(response);
+            } catch (err) {
+                if (err.isMissing) throw err;
+                if (attempt >= this.config.MAX_RETRIES) {
+                    throw new Error(`Failed to load ${url} after ${attempt + 1} attempts: ${err.message}`);
+                }
+                this.reportProgress({ retries: this.progress.retries + 1 });
+                await delay(this.config.RETRY_DELAY_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    /**
+     * Weights manifest from the cache, else from the network (then cached)
+     */
+    async loadManifest(url) {
+        const cache = await this.openCache();
+        const cached = cache && await cache.match(url);
+        if (cached) return cached.json();
+
+        const text = await this.fetchWithRetry(url, response => response.text());
+        const manifest = JSON.parse(text);
+        if (cache) await cache.put(url, new Response(text, { headers: { 'Content-Type': 'application/json' } }));
+        return manifest;
+    }
+
+    /**
+     * Shard bytes, verified against sha256 (when given) whether they come from the cache or the network
+     */
+    async loadShard(url, sha256) {
+        const cache = await this.openCache();
+        const cached = cache && await cache.match(url);
+
+        if (cached) {
+            const buffer = await cached.arrayBuffer();
+            if (!sha256 || await sha256Hex(buffer) === sha256) {
+                this.reportProgress({
+                    loadedBytes: this.progress.loadedBytes + buffer.byteLength,
+                    cachedBytes: this.progress.cachedBytes + buffer.byteLength
+                });
+                return buffer;
+            }
+            // Corrupted or from an older file with the same name: download it again
+            await cache.delete(url);
+        }
+
+        const buffer = await this.fetchWithRetry(url, async (response) => {
+            let received = 0;
+
+            try {
+                const body = await readBody(response, (bytes) => {
+                    received += bytes;
+                    this.reportProgress({ loadedBytes: this.progress.loadedBytes + bytes });
+                });
+
+                const actual = sha256 && await sha256Hex(body);
+                if (sha256 && actual !== sha256) throw new Error(`integrity check failed (SHA-256 ${actual}, expected ${sha256})`);
+                return body;
+            } catch (err) {
+                // The next attempt counts its bytes again
+                this.reportProgress({ loadedBytes: this.progress.loadedBytes - received });
+                throw err;
+            }
+        });
+
+        if (cache) await cache.put(url, new Response(buffer, { headers: { 'Content-Type': 'application/octet-stream' } }));
+        return buffer;
+    }
+
+    /**
+     * Loads a face-api.js net (e.g. faceapi.nets.faceRecognitionNet) from the model directory at baseUrl
+     */
+    async loadNet(net, baseUrl) {
+        const base = baseUrl.replace(/\/+$/, '');
+        const manifest = await this.loadManifest(`${base}/${net.getDefaultModelName()}-weights_manifest.json`);
+        this.reportProgress({ totalBytes: this.progress.totalBytes + getManifestBytes(manifest) });
+
+        const hashes = new Map();
+        manifest.forEach(group => group.paths.forEach((path, i) => {
+            const sha256 = group.sha256 ? group.sha256[i] : null;
+            if (!sha256 && this.config.REQUIRE_HASHES) {
+                // A null entry is what older versions of the hash script wrote for a shard that was not on disk
+                throw new Error(group.sha256
+                    ? `No SHA-256 for ${path}: the shard was missing when the hashes were written; add it to the models folder and run npm run models:hash`
+                    : `No SHA-256 for ${path} in its weights manifest (run npm run models:hash)`);
+            }
+            hashes.set(path, sha256);
+        }));
+
+        const fetchShards = (urls) => Promise.all(urls.map(url => this.loadShard(url, hashes.get(url.slice(url.lastIndexOf('/') + 1)))));
+        const loadWeights = faceapi.tf.io.weightsLoaderFactory(fetchShards);
+        net.loadFromWeightMap(await loadWeights(manifest, base));
+    }
+}
+
+export default ModelWeightCache;
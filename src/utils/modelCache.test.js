@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, webcrypto } from 'crypto';
+import ModelWeightCache, { getManifestBytes } from './modelCache';
+
+// Jest's node environment does not expose Node's global WebCrypto
+if (!global.crypto || !global.crypto.subtle) global.crypto = webcrypto;
+
+const MODELS_DIR = path.join(__dirname, '..', '..', 'public', 'models');
+
+const CONFIG = { ENABLED: false, CACHE_NAME: 'models-test', VERSION: 1, MAX_RETRIES: 1, RETRY_DELAY_MS: 0, REQUIRE_HASHES: true };
+
+describe('getManifestBytes', () => {
+    it('counts elements times dtype size, using the quantized dtype where there is one', () => {
+        const manifest = [
+            { paths: ['a-shard1'], weights: [
+                { name: 'conv/filters', shape: [3, 3, 2, 4], dtype: 'float32' },
+                { name: 'conv/bias', shape: [4], dtype: 'float32', quantization: { dtype: 'uint8', scale: 0.1, min: 0 } }
+            ] },
+            { paths: ['a-shard2'], weights: [{ name: 'fc/weights', shape: [10, 2], dtype: 'float32', quantization: { dtype: 'uint16' } }] }
+        ];
+
+        expect(getManifestBytes(manifest)).toBe(72 * 4 + 4 + 20 * 2);
+    });
+
+    it.each(fs.readdirSync(MODELS_DIR).filter(name => name.endsWith('-weights_manifest.json')))(
+        'matches the shard sizes on disk for %s',
+        (name) => {
+            const manifest = JSON.parse(fs.readFileSync(path.join(MODELS_DIR, name), 'utf8'));
+            const shardBytes = manifest
+                .flatMap(group => group.paths)
+                .reduce((total, shard) => total + fs.statSync(path.join(MODELS_DIR, shard)).size, 0);
+
+            expect(getManifestBytes(manifest)).toBe(shardBytes);
+        }
+    );
+});
+
+describe('ModelWeightCache.loadShard', () => {
+    const shard = new Uint8Array([1, 2, 3, 4]).buffer;
+    const sha256 = createHash('sha256').update(Buffer.from(shard)).digest('hex');
+    const respond = (buffer) => Promise.resolve({ ok: true, status: 200, arrayBuffer: () => Promise.resolve(buffer) });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    it('returns a shard whose SHA-256 matches, reporting its bytes', async () => {
+        global.fetch = jest.fn(() => respond(shard));
+        const onProgress = jest.fn();
+        const cache = new ModelWeightCache(CONFIG, { onProgress });
+
+        expect(await cache.loadShard('/models/a-shard1', sha256)).toBe(shard);
+        expect(cache.progress).toEqual({ loadedBytes: 4, totalBytes: 0, cachedBytes: 0, retries: 0 });
+        expect(onProgress).toHaveBeenCalled();
+    });
+
+    it('retries a corrupted download, then gives up without counting its bytes', async () => {
+        global.fetch = jest.fn(() => respond(new Uint8Array([9, 9, 9, 9]).buffer));
+        const cache = new ModelWeightCache(CONFIG);
+
+        await expect(cache.loadShard('/models/a-shard1', sha256))
+            .rejects.toThrow('Failed to load /models/a-shard1 after 2 attempts: integrity check failed');
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(cache.progress).toMatchObject({ loadedBytes: 0, retries: 1 });
+    });
+
+    it('does not retry a missing shard', async () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+        const cache = new ModelWeightCache(CONFIG);
+
+        await expect(cache.loadShard('/models/a-shard1', sha256)).rejects.toThrow('/models/a-shard1 not found (HTTP 404)');
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
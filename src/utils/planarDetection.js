@@ -0,0 +1,200 @@
+/**
+ * Planar Surface Detection Utility
+ * Liveness scorer for printed photos held in front of the camera. All 68 landmarks of a photo lie on one plane,
+ * so their motion between two frames is explained exactly by a homography; a real head shows parallax
+ * between nose tip, eyes and jaw that a homography cannot absorb.
+ */
+
+import { ramp, median } from './stats';
+
+/**
+ * Solves the n x n system A x = b in place (Gaussian elimination with partial pivoting)
+ */
+function solveLinear(A, b) {
+    const n = b.length;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) return null;
+
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        [b[col], b[pivot]] = [b[pivot], b[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = A[row][col] / A[col][col];
+            for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+            b[row] -= factor * b[col];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = b[row];
+        for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+        x[row] = sum / A[row][row];
+    }
+    return x;
+}
+
+/**
+ * Hartley normalization: centroid at the origin, mean distance sqrt(2)
+ */
+function normalizePoints(points) {
+    const cx = points.reduce((s, p) => s + p.x, 0) / points.length;
+    const cy = points.reduce((s, p) => s + p.y, 0) / points.length;
+    const meanDist = points.reduce((s, p) => s + Math.hypot(p.x - cx, p.y - cy), 0) / points.length || 1;
+    const scale = Math.SQRT2 / meanDist;
+
+    return {
+        points: points.map(p => ({ x: (p.x - cx) * scale, y: (p.y - cy) * scale })),
+        cx,
+        cy,
+        scale
+    };
+}
+
+function applyHomography(H, p) {
+    const w = H[6] * p.x + H[7] * p.y + H[8];
+    return { x: (H[0] * p.x + H[1] * p.y + H[2]) / w, y: (H[3] * p.x + H[4] * p.y + H[5]) / w };
+}
+
+/**
+ * Least-squares homography (h33 = 1) mapping src onto dst, as a row-major 3x3 array, or null if degenerate
+ */
+export function fitHomography(src, dst) {
+    const ns = normalizePoints(src);
+    const nd = normalizePoints(dst);
+
+    // Normal equations of the 2n x 8 DLT system
+    const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+    const Atb = new Array(8).fill(0);
+
+    const addRow = (row, value) => {
+        for (let i = 0; i < 8; i++) {
+            Atb[i] += row[i] * value;
+            for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+        }
+    };
+
+    for (let i = 0; i < ns.points.length; i++) {
+        const { x, y } = ns.points[i];
+        const { x: u, y: v } = nd.points[i];
+        addRow([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+        addRow([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+    }
+
+    const h = solveLinear(AtA, Atb);
+    if (!h) return null;
+
+    const Hn = [...h, 1];
+
+    // Undo the normalization: H = Td^-1 * Hn * Ts
+    const Ts = [ns.scale, 0, -ns.scale * ns.cx, 0, ns.scale, -ns.scale * ns.cy, 0, 0, 1];
+    const TdInv = [1 / nd.scale, 0, nd.cx, 0, 1 / nd.scale, nd.cy, 0, 0, 1];
+    const multiply = (A, B) => {
+        const C = new Array(9).fill(0);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                for (let k = 0; k < 3; k++) C[r * 3 + c] += A[r * 3 + k] * B[k * 3 + c];
+            }
+        }
+        return C;
+    };
+
+    return multiply(TdInv, multiply(Hn, Ts));
+}
+
+/**
+ * RMS distance between dst and src mapped through the best similarity transform (rotation, scale, translation)
+ */
+export function similarityResidual(src, dst) {
+    const n = src.length;
+    const mean = (points, key) => points.reduce((s, p) => s + p[key], 0) / n;
+    const [sx, sy, dx, dy] = [mean(src, 'x'), mean(src, 'y'), mean(dst, 'x'), mean(dst, 'y')];
+
+    let dot = 0, cross = 0, norm = 0;
+    for (let i = 0; i < n; i++) {
+        const [x, y] = [src[i].x - sx, src[i].y - sy];
+        const [u, v] = [dst[i].x - dx, dst[i].y - dy];
+        dot += x * u + y * v;
+        cross += x * v - y * u;
+        norm += x * x + y * y;
+    }
+
+    const a = norm > 0 ? dot / norm : 1;
+    const b = norm > 0 ? cross / norm : 0;
+
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        const [x, y] = [src[i].x - sx, src[i].y - sy];
+        sum += Math.pow(a * x - b * y + dx - dst[i].x, 2) + Math.pow(b * x + a * y + dy - dst[i].y, 2);
+    }
+    return Math.sqrt(sum / n);
+}
+
+export function homographyResidual(src, dst) {
+    const H = fitHomography(src, dst);
+    if (!H) return null;
+
+    let sum = 0;
+    for (let i = 0; i < src.length; i++) {
+        const p = applyHomography(H, src[i]);
+        sum += Math.pow(p.x - dst[i].x, 2) + Math.pow(p.y - dst[i].y, 2);
+    }
+    return Math.sqrt(sum / src.length);
+}
+
+/**
+ * Liveness scorer (see LivenessSession). Compares the current landmarks with the stored frame they moved
+ * furthest from, after a homography fit. The leftover residual is judged against the landmark jitter,
+ * measured as the typical residual between consecutive frames: a photo leaves only jitter, a head turn adds parallax.
+ * Only motion a similarity transform cannot explain (out-of-plane rotation) is informative; with less than
+ * MIN_DEFORMATION the scorer abstains. Residuals are in units of the eye distance.
+ * Extra scores: planarParallax (residual / jitter).
+ */
+export const planarScorer = {
+    name: 'planar',
+
+    createState: () => ({ history: [], jitter: [] }),
+
+    score({ landmarks }, state, config) {
+        const planarConfig = config.PLANAR;
+        const points = landmarks.positions.map(p => ({ x: p.x, y: p.y }));
+        const eyeDistance = Math.hypot(points[45].x - points[36].x, points[45].y - points[36].y) || 1;
+        const history = state.history;
+
+        let best = null;
+        for (const previous of history) {
+            const deformation = similarityResidual(previous, points) / eyeDistance;
+            if (!best || deformation > best.deformation) best = { previous, deformation };
+        }
+
+        if (history.length > 0) {
+            const step = homographyResidual(history[history.length - 1], points);
+            if (step !== null) state.jitter.push(step / eyeDistance);
+            if (state.jitter.length > planarConfig.HISTORY_FRAMES) state.jitter.shift();
+        }
+
+        history.push(points);
+        if (history.length > planarConfig.HISTORY_FRAMES) history.shift();
+
+        const pending = { score: null, extra: { planarParallax: null } };
+        if (!best || state.jitter.length < planarConfig.MIN_JITTER_SAMPLES) return pending;
+
+        const jitter = Math.max(median(state.jitter), 1e-4);
+        if (best.deformation < Math.max(planarConfig.MIN_DEFORMATION, planarConfig.DEFORMATION_OVER_JITTER * jitter)) {
+            return pending;
+        }
+
+        const residual = homographyResidual(best.previous, points);
+        if (residual === null) return pending;
+
+        const parallax = residual / eyeDistance / jitter;
+        return { score: ramp(parallax, planarConfig.PARALLAX_RANGE), extra: { planarParallax: parallax } };
+    }
+};
+
+export default planarScorer;
@@ -0,0 +1,102 @@
+import { fitHomography, homographyResidual, similarityResidual, planarScorer } from './planarDetection';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+function seededRandom(seed = 5) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+function applyHomography(H, { x, y }) {
+    const w = H[6] * x + H[7] * y + H[8];
+    return { x: (H[0] * x + H[1] * y + H[2]) / w, y: (H[3] * x + H[4] * y + H[5]) / w };
+}
+
+// 68 points around a face centre at (100, 100); the middle ones stand out in depth like a nose
+const HEAD = Array.from({ length: 68 }, (_, i) => {
+    const angle = (i / 68) * 6 * Math.PI;
+    const radius = 20 + (i % 7) * 6;
+    return {
+        x: 100 + radius * Math.cos(angle),
+        y: 100 + 1.3 * radius * Math.sin(angle),
+        z: 30 * Math.exp(-(radius - 20) / 15)
+    };
+});
+HEAD[36] = { x: 70, y: 90, z: 10 };
+HEAD[45] = { x: 130, y: 90, z: 10 };
+
+const POINTS = HEAD.map(({ x, y }) => ({ x, y }));
+
+/**
+ * Landmarks of the head (or of a flat photo of it) turned by yaw radians, with detector jitter
+ */
+function landmarks(yaw, { flat, random }) {
+    return {
+        positions: HEAD.map(({ x, y, z }) => ({
+            x: 100 + (x - 100) * Math.cos(yaw) + (flat ? 0 : z) * Math.sin(yaw) + 0.6 * (random() - 0.5),
+            y: y + 0.6 * (random() - 0.5)
+        }))
+    };
+}
+
+/**
+ * Four still frames, then a head turn; returns every result
+ */
+function turn({ flat }) {
+    const random = seededRandom();
+    const state = planarScorer.createState();
+    const yaws = [0, 0, 0, 0, 0.08, 0.16, 0.24, 0.32, 0.4, 0.48];
+
+    return yaws.map(yaw => planarScorer.score({ landmarks: landmarks(yaw, { flat, random }) }, state, MODEL_CONFIG.LIVENESS));
+}
+
+describe('fitHomography', () => {
+    it('recovers a perspective transform from exact correspondences', () => {
+        const H = [1.1, 0.05, 12, -0.04, 0.95, -7, 0.0004, -0.0002, 1];
+        const fitted = fitHomography(POINTS, POINTS.map(p => applyHomography(H, p)));
+
+        fitted.forEach((value, i) => expect(value / fitted[8]).toBeCloseTo(H[i], 6));
+        expect(homographyResidual(POINTS, POINTS.map(p => applyHomography(H, p)))).toBeCloseTo(0, 6);
+    });
+
+    it('returns null for degenerate points', () => {
+        const collapsed = POINTS.map(() => ({ x: 5, y: 5 }));
+
+        expect(fitHomography(collapsed, collapsed)).toBeNull();
+        expect(homographyResidual(collapsed, collapsed)).toBeNull();
+    });
+});
+
+describe('similarityResidual', () => {
+    it('is zero for rotation, scale and translation, but not for perspective', () => {
+        const angle = 0.3;
+        const similar = POINTS.map(({ x, y }) => ({
+            x: 1.2 * (x * Math.cos(angle) - y * Math.sin(angle)) + 4,
+            y: 1.2 * (x * Math.sin(angle) + y * Math.cos(angle)) - 9
+        }));
+        const H = [1, 0, 0, 0, 1, 0, 0.002, 0, 1];
+
+        expect(similarityResidual(POINTS, similar)).toBeCloseTo(0, 8);
+        expect(similarityResidual(POINTS, POINTS.map(p => applyHomography(H, p)))).toBeGreaterThan(1);
+    });
+});
+
+describe('planarScorer', () => {
+    it('abstains while the face holds still', () => {
+        turn({ flat: false }).slice(0, 4).forEach(result => {
+            expect(result).toEqual({ score: null, extra: { planarParallax: null } });
+        });
+    });
+
+    it('passes a head turn, whose parallax a homography cannot absorb', () => {
+        const result = turn({ flat: false }).pop();
+
+        expect(result.score).toBe(1);
+        expect(result.extra.planarParallax).toBeGreaterThan(MODEL_CONFIG.LIVENESS.PLANAR.PARALLAX_RANGE[1]);
+    });
+
+    it('fails a turned photo, which leaves only landmark jitter', () => {
+        const result = turn({ flat: true }).pop();
+
+        expect(result.score).toBe(0);
+        expect(result.extra.planarParallax).toBeLessThan(MODEL_CONFIG.LIVENESS.PLANAR.PARALLAX_RANGE[0]);
+    });
+});
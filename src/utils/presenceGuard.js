@@ -0,0 +1,96 @@
+/**
+ * Presence Guard Utility
+ * Workstation lock driven by the verification loop: locks when the owner has been away for
+ * ABSENCE_TIMEOUT_MS or an unrecognized face shows up next to them, and unlocks only on a
+ * verification of the owner that started after the lock.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+export const GUARD_REASONS = {
+    awaiting_owner: 'Waiting for the owner to verify',
+    owner_absent: 'Owner left the workstation',
+    shoulder_surfing: 'Unrecognized face behind the owner',
+    manual: 'Locked manually',
+    paused: 'Verification stopped'
+};
+
+/**
+ * Starts locked: protected content stays hidden until the owner has verified once.
+ */
+export class PresenceGuard {
+    /**
+     * @param {object} [options]
+     * @param {number|null} [options.ownerId] identity id of the owner; any enrolled identity when null
+     */
+    constructor({ ownerId = null, config = MODEL_CONFIG.GUARD } = {}) {
+        this.ownerId = ownerId;
+        this.config = config;
+        this.isLocked = true;
+        this.reason = 'awaiting_owner';
+        this.since = Date.now();
+        this.lastOwnerSeen = null;
+    }
+
+    /**
+     * Restarts the absence timer, e.g. when verification (re)starts
+     */
+    resume(now = Date.now()) {
+        this.lastOwnerSeen = now;
+    }
+
+    isOwner(face) {
+        return face.state === 'verified' && face.identity &&
+            (this.ownerId === null || face.identity.id === this.ownerId);
+    }
+
+    lock(reason, now = Date.now()) {
+        if (this.isLocked) return null;
+
+        this.isLocked = true;
+        this.reason = reason;
+        this.since = now;
+        return { type: 'lock', reason };
+    }
+
+    /**
+     * Feeds the stable per-face decisions of one frame ({ state, identity, since }, as in faceResults)
+     * Returns { type: 'lock' | 'unlock', reason } on a transition, otherwise null.
+     */
+    update(faces, now = Date.now()) {
+        const owner = faces.find(face => this.isOwner(face));
+        const strangers = faces.filter(face => face.state === 'unverified' || face.state === 'spoof');
+
+        if (owner) this.lastOwnerSeen = now;
+
+        if (!this.isLocked) {
+            if (strangers.length > 0 && this.config.LOCK_ON_STRANGER) return this.lock('shoulder_surfing', now);
+            if (this.lastOwnerSeen !== null && now - this.lastOwnerSeen >= this.config.ABSENCE_TIMEOUT_MS) {
+                return this.lock('owner_absent', now);
+            }
+            return null;
+        }
+
+        // The owner's verified decision must have been reached after the lock, and nobody else may be watching
+        if (owner && owner.since > this.since && strangers.length === 0) {
+            const reason = this.reason;
+            this.isLocked = false;
+            this.reason = null;
+            this.since = now;
+            return { type: 'unlock', reason };
+        }
+
+        return null;
+    }
+
+    getState() {
+        return {
+            isLocked: this.isLocked,
+            reason: this.reason,
+            message: this.reason ? GUARD_REASONS[this.reason] : null,
+            since: this.since
+        };
+    }
+}
+
+export default PresenceGuard;
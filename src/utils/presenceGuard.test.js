@@ -0,0 +1,83 @@
+import { PresenceGuard } from './presenceGuard';
+
+const CONFIG = { ABSENCE_TIMEOUT_MS: 10000, LOCK_ON_STRANGER: true };
+
+const OWNER = { id: 1, name: 'Owner' };
+const COLLEAGUE = { id: 2, name: 'Colleague' };
+
+const verified = (identity, since) => ({ state: 'verified', identity, since });
+const stranger = (since = 0) => ({ state: 'unverified', identity: null, since });
+
+describe('PresenceGuard', () => {
+    let guard;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+        guard = new PresenceGuard({ ownerId: OWNER.id, config: CONFIG });
+    });
+
+    /**
+     * Unlocks the guard with a fresh verification of the owner at the given time
+     */
+    const unlock = (now) => guard.update([verified(OWNER, now)], now);
+
+    it('starts locked until the owner verifies', () => {
+        expect(guard.getState()).toEqual({ isLocked: true, reason: 'awaiting_owner', message: 'Waiting for the owner to verify', since: 1000 });
+        expect(guard.update([verified(COLLEAGUE, 2000)], 2000)).toBeNull();
+
+        expect(unlock(3000)).toEqual({ type: 'unlock', reason: 'awaiting_owner' });
+        expect(guard.getState()).toMatchObject({ isLocked: false, reason: null, message: null, since: 3000 });
+    });
+
+    it('accepts any enrolled identity without an ownerId', () => {
+        guard = new PresenceGuard({ config: CONFIG });
+
+        expect(guard.update([verified(COLLEAGUE, 2000)], 2000)).toEqual({ type: 'unlock', reason: 'awaiting_owner' });
+    });
+
+    it('locks once the owner has been away for ABSENCE_TIMEOUT_MS', () => {
+        unlock(2000);
+        guard.update([verified(OWNER, 2000)], 5000);
+
+        expect(guard.update([], 14999)).toBeNull();
+        expect(guard.update([], 15000)).toEqual({ type: 'lock', reason: 'owner_absent' });
+        expect(guard.getState()).toMatchObject({ isLocked: true, message: 'Owner left the workstation', since: 15000 });
+    });
+
+    it('restarts the absence timer on resume', () => {
+        unlock(2000);
+        guard.resume(11000);
+
+        expect(guard.update([], 20000)).toBeNull();
+        expect(guard.update([], 21000)).toEqual({ type: 'lock', reason: 'owner_absent' });
+    });
+
+    it('locks when a stranger shows up next to the owner, unless LOCK_ON_STRANGER is off', () => {
+        unlock(2000);
+        expect(guard.update([verified(OWNER, 2000), stranger()], 3000)).toEqual({ type: 'lock', reason: 'shoulder_surfing' });
+
+        const lenient = new PresenceGuard({ ownerId: OWNER.id, config: { ...CONFIG, LOCK_ON_STRANGER: false } });
+        lenient.update([verified(OWNER, 2000)], 2000);
+        expect(lenient.update([verified(OWNER, 2000), stranger()], 3000)).toBeNull();
+    });
+
+    it('unlocks only on a verification that started after the lock, with nobody else watching', () => {
+        unlock(2000);
+        guard.update([verified(OWNER, 2000), stranger()], 3000);
+
+        // Still the decision from before the lock
+        expect(guard.update([verified(OWNER, 2000)], 4000)).toBeNull();
+        expect(guard.update([verified(OWNER, 5000), stranger()], 5000)).toBeNull();
+
+        expect(guard.update([verified(OWNER, 6000)], 6000)).toEqual({ type: 'unlock', reason: 'shoulder_surfing' });
+    });
+
+    it('does not lock again while locked', () => {
+        expect(guard.lock('manual', 2000)).toBeNull();
+        expect(guard.getState().reason).toBe('awaiting_owner');
+
+        unlock(3000);
+        expect(guard.lock('manual', 4000)).toEqual({ type: 'lock', reason: 'manual' });
+        expect(guard.getState()).toMatchObject({ message: 'Locked manually', since: 4000 });
+    });
+});
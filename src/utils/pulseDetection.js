@@ -0,0 +1,190 @@
+/**
+ * Pulse Detection Utility (remote photoplethysmography)
+ * Liveness scorer that tracks mean skin color over the forehead and cheeks, extracts the blood-volume
+ * signal with the POS projection (Wang et al. 2017) and looks for a heart-rate peak between 0.7 and 3 Hz.
+ * Printed photos, screens and masks have no pulse.
+ */
+
+import { hannWindow, magnitudeSpectrum } from './fft';
+import { ramp } from './stats';
+
+/**
+ * Forehead and cheek rectangles from the 68 landmarks, in face-crop coordinates
+ */
+export function getSkinRegions(landmarks, box) {
+    const p = landmarks.positions.map(point => ({ x: point.x - box.x, y: point.y - box.y }));
+    const noseLength = Math.max(1, p[30].y - p[27].y);
+    const browY = Math.min(p[19].y, p[24].y);
+
+    return [
+        // Forehead: between the brow peaks, above the brows
+        { x: p[19].x, y: browY - 0.6 * noseLength, width: p[24].x - p[19].x, height: 0.45 * noseLength },
+        // Cheeks: under each eye, between mid-nose and the nose base
+        { x: p[36].x, y: p[29].y, width: p[39].x - p[36].x, height: p[33].y - p[29].y },
+        { x: p[42].x, y: p[29].y, width: p[45].x - p[42].x, height: p[33].y - p[29].y }
+    ];
+}
+
+/**
+ * Mean RGB over the skin regions, or null when none of them is inside the crop
+ */
+function meanSkinColor({ data, width, height }, regions) {
+    let r = 0, g = 0, b = 0, count = 0;
+
+    for (const region of regions) {
+        const x0 = Math.max(0, Math.round(region.x));
+        const y0 = Math.max(0, Math.round(region.y));
+        const x1 = Math.min(width, Math.round(region.x + region.width));
+        const y1 = Math.min(height, Math.round(region.y + region.height));
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const idx = (y * width + x) * 4;
+                r += data[idx];
+                g += data[idx + 1];
+                b += data[idx + 2];
+                count++;
+            }
+        }
+    }
+
+    return count > 0 ? { r: r / count, g: g / count, b: b / count } : null;
+}
+
+/**
+ * Linearly interpolates irregular { t, value } samples onto a uniform grid at rateHz
+ */
+function resample(samples, key, rateHz) {
+    const start = samples[0].t;
+    const end = samples[samples.length - 1].t;
+    const count = Math.floor(((end - start) / 1000) * rateHz) + 1;
+    const values = new Float64Array(count);
+
+    for (let i = 0, j = 0; i < count; i++) {
+        const t = start + (i * 1000) / rateHz;
+        while (j < samples.length - 2 && samples[j + 1].t < t) j++;
+
+        const a = samples[j];
+        const b = samples[j + 1] || a;
+        const span = b.t - a.t;
+        const f = span > 0 ? Math.min(1, Math.max(0, (t - a.t) / span)) : 0;
+        values[i] = a[key] + (b[key] - a[key]) * f;
+    }
+
+    return values;
+}
+
+function standardDeviation(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length);
+}
+
+/**
+ * POS pulse signal from temporally normalized RGB traces
+ */
+function projectPulse(r, g, b) {
+    const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length || 1;
+    const [mr, mg, mb] = [mean(r), mean(g), mean(b)];
+
+    const s1 = new Float64Array(r.length);
+    const s2 = new Float64Array(r.length);
+    for (let i = 0; i < r.length; i++) {
+        s1[i] = g[i] / mg - b[i] / mb;
+        s2[i] = g[i] / mg + b[i] / mb - 2 * r[i] / mr;
+    }
+
+    const alpha = standardDeviation(s1) / (standardDeviation(s2) || 1e-9);
+    return s1.map((v, i) => v + alpha * s2[i]);
+}
+
+/**
+ * Heart-rate estimate from a uniformly sampled pulse signal
+ * The band-pass is applied in the frequency domain: only bins inside [MIN_HZ, MAX_HZ] are considered.
+ * quality is the share of in-band energy around the peak and its first harmonic (0-1).
+ */
+export function estimateHeartRate(signal, rateHz, config) {
+    // Remove slow illumination/motion drift with a one-second moving average
+    const half = Math.max(1, Math.round(rateHz / 2));
+    const detrended = signal.map((v, i) => {
+        let sum = 0, count = 0;
+        for (let j = Math.max(0, i - half); j <= Math.min(signal.length - 1, i + half); j++) {
+            sum += signal[j];
+            count++;
+        }
+        return v - sum / count;
+    });
+
+    const window = hannWindow(detrended.length);
+    const { magnitudes, size } = magnitudeSpectrum(detrended.map((v, i) => v * window[i]));
+    const binHz = rateHz / size;
+
+    const minBin = Math.ceil(config.MIN_HZ / binHz);
+    const maxBin = Math.min(magnitudes.length - 1, Math.floor(config.MAX_HZ / binHz));
+    if (maxBin <= minBin) return { bpm: null, quality: 0 };
+
+    let peakBin = minBin, bandEnergy = 0;
+    for (let k = minBin; k <= maxBin; k++) {
+        const power = magnitudes[k] * magnitudes[k];
+        bandEnergy += power;
+        if (power > magnitudes[peakBin] * magnitudes[peakBin]) peakBin = k;
+    }
+
+    const energyAround = (center) => {
+        const halfWidth = Math.max(1, Math.round(config.PEAK_WIDTH_HZ / binHz));
+        let energy = 0;
+        for (let k = Math.max(minBin, center - halfWidth); k <= Math.min(maxBin, center + halfWidth); k++) {
+            energy += magnitudes[k] * magnitudes[k];
+        }
+        return energy;
+    };
+
+    const harmonic = peakBin * 2 <= maxBin ? energyAround(peakBin * 2) : 0;
+    const quality = bandEnergy > 0 ? Math.min(1, (energyAround(peakBin) + harmonic) / bandEnergy) : 0;
+
+    return { bpm: peakBin * binHz * 60, quality };
+}
+
+/**
+ * Liveness scorer (see LivenessSession): abstains until enough history is collected,
+ * then scores the strength of the heart-rate peak. Extra scores: pulseBpm, pulseQuality.
+ */
+export const pulseScorer = {
+    name: 'pulse',
+    usesPixels: true,
+
+    createState: () => ({ samples: [] }),
+
+    score({ pixels, landmarks, box, timestamp }, state, config) {
+        const pulseConfig = config.PULSE;
+        const color = meanSkinColor(pixels, getSkinRegions(landmarks, box));
+        const samples = state.samples;
+
+        // A long gap (face lost, tab hidden) breaks the signal; start over
+        if (samples.length > 0 && timestamp - samples[samples.length - 1].t > pulseConfig.MAX_GAP_MS) samples.length = 0;
+        if (color) samples.push({ t: timestamp, ...color });
+        while (samples.length > 0 && timestamp - samples[0].t > pulseConfig.WINDOW_SECONDS * 1000) samples.shift();
+
+        const pending = { score: null, extra: { pulseBpm: null, pulseQuality: null } };
+        if (samples.length < 2) return pending;
+
+        const duration = (samples[samples.length - 1].t - samples[0].t) / 1000;
+        const sampleRate = (samples.length - 1) / (duration || 1);
+
+        // Needs several seconds at a rate that can represent 3 Hz, otherwise the scorer stays out of the vote
+        if (duration < pulseConfig.MIN_SECONDS || sampleRate < pulseConfig.MIN_SAMPLE_RATE_HZ) return pending;
+
+        const pulse = projectPulse(
+            resample(samples, 'r', pulseConfig.RESAMPLE_HZ),
+            resample(samples, 'g', pulseConfig.RESAMPLE_HZ),
+            resample(samples, 'b', pulseConfig.RESAMPLE_HZ)
+        );
+        const { bpm, quality } = estimateHeartRate(pulse, pulseConfig.RESAMPLE_HZ, pulseConfig);
+
+        return {
+            score: ramp(quality, pulseConfig.QUALITY_RANGE),
+            extra: { pulseBpm: bpm === null ? null : Math.round(bpm), pulseQuality: quality }
+        };
+    }
+};
+
+export default pulseScorer;
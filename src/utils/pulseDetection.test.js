@@ -0,0 +1,111 @@
+import { estimateHeartRate, getSkinRegions, pulseScorer } from './pulseDetection';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+const CONFIG = MODEL_CONFIG.LIVENESS;
+const HEART_RATE_HZ = 1.2; // 72 bpm
+
+function seededRandom(seed = 3) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+// Brows, nose and eye corners of a 100 x 100 face crop
+const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+Object.assign(positions, {
+    19: { x: 35, y: 30 }, 24: { x: 65, y: 30 },
+    27: { x: 50, y: 40 }, 29: { x: 50, y: 50 }, 30: { x: 50, y: 60 }, 33: { x: 50, y: 65 },
+    36: { x: 25, y: 45 }, 39: { x: 42, y: 45 }, 42: { x: 58, y: 45 }, 45: { x: 75, y: 45 }
+});
+const LANDMARKS = { positions };
+const BOX = { x: 0, y: 0, width: 100, height: 100 };
+
+/**
+ * Skin-colored crop whose color follows a 72 bpm pulse of the given amplitude (0 for a photo)
+ */
+function skinPixels(timestamp, amplitude) {
+    const pulse = 0.5 * amplitude * Math.sin((2 * Math.PI * HEART_RATE_HZ * timestamp) / 1000);
+    const data = new Uint8ClampedArray(100 * 100 * 4);
+
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = 180 + 0.5 * pulse;
+        data[i + 1] = 120 + pulse;
+        data[i + 2] = 100 + 0.3 * pulse;
+        data[i + 3] = 255;
+    }
+
+    return { data, width: 100, height: 100 };
+}
+
+/**
+ * Scores frames every stepMs from start to end and returns the last result
+ */
+function feed(state, { amplitude, start = 0, end, stepMs = 150 }) {
+    let result = null;
+    for (let timestamp = start; timestamp <= end; timestamp += stepMs) {
+        result = pulseScorer.score({ pixels: skinPixels(timestamp, amplitude), landmarks: LANDMARKS, box: BOX, timestamp }, state, CONFIG);
+    }
+    return result;
+}
+
+const ABSTAIN = { score: null, extra: { pulseBpm: null, pulseQuality: null } };
+
+describe('estimateHeartRate', () => {
+    it('finds the heart rate of a noisy pulse signal', () => {
+        const random = seededRandom();
+        const signal = Array.from({ length: 100 }, (_, i) => Math.sin((2 * Math.PI * HEART_RATE_HZ * i) / 10) + 0.2 * (random() - 0.5));
+        const { bpm, quality } = estimateHeartRate(signal, 10, CONFIG.PULSE);
+
+        // One bin of a 128-point spectrum at 10 Hz is ~4.7 bpm
+        expect(Math.abs(bpm - 72)).toBeLessThan(5);
+        expect(quality).toBeGreaterThan(0.8);
+    });
+
+    it('gives noise a low quality', () => {
+        const random = seededRandom();
+        const noise = Array.from({ length: 100 }, () => random() - 0.5);
+
+        expect(estimateHeartRate(noise, 10, CONFIG.PULSE).quality).toBeLessThan(CONFIG.PULSE.QUALITY_RANGE[0]);
+    });
+
+    it('gives up when the signal is too short to resolve the band', () => {
+        expect(estimateHeartRate([1, -1, 1, -1], 10, CONFIG.PULSE)).toEqual({ bpm: null, quality: 0 });
+    });
+});
+
+describe('getSkinRegions', () => {
+    it('places the forehead above the brows and the cheeks under the eyes', () => {
+        expect(getSkinRegions(LANDMARKS, BOX)).toEqual([
+            { x: 35, y: 18, width: 30, height: 9 },
+            { x: 25, y: 50, width: 17, height: 15 },
+            { x: 58, y: 50, width: 17, height: 15 }
+        ]);
+    });
+});
+
+describe('pulseScorer', () => {
+    it('abstains until MIN_SECONDS of history are collected', () => {
+        const state = pulseScorer.createState();
+
+        expect(feed(state, { amplitude: 4, end: 4500 })).toEqual(ABSTAIN);
+        expect(feed(state, { amplitude: 4, start: 4650, end: 5100 }).score).not.toBeNull();
+    });
+
+    it('passes skin with a pulse and fails a still color', () => {
+        const live = feed(pulseScorer.createState(), { amplitude: 4, end: 8000 });
+        expect(live.score).toBe(1);
+        expect(Math.abs(live.extra.pulseBpm - 72)).toBeLessThan(5);
+
+        expect(feed(pulseScorer.createState(), { amplitude: 0, end: 8000 }).score).toBe(0);
+    });
+
+    it('abstains at frame rates too low to represent the heart-rate band', () => {
+        expect(feed(pulseScorer.createState(), { amplitude: 4, end: 8000, stepMs: 300 })).toEqual(ABSTAIN);
+    });
+
+    it('starts the history over after a gap longer than MAX_GAP_MS', () => {
+        const state = pulseScorer.createState();
+        feed(state, { amplitude: 4, end: 8000 });
+
+        expect(feed(state, { amplitude: 4, start: 8000 + CONFIG.PULSE.MAX_GAP_MS + 150, end: 10000 })).toEqual(ABSTAIN);
+        expect(state.samples[0].t).toBe(8000 + CONFIG.PULSE.MAX_GAP_MS + 150);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Screen Replay Detection Utility
+ * Liveness scorer for faces shown on a phone or laptop screen. Looks for three screen signatures:
+ * moiré / pixel-grid peaks in the 2D spectrum of the face, periodic refresh banding across rows,
+ * and straight bezel edges around the face.
+ */
+
+import { fft2d, hannWindow, magnitudeSpectrum } from './fft';
+import { ramp, median } from './stats';
+
+function toGray({ data, width, height }) {
+    const gray = new Float64Array(width * height);
+    for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+        gray[p] = (data[i] + data[i + 1] + data[i + 2]) / 3;
+    }
+    return gray;
+}
+
+/**
+ * Strongest isolated peak in the 2D spectrum of a window centred on the face,
+ * relative to the median magnitude at the same radius (natural images fall off smoothly as 1/f)
+ */
+function measureMoire(gray, width, height, face, config) {
+    let size = config.FFT_SIZE;
+    while (size > Math.min(width, height)) size /= 2;
+    if (size < 32) return 0;
+
+    const left = Math.max(0, Math.min(width - size, Math.round(face.x + face.width / 2 - size / 2)));
+    const top = Math.max(0, Math.min(height - size, Math.round(face.y + face.height / 2 - size / 2)));
+
+    const re = new Float64Array(size * size);
+    const im = new Float64Array(size * size);
+    const window = hannWindow(size);
+
+    let mean = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) mean += gray[(top + y) * width + left + x];
+    }
+    mean /= size * size;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            re[y * size + x] = (gray[(top + y) * width + left + x] - mean) * window[x] * window[y];
+        }
+    }
+
+    fft2d(re, im, size);
+
+    // Upper half-plane only (the spectrum of a real image is symmetric). Bins next to the axes are skipped:
+    // they carry edge streaks and 8x8 compression blocking, which a live webcam frame has as well.
+    const minRadius = Math.round(size * config.MOIRE_MIN_FREQUENCY);
+    const byRadius = [];
+
+    for (let v = 2; v < size / 2; v++) {
+        for (let u = -size / 2 + 1; u < size / 2; u++) {
+            if (Math.abs(u) <= 1) continue;
+
+            const radius = Math.round(Math.sqrt(u * u + v * v));
+            if (radius < minRadius || radius >= size / 2) continue;
+
+            const idx = v * size + (u < 0 ? u + size : u);
+            (byRadius[radius] = byRadius[radius] || []).push(Math.sqrt(re[idx] * re[idx] + im[idx] * im[idx]));
+        }
+    }
+
+    let peak = 0;
+    byRadius.forEach(magnitudes => {
+        if (!magnitudes || magnitudes.length < 8) return;
+        const floor = median(magnitudes) || 1e-6;
+        peak = Math.max(peak, Math.max(...magnitudes) / floor);
+    });
+
+    return peak;
+}
+
+/**
+ * Periodic brightness across rows (rolling-shutter banding from a screen's refresh/backlight PWM)
+ * Returns the strongest row-profile frequency relative to its spectral neighbourhood.
+ */
+function measureBanding(gray, width, height, config) {
+    if (height < 32) return 0;
+
+    const profile = new Float64Array(height);
+    for (let y = 0; y < height; y++) {
+        let sum = 0;
+        for (let x = 0; x < width; x++) sum += gray[y * width + x];
+        profile[y] = sum / width;
+    }
+
+    const mean = profile.reduce((a, b) => a + b, 0) / height;
+    const window = hannWindow(height);
+    for (let y = 0; y < height; y++) profile[y] = (profile[y] - mean) * window[y];
+
+    const { magnitudes, size } = magnitudeSpectrum(profile);
+
+    // Face structure (brows, eyes, mouth) only produces a few cycles over the region
+    const minBin = Math.ceil((config.BANDING_MIN_CYCLES * size) / height);
+    const neighbourhood = 8;
+    let peak = 0;
+
+    for (let k = minBin; k < magnitudes.length - 2; k++) {
+        const neighbours = [];
+        for (let j = Math.max(1, k - neighbourhood); j <= Math.min(magnitudes.length - 1, k + neighbourhood); j++) {
+            if (Math.abs(j - k) > 1) neighbours.push(magnitudes[j]);
+        }
+        if (neighbours.length === 0) continue;
+
+        peak = Math.max(peak, magnitudes[k] / (median(neighbours) || 1e-6));
+    }
+
+    return peak;
+}
+
+/**
+ * Straight edges running across the region above, below, left and right of the face
+ * Returns the coverage of the second-strongest side: a bezel shows on at least two sides,
+ * a single table edge or door frame only on one.
+ */
+function measureBezel(gray, width, height, face, config) {
+    const threshold = config.EDGE_THRESHOLD;
+    const at = (x, y) => gray[y * width + x];
+
+    const rowCoverage = (y) => {
+        let edges = 0;
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(at(x, y + 1) - at(x, y - 1)) > threshold) edges++;
+        }
+        return edges / width;
+    };
+
+    const columnCoverage = (x) => {
+        let edges = 0;
+        for (let y = 0; y < height; y++) {
+            if (Math.abs(at(x + 1, y) - at(x - 1, y)) > threshold) edges++;
+        }
+        return edges / height;
+    };
+
+    const strongest = (from, to, coverage) => {
+        let best = 0;
+        for (let i = Math.max(1, from); i < to; i++) {
+            best = Math.max(best, coverage(i));
+        }
+        return best;
+    };
+
+    const faceRight = face.x + face.width;
+    const faceBottom = face.y + face.height;
+
+    const sides = [
+        strongest(1, face.y - 1, rowCoverage),
+        strongest(faceBottom + 1, height - 1, rowCoverage),
+        strongest(1, face.x - 1, columnCoverage),
+        strongest(faceRight + 1, width - 1, columnCoverage)
+    ].sort((a, b) => b - a);
+
+    return sides[1];
+}
+
+/**
+ * Liveness scorer (see LivenessSession): 1 = no screen signature, 0 = strong screen evidence
+ * Extra scores: screenMoire, screenBanding, screenBezel evidence (0-1).
+ */
+export const screenReplayScorer = {
+    name: 'screen',
+    usesContext: true,
+
+    score({ context }, state, config) {
+        const screenConfig = config.SCREEN;
+        const { pixels, face } = context;
+        const gray = toGray(pixels);
+
+        const moire = ramp(measureMoire(gray, pixels.width, pixels.height, face, screenConfig), screenConfig.MOIRE_PEAK_RANGE);
+        const banding = ramp(measureBanding(gray, pixels.width, pixels.height, screenConfig), screenConfig.BANDING_PEAK_RANGE);
+        const bezel = ramp(measureBezel(gray, pixels.width, pixels.height, face, screenConfig), screenConfig.BEZEL_COVERAGE_RANGE);
+
+        return {
+            score: 1 - Math.max(moire, banding, bezel),
+            extra: { screenMoire: moire, screenBanding: banding, screenBezel: bezel }
+        };
+    }
+};
+
+export default screenReplayScorer;
@@ -0,0 +1,58 @@
+import { screenReplayScorer } from './screenReplayDetection';
+import { MODEL_CONFIG } from '../config/modelConfig';
+
+const SIZE = 160;
+const FACE = { x: 40, y: 40, width: 80, height: 80 };
+
+/**
+ * Gray SIZE x SIZE RGBA pixels from shade(x, y, random), with a seeded random for repeatable noise
+ */
+function image(shade) {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = (y * SIZE + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = shade(x, y, random);
+            data[i + 3] = 255;
+        }
+    }
+
+    return { data, width: SIZE, height: SIZE };
+}
+
+// A bright blob for the face on a lighting gradient, plus sensor noise
+const natural = (x, y, random) => 100 + 40 * Math.exp(-((x - 80) ** 2 + (y - 80) ** 2) / 1500) + 0.2 * x + 6 * random();
+
+const score = (shade) => screenReplayScorer.score({ context: { pixels: image(shade), face: FACE } }, {}, MODEL_CONFIG.LIVENESS);
+
+describe('screenReplayScorer', () => {
+    it('finds no screen signature in a natural frame', () => {
+        expect(score(natural)).toEqual({ score: 1, extra: { screenMoire: 0, screenBanding: 0, screenBezel: 0 } });
+    });
+
+    it('detects a moiré grid as an isolated spectral peak', () => {
+        const result = score((x, y, random) => natural(x, y, random) + 20 * Math.sin(2 * Math.PI * (0.23 * x + 0.17 * y)));
+
+        expect(result.extra).toMatchObject({ screenMoire: 1, screenBanding: 0 });
+        expect(result.score).toBe(0);
+    });
+
+    it('detects refresh banding across rows', () => {
+        const result = score((x, y, random) => natural(x, y, random) + 15 * Math.sin((2 * Math.PI * y) / 7));
+
+        expect(result.extra.screenBanding).toBe(1);
+        expect(result.score).toBe(0);
+    });
+
+    it('detects a bezel framing the face, but not a single straight edge', () => {
+        const framed = score((x, y, random) => (x < 20 || x >= 140 || y < 20 || y >= 140 ? 10 : natural(x, y, random)));
+        expect(framed.extra).toEqual({ screenMoire: 0, screenBanding: 0, screenBezel: 1 });
+
+        const tableEdge = score((x, y, random) => (y >= 140 ? 10 : natural(x, y, random)));
+        expect(tableEdge.extra.screenBezel).toBe(0);
+        expect(tableEdge.score).toBe(1);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Sentinel Events
+ * Typed event emitter for verification results, enrollment, presence lock, model, webhook and error events,
+ * so embedding applications can react without reading React state.
+ */
+
+/**
+ * @typedef {Object} LivenessSummary
+ * @property {number} confidence combined liveness score (0-1)
+ * @property {Object<string, number>} scores per-scorer scores
+ */
+
+/**
+ * @typedef {Object} VerifiedEvent
+ * @property {number} timestamp
+ * @property {string|number|null} trackId face track in multi-face mode, null otherwise
+ * @property {{ id: number, name: string }} identity
+ * @property {number|null} distance mean descriptor distance backing the decision
+ * @property {number|null} probability match probability for that distance (0-1)
+ * @property {boolean} calibrated whether MATCHING.CALIBRATION was fitted to data; if not, probability is only a score
+ * @property {string} level 'very_high' | 'high' | 'medium' | 'low'
+ * @property {LivenessSummary|null} liveness
+ *
+ * @typedef {Object} MismatchEvent
+ * @property {number} timestamp
+ * @property {string|number|null} trackId
+ * @property {number|null} distance distance to the closest enrolled identity
+ * @property {number|null} probability probability that it is that identity (0-1)
+ * @property {boolean} calibrated as for VerifiedEvent
+ * @property {string} level
+ * @property {number|null} personId intruder the face was assigned to
+ * @property {LivenessSummary|null} liveness
+ *
+ * @typedef {Object} SpoofEvent
+ * @property {number} timestamp
+ * @property {string|number|null} trackId
+ * @property {string} reason
+ * @property {LivenessSummary|null} liveness
+ *
+ * @typedef {Object} NoFaceEvent
+ * @property {number} timestamp
+ *
+ * @typedef {Object} EnrolledEvent
+ * @property {number} timestamp
+ * @property {{ id: number, name: string }} identity
+ * @property {string} source 'enrollment' | 'image' | 'intruder'
+ *
+ * @typedef {Object} ModelLoadedEvent
+ * @property {number} timestamp
+ * @property {string} runtime 'worker' | 'main'
+ * @property {string} detector
+ *
+ * @typedef {Object} LockedEvent
+ * @property {number} timestamp
+ * @property {string} reason 'owner_absent' | 'shoulder_surfing' | 'manual' | 'paused'
+ *
+ * @typedef {Object} UnlockedEvent
+ * @property {number} timestamp
+ * @property {string} reason the reason of the lock that ended
+ *
+ * @typedef {Object} ErrorEvent
+ * @property {number} timestamp
+ * @property {string} message
+ *
+ * @typedef {Object} WebhookDroppedEvent
+ * @property {number} timestamp
+ * @property {string} eventType type of the event the webhook gave up on
+ * @property {string} eventId its X-Sentinel-Delivery id
+ * @property {number} attempts delivery attempts made
+ * @property {string} reason e.g. 'queue full', 'rejected with HTTP 400'
+ */
+
+export const SENTINEL_EVENTS = [
+    'verified', 'mismatch', 'spoof', 'noFace', 'enrolled', 'modelLoaded', 'locked', 'unlocked', 'error', 'webhookDropped'
+];
+
+/**
+ * Minimal emitter restricted to SENTINEL_EVENTS. A listener that throws is reported
+ * on the console and does not stop the other listeners (or the verification loop).
+ */
+export class SentinelEventEmitter {
+    constructor() {
+        this.listeners = new Map(SENTINEL_EVENTS.map(type => [type, new Set()]));
+        this.anyListeners = new Set();
+    }
+
+    assertType(type) {
+        if (!this.listeners.has(type)) throw new Error(`Unknown sentinel event "${type}"`);
+    }
+
+    /**
+     * Subscribes to one event type; returns an unsubscribe function
+     */
+    on(type, listener) {
+        this.assertType(type);
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.assertType(type);
+        this.listeners.get(type).delete(listener);
+    }
+
+    once(type, listener) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Subscribes to every event type; the listener receives (type, payload)
+     */
+    onAny(listener) {
+        this.anyListeners.add(listener);
+        return () => {
+            this.anyListeners.delete(listener);
+        };
+    }
+
+    emit(type, payload) {
+        this.assertType(type);
+        const event = { timestamp: Date.now(), ...payload };
+
+        const call = (listener, ...args) => {
+            try {
+                listener(...args);
+            } catch (error) {
+                console.error(`Sentinel "${type}" listener failed:`, error);
+            }
+        };
+
+        [...this.listeners.get(type)].forEach(listener => call(listener, event));
+        [...this.anyListeners].forEach(listener => call(listener, type, event));
+    }
+
+    removeAllListeners() {
+        this.listeners.forEach(set => set.clear());
+        this.anyListeners.clear();
+    }
+}
+
+export default SentinelEventEmitter;
@@ -0,0 +1,24 @@
+/**
+ * Service Worker Registration
+ * Registers public/sentinel-sw.js, which keeps the app shell available offline. Together with the
+ * model weight cache (see ModelWeightCache) this lets the app start without a network after one visit.
+ */
+
+export function registerServiceWorker(url = `${process.env.PUBLIC_URL}/sentinel-sw.js`) {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+
+    return navigator.serviceWorker.register(url).catch((err) => {
+        // The app works without it, only not offline
+        console.warn('Service worker registration failed:', err);
+        return null;
+    });
+}
+
+export async function unregisterServiceWorker() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    const registrations = await navigator.serviceWorker.getRegistrations();
+    await Promise.all(registrations.map(registration => registration.unregister()));
+}
+
+export default registerServiceWorker;
@@ -0,0 +1,148 @@
+/**
+ * Intruder Snapshot Store
+ * Keeps cropped face thumbnails of confirmed unauthorized encounters in IndexedDB,
+ * within the count, size and age limits of MODEL_CONFIG.SNAPSHOTS.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { createCanvas, getSourceSize } from './canvas';
+import { openDatabase, promisifyRequest, transactionDone } from './indexedDb';
+
+const SNAPSHOT_STORE = 'snapshots';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Crops the face box (plus a margin) out of the current frame into a square JPEG thumbnail
+ * Resolves with null when the frame cannot be read.
+ */
+export async function captureFaceThumbnail(source, box, config = MODEL_CONFIG.SNAPSHOTS) {
+    try {
+        const frame = getSourceSize(source);
+        const side = Math.max(box.width, box.height) * (1 + config.CROP_MARGIN * 2);
+        const left = Math.max(0, box.x + box.width / 2 - side / 2);
+        const top = Math.max(0, box.y + box.height / 2 - side / 2);
+        const width = Math.min(side, frame.width - left);
+        const height = Math.min(side, frame.height - top);
+
+        const canvas = createCanvas(config.THUMBNAIL_SIZE, config.THUMBNAIL_SIZE);
+        canvas.getContext('2d').drawImage(source, left, top, width, height, 0, 0, canvas.width, canvas.height);
+
+        if (canvas.convertToBlob) return await canvas.convertToBlob({ type: 'image/jpeg', quality: config.JPEG_QUALITY });
+        return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', config.JPEG_QUALITY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Snapshot records: { id, logId, personId, capturedAt, size, blob }
+ * Thumbnails are stored unencrypted; capture is opt-in for that reason.
+ */
+class IntruderSnapshotStore {
+    constructor(config = MODEL_CONFIG.SNAPSHOTS) {
+        this.config = config;
+        this.db = null;
+    }
+
+    async open() {
+        if (!this.db) {
+            this.db = await openDatabase(this.config.DB_NAME, this.config.DB_VERSION, (db) => {
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Snapshots, newest first
+     */
+    async list() {
+        await this.open();
+        const tx = this.db.transaction(SNAPSHOT_STORE, 'readonly');
+        const records = await promisifyRequest(tx.objectStore(SNAPSHOT_STORE).getAll());
+        return records.sort((a, b) => b.capturedAt - a.capturedAt);
+    }
+
+    /**
+     * Stores a thumbnail, then applies the retention limits. Resolves with the stored record.
+     */
+    async add({ logId, personId, blob }) {
+        await this.open();
+
+        const record = { logId, personId, capturedAt: Date.now(), size: blob.size, blob };
+        const tx = this.db.transaction(SNAPSHOT_STORE, 'readwrite');
+        const id = await promisifyRequest(tx.objectStore(SNAPSHOT_STORE).add(record));
+        await transactionDone(tx);
+
+        await this.enforceLimits();
+        return { ...record, id };
+    }
+
+    /**
+     * Moves snapshots to another person after intruders are merged or split:
+     * every snapshot of fromPersonId when given, otherwise those taken for the listed logIds
+     */
+    async reassign({ fromPersonId, logIds }, personId) {
+        const records = await this.list();
+        const moved = records.filter(record =>
+            fromPersonId !== undefined ? record.personId === fromPersonId : logIds.has(record.logId)
+        );
+        if (moved.length === 0) return;
+
+        const tx = this.db.transaction(SNAPSHOT_STORE, 'readwrite');
+        const store = tx.objectStore(SNAPSHOT_STORE);
+        moved.forEach(record => store.put({ ...record, personId }));
+        await transactionDone(tx);
+    }
+
+    /**
+     * Drops snapshots older than RETENTION_DAYS, then the oldest ones beyond MAX_PER_PERSON,
+     * MAX_SNAPSHOTS and MAX_TOTAL_BYTES
+     */
+    async enforceLimits() {
+        const config = this.config;
+        const records = await this.list();
+        const cutoff = Date.now() - config.RETENTION_DAYS * DAY_MS;
+        const perPerson = {};
+        const expired = [];
+        let kept = 0, totalBytes = 0;
+
+        for (const record of records) {
+            perPerson[record.personId] = (perPerson[record.personId] || 0) + 1;
+
+            if (record.capturedAt < cutoff ||
+                perPerson[record.personId] > config.MAX_PER_PERSON ||
+                kept >= config.MAX_SNAPSHOTS ||
+                totalBytes + record.size > config.MAX_TOTAL_BYTES) {
+                expired.push(record.id);
+                continue;
+            }
+
+            kept++;
+            totalBytes += record.size;
+        }
+
+        if (expired.length === 0) return;
+
+        const tx = this.db.transaction(SNAPSHOT_STORE, 'readwrite');
+        const store = tx.objectStore(SNAPSHOT_STORE);
+        expired.forEach(id => store.delete(id));
+        await transactionDone(tx);
+    }
+
+    async clear() {
+        await this.open();
+        const tx = this.db.transaction(SNAPSHOT_STORE, 'readwrite');
+        tx.objectStore(SNAPSHOT_STORE).clear();
+        await transactionDone(tx);
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+}
+
+export default IntruderSnapshotStore;
@@ -0,0 +1,19 @@
+/**
+ * Stats Utility
+ * Small numeric helpers shared by the liveness scorers.
+ */
+
+/**
+ * Maps value linearly onto 0-1 between low and high, clamped outside the range
+ */
+export function ramp(value, [low, high]) {
+    return Math.max(0, Math.min(1, (value - low) / (high - low)));
+}
+
+/**
+ * Upper median of a list of numbers (the input is left unsorted)
+ */
+export function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
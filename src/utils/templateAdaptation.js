@@ -0,0 +1,122 @@
+/**
+ * Template Adaptation Utility
+ * Folds live, very-high-confidence descriptors of an enrolled person into their template, so it follows slow
+ * changes (lighting, glasses, beard, ageing). Adapted samples are bounded and kept diverse, and the template is
+ * recomputed from them plus the enrollment samples. Against drift toward an impostor:
+ *   - a candidate must also be within maxDistance of the enrollment template, not only of the adapted one
+ *   - the adapted template may move at most MAX_SHIFT away from the enrollment template
+ *   - updates are rate limited per identity (MIN_INTERVAL_MS, MAX_UPDATES_PER_DAY)
+ *   - the enrollment snapshot is kept, so rollbackTemplate() restores it at any time
+ * Distances use the MATCHING metric passed as matching (MODEL_CONFIG.MATCHING by default).
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { descriptorDistance } from './distanceMetrics';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The template as enrolled: { embedding, samples }
+ */
+export function getEnrollmentSnapshot(identity) {
+    return identity.adaptation
+        ? identity.adaptation.enrollment
+        : { embedding: identity.embedding, samples: identity.samples || [] };
+}
+
+/**
+ * Distance the current template has moved from the enrollment template
+ */
+export function getTemplateShift(identity, matching = MODEL_CONFIG.MATCHING) {
+    if (!identity.adaptation) return 0;
+    return descriptorDistance(identity.embedding, identity.adaptation.enrollment.embedding, matching.METRIC, matching.ENSEMBLE_WEIGHTS);
+}
+
+/**
+ * Enrollment template weighted by its sample count, averaged with the adapted samples
+ * For a guided enrollment this equals the mean of all enrollment and adapted samples.
+ */
+function buildTemplate(enrollment, samples) {
+    const weight = Math.max(1, enrollment.samples.length);
+    const template = Array.from(enrollment.embedding, value => value * weight);
+
+    for (const sample of samples) {
+        for (let i = 0; i < template.length; i++) template[i] += sample.embedding[i];
+    }
+
+    return template.map(value => value / (weight + samples.length));
+}
+
+/**
+ * Adapted samples with the new one added, or null when it would not add diversity
+ * A full set swaps out its most redundant sample (closest to its nearest neighbour) if the new one is less redundant.
+ */
+function addDiverseSample(enrollment, samples, sample, config, distance) {
+    const anchors = enrollment.samples.length > 0 ? enrollment.samples.map(s => s.embedding) : [enrollment.embedding];
+    const nearest = (embedding, others) => Math.min(...others.map(other => distance(embedding, other)));
+
+    const candidateDistance = nearest(sample.embedding, [...anchors, ...samples.map(s => s.embedding)]);
+    if (candidateDistance < config.MIN_SAMPLE_DISTANCE) return null;
+    if (samples.length < config.MAX_SAMPLES) return [...samples, sample];
+
+    let redundant = -1;
+    let redundantDistance = Infinity;
+    samples.forEach((existing, i) => {
+        const others = [...anchors, ...samples.filter((_, j) => j !== i).map(s => s.embedding)];
+        const distance = nearest(existing.embedding, others);
+        if (distance < redundantDistance) [redundant, redundantDistance] = [i, distance];
+    });
+
+    if (redundantDistance >= candidateDistance) return null;
+    return samples.map((existing, i) => (i === redundant ? sample : existing));
+}
+
+/**
+ * Tries to fold a verified embedding into an identity's template
+ * Returns { identity, shift } with the updated identity, or { rejected } with the reason:
+ * 'rate_limited' | 'too_far' (from the enrollment template) | 'redundant' | 'max_shift'.
+ * Adaptation state lives in identity.adaptation: { enrollment, samples: [{ embedding, time }], updates, shift }.
+ */
+export function adaptTemplate(identity, embedding, config = MODEL_CONFIG.ADAPTATION, {
+    maxDistance = MODEL_CONFIG.VERY_HIGH_CONFIDENCE,
+    now = Date.now(),
+    matching = MODEL_CONFIG.MATCHING
+} = {}) {
+    const distance = (a, b) => descriptorDistance(a, b, matching.METRIC, matching.ENSEMBLE_WEIGHTS);
+    const enrollment = getEnrollmentSnapshot(identity);
+    const adaptation = identity.adaptation || { enrollment, samples: [], updates: [], shift: 0 };
+
+    const updates = adaptation.updates.filter(time => now - time < DAY_MS);
+    const lastUpdate = updates.length > 0 ? updates[updates.length - 1] : -Infinity;
+    if (now - lastUpdate < config.MIN_INTERVAL_MS || updates.length >= config.MAX_UPDATES_PER_DAY) {
+        return { rejected: 'rate_limited' };
+    }
+
+    if (distance(embedding, enrollment.embedding) > maxDistance) return { rejected: 'too_far' };
+
+    const samples = addDiverseSample(enrollment, adaptation.samples, { embedding: Array.from(embedding), time: now }, config, distance);
+    if (!samples) return { rejected: 'redundant' };
+
+    const template = buildTemplate(enrollment, samples);
+    const shift = distance(template, enrollment.embedding);
+    if (shift > config.MAX_SHIFT) return { rejected: 'max_shift' };
+
+    return {
+        identity: {
+            ...identity,
+            embedding: template,
+            adaptation: { enrollment, samples, updates: [...updates, now], shift }
+        },
+        shift
+    };
+}
+
+/**
+ * The identity with its enrollment template restored and the adapted samples dropped
+ */
+export function rollbackTemplate(identity) {
+    if (!identity.adaptation) return identity;
+
+    const { adaptation, ...rest } = identity;
+    return { ...rest, embedding: adaptation.enrollment.embedding, samples: adaptation.enrollment.samples };
+}
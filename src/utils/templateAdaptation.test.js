@@ -0,0 +1,85 @@
+import { adaptTemplate, rollbackTemplate, getEnrollmentSnapshot, getTemplateShift } from './templateAdaptation';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const CONFIG = {
+    MAX_SAMPLES: 3,
+    MIN_SAMPLE_DISTANCE: 0.05,
+    MAX_SHIFT: 0.1,
+    MIN_INTERVAL_MS: MINUTE,
+    MAX_UPDATES_PER_DAY: 2
+};
+
+// Two-dimensional descriptors keep the geometry easy to follow
+const enrolled = {
+    id: 1,
+    name: 'Alice',
+    embedding: [0, 0],
+    samples: [{ embedding: [0, 0] }]
+};
+
+const adapt = (identity, embedding, now) => adaptTemplate(identity, embedding, CONFIG, { maxDistance: 0.35, now });
+
+describe('adaptTemplate', () => {
+    it('moves the template toward a close, new sample and keeps the enrollment snapshot', () => {
+        const { identity, shift } = adapt(enrolled, [0.1, 0], 0);
+
+        expect(identity.embedding[0]).toBeCloseTo(0.05, 10);
+        expect(shift).toBeCloseTo(0.05, 10);
+        expect(getTemplateShift(identity)).toBeCloseTo(0.05, 10);
+        expect(getEnrollmentSnapshot(identity)).toEqual({ embedding: [0, 0], samples: [{ embedding: [0, 0] }] });
+        expect(enrolled.embedding).toEqual([0, 0]);
+    });
+
+    it('rejects a sample too far from the enrollment template, even if it is close to the adapted one', () => {
+        expect(adapt(enrolled, [0.4, 0], 0)).toEqual({ rejected: 'too_far' });
+
+        const { identity } = adapt(enrolled, [0.15, 0], 0);
+        expect(identity.embedding[0]).toBeCloseTo(0.075, 10);
+        // 0.3 from the adapted template, but 0.375 from the enrollment one
+        expect(adapt(identity, [0.375, 0], 2 * MINUTE)).toEqual({ rejected: 'too_far' });
+    });
+
+    it('never lets the template drift further than MAX_SHIFT from enrollment', () => {
+        const { identity } = adapt(enrolled, [0.15, 0], 0);
+        expect(getTemplateShift(identity)).toBeCloseTo(0.075, 10);
+
+        // Close enough to enrollment on its own, but the template would end up 0.15 away
+        expect(adapt(identity, [0.3, 0], 2 * MINUTE)).toEqual({ rejected: 'max_shift' });
+        // Holds however loose the caller's distance limit is
+        expect(adaptTemplate(identity, [0.9, 0], CONFIG, { maxDistance: 1, now: 2 * MINUTE })).toEqual({ rejected: 'max_shift' });
+    });
+
+    it('skips samples that add no diversity', () => {
+        expect(adapt(enrolled, [0.01, 0.01], 0)).toEqual({ rejected: 'redundant' });
+    });
+
+    it('limits updates to one per MIN_INTERVAL_MS and MAX_UPDATES_PER_DAY per day', () => {
+        const first = adapt(enrolled, [0.1, 0], 0).identity;
+
+        expect(adapt(first, [0, 0.1], MINUTE / 2)).toEqual({ rejected: 'rate_limited' });
+
+        const second = adapt(first, [0, 0.1], MINUTE).identity;
+        expect(second).toBeDefined();
+
+        // Daily limit reached, however long the wait within the day
+        expect(adapt(second, [-0.1, 0], 12 * 60 * MINUTE)).toEqual({ rejected: 'rate_limited' });
+        expect(adapt(second, [-0.1, 0], DAY + MINUTE).identity).toBeDefined();
+    });
+});
+
+describe('rollbackTemplate', () => {
+    it('restores the enrollment template and drops the adapted samples', () => {
+        const adapted = adapt(adapt(enrolled, [0.1, 0], 0).identity, [0, 0.1], MINUTE).identity;
+        const restored = rollbackTemplate(adapted);
+
+        expect(restored).toEqual(enrolled);
+        expect(restored.adaptation).toBeUndefined();
+        expect(getTemplateShift(restored)).toBe(0);
+    });
+
+    it('leaves a template that was never adapted as it is', () => {
+        expect(rollbackTemplate(enrolled)).toBe(enrolled);
+    });
+});
@@ -0,0 +1,261 @@
+/**
+ * Encrypted Template Store
+ * Persists enrolled identities (and the intruder clusters) in IndexedDB, encrypted with AES-GCM
+ * under a PBKDF2-derived key.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { openDatabase, promisifyRequest, transactionDone } from './indexedDb';
+
+const META_STORE = 'meta';
+const IDENTITY_STORE = 'identities';
+const INTRUDER_STORE = 'intruders';
+const VERIFIER_TEXT = 'face-sentinel-template-store';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function openTemplateDatabase(config) {
+    return openDatabase(config.DB_NAME, config.DB_VERSION, (db) => {
+        if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(IDENTITY_STORE)) db.createObjectStore(IDENTITY_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(INTRUDER_STORE)) db.createObjectStore(INTRUDER_STORE, { keyPath: 'id' });
+    });
+}
+
+async function deriveKey(secret, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', secret, 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+    return { iv, data };
+}
+
+async function decryptJson(key, iv, data) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return JSON.parse(decoder.decode(plain));
+}
+
+/**
+ * Identity templates at rest. Only the record id is stored in the clear.
+ *
+ * Without a passphrase the key is derived from a random device secret kept in the same
+ * database: this keeps descriptors out of plain view but does not protect against someone
+ * with full access to the browser profile. Use a passphrase for that (rekey() switches an
+ * existing store without losing its templates).
+ */
+class EncryptedTemplateStore {
+    constructor(config = MODEL_CONFIG.TEMPLATE_STORE) {
+        this.config = config;
+        this.db = null;
+        this.key = null;
+        this.meta = null;
+    }
+
+    async open() {
+        if (!this.db) {
+            this.db = await openTemplateDatabase(this.config);
+            this.meta = await this.readMeta('config');
+        }
+        return this;
+    }
+
+    async readMeta(key) {
+        const tx = this.db.transaction(META_STORE, 'readonly');
+        const record = await promisifyRequest(tx.objectStore(META_STORE).get(key));
+        return record || null;
+    }
+
+    async getDeviceSecret() {
+        const existing = await this.readMeta('deviceSecret');
+        if (existing) return existing.value;
+
+        const value = crypto.getRandomValues(new Uint8Array(32));
+        const tx = this.db.transaction(META_STORE, 'readwrite');
+        tx.objectStore(META_STORE).put({ key: 'deviceSecret', value });
+        await transactionDone(tx);
+        return value;
+    }
+
+    /**
+     * { initialized, mode: 'passphrase' | 'device' | null, isLocked, count }
+     */
+    async getStatus() {
+        await this.open();
+        const tx = this.db.transaction(IDENTITY_STORE, 'readonly');
+        const count = await promisifyRequest(tx.objectStore(IDENTITY_STORE).count());
+
+        return {
+            initialized: !!this.meta,
+            mode: this.meta ? this.meta.mode : null,
+            isLocked: !this.key,
+            count
+        };
+    }
+
+    /**
+     * Derives the key and returns the decrypted identities.
+     * The first unlock initializes the store: with a passphrase, or with a device key when none is given.
+     */
+    async unlock(passphrase) {
+        await this.open();
+
+        if (!this.meta) {
+            const mode = passphrase ? 'passphrase' : 'device';
+            const salt = crypto.getRandomValues(new Uint8Array(16));
+            const secret = mode === 'passphrase' ? encoder.encode(passphrase) : await this.getDeviceSecret();
+            const key = await deriveKey(secret, salt, this.config.PBKDF2_ITERATIONS);
+            const verifier = await encryptJson(key, VERIFIER_TEXT);
+
+            const meta = { key: 'config', mode, salt, iterations: this.config.PBKDF2_ITERATIONS, verifier };
+            const tx = this.db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).put(meta);
+            await transactionDone(tx);
+
+            this.meta = meta;
+            this.key = key;
+            return [];
+        }
+
+        if (this.meta.mode === 'passphrase' && !passphrase) throw new Error('Passphrase required');
+
+        const secret = this.meta.mode === 'passphrase' ? encoder.encode(passphrase) : await this.getDeviceSecret();
+        const key = await deriveKey(secret, this.meta.salt, this.meta.iterations);
+
+        try {
+            await decryptJson(key, this.meta.verifier.iv, this.meta.verifier.data);
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+
+        this.key = key;
+        return this.loadIdentities();
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    /**
+     * Re-encrypts every identity and intruder under a new key: the passphrase, or the device key when none is given.
+     * The store must be unlocked; the new key, salt and records are written in one transaction.
+     */
+    async rekey(passphrase) {
+        if (!this.key) throw new Error('Template store is locked');
+
+        const identities = await this.loadIdentities();
+        const intruders = await this.loadIntruders();
+
+        const mode = passphrase ? 'passphrase' : 'device';
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const secret = mode === 'passphrase' ? encoder.encode(passphrase) : await this.getDeviceSecret();
+        const key = await deriveKey(secret, salt, this.config.PBKDF2_ITERATIONS);
+        const verifier = await encryptJson(key, VERIFIER_TEXT);
+        const encrypt = records => Promise.all(records.map(async ({ id, ...payload }) => ({ id, ...(await encryptJson(key, payload)) })));
+        const [encryptedIdentities, encryptedIntruders] = await Promise.all([encrypt(identities), encrypt(intruders)]);
+
+        const meta = { key: 'config', mode, salt, iterations: this.config.PBKDF2_ITERATIONS, verifier };
+        const tx = this.db.transaction([META_STORE, IDENTITY_STORE, INTRUDER_STORE], 'readwrite');
+        tx.objectStore(META_STORE).put(meta);
+        // A passphrase store has no use for the device secret any more
+        if (mode === 'passphrase') tx.objectStore(META_STORE).delete('deviceSecret');
+        tx.objectStore(IDENTITY_STORE).clear();
+        encryptedIdentities.forEach(record => tx.objectStore(IDENTITY_STORE).put(record));
+        tx.objectStore(INTRUDER_STORE).clear();
+        encryptedIntruders.forEach(record => tx.objectStore(INTRUDER_STORE).put(record));
+        await transactionDone(tx);
+
+        this.meta = meta;
+        this.key = key;
+    }
+
+    async loadRecords(storeName) {
+        if (!this.key) throw new Error('Template store is locked');
+
+        const tx = this.db.transaction(storeName, 'readonly');
+        const records = await promisifyRequest(tx.objectStore(storeName).getAll());
+
+        const decrypted = await Promise.all(records.map(async record => ({
+            id: record.id,
+            ...(await decryptJson(this.key, record.iv, record.data))
+        })));
+
+        return decrypted.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Replaces the contents of storeName with the given records
+     */
+    async saveRecords(storeName, records) {
+        if (!this.key) throw new Error('Template store is locked');
+
+        // Encrypt first: an IndexedDB transaction closes while awaiting WebCrypto
+        const encrypted = await Promise.all(records.map(async ({ id, ...payload }) => ({
+            id,
+            ...(await encryptJson(this.key, payload))
+        })));
+
+        const tx = this.db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        store.clear();
+        encrypted.forEach(record => store.put(record));
+        await transactionDone(tx);
+    }
+
+    loadIdentities() {
+        return this.loadRecords(IDENTITY_STORE);
+    }
+
+    /**
+     * Replaces the stored identities with the given list
+     */
+    saveAll(identities) {
+        return this.saveRecords(IDENTITY_STORE, identities);
+    }
+
+    /**
+     * Intruder clusters (see IntruderRegistry); they hold face descriptors, so they get the same protection
+     */
+    loadIntruders() {
+        return this.loadRecords(INTRUDER_STORE);
+    }
+
+    saveIntruders(intruders) {
+        return this.saveRecords(INTRUDER_STORE, intruders);
+    }
+
+    /**
+     * Deletes every identity and intruder, the key material and the device secret
+     */
+    async wipe() {
+        await this.open();
+
+        const tx = this.db.transaction([META_STORE, IDENTITY_STORE, INTRUDER_STORE], 'readwrite');
+        tx.objectStore(META_STORE).clear();
+        tx.objectStore(IDENTITY_STORE).clear();
+        tx.objectStore(INTRUDER_STORE).clear();
+        await transactionDone(tx);
+
+        this.meta = null;
+        this.key = null;
+    }
+
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+        this.key = null;
+        this.meta = null;
+    }
+}
+
+export default EncryptedTemplateStore;
@@ -0,0 +1,103 @@
+/**
+ * @jest-environment node
+ */
+
+import 'fake-indexeddb/auto';
+import { webcrypto } from 'crypto';
+import EncryptedTemplateStore from './templateStore';
+import { promisifyRequest } from './indexedDb';
+
+// Jest's node environment does not expose Node's global WebCrypto
+if (!global.crypto || !global.crypto.subtle) global.crypto = webcrypto;
+
+const IDENTITIES = [
+    { id: 1, name: 'Alice', descriptor: [0.1, 0.2, 0.3] },
+    { id: 2, name: 'Bob', descriptor: [0.4, 0.5, 0.6] }
+];
+const INTRUDERS = [{ id: 1, name: '', note: 'lobby', centroid: [0.7, 0.8, 0.9], sampleCount: 2, samples: [] }];
+
+let databaseCount = 0;
+
+describe('EncryptedTemplateStore', () => {
+    let config;
+    let stores;
+
+    /**
+     * A new connection to the test database, like a page reload
+     */
+    const connect = () => {
+        const store = new EncryptedTemplateStore(config);
+        stores.push(store);
+        return store;
+    };
+
+    beforeEach(async () => {
+        config = { DB_NAME: `templates-test-${++databaseCount}`, DB_VERSION: 2, PBKDF2_ITERATIONS: 1000 };
+        stores = [];
+
+        const store = connect();
+        await store.unlock();
+        await store.saveAll(IDENTITIES);
+        await store.saveIntruders(INTRUDERS);
+    });
+
+    afterEach(() => {
+        stores.forEach(store => store.close());
+    });
+
+    const readRaw = async (store, storeName, key) => {
+        const tx = store.db.transaction(storeName, 'readonly');
+        return promisifyRequest(key === undefined ? tx.objectStore(storeName).getAll() : tx.objectStore(storeName).get(key));
+    };
+
+    it('starts with a device key and keeps only record ids in the clear', async () => {
+        const store = connect();
+
+        expect(await store.getStatus()).toEqual({ initialized: true, mode: 'device', isLocked: true, count: 2 });
+        expect(await store.unlock()).toEqual(IDENTITIES);
+        (await readRaw(store, 'identities')).forEach(record => expect(Object.keys(record).sort()).toEqual(['data', 'id', 'iv']));
+    });
+
+    it('moves the templates under a passphrase, and drops the device secret', async () => {
+        const [store] = stores;
+        await store.rekey('correct horse');
+
+        expect(await readRaw(store, 'meta', 'deviceSecret')).toBeUndefined();
+
+        const reopened = connect();
+        expect(await reopened.getStatus()).toMatchObject({ mode: 'passphrase', count: 2 });
+        await expect(reopened.unlock()).rejects.toThrow('Passphrase required');
+        await expect(reopened.unlock('wrong')).rejects.toThrow('Incorrect passphrase');
+        expect(await reopened.unlock('correct horse')).toEqual(IDENTITIES);
+        expect(await reopened.loadIntruders()).toEqual(INTRUDERS);
+    });
+
+    it('moves the templates back to a device key', async () => {
+        const [store] = stores;
+        await store.rekey('correct horse');
+        await store.rekey();
+
+        const reopened = connect();
+        expect(await reopened.getStatus()).toMatchObject({ mode: 'device', count: 2 });
+        expect(await reopened.unlock()).toEqual(IDENTITIES);
+        expect(await reopened.loadIntruders()).toEqual(INTRUDERS);
+    });
+
+    it('re-encrypts under a fresh salt when changing the passphrase', async () => {
+        const [store] = stores;
+        await store.rekey('first');
+        const { salt } = store.meta;
+        await store.rekey('second');
+
+        expect(store.meta.salt).not.toEqual(salt);
+        await expect(connect().unlock('first')).rejects.toThrow('Incorrect passphrase');
+        expect(await connect().unlock('second')).toEqual(IDENTITIES);
+    });
+
+    it('refuses to rekey a locked store', async () => {
+        const store = connect();
+        await store.open();
+
+        await expect(store.rekey('correct horse')).rejects.toThrow('Template store is locked');
+    });
+});
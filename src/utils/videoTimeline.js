@@ -0,0 +1,136 @@
+/**
+ * Video Timeline Utility
+ * Turns per-frame verdicts for an uploaded video (or a single image) into a report: contiguous segments of
+ * matches, mismatches, spoof flags, poor-quality frames and no-face gaps, plus the time spent in each.
+ *
+ * Frames are { timeMs, faces: [{ state, identity, distance, level, box, liveness, hint }] }, where state is
+ * 'verified' | 'unverified' | 'spoof' | 'poor_quality'. Reports contain no face descriptors.
+ */
+
+export const TIMELINE_STATES = ['verified', 'unverified', 'spoof', 'poor_quality', 'no_face'];
+
+// A frame with several faces takes the most serious verdict among them
+const SEVERITY = ['spoof', 'unverified', 'verified', 'poor_quality'];
+
+export function classifyFrame(faces) {
+    if (faces.length === 0) return 'no_face';
+    return SEVERITY.find(state => faces.some(face => face.state === state));
+}
+
+/**
+ * Times of the frames to analyze: every strideMs, widened so at most maxFrames are taken
+ * Returns { strideMs, times }.
+ */
+export function planFrameTimes(durationMs, strideMs, maxFrames) {
+    const stride = Math.max(strideMs, Math.ceil(durationMs / maxFrames));
+    const times = [];
+
+    for (let time = 0; time < durationMs || times.length === 0; time += stride) times.push(time);
+
+    return { strideMs: stride, times };
+}
+
+function frameIdentities(faces) {
+    return faces
+        .filter(face => face.state === 'verified')
+        .map(face => face.identity.name)
+        .sort();
+}
+
+/**
+ * Merges consecutive frames with the same state (and, for matches, the same people) into segments
+ */
+function buildSegments(frames, endOf) {
+    const segments = [];
+
+    for (const frame of frames) {
+        const state = classifyFrame(frame.faces);
+        const identities = frameIdentities(frame.faces);
+        const distances = frame.faces.map(face => face.distance).filter(distance => typeof distance === 'number');
+        const last = segments[segments.length - 1];
+
+        if (last && last.state === state && last.identities.join('\n') === identities.join('\n')) {
+            last.endMs = endOf(frame);
+            last.frameCount++;
+            last.maxFaces = Math.max(last.maxFaces, frame.faces.length);
+            if (distances.length > 0) last.minDistance = Math.min(last.minDistance ?? Infinity, ...distances);
+        } else {
+            segments.push({
+                state,
+                startMs: frame.timeMs,
+                endMs: endOf(frame),
+                frameCount: 1,
+                identities,
+                maxFaces: frame.faces.length,
+                minDistance: distances.length > 0 ? Math.min(...distances) : null
+            });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Builds the report for an analyzed source
+ * @param {object} params
+ * @param {object} params.source file source (see inputSources.js)
+ * @param {number} params.strideMs time between analyzed frames (0 for an image)
+ * @param {object[]} params.frames analyzed frames in time order
+ * @param {boolean} params.complete false when the analysis was cancelled part way
+ * @param {object} params.settings thresholds the verdicts were made with, recorded for reviewers
+ */
+export function buildTimelineReport({ source, strideMs, frames, complete, settings }) {
+    const endOf = (frame) => Math.min(frame.timeMs + strideMs, source.durationMs || frame.timeMs);
+    const segments = buildSegments(frames, endOf);
+
+    const stateDurations = Object.fromEntries(TIMELINE_STATES.map(state => [state, 0]));
+    segments.forEach(segment => { stateDurations[segment.state] += segment.endMs - segment.startMs; });
+
+    const people = new Map();
+    for (const frame of frames) {
+        for (const face of frame.faces) {
+            if (face.state !== 'verified') continue;
+
+            const person = people.get(face.identity.id) || { ...face.identity, firstSeenMs: frame.timeMs, frameCount: 0 };
+            person.frameCount++;
+            people.set(face.identity.id, person);
+        }
+    }
+
+    return {
+        version: 1,
+        source: {
+            name: source.name,
+            kind: source.kind,
+            durationMs: source.durationMs,
+            width: source.width,
+            height: source.height
+        },
+        analyzedAt: new Date().toISOString(),
+        complete,
+        strideMs,
+        settings,
+        summary: {
+            frameCount: frames.length,
+            stateCounts: Object.fromEntries(TIMELINE_STATES.map(state => [state, segments
+                .filter(segment => segment.state === state)
+                .reduce((sum, segment) => sum + segment.frameCount, 0)])),
+            stateDurations,
+            identities: [...people.values()]
+        },
+        segments,
+        frames
+    };
+}
+
+/**
+ * mm:ss.t for timeline labels
+ */
+export function formatTimelineTime(ms) {
+    const totalSeconds = ms / 1000;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = (totalSeconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+}
+
+export default buildTimelineReport;
@@ -0,0 +1,98 @@
+import { buildTimelineReport, classifyFrame, formatTimelineTime, planFrameTimes } from './videoTimeline';
+
+const ALICE = { id: 1, name: 'Alice' };
+const BOB = { id: 2, name: 'Bob' };
+
+const verified = (identity, distance) => ({ state: 'verified', identity, distance });
+const face = (state, distance) => ({ state, identity: null, distance });
+
+const VIDEO = { name: 'door.mp4', kind: 'video', durationMs: 2200, width: 640, height: 480 };
+
+const report = (frames, source = VIDEO, strideMs = 500) => buildTimelineReport({ source, strideMs, frames, complete: true, settings: {} });
+
+describe('classifyFrame', () => {
+    it('takes the most serious verdict among the faces', () => {
+        expect(classifyFrame([])).toBe('no_face');
+        expect(classifyFrame([face('poor_quality'), verified(ALICE)])).toBe('verified');
+        expect(classifyFrame([verified(ALICE), face('unverified')])).toBe('unverified');
+        expect(classifyFrame([face('unverified'), face('spoof')])).toBe('spoof');
+        expect(classifyFrame([face('poor_quality')])).toBe('poor_quality');
+    });
+});
+
+describe('planFrameTimes', () => {
+    it('takes a frame every strideMs', () => {
+        expect(planFrameTimes(2000, 500, 10)).toEqual({ strideMs: 500, times: [0, 500, 1000, 1500] });
+    });
+
+    it('widens the stride to stay within maxFrames', () => {
+        expect(planFrameTimes(10000, 500, 4)).toEqual({ strideMs: 2500, times: [0, 2500, 5000, 7500] });
+    });
+
+    it('takes a single frame of an image', () => {
+        expect(planFrameTimes(0, 500, 1200).times).toEqual([0]);
+    });
+});
+
+describe('buildTimelineReport', () => {
+    const frames = [
+        { timeMs: 0, faces: [verified(ALICE, 0.3)] },
+        { timeMs: 500, faces: [verified(ALICE, 0.25)] },
+        { timeMs: 1000, faces: [verified(ALICE, 0.4), face('unverified', 0.7)] },
+        { timeMs: 1500, faces: [] },
+        { timeMs: 2000, faces: [verified(BOB, 0.35)] }
+    ];
+
+    it('merges consecutive frames with the same verdict into segments, the last one ending with the video', () => {
+        expect(report(frames).segments).toEqual([
+            { state: 'verified', startMs: 0, endMs: 1000, frameCount: 2, identities: ['Alice'], maxFaces: 1, minDistance: 0.25 },
+            { state: 'unverified', startMs: 1000, endMs: 1500, frameCount: 1, identities: ['Alice'], maxFaces: 2, minDistance: 0.4 },
+            { state: 'no_face', startMs: 1500, endMs: 2000, frameCount: 1, identities: [], maxFaces: 0, minDistance: null },
+            { state: 'verified', startMs: 2000, endMs: 2200, frameCount: 1, identities: ['Bob'], maxFaces: 1, minDistance: 0.35 }
+        ]);
+    });
+
+    it('starts a new segment when the matched people change', () => {
+        const { segments } = report([
+            { timeMs: 0, faces: [verified(ALICE)] },
+            { timeMs: 500, faces: [verified(BOB), verified(ALICE)] },
+            { timeMs: 1000, faces: [verified(ALICE), verified(BOB)] }
+        ]);
+
+        expect(segments.map(({ identities, frameCount }) => ({ identities, frameCount }))).toEqual([
+            { identities: ['Alice'], frameCount: 1 },
+            { identities: ['Alice', 'Bob'], frameCount: 2 }
+        ]);
+    });
+
+    it('sums frames and time per state, and lists everyone matched', () => {
+        const { source, complete, summary } = report(frames);
+
+        expect(source).toEqual(VIDEO);
+        expect(complete).toBe(true);
+        expect(summary).toEqual({
+            frameCount: 5,
+            stateCounts: { verified: 3, unverified: 1, spoof: 0, poor_quality: 0, no_face: 1 },
+            stateDurations: { verified: 1200, unverified: 500, spoof: 0, poor_quality: 0, no_face: 500 },
+            identities: [
+                { ...ALICE, firstSeenMs: 0, frameCount: 3 },
+                { ...BOB, firstSeenMs: 2000, frameCount: 1 }
+            ]
+        });
+    });
+
+    it('gives an image a single zero-length segment', () => {
+        const image = { name: 'badge.jpg', kind: 'image', durationMs: 0, width: 640, height: 480 };
+        const { segments, summary } = report([{ timeMs: 0, faces: [face('spoof')] }], image, 0);
+
+        expect(segments).toMatchObject([{ state: 'spoof', startMs: 0, endMs: 0, frameCount: 1 }]);
+        expect(summary.stateCounts.spoof).toBe(1);
+    });
+});
+
+describe('formatTimelineTime', () => {
+    it('formats milliseconds as m:ss.t', () => {
+        expect(formatTimelineTime(0)).toBe('0:00.0');
+        expect(formatTimelineTime(65432)).toBe('1:05.4');
+    });
+});
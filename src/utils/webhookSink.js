@@ -0,0 +1,278 @@
+/**
+ * Webhook Sink
+ * Posts sentinel events to an HTTP endpoint. Events wait in a queue persisted to localStorage,
+ * so they survive reloads and network outages, and are retried with exponential backoff.
+ * Repeated `error` events with the same message are coalesced while they wait, so a failure that
+ * repeats every frame cannot flood the queue.
+ *
+ * Sinks on the same storage share one queue. A sink that replaces another should be given
+ * `after: previous.stop()`: it buffers events in memory and takes the queue over once the previous
+ * sink has finished its last request, so nothing is delivered twice or overwritten.
+ *
+ * Each request carries:
+ *   X-Sentinel-Event, X-Sentinel-Delivery (event id), X-Sentinel-Timestamp (ms)
+ *   X-Sentinel-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"> when a secret is set
+ *
+ * The secret ships with the page, so the signature shows the event came from a deployment
+ * that knows it; it is not a secret from the people using that browser.
+ */
+
+import { MODEL_CONFIG } from '../config/modelConfig';
+import { SENTINEL_EVENTS } from './sentinelEvents';
+
+const encoder = new TextEncoder();
+
+// A drop reported through the webhook could itself be dropped, and so on
+const FORWARDED_EVENTS = SENTINEL_EVENTS.filter(type => type !== 'webhookDropped');
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export async function signPayload(secret, timestamp, body) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+    return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Status codes worth retrying: network errors (0), timeouts, rate limits and server errors
+ */
+function isRetryable(status) {
+    return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+class WebhookSink {
+    /**
+     * @param {object} options
+     * @param {string} options.url endpoint receiving POSTed JSON events
+     * @param {string} [options.secret] HMAC key; requests are unsigned without it
+     * @param {string[]} [options.events] event types to forward (all but webhookDropped, which is never forwarded)
+     * @param {function} [options.onDrop] called with (item, reason) when an event is given up on
+     * @param {Promise} [options.after] resolves when the sink this one replaces has stopped (see stop())
+     */
+    constructor({
+        url,
+        secret,
+        events = FORWARDED_EVENTS,
+        onDrop,
+        after = null,
+        storage = window.localStorage,
+        config = MODEL_CONFIG.WEBHOOK
+    }) {
+        if (!url) throw new Error('Webhook URL is required');
+
+        this.url = url;
+        this.secret = secret;
+        this.events = events;
+        this.onDrop = onDrop;
+        this.storage = storage;
+        this.config = config;
+        this.queue = [];
+        this.timer = null;
+        this.flushing = null;
+        this.delivering = null;
+        this.stopped = false;
+        this.detach = null;
+        this.isReady = false;
+
+        if (after) after.then(() => this.takeOverQueue(), () => this.takeOverQueue());
+        else this.takeOverQueue();
+    }
+
+    /**
+     * Loads the persisted queue, followed by the events received while waiting for it
+     */
+    takeOverQueue() {
+        if (this.stopped) return;
+
+        this.queue = [...this.loadQueue(), ...this.queue];
+        this.isReady = true;
+        this.trimQueue();
+        this.saveQueue();
+        if (this.queue.length > 0) this.schedule(0);
+    }
+
+    loadQueue() {
+        try {
+            const saved = this.storage.getItem(this.config.QUEUE_KEY);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        if (!this.isReady) return;
+        this.storage.setItem(this.config.QUEUE_KEY, JSON.stringify(this.queue));
+    }
+
+    /**
+     * Forwards the configured events of an emitter and starts delivering anything left in the queue
+     */
+    attach(emitter) {
+        if (this.detach) this.detach();
+
+        const unsubscribe = emitter.onAny((type, payload) => {
+            if (FORWARDED_EVENTS.includes(type) && this.events.includes(type)) this.enqueue(type, payload);
+        });
+        this.detach = unsubscribe;
+        this.schedule(0);
+        return unsubscribe;
+    }
+
+    enqueue(type, payload) {
+        const now = Date.now();
+
+        if (type === 'error' && this.coalesceError(payload, now)) return;
+
+        this.queue.push({
+            id: `${now}-${Math.random().toString(36).slice(2, 10)}`,
+            type,
+            payload,
+            createdAt: now,
+            attempts: 0,
+            nextAttemptAt: now
+        });
+
+        this.trimQueue();
+        this.saveQueue();
+        this.schedule(0);
+    }
+
+    /**
+     * Counts a repeated error into the queued, not yet attempted event with the same message
+     * Returns false when there is none and the error needs an event of its own.
+     */
+    coalesceError(payload, now) {
+        const queued = this.queue.find(item => item.type === 'error' && item.attempts === 0 &&
+            item.id !== this.delivering && item.payload.message === payload.message);
+        if (!queued) return false;
+
+        queued.payload = { ...queued.payload, count: (queued.payload.count || 1) + 1, lastTimestamp: now };
+        this.saveQueue();
+        return true;
+    }
+
+    /**
+     * Oldest events go first when the receiver has been unreachable for a long time
+     */
+    trimQueue() {
+        while (this.queue.length > this.config.MAX_QUEUE) this.drop(this.queue[0], 'queue full');
+    }
+
+    drop(item, reason) {
+        this.queue = this.queue.filter(queued => queued.id !== item.id);
+        if (this.onDrop) this.onDrop(item, reason);
+    }
+
+    /**
+     * Delay before the next attempt: BASE_DELAY_MS doubling per attempt, capped at MAX_DELAY_MS, with up to 20% jitter
+     */
+    getBackoff(attempts) {
+        const delay = Math.min(this.config.MAX_DELAY_MS, this.config.BASE_DELAY_MS * Math.pow(2, attempts - 1));
+        return delay * (1 + Math.random() * 0.2);
+    }
+
+    schedule(delay) {
+        if (this.stopped || !this.isReady) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * POSTs one event; resolves with the HTTP status, or 0 when the request failed or timed out
+     */
+    async deliver(item) {
+        const body = JSON.stringify({ id: item.id, type: item.type, createdAt: item.createdAt, payload: item.payload });
+        const timestamp = String(Date.now());
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Sentinel-Event': item.type,
+            'X-Sentinel-Delivery': item.id,
+            'X-Sentinel-Timestamp': timestamp
+        };
+
+        if (this.secret) headers['X-Sentinel-Signature'] = `sha256=${await signPayload(this.secret, timestamp, body)}`;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.config.REQUEST_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(this.url, { method: 'POST', headers, body, signal: controller.signal });
+            return response.status;
+        } catch (error) {
+            return 0;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Sends every due event in order, then schedules the next retry
+     * Resolves when this run (or the one already in progress) ends.
+     */
+    flush() {
+        if (!this.flushing && !this.stopped && this.isReady) {
+            this.flushing = this.deliverDue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing || Promise.resolve();
+    }
+
+    async deliverDue() {
+        try {
+            for (const item of [...this.queue]) {
+                // A stopped sink finishes the request in flight but starts no new one
+                if (this.stopped) return;
+                if (item.nextAttemptAt > Date.now()) continue;
+
+                this.delivering = item.id;
+                const status = await this.deliver(item);
+                this.delivering = null;
+
+                if (status >= 200 && status < 300) {
+                    this.queue = this.queue.filter(queued => queued.id !== item.id);
+                } else if (!isRetryable(status)) {
+                    this.drop(item, `rejected with HTTP ${status}`);
+                } else if (item.attempts + 1 >= this.config.MAX_ATTEMPTS) {
+                    this.drop(item, `gave up after ${item.attempts + 1} attempts`);
+                } else {
+                    item.attempts++;
+                    item.nextAttemptAt = Date.now() + this.getBackoff(item.attempts);
+                }
+
+                this.saveQueue();
+            }
+        } finally {
+            this.delivering = null;
+        }
+
+        if (this.queue.length > 0) {
+            const next = Math.min(...this.queue.map(item => item.nextAttemptAt));
+            this.schedule(Math.max(0, next - Date.now()));
+        }
+    }
+
+    getQueue() {
+        return [...this.queue];
+    }
+
+    /**
+     * Stops forwarding and retrying; queued events stay persisted for the next sink on this storage
+     * Resolves once a request still in flight has finished and its outcome is saved.
+     */
+    stop() {
+        this.stopped = true;
+        if (this.detach) this.detach();
+        this.detach = null;
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        return this.flushing || Promise.resolve();
+    }
+}
+
+export default WebhookSink;
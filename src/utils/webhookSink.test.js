@@ -0,0 +1,224 @@
+/**
+ * @jest-environment node
+ */
+
+import { createHmac, webcrypto } from 'crypto';
+import WebhookSink, { signPayload } from './webhookSink';
+import { SentinelEventEmitter } from './sentinelEvents';
+
+// Jest's node environment does not expose Node's global WebCrypto
+if (!global.crypto || !global.crypto.subtle) global.crypto = webcrypto;
+
+const CONFIG = {
+    QUEUE_KEY: 'webhook-test-queue',
+    MAX_QUEUE: 3,
+    MAX_ATTEMPTS: 3,
+    BASE_DELAY_MS: 1000,
+    MAX_DELAY_MS: 3000,
+    REQUEST_TIMEOUT_MS: 5000
+};
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value)
+    };
+}
+
+const respond = (status) => Promise.resolve({ status });
+
+describe('signPayload', () => {
+    it('is the hex HMAC-SHA256 of "<timestamp>.<body>"', async () => {
+        const expected = createHmac('sha256', 'shh').update('1700000000000.{"a":1}').digest('hex');
+
+        expect(await signPayload('shh', '1700000000000', '{"a":1}')).toBe(expected);
+    });
+});
+
+describe('WebhookSink', () => {
+    let storage;
+    let sinks;
+    let drops;
+
+    const createSink = (options = {}) => {
+        const sink = new WebhookSink({
+            url: 'https://example.test/hook',
+            storage,
+            config: CONFIG,
+            onDrop: (item, reason) => drops.push({ type: item.type, reason }),
+            ...options
+        });
+        sinks.push(sink);
+        return sink;
+    };
+
+    const persisted = () => JSON.parse(storage.getItem(CONFIG.QUEUE_KEY) || '[]');
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(1000000);
+        global.fetch = jest.fn(() => respond(204));
+        storage = createStorage();
+        sinks = [];
+        drops = [];
+    });
+
+    afterEach(() => {
+        sinks.forEach(sink => sink.stop());
+        jest.useRealTimers();
+        delete global.fetch;
+    });
+
+    it('posts the event with its headers and a signature over timestamp and body', async () => {
+        const sink = createSink({ secret: 'shh' });
+        sink.enqueue('verified', { personId: 1 });
+        await sink.flush();
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, { method, headers, body }] = fetch.mock.calls[0];
+        expect(url).toBe('https://example.test/hook');
+        expect(method).toBe('POST');
+        expect(JSON.parse(body)).toMatchObject({ type: 'verified', createdAt: 1000000, payload: { personId: 1 } });
+        expect(headers).toMatchObject({
+            'Content-Type': 'application/json',
+            'X-Sentinel-Event': 'verified',
+            'X-Sentinel-Delivery': JSON.parse(body).id,
+            'X-Sentinel-Timestamp': '1000000'
+        });
+        expect(headers['X-Sentinel-Signature']).toBe(`sha256=${createHmac('sha256', 'shh').update(`1000000.${body}`).digest('hex')}`);
+        expect(sink.getQueue()).toEqual([]);
+        expect(persisted()).toEqual([]);
+    });
+
+    it('sends no signature without a secret', async () => {
+        const sink = createSink();
+        sink.enqueue('verified', {});
+        await sink.flush();
+
+        expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('X-Sentinel-Signature');
+    });
+
+    it('retries failures with exponential backoff, capped at MAX_DELAY_MS', async () => {
+        // No jitter
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        fetch.mockImplementation(() => respond(503));
+        const sink = createSink({ config: { ...CONFIG, MAX_ATTEMPTS: 5 } });
+        sink.enqueue('mismatch', {});
+
+        const delays = [];
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            await sink.flush();
+            const [item] = sink.getQueue();
+            delays.push(item.nextAttemptAt - Date.now());
+
+            // Not due yet: nothing is sent
+            await sink.flush();
+            expect(fetch).toHaveBeenCalledTimes(attempt);
+            jest.setSystemTime(item.nextAttemptAt);
+        }
+
+        expect(delays).toEqual([1000, 2000, 3000]);
+        expect(persisted()[0]).toMatchObject({ attempts: 3 });
+        Math.random.mockRestore();
+    });
+
+    it('treats a network error like a retryable status', async () => {
+        fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+        const sink = createSink();
+        sink.enqueue('mismatch', {});
+        await sink.flush();
+
+        expect(sink.getQueue()[0]).toMatchObject({ attempts: 1 });
+        expect(drops).toEqual([]);
+    });
+
+    it('drops an event the receiver rejects, or after MAX_ATTEMPTS', async () => {
+        fetch.mockImplementation(() => respond(400));
+        const rejected = createSink();
+        rejected.enqueue('verified', {});
+        await rejected.flush();
+
+        expect(drops).toEqual([{ type: 'verified', reason: 'rejected with HTTP 400' }]);
+        expect(rejected.getQueue()).toEqual([]);
+
+        fetch.mockImplementation(() => respond(500));
+        const failing = createSink({ config: { ...CONFIG, QUEUE_KEY: 'other-queue' } });
+        failing.enqueue('mismatch', {});
+        for (let attempt = 0; attempt < CONFIG.MAX_ATTEMPTS; attempt++) {
+            await failing.flush();
+            jest.setSystemTime(Date.now() + CONFIG.MAX_DELAY_MS);
+        }
+
+        expect(drops[1]).toEqual({ type: 'mismatch', reason: 'gave up after 3 attempts' });
+        expect(failing.getQueue()).toEqual([]);
+    });
+
+    it('drops the oldest events beyond MAX_QUEUE', () => {
+        const sink = createSink();
+        ['verified', 'mismatch', 'spoof', 'locked'].forEach(type => sink.enqueue(type, {}));
+
+        expect(sink.getQueue().map(item => item.type)).toEqual(['mismatch', 'spoof', 'locked']);
+        expect(drops).toEqual([{ type: 'verified', reason: 'queue full' }]);
+    });
+
+    it('coalesces repeated errors that have not been sent yet', async () => {
+        const sink = createSink();
+        sink.enqueue('error', { message: 'Camera lost' });
+        jest.setSystemTime(1000500);
+        sink.enqueue('error', { message: 'Camera lost' });
+        sink.enqueue('error', { message: 'Other failure' });
+
+        expect(sink.getQueue().map(item => item.payload)).toEqual([
+            { message: 'Camera lost', count: 2, lastTimestamp: 1000500 },
+            { message: 'Other failure' }
+        ]);
+
+        await sink.flush();
+        sink.enqueue('error', { message: 'Camera lost' });
+        expect(sink.getQueue()).toHaveLength(1);
+    });
+
+    it('forwards only the configured events of an emitter, never webhookDropped', () => {
+        const emitter = new SentinelEventEmitter();
+        const sink = createSink({ events: ['mismatch', 'webhookDropped'] });
+        sink.attach(emitter);
+
+        emitter.emit('verified', {});
+        emitter.emit('mismatch', {});
+        emitter.emit('webhookDropped', {});
+
+        expect(sink.getQueue().map(item => item.type)).toEqual(['mismatch']);
+    });
+
+    it('hands the persisted queue over to the sink that replaces it, after its last request', async () => {
+        let finishRequest;
+        fetch.mockImplementation(() => new Promise(resolve => { finishRequest = () => resolve({ status: 204 }); }));
+
+        const previous = createSink();
+        previous.enqueue('verified', { n: 1 });
+        previous.enqueue('mismatch', { n: 2 });
+        previous.flush();
+
+        const stopped = previous.stop();
+        const next = createSink({ after: stopped });
+        next.enqueue('locked', { n: 3 });
+        // Buffered in memory until the previous sink is done with the shared queue
+        expect(persisted().map(item => item.type)).toEqual(['verified', 'mismatch']);
+
+        finishRequest();
+        await stopped;
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(persisted().map(item => item.type)).toEqual(['mismatch', 'locked']);
+        expect(next.getQueue().map(item => item.type)).toEqual(['mismatch', 'locked']);
+
+        fetch.mockImplementation(() => respond(204));
+        await next.flush();
+        expect(fetch.mock.calls.slice(1).map(([, { headers }]) => headers['X-Sentinel-Event'])).toEqual(['mismatch', 'locked']);
+        expect(persisted()).toEqual([]);
+    });
+});
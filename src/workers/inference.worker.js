@@ -0,0 +1,110 @@
+/**
+ * Inference Worker
+ * Runs detection, landmarks, descriptors, liveness and quality checks off the main thread.
+ * Frames arrive as ImageBitmaps and are drawn onto an OffscreenCanvas before inference.
+ *
+ * Messages in:  { id, type: 'load' | 'extract' | 'resetLiveness' | 'dispose', payload }
+ * Messages out: { id, result } or { id, error }, preceded by { id, progress } while weights load
+ */
+
+/* eslint-disable no-restricted-globals */
+
+import * as faceapi from 'face-api.js';
+import FaceApiRecognitionModel from '../models/FaceRecognitionModel';
+import { getBuiltInScorers } from '../utils/livenessDetection';
+
+// face-api.js only knows browser and Node environments; point it at the worker's canvas types
+faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: class WorkerImage {},
+    ImageData,
+    Video: class WorkerVideo {},
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    createImageElement: () => { throw new Error('Image elements are not available in a worker'); },
+    fetch: (...args) => fetch(...args),
+    readFile: () => { throw new Error('readFile is not available in a worker'); }
+});
+
+let model = null;
+let frameCanvas = null;
+
+/**
+ * Results cross the worker boundary by structured clone, which drops class prototypes:
+ * flatten face-api Box and FaceLandmarks68 into plain objects
+ */
+function serializeResult(result) {
+    if (!result) return null;
+
+    const { x, y, width, height } = result.box;
+
+    return {
+        embedding: result.embedding,
+        liveness: result.liveness,
+        quality: result.quality,
+        box: { x, y, width, height },
+        landmarks: { positions: result.landmarks.positions.map(p => ({ x: p.x, y: p.y })) }
+    };
+}
+
+function drawFrame(bitmap) {
+    if (!frameCanvas || frameCanvas.width !== bitmap.width || frameCanvas.height !== bitmap.height) {
+        frameCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    }
+
+    frameCanvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return frameCanvas;
+}
+
+const handlers = {
+    async load({ url, config, detector, detectorOptions, livenessScorers }, reportProgress) {
+        // Comparisons run on the main thread, where metrics registered by the app are known;
+        // liveness scorers arrive as names of built-in ones (functions cannot be posted)
+        model = new FaceApiRecognitionModel({
+            config,
+            detector,
+            detectorOptions,
+            metric: 'euclidean',
+            livenessScorers: getBuiltInScorers(livenessScorers)
+        });
+        await model.loadModel(new URL(url, self.location.origin).href, { onProgress: reportProgress });
+        return true;
+    },
+
+    async extract({ frame, mode, timestamp }) {
+        if (!model) throw new Error('Model not loaded');
+
+        const canvas = drawFrame(frame);
+
+        if (mode === 'all') {
+            const results = await model.extractAllEmbeddings(canvas, { timestamp });
+            return results.map(serializeResult);
+        }
+
+        return serializeResult(await model.extractEmbedding(canvas, { timestamp }));
+    },
+
+    async resetLiveness() {
+        if (model) model.resetLiveness();
+        return true;
+    },
+
+    async dispose() {
+        if (model) model.dispose();
+        model = null;
+        return true;
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        const result = await handlers[type](payload || {}, progress => self.postMessage({ id, progress }));
+        self.postMessage({ id, result });
+    } catch (error) {
+        if (payload && payload.frame && payload.frame.close) payload.frame.close();
+        self.postMessage({ id, error: error.message });
+    }
+};